@@ -22,19 +22,62 @@ class Connection {
     func readFromSocket() {
         // Create a background queue for socket operations
         let queue = DispatchQueue(label: "atom2ueki.socket.read.queue", qos: .background)
+        let maxRequestSize = server?.maxRequestSize ?? 1024 * 1024
 
         queue.async {
+            var data = Data()
             var buffer = [UInt8](repeating: 0, count: 4096)
-            let bytesRead = recv(self.nativeSocketHandle, &buffer, buffer.count, 0)
-
-            if bytesRead > 0 {
-                let data = Data(bytes: buffer, count: bytesRead)
-                self.handleRequest(data: data)
-            } else {
-                // Handle connection error or closure
-                self.handleConnectionError(bytesRead: bytesRead)
+
+            // A request can span many reads; keep going until the headers
+            // and Content-Length bytes of body have arrived
+            while true {
+                let bytesRead = recv(self.nativeSocketHandle, &buffer, buffer.count, 0)
+                if bytesRead <= 0 {
+                    if data.isEmpty {
+                        // Handle connection error or closure
+                        self.handleConnectionError(bytesRead: bytesRead)
+                        return
+                    }
+                    break
+                }
+                data.append(buffer, count: bytesRead)
+
+                if let expectedLength = Connection.expectedRequestLength(of: data) {
+                    if expectedLength > maxRequestSize {
+                        self.handleServerError(.requestTooLarge(size: expectedLength, maxSize: maxRequestSize))
+                        self.disconnect()
+                        return
+                    }
+                    if data.count >= expectedLength {
+                        break
+                    }
+                } else if data.count > maxRequestSize {
+                    break
+                }
+            }
+
+            self.handleRequest(data: data, maxRequestSize: maxRequestSize)
+        }
+    }
+
+    /// Length of the whole request once its headers are complete: the
+    /// headers plus Content-Length bytes of body. Nil while the headers are
+    /// still arriving.
+    static func expectedRequestLength(of data: Data) -> Int? {
+        guard let headerEnd = data.range(of: Data("\r\n\r\n".utf8)) else {
+            return nil
+        }
+
+        let head = String(decoding: data[data.startIndex..<headerEnd.lowerBound], as: UTF8.self)
+        var contentLength = 0
+        for line in head.components(separatedBy: "\r\n").dropFirst() {
+            let parts = line.split(separator: ":", maxSplits: 1)
+            if parts.count == 2, parts[0].trimmingCharacters(in: .whitespaces).lowercased() == "content-length" {
+                contentLength = Int(parts[1].trimmingCharacters(in: .whitespaces)) ?? 0
             }
         }
+
+        return headerEnd.upperBound - data.startIndex + contentLength
     }
 
     private func handleConnectionError(bytesRead: Int) {
@@ -49,9 +92,9 @@ class Connection {
         disconnect()
     }
 
-    private func handleRequest(data: Data) {
+    private func handleRequest(data: Data, maxRequestSize: Int) {
         do {
-            let request = try createRequest(from: data)
+            let request = try createRequest(from: data, maxRequestSize: maxRequestSize)
             let response = Response(connection: self)
 
             // Process the request
@@ -67,13 +110,12 @@ class Connection {
         }
     }
 
-    private func createRequest(from data: Data) throws -> Request {
+    private func createRequest(from data: Data, maxRequestSize: Int) throws -> Request {
         guard !data.isEmpty else {
             throw SwiftWebServerError.malformedRequest
         }
 
         // Validate request size
-        let maxRequestSize = 1024 * 1024 // 1MB
         if data.count > maxRequestSize {
             throw SwiftWebServerError.requestTooLarge(size: data.count, maxSize: maxRequestSize)
         }
@@ -148,10 +190,21 @@ class Connection {
         }
     }
 
-    func send(data: Data) {
-        _ = data.withUnsafeBytes { bytes in
+    /// Returns false when the data could not be written, e.g. because the
+    /// client has closed the connection
+    @discardableResult
+    func send(data: Data) -> Bool {
+        let sent = data.withUnsafeBytes { bytes in
             Darwin.send(nativeSocketHandle, bytes.bindMemory(to: UInt8.self).baseAddress, data.count, 0)
         }
+        return sent == data.count
+    }
+
+    /// Long-lived responses write after the client may have gone away.
+    /// Report that as a failed send instead of raising SIGPIPE.
+    func disableSigPipe() {
+        var enabled: Int32 = 1
+        setsockopt(nativeSocketHandle, SOL_SOCKET, SO_NOSIGPIPE, &enabled, socklen_t(MemoryLayout<Int32>.size))
     }
 
     func disconnect() {
@@ -81,6 +81,10 @@ final public class SwiftWebServer {
     // static file serving
     nonisolated(unsafe) private var staticDirectories: [String] = []
 
+    /// Largest request, headers and body together, the server reads; larger
+    /// requests get 413 Payload Too Large. Set before `listen()`.
+    nonisolated(unsafe) public var maxRequestSize = 1024 * 1024
+
     // server status
     private var _status: ServerStatus = .stopped
     private var _currentPort: UInt = 0
@@ -18,6 +18,7 @@ public enum ContentType: String, CaseIterable, CustomStringConvertible {
     case textXml = "text/xml"
     case textCsv = "text/csv"
     case textMarkdown = "text/markdown"
+    case textEventStream = "text/event-stream"
 
     // MARK: - Application Types
     case applicationJson = "application/json"
@@ -64,6 +65,7 @@ public enum ContentType: String, CaseIterable, CustomStringConvertible {
         case .textXml: return ["xml"]
         case .textCsv: return ["csv"]
         case .textMarkdown: return ["md", "markdown"]
+        case .textEventStream: return []
 
         // Application
         case .applicationJson: return ["json"]
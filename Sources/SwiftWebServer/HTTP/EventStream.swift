@@ -0,0 +1,104 @@
+//
+//  EventStream.swift
+//  SwiftWebServer
+//
+//  Server-Sent Events (text/event-stream) responses
+//
+
+import Foundation
+
+/// An open Server-Sent Events stream, created by `Response.eventStream()`.
+/// The connection stays open until `close()` is called or a write fails
+/// because the client went away.
+public final class EventStream {
+    private var connection: Connection?
+    private var closeHandler: (() -> Void)?
+    private let queue = DispatchQueue(label: "atom2ueki.eventstream.queue")
+
+    init(connection: Connection) {
+        self.connection = connection
+    }
+
+    /// Whether events can still be written
+    public var isOpen: Bool {
+        return queue.sync { connection != nil }
+    }
+
+    /// Register a handler called once when the stream closes, whether by
+    /// `close()` or because the client disconnected
+    public func onClose(_ handler: @escaping () -> Void) {
+        queue.sync { closeHandler = handler }
+    }
+
+    /// Send one event. Returns false if the stream is closed.
+    @discardableResult
+    public func send(event: String? = nil, data: String, id: String? = nil) -> Bool {
+        return write(EventStream.format(event: event, data: data, id: id))
+    }
+
+    /// Send a comment line. Clients ignore comments, so this works as a
+    /// heartbeat that keeps proxies from timing out and finds dead clients.
+    @discardableResult
+    public func comment(_ text: String = "") -> Bool {
+        return write(": \(EventStream.singleLine(text))\n\n")
+    }
+
+    /// Tell the client how long to wait before reconnecting
+    @discardableResult
+    public func retry(after milliseconds: Int) -> Bool {
+        return write("retry: \(milliseconds)\n\n")
+    }
+
+    /// End the stream and close the connection
+    public func close() {
+        let handler: (() -> Void)? = queue.sync {
+            guard let connection = connection else { return nil }
+            connection.disconnect()
+            self.connection = nil
+
+            let handler = closeHandler
+            closeHandler = nil
+            return handler
+        }
+        handler?()
+    }
+
+    private func write(_ text: String) -> Bool {
+        let sent: Bool = queue.sync {
+            guard let connection = connection else { return false }
+            return connection.send(data: Data(text.utf8))
+        }
+        if !sent {
+            close()
+        }
+        return sent
+    }
+
+    // MARK: - Wire Format
+
+    /// Serialize one event. Multi-line `data` becomes one `data:` line per
+    /// line; line breaks can't appear in `event` or `id`, so they are removed.
+    static func format(event: String?, data: String, id: String?) -> String {
+        var message = ""
+        if let id = id {
+            message += "id: \(singleLine(id))\n"
+        }
+        if let event = event {
+            message += "event: \(singleLine(event))\n"
+        }
+
+        let lines = data
+            .replacingOccurrences(of: "\r\n", with: "\n")
+            .replacingOccurrences(of: "\r", with: "\n")
+            .components(separatedBy: "\n")
+        for line in lines {
+            message += "data: \(line)\n"
+        }
+
+        return message + "\n"
+    }
+
+    private static func singleLine(_ value: String) -> String {
+        return value.components(separatedBy: .newlines).joined()
+    }
+}
@@ -22,23 +22,38 @@ public class Request {
     public var middlewareStorage: [String: Any] = [:]
 
     public init(inputData: Data) throws {
-        guard let requestString = String(data: inputData, encoding: .utf8) else {
-            throw SwiftWebServerError.invalidRequest(reason: "Unable to decode request as UTF-8")
+        // Only the request line and headers must be text; the body is kept
+        // as raw bytes so binary uploads survive
+        let headerData: Data
+        if let headerEnd = inputData.range(of: Data("\r\n\r\n".utf8)) {
+            headerData = inputData[inputData.startIndex..<headerEnd.lowerBound]
+            let bodyData = inputData[headerEnd.upperBound...]
+            if !bodyData.isEmpty {
+                self.body = Data(bodyData)
+            }
+        } else {
+            headerData = inputData
+        }
+
+        guard let headerString = String(data: headerData, encoding: .utf8) else {
+            throw SwiftWebServerError.invalidRequest(reason: "Unable to decode request headers as UTF-8")
         }
 
-        self.rawRequest = requestString
+        // The body is included when it is text
+        self.rawRequest = String(data: inputData, encoding: .utf8) ?? headerString
         // Initialize required properties with default values
         self.method = .get // Default, will be overridden during parsing
         self.path = ""
         self.httpVersion = ""
 
         // Parse the request
-        try parseRequest(requestString)
+        try parseRequest(headerString)
 
         // Parse query parameters using the dedicated parser
-        self.queryParameters = QueryParameterParser.parseParametersFromRawRequest(requestString)
+        self.queryParameters = QueryParameterParser.parseParametersFromRawRequest(headerString)
     }
 
+    /// Parse the request line and headers; the body is split off in `init`
     private func parseRequest(_ requestString: String) throws {
         let lines = requestString.components(separatedBy: "\r\n")
 
@@ -50,25 +65,10 @@ public class Request {
         try parseRequestLine(lines[0])
 
         // Parse headers
-        var headerEndIndex = 1
-        for i in 1..<lines.count {
-            let line = lines[i]
-            if line.isEmpty {
-                headerEndIndex = i
-                break
-            }
+        for line in lines.dropFirst() where !line.isEmpty {
             try parseHeaderLine(line)
         }
 
-        // Parse body if present
-        if headerEndIndex + 1 < lines.count {
-            let bodyLines = Array(lines[(headerEndIndex + 1)...])
-            let bodyString = bodyLines.joined(separator: "\r\n")
-            if !bodyString.isEmpty {
-                self.body = bodyString.data(using: .utf8)
-            }
-        }
-
         // Validate the request
         try validateRequest()
     }
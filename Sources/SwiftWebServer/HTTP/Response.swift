@@ -195,7 +195,7 @@ public class Response {
                 send(payload: payload)
             } else {
                 // For binary files, send raw data
-                sendBinaryFile(data: fileData, contentType: contentType)
+                send(data: fileData, contentType: contentType)
             }
         } catch let error as SwiftWebServerError {
             throw error
@@ -204,7 +204,8 @@ public class Response {
         }
     }
 
-    private func sendBinaryFile(data: Data, contentType: ContentType) {
+    /// Send raw bytes, such as an image held in memory, as the response body
+    public func send(data: Data, contentType: ContentType) {
         // Set content type
         headers[.contentType] = contentType.mimeType
         headers[.contentLength] = "\(data.count)"
@@ -236,6 +237,45 @@ public class Response {
         connection.disconnect()
     }
 
+    // MARK: - Server-Sent Events
+
+    /// Start a `text/event-stream` response. The status line and the headers
+    /// set so far (CORS and so on) are sent right away without a
+    /// Content-Length, and the connection stays open for the returned stream.
+    /// Returns nil if the client is already gone.
+    public func eventStream() -> EventStream? {
+        guard let connection = connection else {
+            print("No connection available to send response")
+            return nil
+        }
+
+        headers[.contentType] = ContentType.textEventStream.headerValue()
+        headers[.cacheControl] = "no-cache"
+        headers[.connection] = "keep-alive"
+        headers.remove(.contentLength)
+
+        var headerString = ""
+        for (key, value) in headers.allHeaders {
+            headerString += "\(key): \(value)\r\n"
+        }
+
+        let responseHeader = """
+        HTTP/1.1 \(statusCode.rawValue) \(statusCode.reasonPhrase)\r
+        \(headerString)\r
+
+        """
+
+        connection.disableSigPipe()
+        guard connection.send(data: Data(responseHeader.utf8)) else {
+            connection.disconnect()
+            return nil
+        }
+
+        // The stream owns the connection from here on
+        self.connection = nil
+        return EventStream(connection: connection)
+    }
+
     // MARK: - Error Response
 
     public func sendError(_ error: SwiftWebServerError) {
@@ -129,7 +129,11 @@ public class BodyParser: BaseMiddleware, ConfigurableMiddleware {
 
         // Parse based on content type
         do {
-            let parsedBody = try parseBody(data: bodyData, contentType: contentType)
+            let parsedBody = try parseBody(
+                data: bodyData,
+                contentType: contentType,
+                contentTypeHeader: request.header(.contentType) ?? ""
+            )
             request.parsedBody = parsedBody
         } catch {
             throw BodyParserError.parsingFailed(error)
@@ -138,7 +142,7 @@ public class BodyParser: BaseMiddleware, ConfigurableMiddleware {
         try next()
     }
 
-    private func parseBody(data: Data, contentType: ContentType) throws -> Any {
+    private func parseBody(data: Data, contentType: ContentType, contentTypeHeader: String) throws -> Any {
         let mimeType = contentType.mimeType.lowercased()
 
         // Check custom parsers first
@@ -164,8 +168,10 @@ public class BodyParser: BaseMiddleware, ConfigurableMiddleware {
             guard options.parseMultipart else {
                 throw BodyParserError.unsupportedContentType(mimeType)
             }
-            // TODO: Implement multipart parsing
-            throw BodyParserError.unsupportedContentType("Multipart parsing not yet implemented")
+            guard let boundary = MultipartParser.boundary(fromContentType: contentTypeHeader) else {
+                throw MultipartParserError.missingBoundary
+            }
+            return try MultipartParser.parse(data: data, boundary: boundary)
 
         default:
             throw BodyParserError.unsupportedContentType(mimeType)
@@ -201,4 +207,9 @@ extension Request {
     public var formBody: [String: String]? {
         return parsedBody as? [String: String]
     }
+
+    /// Get parsed body as multipart/form-data parts
+    public var multipartParts: [MultipartPart]? {
+        return parsedBody as? [MultipartPart]
+    }
 }
@@ -0,0 +1,166 @@
+//
+//  MultipartParser.swift
+//  SwiftWebServer
+//
+//  Utility for parsing multipart/form-data request bodies
+//
+
+import Foundation
+
+/// One field or file of a multipart/form-data body
+public struct MultipartPart {
+    /// Form field name from Content-Disposition
+    public let name: String
+    /// Original file name; nil for plain form fields
+    public let filename: String?
+    /// The part's Content-Type, if it sent one
+    public let contentType: String?
+    /// The part's headers, keyed by lowercased name
+    public let headers: [String: String]
+    public let data: Data
+
+    /// Whether the part is an uploaded file rather than a form field
+    public var isFile: Bool {
+        return filename != nil
+    }
+
+    /// The content decoded as UTF-8, for form fields
+    public var text: String? {
+        return String(data: data, encoding: .utf8)
+    }
+}
+
+/// Errors that can occur while parsing a multipart body
+public enum MultipartParserError: Error, LocalizedError {
+    case missingBoundary
+    case malformedBody(reason: String)
+
+    public var errorDescription: String? {
+        switch self {
+        case .missingBoundary:
+            return "Multipart Content-Type has no boundary"
+        case .malformedBody(let reason):
+            return "Malformed multipart body: \(reason)"
+        }
+    }
+}
+
+/// Parser for multipart/form-data bodies (RFC 7578)
+public enum MultipartParser {
+
+    /// Extract the boundary from a Content-Type header value
+    /// - Parameter contentType: e.g. `multipart/form-data; boundary=----abc`
+    /// - Returns: The boundary, without quotes, or nil when missing
+    public static func boundary(fromContentType contentType: String) -> String? {
+        for parameter in contentType.split(separator: ";").dropFirst() {
+            let pair = parameter.split(separator: "=", maxSplits: 1).map {
+                $0.trimmingCharacters(in: .whitespaces)
+            }
+            if pair.count == 2, pair[0].lowercased() == "boundary" {
+                let boundary = pair[1].trimmingCharacters(in: CharacterSet(charactersIn: "\""))
+                return boundary.isEmpty ? nil : boundary
+            }
+        }
+        return nil
+    }
+
+    /// Split a multipart body into its parts
+    /// - Parameters:
+    ///   - data: The request body
+    ///   - boundary: The boundary from the Content-Type header
+    /// - Returns: The parts in body order; parts without a name are skipped
+    public static func parse(data: Data, boundary: String) throws -> [MultipartPart] {
+        let delimiter = Data("--\(boundary)".utf8)
+        let crlf = Data("\r\n".utf8)
+        let headerTerminator = Data("\r\n\r\n".utf8)
+        // Every delimiter after the first is preceded by a line break
+        let nextDelimiter = crlf + delimiter
+
+        guard let first = data.range(of: delimiter) else {
+            throw MultipartParserError.malformedBody(reason: "boundary not found")
+        }
+
+        var parts: [MultipartPart] = []
+        var position = first.upperBound
+
+        while true {
+            // "--" right after a delimiter closes the body
+            if data[position...].starts(with: Data("--".utf8)) {
+                break
+            }
+            guard data[position...].starts(with: crlf) else {
+                throw MultipartParserError.malformedBody(reason: "expected a line break after the boundary")
+            }
+            position += crlf.count
+
+            guard let headersEnd = data.range(of: headerTerminator, in: position..<data.endIndex) else {
+                throw MultipartParserError.malformedBody(reason: "part headers are not terminated")
+            }
+            guard let partEnd = data.range(of: nextDelimiter, in: headersEnd.upperBound..<data.endIndex) else {
+                throw MultipartParserError.malformedBody(reason: "closing boundary not found")
+            }
+
+            let headers = parseHeaders(data[position..<headersEnd.lowerBound])
+            let disposition = parseParameters(headers["content-disposition"] ?? "")
+            if let name = disposition["name"] {
+                parts.append(MultipartPart(
+                    name: name,
+                    filename: disposition["filename"],
+                    contentType: headers["content-type"],
+                    headers: headers,
+                    data: Data(data[headersEnd.upperBound..<partEnd.lowerBound])
+                ))
+            }
+
+            position = partEnd.upperBound
+        }
+
+        return parts
+    }
+
+    private static func parseHeaders(_ data: Data) -> [String: String] {
+        var headers: [String: String] = [:]
+        let text = String(decoding: data, as: UTF8.self)
+        for line in text.components(separatedBy: "\r\n") {
+            guard let colonIndex = line.firstIndex(of: ":") else { continue }
+            let name = line[..<colonIndex].trimmingCharacters(in: .whitespaces).lowercased()
+            let value = line[line.index(after: colonIndex)...].trimmingCharacters(in: .whitespaces)
+            headers[name] = value
+        }
+        return headers
+    }
+
+    /// Parameters of a header value such as `form-data; name="file"; filename="a;b.png"`,
+    /// keyed by lowercased name. Semicolons inside quotes don't split.
+    private static func parseParameters(_ value: String) -> [String: String] {
+        var segments: [String] = []
+        var current = ""
+        var inQuotes = false
+        for character in value {
+            if character == "\"" {
+                inQuotes.toggle()
+            }
+            if character == ";" && !inQuotes {
+                segments.append(current)
+                current = ""
+            } else {
+                current.append(character)
+            }
+        }
+        segments.append(current)
+
+        var parameters: [String: String] = [:]
+        for segment in segments.dropFirst() {
+            let pair = segment.split(separator: "=", maxSplits: 1).map {
+                $0.trimmingCharacters(in: .whitespaces)
+            }
+            guard pair.count == 2 else { continue }
+            var parameterValue = pair[1]
+            if parameterValue.hasPrefix("\"") && parameterValue.hasSuffix("\"") && parameterValue.count >= 2 {
+                parameterValue = String(parameterValue.dropFirst().dropLast())
+            }
+            parameters[pair[0].lowercased()] = parameterValue
+        }
+        return parameters
+    }
+}
@@ -83,11 +83,12 @@ public class QueryParameterParser {
         }
     }
 
-    /// URL decode a string
+    /// URL decode a string as application/x-www-form-urlencoded: "+" is a
+    /// space, and a literal plus arrives as "%2B"
     /// - Parameter string: The string to decode
     /// - Returns: The decoded string, or nil if decoding fails
     public static func urlDecode(_ string: String) -> String? {
-        return string.removingPercentEncoding
+        return string.replacingOccurrences(of: "+", with: " ").removingPercentEncoding
     }
 
     /// URL encode a string for use in query parameters
@@ -17,6 +17,9 @@ final class AuthToken {
     var isRevoked: Bool
     var deviceInfo: String?
     var lastUsedAt: Date?
+    // Long-lived, single-use token that can be exchanged for a new token pair
+    var refreshToken: String?
+    var refreshExpiresAt: Date?
     
     // Relationships
     @Relationship var user: User?
@@ -30,8 +33,12 @@ final class AuthToken {
         self.isRevoked = false
         self.deviceInfo = deviceInfo
         self.lastUsedAt = nil
+        self.refreshToken = "swr_\(AuthToken.generateSecureToken())"
+        self.refreshExpiresAt = Date().addingTimeInterval(AuthToken.refreshTokenLifetime)
     }
     
+    static let refreshTokenLifetime: TimeInterval = 7 * 24 * 60 * 60
+    
     // Computed properties
     var isExpired: Bool {
         return Date() > expiresAt
@@ -45,6 +52,17 @@ final class AuthToken {
         return expiresAt.timeIntervalSinceNow
     }
     
+    // The refresh token outlives the access token, so an expired token can still be renewed
+    var canRefresh: Bool {
+        guard let refreshExpiresAt = refreshExpiresAt else { return false }
+        return !isRevoked && refreshToken != nil && Date() < refreshExpiresAt
+    }
+    
+    // Safe to delete: neither the access token nor the refresh token can be used any more
+    var isDisposable: Bool {
+        return isRevoked || (isExpired && !canRefresh)
+    }
+    
     // Methods
     func revoke() {
         self.isRevoked = true
@@ -124,12 +142,16 @@ struct LoginResponse: Codable {
     let user: UserResponse
     let expiresIn: Int
     let expiresAt: Date
+    let refreshToken: String?
+    let refreshExpiresAt: Date?
     
     init(authToken: AuthToken, user: User) {
         self.token = authToken.token
         self.user = UserResponse(from: user)
         self.expiresIn = Int(authToken.remainingTime)
         self.expiresAt = authToken.expiresAt
+        self.refreshToken = authToken.refreshToken
+        self.refreshExpiresAt = authToken.refreshExpiresAt
     }
 }
 
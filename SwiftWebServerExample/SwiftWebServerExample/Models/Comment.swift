@@ -13,6 +13,7 @@ final class Comment {
     @Attribute(.unique) var id: UUID
     var content: String
     var isApproved: Bool
+    var isRejected: Bool = false
     var createdAt: Date
     var updatedAt: Date
     
@@ -38,10 +39,26 @@ final class Comment {
         return parentComment != nil
     }
     
+    // Waiting for a moderator: neither approved nor rejected yet
+    var isPending: Bool {
+        return !isApproved && !isRejected
+    }
+    
+    var moderationStatus: CommentModerationStatus {
+        if isApproved { return .approved }
+        return isRejected ? .rejected : .pending
+    }
+    
     var approvedRepliesCount: Int {
         return replies.filter { $0.isApproved }.count
     }
     
+    /// Replies at every depth. A reply that `include` rejects is skipped
+    /// together with its own replies, so no returned reply is orphaned.
+    func descendants(where include: (Comment) -> Bool) -> [Comment] {
+        return replies.filter(include).flatMap { [$0] + $0.descendants(where: include) }
+    }
+    
     var wordCount: Int {
         return content.components(separatedBy: .whitespacesAndNewlines).filter { !$0.isEmpty }.count
     }
@@ -49,11 +66,13 @@ final class Comment {
     // Methods
     func approve() {
         self.isApproved = true
+        self.isRejected = false
         self.updatedAt = Date()
     }
     
     func reject() {
         self.isApproved = false
+        self.isRejected = true
         self.updatedAt = Date()
     }
     
@@ -66,7 +85,7 @@ final class Comment {
 // MARK: - Codable for API responses
 extension Comment: Codable {
     enum CodingKeys: String, CodingKey {
-        case id, content, isApproved, createdAt, updatedAt
+        case id, content, isApproved, isRejected, createdAt, updatedAt
         case author, post, parentComment, repliesCount, wordCount
     }
     
@@ -82,6 +101,7 @@ extension Comment: Codable {
         
         self.id = try container.decode(UUID.self, forKey: .id)
         self.isApproved = try container.decode(Bool.self, forKey: .isApproved)
+        self.isRejected = try container.decodeIfPresent(Bool.self, forKey: .isRejected) ?? false
         self.createdAt = try container.decode(Date.self, forKey: .createdAt)
         self.updatedAt = try container.decode(Date.self, forKey: .updatedAt)
     }
@@ -91,6 +111,7 @@ extension Comment: Codable {
         try container.encode(id, forKey: .id)
         try container.encode(content, forKey: .content)
         try container.encode(isApproved, forKey: .isApproved)
+        try container.encode(isRejected, forKey: .isRejected)
         try container.encode(createdAt, forKey: .createdAt)
         try container.encode(updatedAt, forKey: .updatedAt)
         try container.encode(approvedRepliesCount, forKey: .repliesCount)
@@ -106,11 +127,18 @@ extension Comment: Codable {
     }
 }
 
+enum CommentModerationStatus: String, Codable {
+    case pending
+    case approved
+    case rejected
+}
+
 // MARK: - API Response Models
 struct CommentResponse: Codable {
     let id: UUID
     let content: String
     let isApproved: Bool
+    let isRejected: Bool
     let createdAt: Date
     let updatedAt: Date
     let author: UserResponse?
@@ -123,6 +151,7 @@ struct CommentResponse: Codable {
         self.id = comment.id
         self.content = comment.content
         self.isApproved = comment.isApproved
+        self.isRejected = comment.isRejected
         self.createdAt = comment.createdAt
         self.updatedAt = comment.updatedAt
         self.author = comment.author.map { UserResponse(from: $0) }
@@ -135,17 +164,28 @@ struct CommentResponse: Codable {
 
 struct CommentWithRepliesResponse: Codable {
     let comment: CommentResponse
+    /// The whole thread below `comment`, oldest first; nest by `parentCommentId`
     let replies: [CommentResponse]
     
-    init(from comment: Comment) {
+    init(from comment: Comment, includeUnapproved: Bool = false) {
         self.comment = CommentResponse(from: comment)
-        self.replies = comment.replies
-            .filter { $0.isApproved }
+        self.replies = comment.descendants { includeUnapproved || $0.isApproved }
             .sorted { $0.createdAt < $1.createdAt }
             .map { CommentResponse(from: $0) }
     }
 }
 
+// A comment with the post it belongs to, for the cross-post moderation queue
+struct CommentWithPostResponse: Codable {
+    let comment: CommentResponse
+    let postTitle: String?
+    
+    init(from comment: Comment) {
+        self.comment = CommentResponse(from: comment)
+        self.postTitle = comment.post?.title
+    }
+}
+
 struct CreateCommentRequest: Codable {
     let content: String
     let postId: UUID
@@ -180,6 +220,7 @@ enum CommentValidationError: Error, LocalizedError {
     case contentTooLong
     case postNotFound
     case parentCommentNotFound
+    case parentCommentOnOtherPost
     case unauthorizedModeration
     
     var errorDescription: String? {
@@ -192,6 +233,8 @@ enum CommentValidationError: Error, LocalizedError {
             return "Post not found"
         case .parentCommentNotFound:
             return "Parent comment not found"
+        case .parentCommentOnOtherPost:
+            return "Parent comment belongs to a different post"
         case .unauthorizedModeration:
             return "You are not authorized to moderate comments"
         }
@@ -0,0 +1,94 @@
+//
+//  MediaItem.swift
+//  SwiftWebServerExample
+//
+//  SwiftData model for uploaded images and files
+//
+
+import Foundation
+import SwiftData
+
+@Model
+final class MediaItem {
+    @Attribute(.unique) var id: UUID
+    var filename: String
+    var contentType: String
+    var size: Int
+    var createdAt: Date
+    // Kept outside the store so listing media doesn't load every file
+    @Attribute(.externalStorage) var data: Data
+
+    // Relationships
+    @Relationship var uploader: User?
+
+    init(filename: String, contentType: String, data: Data, uploader: User) {
+        self.id = UUID()
+        self.filename = filename
+        self.contentType = contentType
+        self.size = data.count
+        self.createdAt = Date()
+        self.data = data
+        self.uploader = uploader
+    }
+
+    // Computed properties
+    var isImage: Bool {
+        return contentType.hasPrefix("image/")
+    }
+
+    /// Path the file is served from, relative to the backend server
+    var urlPath: String {
+        return "/media/\(id.uuidString)"
+    }
+
+    // Uploads are limited to these types; SVG is left out because it can carry scripts
+    static let allowedContentTypes: Set<String> = [
+        "image/png", "image/jpeg", "image/gif", "image/webp",
+        "application/pdf", "text/plain"
+    ]
+
+    static let maxSize = 5 * 1024 * 1024 // 5MB
+}
+
+// MARK: - API Response Models
+struct MediaResponse: Codable {
+    let id: UUID
+    let filename: String
+    let contentType: String
+    let size: Int
+    let isImage: Bool
+    let url: String
+    let createdAt: Date
+    let uploader: UserResponse?
+
+    init(from item: MediaItem) {
+        self.id = item.id
+        self.filename = item.filename
+        self.contentType = item.contentType
+        self.size = item.size
+        self.isImage = item.isImage
+        self.url = item.urlPath
+        self.createdAt = item.createdAt
+        self.uploader = item.uploader.map { UserResponse(from: $0) }
+    }
+}
+
+enum MediaValidationError: Error, LocalizedError {
+    case fileRequired
+    case emptyFile
+    case fileTooLarge
+    case unsupportedType(String)
+
+    var errorDescription: String? {
+        switch self {
+        case .fileRequired:
+            return "A file field is required"
+        case .emptyFile:
+            return "The file is empty"
+        case .fileTooLarge:
+            return "Files must be 5MB or smaller"
+        case .unsupportedType(let type):
+            return "Unsupported file type: \(type). Allowed: PNG, JPEG, GIF, WebP, PDF and plain text"
+        }
+    }
+}
@@ -18,7 +18,10 @@ final class Post {
     var viewCount: Int
     var createdAt: Date
     var updatedAt: Date
+    // For scheduled posts (not yet published), the time they will go live
     var publishedAt: Date?
+    // Normalized with `Post.normalizedTags(_:)`
+    var tags: [String] = []
     
     // Relationships
     @Relationship var author: User?
@@ -50,6 +53,10 @@ final class Post {
         return comments.filter { $0.isApproved }.count
     }
     
+    var isScheduled: Bool {
+        return !isPublished && publishedAt != nil
+    }
+    
     // Methods
     func publish() {
         self.isPublished = true
@@ -63,10 +70,35 @@ final class Post {
         self.updatedAt = Date()
     }
     
+    /// Keep the post unpublished until `date`; see `DataManager.publishDuePosts`
+    func schedule(at date: Date) {
+        self.isPublished = false
+        self.publishedAt = date
+        self.updatedAt = Date()
+    }
+    
     func incrementViewCount() {
         self.viewCount += 1
     }
     
+    /// Trimmed, lowercased tags with inner whitespace turned into "-" and
+    /// commas dropped; empty tags and repeats are removed, order is kept
+    static func normalizedTags(_ tags: [String]) -> [String] {
+        var seen = Set<String>()
+        return tags.compactMap { tag in
+            let normalized = tag
+                .replacingOccurrences(of: ",", with: " ")
+                .lowercased()
+                .split(whereSeparator: { $0.isWhitespace })
+                .joined(separator: "-")
+            guard !normalized.isEmpty, seen.insert(normalized).inserted else { return nil }
+            return normalized
+        }
+    }
+    
+    static let maxTags = 10
+    static let maxTagLength = 30
+    
     func updateContent(title: String? = nil, content: String? = nil) {
         if let title = title {
             self.title = title
@@ -84,7 +116,7 @@ extension Post: Codable {
     enum CodingKeys: String, CodingKey {
         case id, title, content, excerpt, isPublished, viewCount
         case createdAt, updatedAt, publishedAt, wordCount, readingTime
-        case author, commentsCount
+        case author, commentsCount, tags
     }
     
     convenience init(from decoder: Decoder) throws {
@@ -104,6 +136,7 @@ extension Post: Codable {
         self.createdAt = try container.decode(Date.self, forKey: .createdAt)
         self.updatedAt = try container.decode(Date.self, forKey: .updatedAt)
         self.publishedAt = try container.decodeIfPresent(Date.self, forKey: .publishedAt)
+        self.tags = try container.decodeIfPresent([String].self, forKey: .tags) ?? []
     }
     
     func encode(to encoder: Encoder) throws {
@@ -120,6 +153,7 @@ extension Post: Codable {
         try container.encode(wordCount, forKey: .wordCount)
         try container.encode(readingTime, forKey: .readingTime)
         try container.encode(publishedCommentsCount, forKey: .commentsCount)
+        try container.encode(tags, forKey: .tags)
         
         if let author = author {
             try container.encode(UserResponse(from: author), forKey: .author)
@@ -140,8 +174,10 @@ struct PostResponse: Codable {
     let createdAt: Date
     let updatedAt: Date
     let publishedAt: Date?
+    let isScheduled: Bool
     let author: UserResponse?
     let commentsCount: Int
+    let tags: [String]
     
     init(from post: Post) {
         self.id = post.id
@@ -155,8 +191,10 @@ struct PostResponse: Codable {
         self.createdAt = post.createdAt
         self.updatedAt = post.updatedAt
         self.publishedAt = post.publishedAt
+        self.isScheduled = post.isScheduled
         self.author = post.author.map { UserResponse(from: $0) }
         self.commentsCount = post.publishedCommentsCount
+        self.tags = post.tags
     }
 }
 
@@ -169,8 +207,11 @@ struct PostSummaryResponse: Codable {
     let readingTime: Int
     let createdAt: Date
     let publishedAt: Date?
+    let isScheduled: Bool
+    let authorId: UUID?
     let authorName: String
     let commentsCount: Int
+    let tags: [String]
     
     init(from post: Post) {
         self.id = post.id
@@ -181,15 +222,36 @@ struct PostSummaryResponse: Codable {
         self.readingTime = post.readingTime
         self.createdAt = post.createdAt
         self.publishedAt = post.publishedAt
+        self.isScheduled = post.isScheduled
+        self.authorId = post.author?.id
         self.authorName = post.author?.fullName ?? "Unknown"
         self.commentsCount = post.publishedCommentsCount
+        self.tags = post.tags
     }
 }
 
+/// A tag and how many posts carry it, for tag clouds and autocomplete
+struct TagCountResponse: Codable {
+    let name: String
+    let count: Int
+}
+
+struct PaginatedPostsResponse: Codable {
+    let posts: [PostSummaryResponse]
+    let page: Int
+    let limit: Int
+    let total: Int
+    let totalPages: Int
+    let hasMore: Bool
+}
+
 struct CreatePostRequest: Codable {
     let title: String
     let content: String
     let isPublished: Bool?
+    /// A future time schedules the post instead of publishing it now
+    let publishedAt: Date?
+    let tags: [String]?
     
     func validate() throws {
         guard !title.trimmingCharacters(in: .whitespacesAndNewlines).isEmpty else {
@@ -204,13 +266,19 @@ struct CreatePostRequest: Codable {
         guard content.count <= 50000 else {
             throw PostValidationError.contentTooLong
         }
+        try PostValidationError.validateTags(tags)
+        try PostValidationError.validateSchedule(publishedAt, isPublished: isPublished)
     }
 }
 
 struct UpdatePostRequest: Codable {
     let title: String?
     let content: String?
+    /// `true` publishes now and `false` makes a draft; either cancels a schedule
     let isPublished: Bool?
+    /// A future time (re)schedules the post
+    let publishedAt: Date?
+    let tags: [String]?
     
     func validate() throws {
         if let title = title {
@@ -229,6 +297,8 @@ struct UpdatePostRequest: Codable {
                 throw PostValidationError.contentTooLong
             }
         }
+        try PostValidationError.validateTags(tags)
+        try PostValidationError.validateSchedule(publishedAt, isPublished: isPublished)
     }
 }
 
@@ -237,6 +307,30 @@ enum PostValidationError: Error, LocalizedError {
     case titleTooLong
     case contentRequired
     case contentTooLong
+    case tooManyTags
+    case tagTooLong
+    case scheduleInPast
+    case scheduleConflict
+    
+    static func validateTags(_ tags: [String]?) throws {
+        guard let tags = tags.map(Post.normalizedTags) else { return }
+        guard tags.count <= Post.maxTags else {
+            throw PostValidationError.tooManyTags
+        }
+        guard tags.allSatisfy({ $0.count <= Post.maxTagLength }) else {
+            throw PostValidationError.tagTooLong
+        }
+    }
+    
+    static func validateSchedule(_ publishedAt: Date?, isPublished: Bool?) throws {
+        guard let publishedAt = publishedAt else { return }
+        guard isPublished != true else {
+            throw PostValidationError.scheduleConflict
+        }
+        guard publishedAt > Date() else {
+            throw PostValidationError.scheduleInPast
+        }
+    }
     
     var errorDescription: String? {
         switch self {
@@ -248,6 +342,14 @@ enum PostValidationError: Error, LocalizedError {
             return "Post content is required"
         case .contentTooLong:
             return "Post content must be 50,000 characters or less"
+        case .tooManyTags:
+            return "Posts can have at most \(Post.maxTags) tags"
+        case .tagTooLong:
+            return "Tags must be \(Post.maxTagLength) characters or less"
+        case .scheduleInPast:
+            return "Scheduled publish time must be in the future"
+        case .scheduleConflict:
+            return "A post can't be published now and scheduled at the same time"
         }
     }
 }
@@ -8,6 +8,15 @@
 import Foundation
 import SwiftData
 
+enum UserRole: String, Codable, CaseIterable {
+    /// Manages users, and edits and moderates every post
+    case admin
+    /// Writes and publishes posts, and moderates comments on them
+    case author
+    /// Comments only
+    case reader
+}
+
 @Model
 final class User {
     @Attribute(.unique) var id: UUID
@@ -17,6 +26,7 @@ final class User {
     var firstName: String
     var lastName: String
     var isActive: Bool
+    var role: UserRole = UserRole.author
     var createdAt: Date
     var updatedAt: Date
     
@@ -24,8 +34,10 @@ final class User {
     @Relationship(deleteRule: .cascade, inverse: \Post.author) var posts: [Post] = []
     @Relationship(deleteRule: .cascade, inverse: \Comment.author) var comments: [Comment] = []
     @Relationship(deleteRule: .cascade, inverse: \AuthToken.user) var authTokens: [AuthToken] = []
+    // Uploads stay in the media library when their uploader is deleted
+    @Relationship(deleteRule: .nullify, inverse: \MediaItem.uploader) var mediaItems: [MediaItem] = []
     
-    init(username: String, email: String, passwordHash: String, firstName: String, lastName: String) {
+    init(username: String, email: String, passwordHash: String, firstName: String, lastName: String, role: UserRole = .author) {
         self.id = UUID()
         self.username = username
         self.email = email
@@ -33,6 +45,7 @@ final class User {
         self.firstName = firstName
         self.lastName = lastName
         self.isActive = true
+        self.role = role
         self.createdAt = Date()
         self.updatedAt = Date()
     }
@@ -42,6 +55,24 @@ final class User {
         return "\(firstName) \(lastName)"
     }
     
+    // Permissions
+    var isAdmin: Bool {
+        return role == .admin
+    }
+    
+    var canWritePosts: Bool {
+        return role != .reader
+    }
+    
+    func canEdit(_ post: Post) -> Bool {
+        return isAdmin || post.author?.id == id
+    }
+    
+    func canModerateComments(on post: Post?) -> Bool {
+        guard let post = post else { return isAdmin }
+        return canEdit(post)
+    }
+    
     // Update timestamp
     func updateTimestamp() {
         self.updatedAt = Date()
@@ -62,7 +93,7 @@ final class User {
 // MARK: - Codable for API responses
 extension User: Codable {
     enum CodingKeys: String, CodingKey {
-        case id, username, email, firstName, lastName, isActive, createdAt, updatedAt, fullName
+        case id, username, email, firstName, lastName, isActive, role, createdAt, updatedAt, fullName
     }
     
     convenience init(from decoder: Decoder) throws {
@@ -76,6 +107,7 @@ extension User: Codable {
         
         self.id = try container.decode(UUID.self, forKey: .id)
         self.isActive = try container.decode(Bool.self, forKey: .isActive)
+        self.role = try container.decodeIfPresent(UserRole.self, forKey: .role) ?? .author
         self.createdAt = try container.decode(Date.self, forKey: .createdAt)
         self.updatedAt = try container.decode(Date.self, forKey: .updatedAt)
     }
@@ -88,6 +120,7 @@ extension User: Codable {
         try container.encode(firstName, forKey: .firstName)
         try container.encode(lastName, forKey: .lastName)
         try container.encode(isActive, forKey: .isActive)
+        try container.encode(role, forKey: .role)
         try container.encode(createdAt, forKey: .createdAt)
         try container.encode(updatedAt, forKey: .updatedAt)
         try container.encode(fullName, forKey: .fullName)
@@ -103,6 +136,7 @@ struct UserResponse: Codable {
     let lastName: String
     let fullName: String
     let isActive: Bool
+    let role: UserRole
     let createdAt: Date
     let updatedAt: Date
     let postsCount: Int
@@ -116,6 +150,7 @@ struct UserResponse: Codable {
         self.lastName = user.lastName
         self.fullName = user.fullName
         self.isActive = user.isActive
+        self.role = user.role
         self.createdAt = user.createdAt
         self.updatedAt = user.updatedAt
         self.postsCount = user.posts.count
@@ -123,12 +158,43 @@ struct UserResponse: Codable {
     }
 }
 
+/// What the signed-in user may do, so clients can hide controls the
+/// backend would reject with 403
+struct UserPermissions: Codable {
+    let manageUsers: Bool
+    let writePosts: Bool
+    /// Edit, publish and delete any post, and moderate any comment
+    let moderateAllPosts: Bool
+    let viewServerLogs: Bool
+    let viewStats: Bool
+    
+    init(for user: User) {
+        self.manageUsers = user.isAdmin
+        self.writePosts = user.canWritePosts
+        self.moderateAllPosts = user.isAdmin
+        self.viewServerLogs = user.isAdmin
+        self.viewStats = user.isAdmin
+    }
+}
+
+struct CurrentUserResponse: Codable {
+    let user: UserResponse
+    let permissions: UserPermissions
+    
+    init(from user: User) {
+        self.user = UserResponse(from: user)
+        self.permissions = UserPermissions(for: user)
+    }
+}
+
 struct CreateUserRequest: Codable {
     let username: String
     let email: String
     let password: String
     let firstName: String
     let lastName: String
+    /// Defaults to admin for the first user and author afterwards
+    var role: UserRole? = nil
     
     func validate() throws {
         guard User.isValidUsername(username) else {
@@ -151,6 +217,7 @@ struct UpdateUserRequest: Codable {
     let firstName: String?
     let lastName: String?
     let isActive: Bool?
+    var role: UserRole? = nil
     
     func validate() throws {
         if let email = email, !User.isValidEmail(email) {
@@ -0,0 +1,370 @@
+//
+//  APIRouteCatalog.swift
+//  SwiftWebServerExample
+//
+//  Machine-readable description of the API routes, served by GET /api/routes
+//
+
+import Foundation
+
+/// Who may call a route
+enum RouteAccess: String, Codable {
+    /// No token needed
+    case `public`
+    /// Works without a token; a token unlocks more (e.g. unapproved comments)
+    case optional
+    /// Any signed-in user; handlers may still check the role
+    case authenticated
+    case admin
+}
+
+struct RouteParameter: Codable {
+    let name: String
+    let description: String
+    var example: String? = nil
+}
+
+/// One registered route, as listed by `GET /api/routes`
+struct RouteDescription: Codable {
+    let method: String
+    let path: String
+    let summary: String
+    let tag: String
+    let access: RouteAccess
+    /// Names of the `{placeholders}` in `path`, in order
+    let pathParameters: [String]
+    let query: [RouteParameter]
+    let headers: [RouteParameter]
+    /// Example JSON request body
+    let exampleBody: String?
+    /// Schema names from the OpenAPI document (`GET /api/openapi.json`);
+    /// `[Name]` means an array of `Name`
+    let requestSchema: String?
+    let requestMediaType: String
+    let responseSchema: String?
+    let responseMediaType: String
+    /// False for routes registered without an entry in the catalog
+    let documented: Bool
+}
+
+/// Hand-written documentation for the routes `WebServerManager` registers.
+/// `describe(_:)` lists every registered route, documented or not, so a
+/// route added without an entry here still shows up.
+enum APIRouteCatalog {
+    struct Entry {
+        let summary: String
+        let tag: String
+        var access: RouteAccess = .public
+        var query: [RouteParameter] = []
+        var headers: [RouteParameter] = []
+        var exampleBody: String? = nil
+        var requestSchema: String? = nil
+        var requestMediaType = "application/json"
+        var responseSchema: String? = nil
+        var responseMediaType = "application/json"
+    }
+
+    static let entries: [String: Entry] = [
+        // System
+        "GET /api/health": Entry(summary: "Server health check", tag: "System", responseSchema: "Health"),
+        "GET /api/info": Entry(summary: "Server information and content counters", tag: "System", responseSchema: "ServerInfo"),
+        "GET /api/routes": Entry(summary: "This route listing", tag: "System", responseSchema: "[RouteDescription]"),
+        "GET /api/openapi.json": Entry(summary: "OpenAPI 3 description of this API", tag: "System"),
+
+        // Authentication
+        "POST /api/auth/login": Entry(
+            summary: "Sign in and receive an access and refresh token pair",
+            tag: "Authentication",
+            exampleBody: """
+            {
+              "username": "jane",
+              "password": "secret123"
+            }
+            """,
+            requestSchema: "LoginRequest",
+            responseSchema: "LoginResponse"
+        ),
+        "POST /api/auth/logout": Entry(summary: "Revoke the current access token", tag: "Authentication", access: .optional, responseSchema: "Message"),
+        "POST /api/auth/refresh": Entry(
+            summary: "Exchange a single-use refresh token for a new token pair",
+            tag: "Authentication",
+            exampleBody: """
+            {
+              "refreshToken": "swr_..."
+            }
+            """,
+            requestSchema: "RefreshTokenRequest",
+            responseSchema: "LoginResponse"
+        ),
+        "GET /api/auth/token-info": Entry(summary: "Details of the current access token", tag: "Authentication", access: .authenticated, responseSchema: "TokenInfo"),
+        "GET /api/auth/me": Entry(summary: "Current user and their role's permissions", tag: "Authentication", access: .authenticated, responseSchema: "CurrentUser"),
+
+        // Users
+        "GET /api/users": Entry(summary: "List users", tag: "Users", responseSchema: "[User]"),
+        "GET /api/users/{id}": Entry(summary: "Get a user", tag: "Users", responseSchema: "User"),
+        "POST /api/users": Entry(
+            summary: "Create a user",
+            tag: "Users",
+            access: .admin,
+            exampleBody: """
+            {
+              "username": "jane",
+              "email": "jane@example.com",
+              "password": "secret123",
+              "firstName": "Jane",
+              "lastName": "Doe",
+              "role": "author"
+            }
+            """,
+            requestSchema: "CreateUserRequest",
+            responseSchema: "User"
+        ),
+        "PUT /api/users/{id}": Entry(
+            summary: "Update a user's details, role or active flag",
+            tag: "Users",
+            access: .admin,
+            exampleBody: """
+            {
+              "firstName": "Jane",
+              "role": "reader",
+              "isActive": true
+            }
+            """,
+            requestSchema: "UpdateUserRequest",
+            responseSchema: "User"
+        ),
+        "DELETE /api/users/{id}": Entry(summary: "Delete a user with their posts and comments", tag: "Users", access: .admin, responseSchema: "Message"),
+
+        // Posts
+        "GET /api/posts": Entry(
+            summary: "List posts, optionally filtered and paginated",
+            tag: "Posts",
+            query: [
+                RouteParameter(name: "published", description: "Only published posts when true", example: "true"),
+                RouteParameter(name: "q", description: "Search title, excerpt and author"),
+                RouteParameter(name: "status", description: "published, scheduled or draft; unpublished posts are only listed for their author and admins"),
+                RouteParameter(name: "tag", description: "Only posts with this tag", example: "swift"),
+                RouteParameter(name: "author", description: "Author user ID"),
+                RouteParameter(name: "from", description: "Earliest date, yyyy-MM-dd"),
+                RouteParameter(name: "to", description: "Latest date, yyyy-MM-dd"),
+                RouteParameter(name: "page", description: "Page number; returns a paginated envelope", example: "1"),
+                RouteParameter(name: "limit", description: "Page size", example: "10")
+            ],
+            responseSchema: "[PostSummary]"
+        ),
+        "GET /api/posts/{id}": Entry(summary: "Get a post (counts a view)", tag: "Posts", responseSchema: "Post"),
+        "POST /api/posts": Entry(
+            summary: "Create a post",
+            tag: "Posts",
+            access: .authenticated,
+            exampleBody: """
+            {
+              "title": "Hello, world",
+              "content": "Written in **Markdown**.",
+              "isPublished": false,
+              "tags": ["swift", "server-side"]
+            }
+            """,
+            requestSchema: "CreatePostRequest",
+            responseSchema: "Post"
+        ),
+        "PUT /api/posts/{id}": Entry(
+            summary: "Update a post (post author or admin)",
+            tag: "Posts",
+            access: .authenticated,
+            exampleBody: """
+            {
+              "title": "Hello again",
+              "publishedAt": "2030-01-31T09:00:00Z"
+            }
+            """,
+            requestSchema: "UpdatePostRequest",
+            responseSchema: "Post"
+        ),
+        "DELETE /api/posts/{id}": Entry(summary: "Delete a post (post author or admin)", tag: "Posts", access: .authenticated, responseSchema: "Message"),
+        "GET /api/tags": Entry(
+            summary: "Tags of published posts with their post counts, most used first",
+            tag: "Posts",
+            access: .optional,
+            query: [
+                RouteParameter(name: "include_drafts", description: "Also count drafts (authors and admins)", example: "true")
+            ],
+            responseSchema: "[TagCount]"
+        ),
+
+        // Comments
+        "GET /api/posts/{postId}/comments": Entry(
+            summary: "Approved comments of a post with their reply threads",
+            tag: "Comments",
+            access: .optional,
+            query: [
+                RouteParameter(name: "include_unapproved", description: "Also pending and rejected comments (moderators)", example: "true")
+            ],
+            responseSchema: "[CommentThread]"
+        ),
+        "GET /api/posts/{postId}/comments/stream": Entry(
+            summary: "Comment changes on a post as Server-Sent Events",
+            tag: "Comments",
+            access: .optional,
+            query: [
+                RouteParameter(name: "after", description: "Resume after this event id")
+            ],
+            headers: [
+                RouteParameter(name: "Last-Event-ID", description: "Resume after this event id")
+            ],
+            responseSchema: "CommentEvent",
+            responseMediaType: "text/event-stream"
+        ),
+        "POST /api/posts/{postId}/comments": Entry(
+            summary: "Comment on a post, or reply via parentCommentId",
+            tag: "Comments",
+            access: .authenticated,
+            exampleBody: """
+            {
+              "content": "Great post!",
+              "postId": "00000000-0000-0000-0000-000000000000",
+              "parentCommentId": null
+            }
+            """,
+            requestSchema: "CreateCommentRequest",
+            responseSchema: "Comment"
+        ),
+        "GET /api/comments": Entry(
+            summary: "Comments the current user can moderate",
+            tag: "Comments",
+            access: .authenticated,
+            query: [
+                RouteParameter(name: "status", description: "pending, approved or rejected", example: "pending")
+            ],
+            responseSchema: "[CommentWithPost]"
+        ),
+        "GET /api/comments/{id}": Entry(summary: "Get a comment", tag: "Comments", responseSchema: "CommentThread"),
+        "PUT /api/comments/{id}": Entry(
+            summary: "Edit a comment",
+            tag: "Comments",
+            access: .authenticated,
+            exampleBody: """
+            {
+              "content": "Edited comment"
+            }
+            """,
+            requestSchema: "UpdateCommentRequest",
+            responseSchema: "Comment"
+        ),
+        "DELETE /api/comments/{id}": Entry(summary: "Delete a comment (comment author, post author or admin)", tag: "Comments", access: .authenticated, responseSchema: "Message"),
+        "PUT /api/comments/{id}/approve": Entry(summary: "Approve a comment (post author or admin)", tag: "Comments", access: .authenticated, responseSchema: "Comment"),
+        "PUT /api/comments/{id}/reject": Entry(summary: "Reject a comment (post author or admin)", tag: "Comments", access: .authenticated, responseSchema: "Comment"),
+
+        // Admin
+        "GET /api/admin/stats": Entry(summary: "Site counters and dashboard series", tag: "Admin", access: .admin, responseSchema: "AdminStats"),
+        "GET /api/admin/logs/stream": Entry(
+            summary: "Server log as Server-Sent Events",
+            tag: "Admin",
+            access: .admin,
+            query: [
+                RouteParameter(name: "after", description: "Resume after this event id")
+            ],
+            headers: [
+                RouteParameter(name: "Last-Event-ID", description: "Resume after this event id")
+            ],
+            responseSchema: "LogEntry",
+            responseMediaType: "text/event-stream"
+        ),
+
+        // Media
+        "GET /api/media": Entry(
+            summary: "Media library, newest first (authors and admins)",
+            tag: "Media",
+            access: .authenticated,
+            query: [
+                RouteParameter(name: "type", description: "image to list images only", example: "image")
+            ],
+            responseSchema: "[Media]"
+        ),
+        "POST /api/media": Entry(
+            summary: "Upload an image or file to the media library; served at its url (authors and admins)",
+            tag: "Media",
+            access: .authenticated,
+            requestSchema: "MediaUpload",
+            requestMediaType: "multipart/form-data",
+            responseSchema: "Media"
+        ),
+        "DELETE /api/media/{id}": Entry(summary: "Delete an upload (its uploader or an admin)", tag: "Media", access: .authenticated),
+
+        // Demos
+        "GET /api/demo/etag": Entry(
+            summary: "ETag generation and conditional requests",
+            tag: "Demos",
+            headers: [
+                RouteParameter(name: "If-None-Match", description: "ETag from a previous response; a match returns 304")
+            ]
+        ),
+        "GET /api/demo/cookies": Entry(summary: "Read the request's cookies and set demo cookies", tag: "Demos"),
+        "POST /api/demo/upload": Entry(
+            summary: "Report the fields and files of a multipart upload without storing them",
+            tag: "Demos",
+            headers: [
+                RouteParameter(name: "Content-Type", description: "Must be multipart/form-data", example: "multipart/form-data; boundary=demo")
+            ]
+        ),
+        "GET /api/demo/cors": Entry(
+            summary: "Echo the request's origin and headers to show CORS handling",
+            tag: "Demos",
+            headers: [
+                RouteParameter(name: "Origin", description: "Origin to report", example: "http://localhost:3000")
+            ]
+        ),
+        "GET /api/demo/error": Entry(
+            summary: "Produce an error response",
+            tag: "Demos",
+            query: [
+                RouteParameter(name: "type", description: "400, 401, 403, 404, 500 or timeout", example: "404")
+            ]
+        )
+    ]
+
+    private static let methodOrder = ["GET", "POST", "PUT", "PATCH", "DELETE"]
+
+    /// Describe the `/api/` routes among `registeredRoutes` ("METHOD /path"
+    /// keys, as returned by `SwiftWebServer.registeredRoutes`), sorted by
+    /// path and then method
+    static func describe(_ registeredRoutes: [String]) -> [RouteDescription] {
+        return registeredRoutes
+            .compactMap { key -> RouteDescription? in
+                let parts = key.split(separator: " ", maxSplits: 1).map(String.init)
+                guard parts.count == 2, parts[1].hasPrefix("/api/") else { return nil }
+                return describe(method: parts[0], path: parts[1], entry: entries[key])
+            }
+            .sorted { lhs, rhs in
+                if lhs.path != rhs.path {
+                    return lhs.path < rhs.path
+                }
+                return (methodOrder.firstIndex(of: lhs.method) ?? methodOrder.count) <
+                    (methodOrder.firstIndex(of: rhs.method) ?? methodOrder.count)
+            }
+    }
+
+    private static func describe(method: String, path: String, entry: Entry?) -> RouteDescription {
+        let pathParameters = path
+            .split(separator: "/")
+            .filter { $0.hasPrefix("{") && $0.hasSuffix("}") }
+            .map { String($0.dropFirst().dropLast()) }
+
+        return RouteDescription(
+            method: method,
+            path: path,
+            summary: entry?.summary ?? "Undocumented",
+            tag: entry?.tag ?? "Other",
+            access: entry?.access ?? .public,
+            pathParameters: pathParameters,
+            query: entry?.query ?? [],
+            headers: entry?.headers ?? [],
+            exampleBody: entry?.exampleBody,
+            requestSchema: entry?.requestSchema,
+            requestMediaType: entry?.requestMediaType ?? "application/json",
+            responseSchema: entry?.responseSchema,
+            responseMediaType: entry?.responseMediaType ?? "application/json",
+            documented: entry != nil
+        )
+    }
+}
@@ -0,0 +1,104 @@
+//
+//  CommentBroadcaster.swift
+//  SwiftWebServerExample
+//
+//  Pushes comment changes on a post to Server-Sent Events subscribers
+//
+
+import Foundation
+import SwiftWebServer
+
+/// Announces created, edited, approved, rejected and deleted comments to the
+/// `/api/posts/{postId}/comments/stream` connections of the comment's post.
+/// Readers only hear about approved comments, and get a deletion when one
+/// stops being approved; the post's moderators also hear about pending and
+/// rejected ones.
+final class CommentBroadcaster {
+    enum Kind: String, Codable {
+        case created
+        case updated
+        case approved
+        case rejected
+        case deleted
+    }
+
+    /// Data of each event; the SSE event name is `comment-<kind>`
+    struct Event: Encodable {
+        let id: Int
+        let kind: Kind
+        let postId: UUID
+        let commentId: UUID
+        /// The comment after the change; nil for deletions
+        let comment: CommentResponse?
+    }
+
+    private struct Subscriber {
+        let postId: UUID
+        let canModerate: Bool
+    }
+
+    private struct BufferedEvent {
+        /// What the post's moderators get
+        let event: Event
+        /// What readers get: the same event for approved comments, a deletion
+        /// for one that was just unapproved, nothing for other unapproved ones
+        let readerEvent: Event?
+    }
+
+    // Keeps 100 events for clients resuming with Last-Event-ID
+    private let broadcaster = EventBroadcaster<BufferedEvent, Subscriber>(
+        label: "com.swiftwebserver.commentbroadcaster",
+        replayLimit: 100,
+        replayPolicy: .missedOrReset
+    ) { buffered, subscriber in
+        guard let event = subscriber.canModerate ? buffered.event : buffered.readerEvent,
+              event.postId == subscriber.postId else {
+            return nil
+        }
+        return ("comment-\(event.kind.rawValue)", event)
+    }
+
+    /// Announce a change to `comment`. Call after the change is saved;
+    /// `wasApproved` is whether readers could see the comment before it.
+    func publish(_ kind: Kind, _ comment: Comment, wasApproved: Bool = false) {
+        guard let postId = comment.post?.id else { return }
+
+        // Snapshot on the caller's thread; the model isn't safe to read from the queue
+        let readers: ReaderView = comment.isApproved ? .same : wasApproved ? .removal : .hidden
+        enqueue(kind, postId: postId, commentId: comment.id, comment: CommentResponse(from: comment), readers: readers)
+    }
+
+    /// Announce a deletion. Takes ids because a deleted model can't be read.
+    func publishDeletion(commentId: UUID, postId: UUID) {
+        enqueue(.deleted, postId: postId, commentId: commentId, comment: nil, readers: .same)
+    }
+
+    private enum ReaderView {
+        case same, removal, hidden
+    }
+
+    private func enqueue(_ kind: Kind, postId: UUID, commentId: UUID, comment: CommentResponse?, readers: ReaderView) {
+        broadcaster.publish { id in
+            let event = Event(id: id, kind: kind, postId: postId, commentId: commentId, comment: comment)
+
+            let readerEvent: Event?
+            switch readers {
+            case .same:
+                readerEvent = event
+            case .removal:
+                readerEvent = Event(id: id, kind: .deleted, postId: postId, commentId: commentId, comment: nil)
+            case .hidden:
+                readerEvent = nil
+            }
+
+            return BufferedEvent(event: event, readerEvent: readerEvent)
+        }
+    }
+
+    /// Start streaming `postId`'s comment changes to `stream`. A client
+    /// resuming after `lastEventId` gets the events it missed, or a `reset`
+    /// event telling it to reload the comments when they are no longer buffered.
+    func subscribe(_ stream: EventStream, postId: UUID, canModerate: Bool, after lastEventId: Int?) {
+        broadcaster.subscribe(stream, context: Subscriber(postId: postId, canModerate: canModerate), after: lastEventId)
+    }
+}
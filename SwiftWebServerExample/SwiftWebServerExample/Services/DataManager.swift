@@ -19,6 +19,7 @@ final class DataManager {
     var posts: [Post] = []
     var comments: [Comment] = []
     var authTokens: [AuthToken] = []
+    var mediaItems: [MediaItem] = []
     
     // Statistics
     var totalUsers: Int { users.count }
@@ -28,6 +29,8 @@ final class DataManager {
     var activeAuthTokens: Int { authTokens.filter { $0.isValid }.count }
     var publishedPosts: Int { posts.filter { $0.isPublished }.count }
     var approvedComments: Int { comments.filter { $0.isApproved }.count }
+    var pendingComments: Int { comments.filter { $0.isPending }.count }
+    var rejectedComments: Int { comments.filter { $0.isRejected }.count }
     
     init(modelContext: ModelContext) {
         self.modelContext = modelContext
@@ -38,9 +41,11 @@ final class DataManager {
     
     func loadData() {
         loadUsers()
+        ensureAdminExists()
         loadPosts()
         loadComments()
         loadAuthTokens()
+        loadMediaItems()
     }
     
     private func loadUsers() {
@@ -53,6 +58,21 @@ final class DataManager {
         }
     }
     
+    // Stores created before roles existed have no admin; promote the oldest active user
+    private func ensureAdminExists() {
+        guard !users.contains(where: { $0.isAdmin }),
+              let oldest = users.filter({ $0.isActive }).min(by: { $0.createdAt < $1.createdAt }) else {
+            return
+        }
+        
+        oldest.role = .admin
+        do {
+            try modelContext.save()
+        } catch {
+            print("Error promoting admin: \(error)")
+        }
+    }
+    
     private func loadPosts() {
         do {
             let descriptor = FetchDescriptor<Post>(sortBy: [SortDescriptor(\.createdAt, order: .reverse)])
@@ -82,6 +102,16 @@ final class DataManager {
             self.authTokens = []
         }
     }
+
+    private func loadMediaItems() {
+        do {
+            let descriptor = FetchDescriptor<MediaItem>(sortBy: [SortDescriptor(\.createdAt, order: .reverse)])
+            mediaItems = try modelContext.fetch(descriptor)
+        } catch {
+            print("Error loading media items: \(error)")
+            mediaItems = []
+        }
+    }
     
     // MARK: - User Management
     
@@ -104,7 +134,8 @@ final class DataManager {
             email: request.email,
             passwordHash: passwordHash,
             firstName: request.firstName,
-            lastName: request.lastName
+            lastName: request.lastName,
+            role: request.role ?? (users.contains(where: { $0.isAdmin }) ? .author : .admin)
         )
         
         modelContext.insert(user)
@@ -129,6 +160,11 @@ final class DataManager {
     func updateUser(_ user: User, request: UpdateUserRequest) throws {
         try request.validate()
         
+        let losesAdmin = (request.role.map { $0 != .admin } ?? false) || request.isActive == false
+        if losesAdmin && isLastActiveAdmin(user) {
+            throw DataManagerError.lastAdmin
+        }
+        
         if let email = request.email, email != user.email {
             if users.contains(where: { $0.email == email && $0.id != user.id }) {
                 throw DataManagerError.emailExists
@@ -144,29 +180,51 @@ final class DataManager {
             user.lastName = lastName
         }
         
+        let deactivated = user.isActive && request.isActive == false
         if let isActive = request.isActive {
             user.isActive = isActive
         }
         
+        if let role = request.role {
+            user.role = role
+        }
+        
         user.updateTimestamp()
         try modelContext.save()
         loadUsers() // Refresh the list
+        
+        // A deactivated user is signed out everywhere
+        if deactivated {
+            try revokeAllUserTokens(for: user)
+        }
     }
     
     func deleteUser(_ user: User) throws {
+        if isLastActiveAdmin(user) {
+            throw DataManagerError.lastAdmin
+        }
+        
         modelContext.delete(user)
         try modelContext.save()
         users.removeAll { $0.id == user.id }
     }
     
+    /// The only active admin can't be demoted, deactivated or deleted
+    private func isLastActiveAdmin(_ user: User) -> Bool {
+        return user.isAdmin && user.isActive && !users.contains { $0.id != user.id && $0.isAdmin && $0.isActive }
+    }
+    
     // MARK: - Post Management
     
     func createPost(request: CreatePostRequest, author: User) throws -> Post {
         try request.validate()
         
         let post = Post(title: request.title, content: request.content, author: author)
+        post.tags = Post.normalizedTags(request.tags ?? [])
         
-        if request.isPublished == true {
+        if let publishedAt = request.publishedAt {
+            post.schedule(at: publishedAt)
+        } else if request.isPublished == true {
             post.publish()
         }
         
@@ -186,6 +244,19 @@ final class DataManager {
         return posts.filter { $0.isPublished }.sorted { $0.publishedAt ?? $0.createdAt > $1.publishedAt ?? $1.createdAt }
     }
     
+    /// Every tag on `posts` with its post count, most used first
+    func tagCounts(in posts: [Post]) -> [TagCountResponse] {
+        var counts: [String: Int] = [:]
+        for post in posts {
+            for tag in post.tags {
+                counts[tag, default: 0] += 1
+            }
+        }
+        return counts
+            .map { TagCountResponse(name: $0.key, count: $0.value) }
+            .sorted { $0.count != $1.count ? $0.count > $1.count : $0.name < $1.name }
+    }
+    
     func getPostsByAuthor(_ author: User) -> [Post] {
         return posts.filter { $0.author?.id == author.id }.sorted { $0.createdAt > $1.createdAt }
     }
@@ -202,10 +273,16 @@ final class DataManager {
             post.excerpt = String(content.prefix(200))
         }
         
-        if let isPublished = request.isPublished {
+        if let tags = request.tags {
+            post.tags = Post.normalizedTags(tags)
+        }
+        
+        if let publishedAt = request.publishedAt {
+            post.schedule(at: publishedAt)
+        } else if let isPublished = request.isPublished {
             if isPublished && !post.isPublished {
                 post.publish()
-            } else if !isPublished && post.isPublished {
+            } else if !isPublished && (post.isPublished || post.isScheduled) {
                 post.unpublish()
             }
         }
@@ -215,6 +292,22 @@ final class DataManager {
         loadPosts() // Refresh the list
     }
     
+    /// Publish every scheduled post whose time has come, keeping the
+    /// scheduled time as its publish date. Returns the posts it published.
+    func publishDuePosts(now: Date = Date()) throws -> [Post] {
+        let due = posts.filter { post in
+            post.isScheduled && (post.publishedAt ?? .distantFuture) <= now
+        }
+        guard !due.isEmpty else { return [] }
+        
+        for post in due {
+            post.isPublished = true
+            post.updatedAt = now
+        }
+        try modelContext.save()
+        return due
+    }
+    
     func deletePost(_ post: Post) throws {
         modelContext.delete(post)
         try modelContext.save()
@@ -255,6 +348,10 @@ final class DataManager {
                 print("❌ Parent comment not found with ID: \(parentId)")
                 throw CommentValidationError.parentCommentNotFound
             }
+            guard parentComment?.post?.id == post.id else {
+                print("❌ Parent comment \(parentId) is on a different post")
+                throw CommentValidationError.parentCommentOnOtherPost
+            }
             print("✅ Parent comment found")
         }
 
@@ -286,6 +383,12 @@ final class DataManager {
         }
     }
     
+    /// Comments across all posts, oldest first, optionally limited to one moderation status
+    func getComments(status: CommentModerationStatus? = nil) -> [Comment] {
+        let matching = status == nil ? comments : comments.filter { $0.moderationStatus == status }
+        return matching.sorted { $0.createdAt < $1.createdAt }
+    }
+    
     func getCommentsByAuthor(_ author: User) -> [Comment] {
         return comments.filter { $0.author?.id == author.id }.sorted { $0.createdAt > $1.createdAt }
     }
@@ -330,6 +433,38 @@ final class DataManager {
         loadPosts() // Refresh to update post's comments count
     }
     
+    // MARK: - Media Management
+
+    func createMediaItem(filename: String, contentType: String, data: Data, uploader: User) throws -> MediaItem {
+        guard !data.isEmpty else {
+            throw MediaValidationError.emptyFile
+        }
+        guard data.count <= MediaItem.maxSize else {
+            throw MediaValidationError.fileTooLarge
+        }
+        guard MediaItem.allowedContentTypes.contains(contentType) else {
+            throw MediaValidationError.unsupportedType(contentType)
+        }
+
+        let item = MediaItem(filename: filename, contentType: contentType, data: data, uploader: uploader)
+
+        modelContext.insert(item)
+        try modelContext.save()
+
+        mediaItems.insert(item, at: 0)
+        return item
+    }
+
+    func getMediaItem(by id: UUID) -> MediaItem? {
+        return mediaItems.first { $0.id == id }
+    }
+
+    func deleteMediaItem(_ item: MediaItem) throws {
+        modelContext.delete(item)
+        try modelContext.save()
+        mediaItems.removeAll { $0.id == item.id }
+    }
+
     // MARK: - Authentication
     
     func authenticateUser(username: String, password: String) -> User? {
@@ -377,6 +512,10 @@ final class DataManager {
 
         // First check in memory for performance
         if let token = self.authTokens.first(where: { $0.token == tokenString && $0.isValid }) {
+            guard token.user?.isActive == true else {
+                print("🔍 DataManager: token belongs to an inactive user")
+                return nil
+            }
             print("🔍 DataManager: found valid token in memory for user \(token.user?.username ?? "unknown")")
             token.updateLastUsed()
             try? modelContext.save()
@@ -396,6 +535,10 @@ final class DataManager {
             print("🔍 DataManager: found \(tokens.count) tokens in database")
 
             if let token = tokens.first, token.isValid {
+                guard token.user?.isActive == true else {
+                    print("🔍 DataManager: token belongs to an inactive user")
+                    return nil
+                }
                 print("🔍 DataManager: found valid token in database for user \(token.user?.username ?? "unknown")")
                 token.updateLastUsed()
                 try modelContext.save()
@@ -425,7 +568,8 @@ final class DataManager {
     func getUserFromToken(_ tokenString: String) -> User? {
         // First check in memory for performance (avoid re-validation)
         if let token = self.authTokens.first(where: { $0.token == tokenString && $0.isValid }) {
-            return token.user
+            guard let user = token.user, user.isActive else { return nil }
+            return user
         }
 
         // Fallback to full validation if not in memory
@@ -469,15 +613,37 @@ final class DataManager {
         loadAuthTokens() // Refresh the list
     }
 
+    /// Delete tokens that can no longer be used. An expired access token is
+    /// kept while its refresh token is still good, so the session can be renewed.
     func cleanupExpiredTokens() throws {
-        let expiredTokens = self.authTokens.filter { $0.isExpired || $0.isRevoked }
+        let expiredTokens = self.authTokens.filter { $0.isDisposable }
 
         for token in expiredTokens {
             modelContext.delete(token)
         }
 
         try modelContext.save()
-        self.authTokens.removeAll { $0.isExpired || $0.isRevoked }
+        self.authTokens.removeAll { $0.isDisposable }
+    }
+
+    /// Exchange a refresh token for a new token pair. The old pair is revoked,
+    /// so each refresh token works once.
+    func refreshAuthToken(_ refreshToken: String, deviceInfo: String? = nil) throws -> AuthToken {
+        guard let token = self.authTokens.first(where: { $0.refreshToken == refreshToken }) else {
+            throw AuthTokenError.tokenNotFound
+        }
+        guard !token.isRevoked else {
+            throw AuthTokenError.tokenRevoked
+        }
+        guard token.canRefresh else {
+            throw AuthTokenError.tokenExpired
+        }
+        guard let user = token.user, user.isActive else {
+            throw AuthTokenError.userNotFound
+        }
+
+        token.revoke()
+        return try createAuthToken(for: user, expiresIn: 3600, deviceInfo: deviceInfo ?? token.deviceInfo)
     }
 
     func extendTokenExpiration(_ tokenString: String, by timeInterval: TimeInterval) throws {
@@ -507,6 +673,11 @@ final class DataManager {
             modelContext.delete(post)
         }
 
+        // Delete all uploads
+        for item in mediaItems {
+            modelContext.delete(item)
+        }
+
         // Delete all users
         for user in users {
             modelContext.delete(user)
@@ -518,6 +689,7 @@ final class DataManager {
         self.authTokens.removeAll()
         self.comments.removeAll()
         self.posts.removeAll()
+        self.mediaItems.removeAll()
         self.users.removeAll()
     }
 }
@@ -531,6 +703,7 @@ enum DataManagerError: Error, LocalizedError {
     case postNotFound
     case commentNotFound
     case unauthorized
+    case lastAdmin
     
     var errorDescription: String? {
         switch self {
@@ -546,6 +719,8 @@ enum DataManagerError: Error, LocalizedError {
             return "Comment not found"
         case .unauthorized:
             return "Unauthorized access"
+        case .lastAdmin:
+            return "At least one active admin is required"
         }
     }
 }
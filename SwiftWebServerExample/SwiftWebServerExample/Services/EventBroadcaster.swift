@@ -0,0 +1,197 @@
+//
+//  EventBroadcaster.swift
+//  SwiftWebServerExample
+//
+//  Subscribers, replay buffer and heartbeat shared by the Server-Sent Events broadcasters
+//
+
+import Foundation
+import SwiftWebServer
+
+/// The part of a Server-Sent Events broadcaster that doesn't care what it
+/// sends: it numbers published events, keeps the most recent ones for clients
+/// resuming with Last-Event-ID, and pings open connections. `render` picks
+/// the SSE event name and data a subscriber gets for an event, or nil to skip
+/// it; it runs on the broadcaster's serial queue.
+///
+/// Socket writes block, so each subscriber is written to on its own queue and
+/// a stalled client can't hold up the others. One that falls further behind
+/// than the replay buffer is dropped; it reconnects and resumes from there.
+final class EventBroadcaster<Event, Context> {
+    private struct Subscriber {
+        let id: UUID
+        let stream: EventStream
+        let context: Context
+        let writeQueue: DispatchQueue
+    }
+
+    /// What a client gets when it connects
+    enum ReplayPolicy {
+        /// Everything buffered after its id, or the whole buffer when it has
+        /// no id or one the buffer no longer covers
+        case everything
+        /// Only what it missed; a `reset` event asking it to reload instead
+        /// when the buffer no longer covers its id. Every client then gets a
+        /// `ready` event carrying the latest id.
+        case missedOrReset
+    }
+
+    private let replayLimit: Int
+    private let maxPendingWrites: Int
+    private let replayPolicy: ReplayPolicy
+    private let heartbeatInterval: TimeInterval = 15
+    private let reconnectDelayMs = 3000
+    private let render: (Event, Context) -> (name: String, data: any Encodable)?
+
+    private let queue: DispatchQueue
+    private var subscribers: [UUID: Subscriber] = [:]
+    private var pendingWrites: [UUID: Int] = [:]
+    private var recentEvents: [(id: Int, event: Event)] = []
+    private var nextId = 1
+    private var heartbeatTimer: DispatchSourceTimer?
+
+    private let encoder: JSONEncoder = {
+        let encoder = JSONEncoder()
+        encoder.dateEncodingStrategy = .iso8601
+        return encoder
+    }()
+
+    init(label: String, replayLimit: Int, replayPolicy: ReplayPolicy,
+         render: @escaping (Event, Context) -> (name: String, data: any Encodable)?) {
+        self.queue = DispatchQueue(label: label)
+        self.replayLimit = replayLimit
+        // Room for a full replay plus what is published while it is written
+        self.maxPendingWrites = replayLimit * 2
+        self.replayPolicy = replayPolicy
+        self.render = render
+    }
+
+    /// Buffer the event `makeEvent` builds from the next id and send it to
+    /// every subscriber
+    func publish(_ makeEvent: @escaping (_ id: Int) -> Event) {
+        queue.async {
+            let id = self.nextId
+            let event = makeEvent(id)
+            self.nextId += 1
+
+            self.recentEvents.append((id, event))
+            if self.recentEvents.count > self.replayLimit {
+                self.recentEvents.removeFirst(self.recentEvents.count - self.replayLimit)
+            }
+
+            self.subscribers.values.forEach { self.send(event, id: id, to: $0) }
+        }
+    }
+
+    /// Start streaming to `stream`, replaying buffered events newer than
+    /// `lastEventId` (the id of the last event the client saw) according to
+    /// the replay policy
+    func subscribe(_ stream: EventStream, context: Context, after lastEventId: Int?) {
+        let subscriberId = UUID()
+        let subscriber = Subscriber(
+            id: subscriberId,
+            stream: stream,
+            context: context,
+            writeQueue: DispatchQueue(label: "\(queue.label).subscriber")
+        )
+        stream.onClose { [weak self] in
+            self?.queue.async {
+                self?.remove(subscriberId)
+            }
+        }
+
+        queue.async {
+            self.pendingWrites[subscriberId] = 0
+            self.write(to: subscriber) { $0.retry(after: self.reconnectDelayMs) }
+
+            // Ids restart with the app, and old events fall out of the buffer
+            let latestId = self.nextId - 1
+            let oldestId = self.recentEvents.first?.id ?? self.nextId
+            let isCovered = lastEventId.map { $0 <= latestId && $0 >= oldestId - 1 }
+
+            switch self.replayPolicy {
+            case .everything:
+                let after = isCovered == true ? lastEventId ?? 0 : 0
+                self.replay(after: after, to: subscriber)
+            case .missedOrReset:
+                if isCovered == false {
+                    self.write(to: subscriber) { $0.send(event: "reset", data: "{}", id: String(latestId)) }
+                } else if let after = lastEventId {
+                    self.replay(after: after, to: subscriber)
+                }
+                // Gives the client an id to resume from even before anything is published
+                self.write(to: subscriber) { $0.send(event: "ready", data: "{}", id: String(latestId)) }
+            }
+
+            guard stream.isOpen, self.pendingWrites[subscriberId] != nil else { return }
+            self.subscribers[subscriberId] = subscriber
+            self.updateHeartbeat()
+        }
+    }
+
+    private func remove(_ subscriberId: UUID) {
+        subscribers[subscriberId] = nil
+        pendingWrites[subscriberId] = nil
+        updateHeartbeat()
+    }
+
+    private func replay(after lastEventId: Int, to subscriber: Subscriber) {
+        for (id, event) in recentEvents where id > lastEventId {
+            send(event, id: id, to: subscriber)
+        }
+    }
+
+    private func send(_ event: Event, id: Int, to subscriber: Subscriber) {
+        guard let message = render(event, subscriber.context),
+              let data = try? encoder.encode(message.data),
+              let json = String(data: data, encoding: .utf8) else {
+            return
+        }
+        write(to: subscriber) { $0.send(event: message.name, data: json, id: String(id)) }
+    }
+
+    /// Queue a write on the subscriber's own queue, dropping the subscriber
+    /// instead when too many are already waiting
+    private func write(to subscriber: Subscriber, _ body: @escaping (EventStream) -> Void) {
+        // Removed subscribers have no count
+        guard let pending = pendingWrites[subscriber.id] else { return }
+        guard pending < maxPendingWrites else {
+            remove(subscriber.id)
+            // Closing waits for the stalled write, so do it off this queue
+            DispatchQueue.global().async { subscriber.stream.close() }
+            return
+        }
+        pendingWrites[subscriber.id] = pending + 1
+
+        subscriber.writeQueue.async { [weak self] in
+            body(subscriber.stream)
+            self?.queue.async {
+                if let pending = self?.pendingWrites[subscriber.id] {
+                    self?.pendingWrites[subscriber.id] = pending - 1
+                }
+            }
+        }
+    }
+
+    // Idle connections only notice a gone client when a write fails, so
+    // ping subscribers while there are any
+    private func updateHeartbeat() {
+        if subscribers.isEmpty {
+            heartbeatTimer?.cancel()
+            heartbeatTimer = nil
+            return
+        }
+        guard heartbeatTimer == nil else { return }
+
+        let timer = DispatchSource.makeTimerSource(queue: queue)
+        timer.schedule(deadline: .now() + heartbeatInterval, repeating: heartbeatInterval)
+        timer.setEventHandler { [weak self] in
+            guard let self = self else { return }
+            self.subscribers.values.forEach { subscriber in
+                self.write(to: subscriber) { $0.comment("heartbeat") }
+            }
+        }
+        timer.resume()
+        heartbeatTimer = timer
+    }
+}
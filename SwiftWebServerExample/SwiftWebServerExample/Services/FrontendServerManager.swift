@@ -93,6 +93,23 @@ final class FrontendServerManager {
             self?.serveHtmlPage("admin.html", req, res)
         }
 
+        // Admin views have their own URLs (see js/router.js); each loads the
+        // admin page, which opens the view the path names
+        for path in ["/admin/posts", "/admin/posts/{id}", "/admin/comments", "/admin/users", "/admin/dashboard", "/admin/logs"] {
+            server.get(path) { [weak self] req, res in
+                self?.serveHtmlPage("admin.html", req, res)
+            }
+        }
+
+        server.get("/explorer") { [weak self] req, res in
+            self?.serveHtmlPage("explorer.html", req, res)
+        }
+
+        // API docs rendered from the backend's OpenAPI document
+        server.get("/docs") { [weak self] req, res in
+            self?.serveHtmlPage("docs.html", req, res)
+        }
+
         server.get("/post") { [weak self] req, res in
             self?.serveHtmlPage("post.html", req, res)
         }
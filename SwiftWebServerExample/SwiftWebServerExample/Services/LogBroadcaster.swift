@@ -0,0 +1,51 @@
+//
+//  LogBroadcaster.swift
+//  SwiftWebServerExample
+//
+//  Pushes server log messages to Server-Sent Events subscribers
+//
+
+import Foundation
+import SwiftWebServer
+
+/// Keeps the most recent log entries and pushes new ones to every open
+/// `/api/admin/logs/stream` connection
+final class LogBroadcaster {
+    struct Entry: Codable {
+        let id: Int
+        let timestamp: Date
+        let level: String
+        let message: String
+    }
+
+    // Keeps the latest 200 entries, replayed to a client when it connects or reconnects
+    private let broadcaster = EventBroadcaster<Entry, Void>(
+        label: "com.swiftwebserver.logbroadcaster",
+        replayLimit: 200,
+        replayPolicy: .everything
+    ) { entry, _ in
+        ("log", entry)
+    }
+
+    func publish(_ message: String, type: LogType) {
+        let timestamp = Date()
+        broadcaster.publish { id in
+            Entry(id: id, timestamp: timestamp, level: type.rawValue, message: LogBroadcaster.redact(message))
+        }
+    }
+
+    /// Start streaming to `stream`, first replaying buffered entries newer
+    /// than `lastEventId` (the id of the last entry the client saw)
+    func subscribe(_ stream: EventStream, after lastEventId: Int?) {
+        broadcaster.subscribe(stream, context: (), after: lastEventId)
+    }
+
+    // Detailed request logs include headers; credentials never leave the server
+    private static func redact(_ message: String) -> String {
+        return message.replacingOccurrences(
+            of: #"(?im)^(\s*(authorization|cookie|set-cookie):\s*).*$"#,
+            with: "$1[redacted]",
+            options: .regularExpression
+        )
+    }
+}
@@ -0,0 +1,472 @@
+//
+//  OpenAPIDocument.swift
+//  SwiftWebServerExample
+//
+//  OpenAPI 3 description of the API, served by GET /api/openapi.json
+//
+
+import Foundation
+
+/// Builds an OpenAPI 3.0 document from the route catalog. Paths come from
+/// `APIRouteCatalog.describe(_:)`, so the document lists exactly the routes
+/// the server has registered; the schemas below mirror the response and
+/// request models and must be kept in step with them.
+enum OpenAPIDocument {
+    static func build(routes: [RouteDescription], serverURL: String) -> [String: Any] {
+        var paths: [String: [String: Any]] = [:]
+        var tags: [String] = []
+
+        for route in routes {
+            if !tags.contains(route.tag) {
+                tags.append(route.tag)
+            }
+            paths[route.path, default: [:]][route.method.lowercased()] = operation(for: route)
+        }
+
+        return [
+            "openapi": "3.0.3",
+            "info": [
+                "title": "SwiftWebServer Demo API",
+                "version": "1.0.0",
+                "description": "Blog API of the SwiftWebServer example app. Protected routes take a bearer token from POST /api/auth/login."
+            ],
+            "servers": [["url": serverURL]],
+            "tags": tags.map { ["name": $0] },
+            "paths": paths,
+            "components": [
+                "securitySchemes": [
+                    "bearerAuth": ["type": "http", "scheme": "bearer"]
+                ],
+                "schemas": schemas
+            ] as [String: Any]
+        ]
+    }
+
+    // MARK: - Operations
+
+    private static func operation(for route: RouteDescription) -> [String: Any] {
+        var operation: [String: Any] = [
+            "operationId": operationId(method: route.method, path: route.path),
+            "summary": route.summary,
+            "tags": [route.tag],
+            // `security` can't tell admin-only routes apart; the docs page shows this
+            "x-access": route.access.rawValue
+        ]
+
+        var parameters: [[String: Any]] = route.pathParameters.map { name -> [String: Any] in
+            [
+                "name": name,
+                "in": "path",
+                "required": true,
+                "schema": name.lowercased().hasSuffix("id") ? string(format: "uuid") : string()
+            ]
+        }
+        parameters += route.query.map { parameter(in: "query", $0) }
+        parameters += route.headers.map { parameter(in: "header", $0) }
+        if !parameters.isEmpty {
+            operation["parameters"] = parameters
+        }
+
+        if let requestSchema = route.requestSchema {
+            var content: [String: Any] = ["schema": schemaReference(requestSchema)]
+            if let body = route.exampleBody?.data(using: .utf8),
+               let example = try? JSONSerialization.jsonObject(with: body) {
+                content["example"] = example
+            }
+            operation["requestBody"] = [
+                "required": true,
+                "content": [route.requestMediaType: content]
+            ] as [String: Any]
+        }
+
+        switch route.access {
+        case .public:
+            break
+        case .optional:
+            operation["security"] = [[:], ["bearerAuth": []]] as [[String: [String]]]
+        case .authenticated, .admin:
+            operation["security"] = [["bearerAuth": []]] as [[String: [String]]]
+        }
+
+        var success: [String: Any] = ["description": "Success"]
+        if let responseSchema = route.responseSchema {
+            success["content"] = [route.responseMediaType: ["schema": schemaReference(responseSchema)]]
+        }
+        var responses: [String: Any] = [
+            "200": success,
+            "default": errorResponse("Error")
+        ]
+        if route.requestSchema != nil {
+            responses["400"] = errorResponse("Invalid request body")
+        }
+        if route.access == .authenticated || route.access == .admin {
+            responses["401"] = errorResponse("Missing, invalid or expired token")
+            responses["403"] = errorResponse("Not allowed for this user's role")
+        }
+        if !route.pathParameters.isEmpty {
+            responses["404"] = errorResponse("Not found")
+        }
+        operation["responses"] = responses
+
+        return operation
+    }
+
+    /// "GET /api/posts/{postId}/comments" becomes "getPostsPostIdComments"
+    private static func operationId(method: String, path: String) -> String {
+        let words = path
+            .split(separator: "/")
+            .filter { $0 != "api" }
+            .map { $0.trimmingCharacters(in: CharacterSet(charactersIn: "{}")) }
+            .flatMap { $0.split(separator: "-") }
+            .map { $0.prefix(1).uppercased() + $0.dropFirst() }
+        return method.lowercased() + words.joined()
+    }
+
+    private static func parameter(in location: String, _ parameter: RouteParameter) -> [String: Any] {
+        var result: [String: Any] = [
+            "name": parameter.name,
+            "in": location,
+            "required": false,
+            "description": parameter.description,
+            "schema": string()
+        ]
+        if let example = parameter.example {
+            result["example"] = example
+        }
+        return result
+    }
+
+    private static func errorResponse(_ description: String) -> [String: Any] {
+        return [
+            "description": description,
+            "content": ["application/json": ["schema": reference("Error")]]
+        ]
+    }
+
+    /// "Post" refers to a component schema, "[Post]" to an array of them
+    private static func schemaReference(_ name: String) -> [String: Any] {
+        if name.hasPrefix("[") && name.hasSuffix("]") {
+            return array(reference(String(name.dropFirst().dropLast())))
+        }
+        return reference(name)
+    }
+
+    // MARK: - Schema Helpers
+
+    private static func reference(_ name: String) -> [String: Any] {
+        return ["$ref": "#/components/schemas/\(name)"]
+    }
+
+    private static func string(format: String? = nil, nullable: Bool = false) -> [String: Any] {
+        var schema: [String: Any] = ["type": "string"]
+        if let format = format {
+            schema["format"] = format
+        }
+        if nullable {
+            schema["nullable"] = true
+        }
+        return schema
+    }
+
+    private static let integer: [String: Any] = ["type": "integer"]
+    private static let boolean: [String: Any] = ["type": "boolean"]
+    private static let uuid = string(format: "uuid")
+    private static let dateTime = string(format: "date-time")
+
+    private static func array(_ items: [String: Any]) -> [String: Any] {
+        return ["type": "array", "items": items]
+    }
+
+    private static func object(_ properties: [String: [String: Any]], required: [String] = []) -> [String: Any] {
+        var schema: [String: Any] = ["type": "object", "properties": properties]
+        if !required.isEmpty {
+            schema["required"] = required
+        }
+        return schema
+    }
+
+    /// A `$ref` can't carry `nullable` in OpenAPI 3.0, so wrap it
+    private static func nullable(_ name: String) -> [String: Any] {
+        return ["allOf": [reference(name)], "nullable": true]
+    }
+
+    // MARK: - Schemas
+
+    private static let schemas: [String: Any] = [
+        "Error": object([
+            "error": string(),
+            "code": string()
+        ], required: ["error"]),
+        "Message": object(["message": string()], required: ["message"]),
+        "Health": object([
+            "status": string(),
+            "timestamp": dateTime,
+            "uptime": string(),
+            "port": integer,
+            "version": string()
+        ]),
+        "ServerInfo": object([
+            "name": string(),
+            "version": string(),
+            "framework": string(),
+            "features": array(string()),
+            "statistics": object([
+                "total_users": integer,
+                "total_posts": integer,
+                "total_comments": integer,
+                "published_posts": integer,
+                "approved_comments": integer
+            ])
+        ]),
+        "RouteParameter": object([
+            "name": string(),
+            "description": string(),
+            "example": string(nullable: true)
+        ], required: ["name", "description"]),
+        "RouteDescription": object([
+            "method": string(),
+            "path": string(),
+            "summary": string(),
+            "tag": string(),
+            "access": ["type": "string", "enum": ["public", "optional", "authenticated", "admin"]],
+            "pathParameters": array(string()),
+            "query": array(reference("RouteParameter")),
+            "headers": array(reference("RouteParameter")),
+            "exampleBody": string(nullable: true),
+            "requestSchema": string(nullable: true),
+            "requestMediaType": string(),
+            "responseSchema": string(nullable: true),
+            "responseMediaType": string(),
+            "documented": boolean
+        ]),
+
+        // Authentication
+        "LoginRequest": object([
+            "username": string(),
+            "password": string(format: "password")
+        ], required: ["username", "password"]),
+        "RefreshTokenRequest": object(["refreshToken": string()], required: ["refreshToken"]),
+        "LoginResponse": object([
+            "token": string(),
+            "user": reference("User"),
+            "expiresIn": integer,
+            "expiresAt": dateTime,
+            "refreshToken": string(nullable: true),
+            "refreshExpiresAt": string(format: "date-time", nullable: true)
+        ], required: ["token", "user", "expiresIn", "expiresAt"]),
+        "TokenInfo": object([
+            "token": string(),
+            "expiresAt": dateTime,
+            "expiresIn": integer,
+            "isExpired": boolean,
+            "isValid": boolean,
+            "user": object([
+                "id": string(),
+                "username": string(),
+                "firstName": string(),
+                "lastName": string(),
+                "role": string()
+            ])
+        ]),
+        "Permissions": object([
+            "manageUsers": boolean,
+            "writePosts": boolean,
+            "moderateAllPosts": boolean,
+            "viewServerLogs": boolean,
+            "viewStats": boolean
+        ]),
+        "CurrentUser": object([
+            "user": reference("User"),
+            "permissions": reference("Permissions")
+        ], required: ["user", "permissions"]),
+
+        // Users
+        "UserRole": ["type": "string", "enum": UserRole.allCases.map { $0.rawValue }] as [String: Any],
+        "User": object([
+            "id": uuid,
+            "username": string(),
+            "email": string(format: "email"),
+            "firstName": string(),
+            "lastName": string(),
+            "fullName": string(),
+            "isActive": boolean,
+            "role": reference("UserRole"),
+            "createdAt": dateTime,
+            "updatedAt": dateTime,
+            "postsCount": integer,
+            "commentsCount": integer
+        ]),
+        "CreateUserRequest": object([
+            "username": string(),
+            "email": string(format: "email"),
+            "password": string(format: "password"),
+            "firstName": string(),
+            "lastName": string(),
+            "role": reference("UserRole")
+        ], required: ["username", "email", "password", "firstName", "lastName"]),
+        "UpdateUserRequest": object([
+            "email": string(format: "email"),
+            "firstName": string(),
+            "lastName": string(),
+            "isActive": boolean,
+            "role": reference("UserRole")
+        ]),
+
+        // Posts
+        "Post": object([
+            "id": uuid,
+            "title": string(),
+            "content": string(),
+            "excerpt": string(),
+            "isPublished": boolean,
+            "viewCount": integer,
+            "wordCount": integer,
+            "readingTime": integer,
+            "createdAt": dateTime,
+            "updatedAt": dateTime,
+            "publishedAt": string(format: "date-time", nullable: true),
+            "isScheduled": boolean,
+            "author": nullable("User"),
+            "commentsCount": integer,
+            "tags": array(string())
+        ]),
+        "PostSummary": object([
+            "id": uuid,
+            "title": string(),
+            "excerpt": string(),
+            "isPublished": boolean,
+            "viewCount": integer,
+            "readingTime": integer,
+            "createdAt": dateTime,
+            "publishedAt": string(format: "date-time", nullable: true),
+            "isScheduled": boolean,
+            "authorId": string(format: "uuid", nullable: true),
+            "authorName": string(),
+            "commentsCount": integer,
+            "tags": array(string())
+        ]),
+        "TagCount": object([
+            "name": string(),
+            "count": integer
+        ]),
+        // GET /api/posts returns this envelope instead of a bare array when ?page= is given
+        "PostsPage": object([
+            "posts": array(reference("PostSummary")),
+            "page": integer,
+            "limit": integer,
+            "total": integer,
+            "totalPages": integer,
+            "hasMore": boolean
+        ]),
+        // Tags are lowercased and spaces become "-"; at most 10, each up to 30 characters.
+        // A future publishedAt schedules the post; it can't be combined with isPublished: true.
+        "CreatePostRequest": object([
+            "title": string(),
+            "content": string(),
+            "isPublished": boolean,
+            "publishedAt": dateTime,
+            "tags": array(string())
+        ], required: ["title", "content"]),
+        "UpdatePostRequest": object([
+            "title": string(),
+            "content": string(),
+            "isPublished": boolean,
+            "publishedAt": dateTime,
+            "tags": array(string())
+        ]),
+
+        // Comments
+        "Comment": object([
+            "id": uuid,
+            "content": string(),
+            "isApproved": boolean,
+            "isRejected": boolean,
+            "createdAt": dateTime,
+            "updatedAt": dateTime,
+            "author": nullable("User"),
+            "postId": string(format: "uuid", nullable: true),
+            "parentCommentId": string(format: "uuid", nullable: true),
+            "repliesCount": integer,
+            "wordCount": integer
+        ]),
+        "CommentThread": object([
+            "comment": reference("Comment"),
+            "replies": array(reference("Comment"))
+        ]),
+        "CommentWithPost": object([
+            "comment": reference("Comment"),
+            "postTitle": string()
+        ]),
+        // Data of each comment-<kind> event on a post's comment stream
+        "CommentEvent": object([
+            "id": integer,
+            "kind": ["type": "string", "enum": ["created", "updated", "approved", "rejected", "deleted"]],
+            "postId": uuid,
+            "commentId": uuid,
+            "comment": nullable("Comment")
+        ]),
+        "CreateCommentRequest": object([
+            "content": string(),
+            "postId": uuid,
+            "parentCommentId": string(format: "uuid", nullable: true)
+        ], required: ["content", "postId"]),
+        "UpdateCommentRequest": object([
+            "content": string(),
+            "isApproved": boolean
+        ], required: ["content"]),
+
+        // Media
+        "Media": object([
+            "id": uuid,
+            "filename": string(),
+            "contentType": string(),
+            "size": integer,
+            "isImage": boolean,
+            "url": string(),
+            "createdAt": dateTime,
+            "uploader": reference("User")
+        ]),
+        // Form fields of POST /api/media
+        "MediaUpload": object([
+            "file": string(format: "binary")
+        ], required: ["file"]),
+
+        // Admin
+        "AdminStats": object([
+            "users": object(["total": integer, "active": integer]),
+            "posts": object([
+                "total": integer,
+                "published": integer,
+                "draft": integer,
+                "views": integer,
+                "top": array(object([
+                    "id": uuid,
+                    "title": string(),
+                    "views": integer,
+                    "comments": integer,
+                    "published": boolean
+                ]))
+            ]),
+            "comments": object([
+                "total": integer,
+                "approved": integer,
+                "pending": integer,
+                "rejected": integer,
+                "per_day": array(object(["date": string(format: "date"), "count": integer]))
+            ]),
+            "auth_tokens": object(["total": integer, "active": integer, "expired": integer]),
+            "server": object(["uptime": string(), "port": integer, "log_messages": integer]),
+            "traffic": object([
+                "total_requests": integer,
+                "requests_per_minute": array(object(["minute": dateTime, "count": integer]))
+            ])
+        ]),
+        // Data of each `log` event on the stream
+        "LogEntry": object([
+            "id": integer,
+            "timestamp": dateTime,
+            "level": ["type": "string", "enum": ["info", "success", "warning", "error"]],
+            "message": string()
+        ])
+    ]
+}
@@ -0,0 +1,69 @@
+//
+//  RequestMetrics.swift
+//  SwiftWebServerExample
+//
+//  Per-minute API request counts for the admin dashboard
+//
+
+import Foundation
+import SwiftWebServer
+
+/// Counts API requests per minute over the last hour
+final class RequestMetrics {
+    struct Bucket {
+        let minute: Date
+        let count: Int
+    }
+
+    private let retainedMinutes = 60
+    private let queue = DispatchQueue(label: "com.swiftwebserver.requestmetrics")
+    // Minutes since 1970 -> requests in that minute
+    private var counts: [Int: Int] = [:]
+    private var total = 0
+
+    var totalRequests: Int {
+        return queue.sync { total }
+    }
+
+    func record(at date: Date = Date()) {
+        let minute = RequestMetrics.minuteIndex(of: date)
+        queue.async {
+            self.counts[minute, default: 0] += 1
+            self.total += 1
+            self.counts = self.counts.filter { $0.key > minute - self.retainedMinutes }
+        }
+    }
+
+    /// One bucket per minute, oldest first, ending with the current minute.
+    /// Minutes without requests are included with a count of zero.
+    func requestsPerMinute(now: Date = Date()) -> [Bucket] {
+        let current = RequestMetrics.minuteIndex(of: now)
+        return queue.sync {
+            (current - retainedMinutes + 1...current).map { minute in
+                Bucket(minute: Date(timeIntervalSince1970: TimeInterval(minute * 60)), count: counts[minute] ?? 0)
+            }
+        }
+    }
+
+    private static func minuteIndex(of date: Date) -> Int {
+        return Int(date.timeIntervalSince1970 / 60)
+    }
+}
+
+/// Records every `/api/` request in `RequestMetrics`. Long-lived streams are
+/// counted once, when they connect.
+final class RequestMetricsMiddleware: BaseMiddleware {
+    private let metrics: RequestMetrics
+
+    init(metrics: RequestMetrics) {
+        self.metrics = metrics
+        super.init()
+    }
+
+    override func execute(request: Request, response: Response, next: @escaping NextFunction) throws {
+        if request.path.hasPrefix("/api/") {
+            metrics.record()
+        }
+        try next()
+    }
+}
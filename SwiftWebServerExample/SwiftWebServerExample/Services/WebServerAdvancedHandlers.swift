@@ -94,38 +94,44 @@ extension WebServerManager {
     // MARK: - File Upload Demo
     
     func handleFileUploadDemo(_ req: Request, _ res: Response) {
-        // Check if this is a multipart request
-        guard let contentType = req.header("Content-Type"),
-              contentType.contains("multipart/form-data") else {
+        // BodyParser fills multipartParts for multipart/form-data bodies
+        guard let parts = req.multipartParts else {
             res.badRequest("File upload demo requires multipart/form-data. Use Content-Type: multipart/form-data and include a file field in your form data.")
             return
         }
         
-        // In a real implementation, you would parse the multipart data
-        // For this demo, we'll simulate file processing
-        let simulatedFileInfo = [
+        // Nothing is stored; POST /api/media keeps uploads in the media library
+        let files = parts.filter { $0.isFile }.map { part in
+            [
+                "field": part.name,
+                "name": part.filename ?? "",
+                "size": part.data.count,
+                "type": part.contentType ?? "application/octet-stream"
+            ] as [String : Any]
+        }
+        var fields: [String: String] = [:]
+        for part in parts where !part.isFile {
+            fields[part.name] = part.text ?? ""
+        }
+        
+        let uploadInfo = [
             "message": "File upload demonstration",
-            "status": "simulated_success",
-            "file_info": [
-                "name": "demo_file.txt",
-                "size": "1024 bytes",
-                "type": "text/plain",
-                "uploaded_at": ISO8601DateFormatter().string(from: Date())
-            ],
+            "status": "received",
+            "files": files,
+            "fields": fields,
+            "uploaded_at": ISO8601DateFormatter().string(from: Date()),
             "features_demonstrated": [
                 "Multipart form data parsing",
-                "File type detection",
-                "File size validation",
-                "Secure file handling"
-            ],
-            "note": "This is a simulation - actual file parsing would require additional implementation"
+                "Binary-safe request bodies",
+                "Request size limits"
+            ]
         ] as [String : Any]
         
         do {
-            let jsonData = try JSONSerialization.data(withJSONObject: simulatedFileInfo)
+            let jsonData = try JSONSerialization.data(withJSONObject: uploadInfo)
             let jsonString = String(data: jsonData, encoding: .utf8) ?? "{}"
             res.status(.created).json(jsonString)
-            addLogMessage("File upload demo processed", type: .success)
+            addLogMessage("File upload demo received \(files.count) file(s)", type: .success)
         } catch {
             res.internalServerError("Failed to process upload demo")
         }
@@ -14,7 +14,11 @@ import UIKit
 final class WebServerManager {
     private var server: SwiftWebServer?
     internal let dataManager: DataManager
+    internal let logBroadcaster = LogBroadcaster()
+    internal let commentBroadcaster = CommentBroadcaster()
+    internal let requestMetrics = RequestMetrics()
     private var tokenCleanupTimer: Timer?
+    private var scheduledPublishTimer: Timer?
 
     // Server status
     var isRunning: Bool = false
@@ -37,6 +41,9 @@ final class WebServerManager {
         server = SwiftWebServer()
         guard let server = server else { return }
         
+        // Room for media uploads; matches the body parser limit below
+        server.maxRequestSize = 10 * 1024 * 1024
+        
         // Configure middleware in order
         configureMiddleware(server)
         
@@ -51,16 +58,17 @@ final class WebServerManager {
             includeHeaders: true,
             includeBody: false,
             customLogger: { [weak self] message in
-                self?.addLogMessage(message, type: .info)
+                self?.addLogMessage(message, type: WebServerManager.logType(forRequestLog: message))
             }
         )))
         
         // 2. CORS Middleware - Enable cross-origin requests
         server.use(CORSMiddleware(options: CORSOptions(
             allowedOrigins: .any,
-            allowedMethods: [.get, .post, .put, .delete, .options],
-            allowedHeaders: [.contentType, .authorization, .accept],
-            exposedHeaders: [.contentLength, .etag],
+            allowedMethods: [.get, .post, .put, .patch, .delete, .options],
+            allowedHeaders: [.contentType, .authorization, .accept, .ifNoneMatch, .ifModifiedSince],
+            // Readable by the API explorer on the frontend origin
+            exposedHeaders: [.contentLength, .etag, .cacheControl, .date, .lastModified, .location, .server],
             allowCredentials: true,
             maxAge: 86400 // 24 hours
         )))
@@ -81,6 +89,9 @@ final class WebServerManager {
             strategy: .strong
         )))
         
+        // 6. Request Metrics - Requests per minute for the admin dashboard
+        server.use(RequestMetricsMiddleware(metrics: requestMetrics))
+        
         // Static file serving
         server.use(staticDirectory: "./public")
     }
@@ -103,6 +114,16 @@ final class WebServerManager {
             self?.handleServerInfo(req, res)
         }
         
+        // Route listing for the API explorer
+        server.get("/api/routes") { [weak self] req, res in
+            self?.handleRoutes(req, res)
+        }
+        
+        // OpenAPI description for the docs page
+        server.get("/api/openapi.json") { [weak self] req, res in
+            self?.handleOpenAPI(req, res)
+        }
+        
         // Authentication routes
         server.post("/api/auth/login") { [weak self] req, res in
             self?.handleLogin(req, res)
@@ -112,6 +133,11 @@ final class WebServerManager {
             self?.handleLogout(req, res)
         }
 
+        // Refresh is unprotected: it must work once the access token has expired
+        server.post("/api/auth/refresh") { [weak self] req, res in
+            self?.handleRefreshToken(req, res)
+        }
+
         // Protected routes with authentication - MUST be defined BEFORE route handlers
         let authMiddleware = BearerTokenMiddleware(options: BearerTokenOptions(
             validator: { [weak self] token in
@@ -137,6 +163,11 @@ final class WebServerManager {
             self?.handleTokenInfo(req, res)
         }
 
+        // Current user and role permissions (protected)
+        server.get("/api/auth/me", authMiddleware) { [weak self] req, res in
+            self?.handleCurrentUser(req, res)
+        }
+
         print("🔧 Registering auth middleware for protected routes...")
         server.use(.post, "/api/posts", authMiddleware)
         server.use(.put, "/api/posts/{id}", authMiddleware)
@@ -145,6 +176,12 @@ final class WebServerManager {
         server.use(.put, "/api/comments/{id}", authMiddleware)
         server.use(.delete, "/api/comments/{id}", authMiddleware)
         server.use(.get, "/api/admin/stats", authMiddleware)
+        server.use(.post, "/api/users", authMiddleware)
+        server.use(.put, "/api/users/{id}", authMiddleware)
+        server.use(.delete, "/api/users/{id}", authMiddleware)
+        server.use(.get, "/api/media", authMiddleware)
+        server.use(.post, "/api/media", authMiddleware)
+        server.use(.delete, "/api/media/{id}", authMiddleware)
 
         // User routes
         server.get("/api/users") { [weak self] req, res in
@@ -188,11 +225,23 @@ final class WebServerManager {
             self?.handleDeletePost(req, res)
         }
 
+        server.get("/api/tags") { [weak self] req, res in
+            self?.handleGetTags(req, res)
+        }
+
         // Comment routes
+        server.get("/api/comments", authMiddleware) { [weak self] req, res in
+            self?.handleGetAllComments(req, res)
+        }
+
         server.get("/api/posts/{postId}/comments") { [weak self] req, res in
             self?.handleGetComments(req, res)
         }
 
+        server.get("/api/posts/{postId}/comments/stream") { [weak self] req, res in
+            self?.handleCommentStream(req, res)
+        }
+
         server.post("/api/posts/{postId}/comments") { [weak self] req, res in
             self?.handleCreateComment(req, res)
         }
@@ -213,11 +262,36 @@ final class WebServerManager {
             self?.handleApproveComment(req, res)
         }
 
+        server.put("/api/comments/{id}/reject", authMiddleware) { [weak self] req, res in
+            self?.handleRejectComment(req, res)
+        }
+
+        // Media routes: the library is protected, files are public
+        server.get("/api/media") { [weak self] req, res in
+            self?.handleGetMedia(req, res)
+        }
+
+        server.post("/api/media") { [weak self] req, res in
+            self?.handleUploadMedia(req, res)
+        }
+
+        server.delete("/api/media/{id}") { [weak self] req, res in
+            self?.handleDeleteMedia(req, res)
+        }
+
+        server.get("/media/{id}") { [weak self] req, res in
+            self?.handleServeMedia(req, res)
+        }
+
         // Admin routes (protected)
         server.get("/api/admin/stats") { [weak self] req, res in
             self?.handleAdminStats(req, res)
         }
 
+        server.get("/api/admin/logs/stream", authMiddleware) { [weak self] req, res in
+            self?.handleLogStream(req, res)
+        }
+
         // Advanced features demo routes
         server.get("/api/demo/etag") { [weak self] req, res in
             self?.handleETagDemo(req, res)
@@ -253,6 +327,7 @@ final class WebServerManager {
 
             // Start token cleanup timer
             self.startTokenCleanupTimer()
+            self.startScheduledPublishTimer()
 
             // Haptic feedback for server start
             DispatchQueue.main.async {
@@ -270,6 +345,7 @@ final class WebServerManager {
 
         // Stop token cleanup timer
         stopTokenCleanupTimer()
+        stopScheduledPublishTimer()
 
         addLogMessage("Server stopped", type: .info)
 
@@ -295,6 +371,7 @@ final class WebServerManager {
             message: message,
             type: type
         )
+        logBroadcaster.publish(message, type: type)
         
         DispatchQueue.main.async {
             self.logMessages.insert(logMessage, at: 0)
@@ -306,10 +383,28 @@ final class WebServerManager {
         }
     }
     
+    /// "METHOD /path" keys of every route registered on the backend server
+    var registeredRoutes: [String] {
+        return server?.registeredRoutes ?? []
+    }
+    
     func clearLogs() {
         logMessages.removeAll()
     }
 
+    /// Response lines from LoggerMiddleware start with "← <status>"; flag
+    /// client and server errors so they stand out in the console and stream
+    private static func logType(forRequestLog message: String) -> LogType {
+        guard message.hasPrefix("← "),
+              let status = Int(message.dropFirst(2).prefix(3)) else {
+            return .info
+        }
+        if status >= 500 {
+            return .error
+        }
+        return status >= 400 ? .warning : .info
+    }
+
     // MARK: - Token Cleanup Service
 
     private func startTokenCleanupTimer() {
@@ -341,6 +436,34 @@ final class WebServerManager {
             addLogMessage("Failed to cleanup expired tokens: \(error)", type: .warning)
         }
     }
+
+    // MARK: - Scheduled Publishing
+
+    private func startScheduledPublishTimer() {
+        // Post handlers also publish due posts before answering, so a post
+        // is listed as soon as its time comes; this covers quiet periods
+        scheduledPublishTimer = Timer.scheduledTimer(withTimeInterval: 60, repeats: true) { [weak self] _ in
+            self?.publishDuePosts()
+        }
+
+        publishDuePosts()
+    }
+
+    private func stopScheduledPublishTimer() {
+        scheduledPublishTimer?.invalidate()
+        scheduledPublishTimer = nil
+    }
+
+    /// Publish scheduled posts whose time has come
+    func publishDuePosts() {
+        do {
+            for post in try dataManager.publishDuePosts() {
+                addLogMessage("Scheduled post published: \(post.title)", type: .success)
+            }
+        } catch {
+            addLogMessage("Failed to publish scheduled posts: \(error)", type: .warning)
+        }
+    }
     
     // MARK: - API Route Handlers
 }
@@ -0,0 +1,148 @@
+//
+//  WebServerMediaHandlers.swift
+//  SwiftWebServerExample
+//
+//  Media library request handlers for the web server
+//
+
+import Foundation
+import SwiftWebServer
+
+extension WebServerManager {
+
+    // MARK: - Media Handlers
+
+    func handleGetMedia(_ req: Request, _ res: Response) {
+        guard mediaUser(req, res) != nil else {
+            return
+        }
+
+        // Every author picks from the same library
+        var items = dataManager.mediaItems
+        if req.query("type") == "image" {
+            items = items.filter { $0.isImage }
+        }
+
+        do {
+            let encoder = JSONEncoder()
+            encoder.dateEncodingStrategy = .iso8601
+            let jsonData = try encoder.encode(items.map { MediaResponse(from: $0) })
+            res.json(String(data: jsonData, encoding: .utf8) ?? "[]")
+        } catch {
+            res.internalServerError("Failed to encode media")
+        }
+    }
+
+    func handleUploadMedia(_ req: Request, _ res: Response) {
+        guard let user = mediaUser(req, res) else {
+            return
+        }
+
+        guard let parts = req.multipartParts else {
+            res.badRequest("Uploads must be sent as multipart/form-data")
+            return
+        }
+
+        do {
+            guard let file = parts.first(where: { $0.isFile && $0.name == "file" }) else {
+                throw MediaValidationError.fileRequired
+            }
+
+            // Drop parameters such as "; charset=utf-8"; browsers send no type for unknown files
+            let contentType = (file.contentType ?? "application/octet-stream")
+                .split(separator: ";").first
+                .map { $0.trimmingCharacters(in: .whitespaces).lowercased() } ?? ""
+            let item = try dataManager.createMediaItem(
+                filename: Self.sanitizedFilename(file.filename ?? ""),
+                contentType: contentType,
+                data: file.data,
+                uploader: user
+            )
+
+            let encoder = JSONEncoder()
+            encoder.dateEncodingStrategy = .iso8601
+            let jsonData = try encoder.encode(MediaResponse(from: item))
+            res.status(.created)
+                .header(.location, item.urlPath)
+                .json(String(data: jsonData, encoding: .utf8) ?? "{}")
+            addLogMessage("Media uploaded: \(item.filename) (\(item.size) bytes) by \(user.username)", type: .success)
+        } catch let error as MediaValidationError {
+            res.badRequest(error.localizedDescription)
+        } catch {
+            res.internalServerError("Failed to save upload")
+        }
+    }
+
+    func handleDeleteMedia(_ req: Request, _ res: Response) {
+        guard let user = mediaUser(req, res) else {
+            return
+        }
+
+        guard let idString = req.pathParameters["id"],
+              let id = UUID(uuidString: idString) else {
+            res.badRequest("Invalid media ID")
+            return
+        }
+
+        guard let item = dataManager.getMediaItem(by: id) else {
+            res.notFound("Media not found")
+            return
+        }
+
+        guard user.isAdmin || item.uploader?.id == user.id else {
+            res.forbidden("You can only delete your own uploads")
+            return
+        }
+
+        let filename = item.filename
+        do {
+            try dataManager.deleteMediaItem(item)
+            res.status(.noContent).send("")
+            addLogMessage("Media deleted: \(filename) by \(user.username)", type: .info)
+        } catch {
+            res.internalServerError("Failed to delete media")
+        }
+    }
+
+    /// Public: the file itself, as referenced from post bodies
+    func handleServeMedia(_ req: Request, _ res: Response) {
+        guard let idString = req.pathParameters["id"],
+              let id = UUID(uuidString: idString),
+              let item = dataManager.getMediaItem(by: id) else {
+            res.notFound("Media not found")
+            return
+        }
+
+        let contentType = ContentType(rawValue: item.contentType) ?? .applicationOctetStream
+        // A media id always names the same bytes
+        res.header(.cacheControl, "public, max-age=31536000, immutable")
+            .header("X-Content-Type-Options", "nosniff")
+            .send(data: item.data, contentType: contentType)
+    }
+
+    // MARK: - Media Helpers
+
+    /// The signed-in user when they may manage media; otherwise sends 401/403 and returns nil
+    private func mediaUser(_ req: Request, _ res: Response) -> User? {
+        guard let authToken = req.authToken,
+              let user = dataManager.getUserFromToken(authToken) else {
+            res.unauthorized("Authentication required")
+            return nil
+        }
+
+        guard user.canWritePosts else {
+            res.forbidden("Readers cannot manage media")
+            return nil
+        }
+        return user
+    }
+
+    /// The last path component, without characters that would break a Markdown reference
+    private static func sanitizedFilename(_ filename: String) -> String {
+        let name = (filename as NSString).lastPathComponent
+            .components(separatedBy: CharacterSet(charactersIn: "[]()<>\"\\\r\n"))
+            .joined()
+            .trimmingCharacters(in: .whitespaces)
+        return name.isEmpty ? "upload" : String(name.prefix(200))
+    }
+}
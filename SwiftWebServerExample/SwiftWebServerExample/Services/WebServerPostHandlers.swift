@@ -13,24 +13,33 @@ extension WebServerManager {
     // MARK: - Post Handlers
     
     func handleGetPosts(_ req: Request, _ res: Response) {
+        publishDuePosts()
         let publishedOnly = req.query("published") == "true"
-        let authorId = req.query("author")
         
-        var posts: [Post]
+        // Published posts are ordered by publish date, everything else by creation date
+        var posts = publishedOnly ? dataManager.getPublishedPosts() : dataManager.posts
+        let user = optionalUser(req)
+        posts = posts.filter { canView($0, as: user) }
         
-        if let authorIdString = authorId, let authorUUID = UUID(uuidString: authorIdString) {
+        if let authorIdString = req.query("author"), !authorIdString.isEmpty {
             // Get posts by specific author
-            guard let author = dataManager.getUser(by: authorUUID) else {
+            guard let authorUUID = UUID(uuidString: authorIdString),
+                  let author = dataManager.getUser(by: authorUUID) else {
                 res.badRequest("Invalid author ID")
                 return
             }
-            posts = dataManager.getPostsByAuthor(author)
-        } else if publishedOnly {
-            // Get only published posts
-            posts = dataManager.getPublishedPosts()
-        } else {
-            // Get all posts
-            posts = dataManager.posts
+            posts = posts.filter { $0.author?.id == author.id }
+        }
+        
+        guard let filteredPosts = filterPosts(posts, req, res) else {
+            return
+        }
+        posts = filteredPosts
+        
+        // Without page/limit the full list is returned as a plain array
+        if req.query("page") != nil || req.query("limit") != nil {
+            sendPostsPage(posts, req, res)
+            return
         }
         
         let response = posts.map { PostSummaryResponse(from: $0) }
@@ -46,6 +55,129 @@ extension WebServerManager {
         }
     }
     
+    /// Tags of published posts with their counts, most used first. With
+    /// `include_drafts=true`, authors and admins also get the tags of the
+    /// unpublished posts they can see (for autocomplete in the editor).
+    func handleGetTags(_ req: Request, _ res: Response) {
+        publishDuePosts()
+        let user = optionalUser(req)
+        let includeDrafts = req.query("include_drafts") == "true" && user?.canWritePosts == true
+        let posts = includeDrafts
+            ? dataManager.posts.filter { canView($0, as: user) }
+            : dataManager.getPublishedPosts()
+        
+        do {
+            let encoder = JSONEncoder()
+            let jsonData = try encoder.encode(dataManager.tagCounts(in: posts))
+            res.json(String(data: jsonData, encoding: .utf8) ?? "[]")
+        } catch {
+            res.internalServerError("Failed to encode tags")
+        }
+    }
+    
+    /// Narrow `posts` by the optional `status` (published/scheduled/draft),
+    /// `tag`, `q` (every term must appear in the title, excerpt or author name)
+    /// and `from`/`to` (inclusive yyyy-MM-dd dates, matched against the publish
+    /// or scheduled date or, for drafts, the creation date). Sends a 400 and
+    /// returns nil for bad values.
+    private func filterPosts(_ posts: [Post], _ req: Request, _ res: Response) -> [Post]? {
+        var posts = posts
+        
+        switch req.query("status") ?? "" {
+        case "":
+            break
+        case "published":
+            posts = posts.filter { $0.isPublished }
+        case "scheduled":
+            posts = posts.filter { $0.isScheduled }
+        case "draft":
+            posts = posts.filter { !$0.isPublished && !$0.isScheduled }
+        default:
+            res.badRequest("Invalid status: must be published, scheduled or draft")
+            return nil
+        }
+        
+        if let tag = req.query("tag").flatMap({ Post.normalizedTags([$0]).first }) {
+            posts = posts.filter { $0.tags.contains(tag) }
+        }
+        
+        // The query parser already turned "+" into spaces
+        let terms = (req.query("q") ?? "")
+            .lowercased()
+            .split { $0.isWhitespace }
+        if !terms.isEmpty {
+            posts = posts.filter { post in
+                let text = [post.title, post.excerpt, post.author?.fullName ?? "", post.author?.username ?? ""]
+                    .joined(separator: "\n")
+                    .lowercased()
+                return terms.allSatisfy { text.contains($0) }
+            }
+        }
+        
+        let dateFormatter = ISO8601DateFormatter()
+        dateFormatter.formatOptions = [.withFullDate]
+        
+        if let fromString = req.query("from"), !fromString.isEmpty {
+            guard let from = dateFormatter.date(from: fromString) else {
+                res.badRequest("Invalid from date: expected yyyy-MM-dd")
+                return nil
+            }
+            posts = posts.filter { ($0.publishedAt ?? $0.createdAt) >= from }
+        }
+        
+        if let toString = req.query("to"), !toString.isEmpty {
+            guard let to = dateFormatter.date(from: toString) else {
+                res.badRequest("Invalid to date: expected yyyy-MM-dd")
+                return nil
+            }
+            // Include the whole `to` day
+            let endOfDay = to.addingTimeInterval(24 * 60 * 60)
+            posts = posts.filter { ($0.publishedAt ?? $0.createdAt) < endOfDay }
+        }
+        
+        return posts
+    }
+    
+    private static let defaultPostsPageSize = 10
+    private static let maxPostsPageSize = 100
+    
+    /// Respond with one page of `posts` (already filtered and sorted) wrapped in
+    /// a `PaginatedPostsResponse`. `page` is 1-based; `limit` is capped at 100.
+    private func sendPostsPage(_ posts: [Post], _ req: Request, _ res: Response) {
+        let pageString = req.query("page") ?? "1"
+        let limitString = req.query("limit") ?? String(Self.defaultPostsPageSize)
+        
+        guard let page = Int(pageString), page >= 1 else {
+            res.badRequest("Invalid page: must be a positive integer")
+            return
+        }
+        guard let limit = Int(limitString), (1...Self.maxPostsPageSize).contains(limit) else {
+            res.badRequest("Invalid limit: must be between 1 and \(Self.maxPostsPageSize)")
+            return
+        }
+        
+        let total = posts.count
+        let pagePosts = posts.dropFirst((page - 1) * limit).prefix(limit)
+        let response = PaginatedPostsResponse(
+            posts: pagePosts.map { PostSummaryResponse(from: $0) },
+            page: page,
+            limit: limit,
+            total: total,
+            totalPages: max(1, (total + limit - 1) / limit),
+            hasMore: page * limit < total
+        )
+        
+        do {
+            let encoder = JSONEncoder()
+            encoder.dateEncodingStrategy = .iso8601
+            let jsonData = try encoder.encode(response)
+            let jsonString = String(data: jsonData, encoding: .utf8) ?? "{}"
+            res.json(jsonString)
+        } catch {
+            res.internalServerError("Failed to encode posts")
+        }
+    }
+    
     func handleCreatePost(_ req: Request, _ res: Response) {
         // Get authenticated user from token
         guard let authToken = req.authToken,
@@ -54,6 +186,11 @@ extension WebServerManager {
             return
         }
 
+        guard user.canWritePosts else {
+            res.forbidden("Readers cannot create posts")
+            return
+        }
+
         guard let jsonBody = req.jsonBody else {
             res.badRequest("Invalid request body")
             return
@@ -61,7 +198,9 @@ extension WebServerManager {
 
         do {
             let data = try JSONSerialization.data(withJSONObject: jsonBody)
-            let createRequest = try JSONDecoder().decode(CreatePostRequest.self, from: data)
+            let decoder = JSONDecoder()
+            decoder.dateDecodingStrategy = .iso8601
+            let createRequest = try decoder.decode(CreatePostRequest.self, from: data)
             let post = try dataManager.createPost(request: createRequest, author: user)
             let response = PostResponse(from: post)
             
@@ -74,6 +213,8 @@ extension WebServerManager {
             addLogMessage("Post created: \(post.title) by \(user.username)", type: .success)
         } catch let error as PostValidationError {
             res.badRequest(error.localizedDescription)
+        } catch let error as DecodingError {
+            res.badRequest(invalidPostDataMessage(error))
         } catch {
             res.internalServerError("Failed to create post")
         }
@@ -86,7 +227,8 @@ extension WebServerManager {
             return
         }
 
-        guard let post = dataManager.getPost(by: id) else {
+        publishDuePosts()
+        guard let post = dataManager.getPost(by: id), canView(post, as: optionalUser(req)) else {
             res.notFound("Post not found")
             return
         }
@@ -140,7 +282,7 @@ extension WebServerManager {
             addLogMessage("Warning: Post author relationship is nil for post \(post.id)", type: .warning)
         }
 
-        guard post.author?.id == user.id else {
+        guard user.canEdit(post) else {
             res.forbidden("You can only edit your own posts")
             return
         }
@@ -152,7 +294,9 @@ extension WebServerManager {
 
         do {
             let data = try JSONSerialization.data(withJSONObject: jsonBody)
-            let updateRequest = try JSONDecoder().decode(UpdatePostRequest.self, from: data)
+            let decoder = JSONDecoder()
+            decoder.dateDecodingStrategy = .iso8601
+            let updateRequest = try decoder.decode(UpdatePostRequest.self, from: data)
             try dataManager.updatePost(post, request: updateRequest)
             
             let response = PostResponse(from: post)
@@ -165,6 +309,8 @@ extension WebServerManager {
             addLogMessage("Post updated: \(post.title) by \(user.username)", type: .success)
         } catch let error as PostValidationError {
             res.badRequest(error.localizedDescription)
+        } catch let error as DecodingError {
+            res.badRequest(invalidPostDataMessage(error))
         } catch {
             res.internalServerError("Failed to update post")
         }
@@ -198,7 +344,7 @@ extension WebServerManager {
         // Debug logging
         addLogMessage("Delete post auth check - User ID: \(user.id), Post Author ID: \(post.author?.id.uuidString ?? "nil")", type: .info)
 
-        guard post.author?.id == user.id else {
+        guard user.canEdit(post) else {
             res.forbidden("You can only delete your own posts")
             return
         }
@@ -221,16 +367,22 @@ extension WebServerManager {
             return
         }
 
-        guard let post = dataManager.getPost(by: postId) else {
+        publishDuePosts()
+        let user = optionalUser(req)
+        guard let post = dataManager.getPost(by: postId), canView(post, as: user) else {
             res.notFound("Post not found")
             return
         }
         
-        let includeUnapproved = req.query("include_unapproved") == "true"
+        // Unapproved comments are only shown to users who can moderate them
+        let includeUnapproved = req.query("include_unapproved") == "true" &&
+            user?.canModerateComments(on: post) == true
         let comments = dataManager.getCommentsByPost(post, includeUnapproved: includeUnapproved)
         
         // Group comments with their replies
-        let commentsWithReplies = comments.map { CommentWithRepliesResponse(from: $0) }
+        let commentsWithReplies = comments.map {
+            CommentWithRepliesResponse(from: $0, includeUnapproved: includeUnapproved)
+        }
         
         do {
             let encoder = JSONEncoder()
@@ -243,6 +395,39 @@ extension WebServerManager {
         }
     }
     
+    /// Comments across every post the user moderates (every post for admins)
+    /// for the moderation queue, optionally filtered with `status=pending|approved|rejected`
+    func handleGetAllComments(_ req: Request, _ res: Response) {
+        guard let authToken = req.authToken,
+              let user = getUserFromToken(authToken) else {
+            res.unauthorized("Authentication required")
+            return
+        }
+
+        var status: CommentModerationStatus?
+        if let statusString = req.query("status"), !statusString.isEmpty {
+            guard let parsed = CommentModerationStatus(rawValue: statusString) else {
+                res.badRequest("Invalid status: must be pending, approved or rejected")
+                return
+            }
+            status = parsed
+        }
+        
+        let response = dataManager.getComments(status: status)
+            .filter { user.canModerateComments(on: $0.post) }
+            .map { CommentWithPostResponse(from: $0) }
+        
+        do {
+            let encoder = JSONEncoder()
+            encoder.dateEncodingStrategy = .iso8601
+            let jsonData = try encoder.encode(response)
+            let jsonString = String(data: jsonData, encoding: .utf8) ?? "[]"
+            res.json(jsonString)
+        } catch {
+            res.internalServerError("Failed to encode comments")
+        }
+    }
+    
     func handleCreateComment(_ req: Request, _ res: Response) {
         guard let authToken = req.authToken,
               let user = getUserFromToken(authToken) else {
@@ -256,6 +441,12 @@ extension WebServerManager {
             return
         }
 
+        publishDuePosts()
+        guard let post = dataManager.getPost(by: postId), canView(post, as: user) else {
+            res.notFound("Post not found")
+            return
+        }
+
         guard let jsonBody = req.jsonBody else {
             addLogMessage("❌ Comment creation failed: No request body", type: .error)
             res.badRequest("Invalid request body")
@@ -287,6 +478,7 @@ extension WebServerManager {
             let responseString = String(data: responseData, encoding: .utf8) ?? "{}"
 
             res.status(.created).json(responseString)
+            commentBroadcaster.publish(.created, comment)
             addLogMessage("Comment created on post \(postId) by \(user.username)", type: .success)
         } catch let error as CommentValidationError {
             addLogMessage("❌ Comment validation error: \(error.localizedDescription)", type: .error)
@@ -304,7 +496,9 @@ extension WebServerManager {
             return
         }
 
-        guard let comment = dataManager.getComment(by: id) else {
+        publishDuePosts()
+        guard let comment = dataManager.getComment(by: id),
+              comment.post.map({ canView($0, as: optionalUser(req)) }) ?? true else {
             res.notFound("Comment not found")
             return
         }
@@ -349,6 +543,7 @@ extension WebServerManager {
         do {
             let data = try JSONSerialization.data(withJSONObject: jsonBody)
             let updateRequest = try JSONDecoder().decode(UpdateCommentRequest.self, from: data)
+            let wasApproved = comment.isApproved
             try dataManager.updateComment(comment, request: updateRequest)
             
             let response = CommentResponse(from: comment)
@@ -358,6 +553,7 @@ extension WebServerManager {
             let responseString = String(data: responseData, encoding: .utf8) ?? "{}"
             
             res.json(responseString)
+            commentBroadcaster.publish(.updated, comment, wasApproved: wasApproved)
             addLogMessage("Comment updated by \(user.username)", type: .success)
         } catch let error as CommentValidationError {
             res.badRequest(error.localizedDescription)
@@ -378,17 +574,23 @@ extension WebServerManager {
             return
         }
 
-        // Check if user owns the comment
+        // Comments can be deleted by their author or moderated away by the post's author
         guard let authToken = req.authToken,
               let user = getUserFromToken(authToken),
-              comment.author?.id == user.id else {
-            res.forbidden("You can only delete your own comments")
+              comment.author?.id == user.id || user.canModerateComments(on: comment.post) else {
+            res.forbidden("You can only delete your own comments or comments on your posts")
             return
         }
         
+        let commentId = comment.id
+        let postId = comment.post?.id
+        
         do {
             try dataManager.deleteComment(comment)
             res.status(.noContent).send("")
+            if let postId = postId {
+                commentBroadcaster.publishDeletion(commentId: commentId, postId: postId)
+            }
             addLogMessage("Comment deleted by \(user.username)", type: .info)
         } catch {
             res.internalServerError("Failed to delete comment")
@@ -413,6 +615,11 @@ extension WebServerManager {
             return
         }
 
+        guard user.canModerateComments(on: comment.post) else {
+            res.forbidden("You can only moderate comments on your own posts")
+            return
+        }
+
         do {
             try dataManager.approveComment(comment)
 
@@ -423,12 +630,78 @@ extension WebServerManager {
             let responseString = String(data: responseData, encoding: .utf8) ?? "{}"
 
             res.json(responseString)
+            commentBroadcaster.publish(.approved, comment)
             addLogMessage("Comment approved by \(user.username)", type: .success)
         } catch {
             res.internalServerError("Failed to approve comment")
         }
     }
 
+    func handleRejectComment(_ req: Request, _ res: Response) {
+        guard let authToken = req.authToken,
+              let user = getUserFromToken(authToken) else {
+            res.unauthorized("Authentication required")
+            return
+        }
+
+        guard let idString = req.pathParameters["id"],
+              let id = UUID(uuidString: idString) else {
+            res.badRequest("Invalid comment ID")
+            return
+        }
+
+        guard let comment = dataManager.getComment(by: id) else {
+            res.notFound("Comment not found")
+            return
+        }
+
+        guard user.canModerateComments(on: comment.post) else {
+            res.forbidden("You can only moderate comments on your own posts")
+            return
+        }
+
+        do {
+            let wasApproved = comment.isApproved
+            try dataManager.rejectComment(comment)
+
+            let response = CommentResponse(from: comment)
+            let encoder = JSONEncoder()
+            encoder.dateEncodingStrategy = .iso8601
+            let responseData = try encoder.encode(response)
+            let responseString = String(data: responseData, encoding: .utf8) ?? "{}"
+
+            res.json(responseString)
+            commentBroadcaster.publish(.rejected, comment, wasApproved: wasApproved)
+            addLogMessage("Comment rejected by \(user.username)", type: .info)
+        } catch {
+            res.internalServerError("Failed to reject comment")
+        }
+    }
+
+    /// Stream comment changes on a post as Server-Sent Events. Readers get
+    /// approved comments only; with a token, the post's moderators also get
+    /// pending and rejected ones. Reconnects resume via Last-Event-ID or `?after=`.
+    func handleCommentStream(_ req: Request, _ res: Response) {
+        guard let postIdString = req.pathParameters["postId"],
+              let postId = UUID(uuidString: postIdString) else {
+            res.badRequest("Invalid post ID")
+            return
+        }
+
+        publishDuePosts()
+        let user = optionalUser(req)
+        guard let post = dataManager.getPost(by: postId), canView(post, as: user) else {
+            res.notFound("Post not found")
+            return
+        }
+
+        let canModerate = user?.canModerateComments(on: post) == true
+        let lastEventId = (req.header("Last-Event-ID") ?? req.query("after")).flatMap { Int($0) }
+        guard let stream = res.eventStream() else { return }
+
+        commentBroadcaster.subscribe(stream, postId: postId, canModerate: canModerate, after: lastEventId)
+    }
+
 
     
     // MARK: - Helper Methods
@@ -437,7 +710,46 @@ extension WebServerManager {
         return "{\"error\": \"\(message)\"}"
     }
 
+    /// A 400 message naming the field of a post body that failed to decode
+    private func invalidPostDataMessage(_ error: DecodingError) -> String {
+        let context: DecodingError.Context
+        switch error {
+        case .keyNotFound(let key, let keyContext):
+            let path = (keyContext.codingPath + [key]).map(\.stringValue).joined(separator: ".")
+            return "Invalid post data: \(path) is required"
+        case .typeMismatch(_, let errorContext), .valueNotFound(_, let errorContext), .dataCorrupted(let errorContext):
+            context = errorContext
+        @unknown default:
+            return "Invalid post data"
+        }
+        
+        guard let field = context.codingPath.first?.stringValue else {
+            return "Invalid post data: expected a JSON object"
+        }
+        if field == "publishedAt" {
+            return "Invalid post data: publishedAt must be an ISO 8601 date such as 2025-01-31T09:00:00Z"
+        }
+        let path = context.codingPath.map { $0.intValue.map { "[\($0)]" } ?? $0.stringValue }
+            .joined(separator: ".")
+            .replacingOccurrences(of: ".[", with: "[")
+        return "Invalid post data: \(path) has the wrong type"
+    }
+
+    /// Published posts are public. Drafts and scheduled posts are embargoed:
+    /// only their author and admins see them, everyone else gets a 404.
+    private func canView(_ post: Post, as user: User?) -> Bool {
+        return post.isPublished || user?.canEdit(post) == true
+    }
+
     private func getUserFromToken(_ token: String) -> User? {
         return dataManager.getUserFromToken(token)
     }
+
+    /// The signed-in user on routes that don't require authentication
+    private func optionalUser(_ req: Request) -> User? {
+        guard let header = req.header("Authorization"), header.hasPrefix("Bearer ") else {
+            return nil
+        }
+        return getUserFromToken(String(header.dropFirst("Bearer ".count)))
+    }
 }
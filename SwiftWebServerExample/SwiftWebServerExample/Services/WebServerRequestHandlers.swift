@@ -20,6 +20,15 @@ extension WebServerManager {
         return "{\"message\": \"\(message)\"}"
     }
 
+    /// `Response.json(_:)` uses a default JSONEncoder, which writes dates as
+    /// numbers; the API promises ISO 8601 strings everywhere
+    private func sendJSON<T: Encodable>(_ value: T, _ res: Response) throws {
+        let encoder = JSONEncoder()
+        encoder.dateEncodingStrategy = .iso8601
+        let data = try encoder.encode(value)
+        res.json(String(data: data, encoding: .utf8) ?? "{}")
+    }
+
     // MARK: - Health & Info Handlers
     
     func handleHealthCheck(_ req: Request, _ res: Response) {
@@ -74,6 +83,30 @@ extension WebServerManager {
         }
     }
     
+    func handleRoutes(_ req: Request, _ res: Response) {
+        do {
+            try res.json(APIRouteCatalog.describe(registeredRoutes))
+        } catch {
+            res.internalServerError("Failed to list routes")
+        }
+    }
+
+    func handleOpenAPI(_ req: Request, _ res: Response) {
+        let host = req.header("Host") ?? "localhost:\(currentPort)"
+        let document = OpenAPIDocument.build(
+            routes: APIRouteCatalog.describe(registeredRoutes),
+            serverURL: "http://\(host)"
+        )
+        
+        do {
+            let jsonData = try JSONSerialization.data(withJSONObject: document, options: [.prettyPrinted, .sortedKeys])
+            let jsonString = String(data: jsonData, encoding: .utf8) ?? "{}"
+            res.json(jsonString)
+        } catch {
+            res.internalServerError("Failed to generate OpenAPI document")
+        }
+    }
+    
     // MARK: - Authentication Handlers
     
     func handleLogin(_ req: Request, _ res: Response) {
@@ -103,7 +136,7 @@ extension WebServerManager {
                     let response = LoginResponse(authToken: authToken, user: user)
 
                     // Using Bearer token authentication - no cookies needed
-                    try res.json(response)
+                    try sendJSON(response, res)
                     addLogMessage("User \(user.username) logged in with token \(authToken.token.prefix(10))...", type: .success)
                 } catch {
                     print("Login error: \(error)")
@@ -134,6 +167,56 @@ extension WebServerManager {
         addLogMessage("User logged out", type: .info)
     }
 
+    func handleRefreshToken(_ req: Request, _ res: Response) {
+        guard let jsonBody = req.jsonBody else {
+            res.badRequest("Invalid request body")
+            return
+        }
+
+        let refreshRequest: RefreshTokenRequest
+        do {
+            let data = try JSONSerialization.data(withJSONObject: jsonBody)
+            refreshRequest = try JSONDecoder().decode(RefreshTokenRequest.self, from: data)
+        } catch {
+            res.badRequest("Invalid request format")
+            return
+        }
+
+        do {
+            let authToken = try dataManager.refreshAuthToken(refreshRequest.refreshToken, deviceInfo: req.header("User-Agent"))
+            guard let user = authToken.user else {
+                res.internalServerError("Failed to refresh authentication token")
+                return
+            }
+
+            try sendJSON(LoginResponse(authToken: authToken, user: user), res)
+            addLogMessage("Auth token refreshed for user \(user.username)", type: .info)
+        } catch let error as AuthTokenError {
+            // Distinct from TOKEN_INVALID so clients know to log in again rather than refresh
+            try? res.status(.unauthorized).json([
+                "error": error.localizedDescription,
+                "code": "REFRESH_INVALID"
+            ])
+            addLogMessage("Token refresh rejected: \(error.localizedDescription)", type: .warning)
+        } catch {
+            res.internalServerError("Failed to refresh authentication token")
+        }
+    }
+
+    func handleCurrentUser(_ req: Request, _ res: Response) {
+        guard let token = req.authToken,
+              let user = dataManager.getUserFromToken(token) else {
+            res.unauthorized("Invalid token")
+            return
+        }
+
+        do {
+            try sendJSON(CurrentUserResponse(from: user), res)
+        } catch {
+            res.internalServerError("Failed to encode user")
+        }
+    }
+
     func handleTokenInfo(_ req: Request, _ res: Response) {
         guard let token = req.authToken,
               let authToken = dataManager.validateAuthToken(token) else {
@@ -151,7 +234,8 @@ extension WebServerManager {
                 "id": authToken.user?.id.uuidString ?? "",
                 "username": authToken.user?.username ?? "",
                 "firstName": authToken.user?.firstName ?? "",
-                "lastName": authToken.user?.lastName ?? ""
+                "lastName": authToken.user?.lastName ?? "",
+                "role": authToken.user?.role.rawValue ?? ""
             ]
         ] as [String : Any]
 
@@ -181,6 +265,8 @@ extension WebServerManager {
     }
     
     func handleCreateUser(_ req: Request, _ res: Response) {
+        guard requireAdmin(req, res, to: "manage users") != nil else { return }
+
         guard let jsonBody = req.jsonBody else {
             res.badRequest("Invalid request body")
             return
@@ -233,6 +319,8 @@ extension WebServerManager {
     }
     
     func handleUpdateUser(_ req: Request, _ res: Response) {
+        guard requireAdmin(req, res, to: "manage users") != nil else { return }
+
         guard let idString = req.pathParameters["id"],
               let id = UUID(uuidString: idString) else {
             res.badRequest("Invalid user ID")
@@ -272,6 +360,8 @@ extension WebServerManager {
     }
     
     func handleDeleteUser(_ req: Request, _ res: Response) {
+        guard requireAdmin(req, res, to: "manage users") != nil else { return }
+
         guard let idString = req.pathParameters["id"],
               let id = UUID(uuidString: idString) else {
             res.badRequest("Invalid user ID")
@@ -287,14 +377,66 @@ extension WebServerManager {
             try dataManager.deleteUser(user)
             res.status(.noContent).send("")
             addLogMessage("User deleted: \(user.username)", type: .info)
+        } catch let error as DataManagerError {
+            res.conflict(error.localizedDescription)
         } catch {
             res.internalServerError("Failed to delete user")
         }
     }
     
+    /// The signed-in admin, or nil once a 401/403 has been sent
+    private func requireAdmin(_ req: Request, _ res: Response, to action: String) -> User? {
+        guard let token = req.authToken,
+              let user = dataManager.getUserFromToken(token) else {
+            res.unauthorized("Authentication required")
+            return nil
+        }
+
+        guard user.isAdmin else {
+            res.forbidden("Only admins can \(action)")
+            return nil
+        }
+
+        return user
+    }
+    
     // MARK: - Admin Handlers
     
     func handleAdminStats(_ req: Request, _ res: Response) {
+        guard requireAdmin(req, res, to: "view site statistics") != nil else { return }
+        
+        let topPostsLimit = 10
+        let commentDays = 14
+        let timestampFormatter = ISO8601DateFormatter()
+        let dayFormatter = ISO8601DateFormatter()
+        dayFormatter.formatOptions = [.withFullDate]
+        
+        let requestsPerMinute = requestMetrics.requestsPerMinute().map { bucket in
+            ["minute": timestampFormatter.string(from: bucket.minute), "count": bucket.count] as [String: Any]
+        }
+        
+        let topPosts = dataManager.posts
+            .sorted { $0.viewCount > $1.viewCount }
+            .prefix(topPostsLimit)
+            .map { post in
+                [
+                    "id": post.id.uuidString,
+                    "title": post.title,
+                    "views": post.viewCount,
+                    "comments": post.publishedCommentsCount,
+                    "published": post.isPublished
+                ] as [String: Any]
+            }
+        
+        // Comments per UTC day, oldest first, including days without any
+        let now = Date()
+        let commentCounts = Dictionary(grouping: dataManager.comments) { dayFormatter.string(from: $0.createdAt) }
+            .mapValues { $0.count }
+        let commentsPerDay = (0..<commentDays).reversed().map { daysAgo -> [String: Any] in
+            let day = dayFormatter.string(from: now.addingTimeInterval(-Double(daysAgo) * 24 * 60 * 60))
+            return ["date": day, "count": commentCounts[day] ?? 0]
+        }
+        
         let stats = [
             "users": [
                 "total": dataManager.totalUsers,
@@ -303,12 +445,16 @@ extension WebServerManager {
             "posts": [
                 "total": dataManager.totalPosts,
                 "published": dataManager.publishedPosts,
-                "draft": dataManager.totalPosts - dataManager.publishedPosts
+                "draft": dataManager.totalPosts - dataManager.publishedPosts,
+                "views": dataManager.posts.reduce(0) { $0 + $1.viewCount },
+                "top": Array(topPosts)
             ],
             "comments": [
                 "total": dataManager.totalComments,
                 "approved": dataManager.approvedComments,
-                "pending": dataManager.totalComments - dataManager.approvedComments
+                "pending": dataManager.pendingComments,
+                "rejected": dataManager.rejectedComments,
+                "per_day": commentsPerDay
             ],
             "auth_tokens": [
                 "total": dataManager.totalAuthTokens,
@@ -319,6 +465,10 @@ extension WebServerManager {
                 "uptime": isRunning ? "running" : "stopped",
                 "port": currentPort,
                 "log_messages": logMessages.count
+            ],
+            "traffic": [
+                "total_requests": requestMetrics.totalRequests,
+                "requests_per_minute": requestsPerMinute
             ]
         ] as [String : Any]
         
@@ -330,6 +480,17 @@ extension WebServerManager {
             res.internalServerError("Failed to generate stats")
         }
     }
+
+    /// Stream log messages as Server-Sent Events. Clients resume after the
+    /// last id they saw via `?after=` or the Last-Event-ID header.
+    func handleLogStream(_ req: Request, _ res: Response) {
+        guard requireAdmin(req, res, to: "view server logs") != nil else { return }
+
+        let lastEventId = (req.header("Last-Event-ID") ?? req.query("after")).flatMap { Int($0) }
+        guard let stream = res.eventStream() else { return }
+
+        logBroadcaster.subscribe(stream, after: lastEventId)
+    }
 }
 
 // MARK: - Request/Response Models
@@ -339,4 +500,8 @@ struct LoginRequest: Codable {
     let password: String
 }
 
+struct RefreshTokenRequest: Codable {
+    let refreshToken: String
+}
+
 
@@ -29,6 +29,9 @@ struct UsersManagementSheet: View {
                             Text("Posts: \(user.posts.count)")
                                 .font(.caption)
                                 .foregroundColor(.secondary)
+                            Text("Role: \(user.role.rawValue.capitalized)")
+                                .font(.caption)
+                                .foregroundColor(.secondary)
                             Spacer()
                             Text("Active: \(user.isActive ? "Yes" : "No")")
                                 .font(.caption)
@@ -93,9 +96,9 @@ struct PostsManagementSheet: View {
                                 .font(.caption)
                                 .foregroundColor(.secondary)
                             Spacer()
-                            Text(post.isPublished ? "Published" : "Draft")
+                            Text(post.isPublished ? "Published" : post.isScheduled ? "Scheduled" : "Draft")
                                 .font(.caption)
-                                .foregroundColor(post.isPublished ? .green : .orange)
+                                .foregroundColor(post.isPublished ? .green : post.isScheduled ? .blue : .orange)
                         }
                     }
                     .padding(.vertical, 4)
@@ -152,9 +155,9 @@ struct CommentsManagementSheet: View {
                                         .foregroundColor(.secondary)
                                 }
                                 Spacer()
-                                Text(comment.isApproved ? "Approved" : "Pending")
+                                Text(comment.moderationStatus.rawValue.capitalized)
                                     .font(.caption)
-                                    .foregroundColor(comment.isApproved ? .green : .orange)
+                                    .foregroundColor(comment.isApproved ? .green : comment.isRejected ? .red : .orange)
                             }
                         }
                         .padding(.vertical, 4)
@@ -0,0 +1,162 @@
+// SwiftWebServer Accessibility Helpers
+//
+// Keyboard and screen reader support shared by the pages: a focus trap for
+// modals, roving focus for lists of post cards, and live regions that
+// announce loading and errors that would otherwise only change the screen.
+// Announcements use the `.visually-hidden` class from the page stylesheet.
+
+const FOCUSABLE = [
+    'a[href]',
+    'button:not([disabled])',
+    'input:not([disabled]):not([type="hidden"])',
+    'select:not([disabled])',
+    'textarea:not([disabled])',
+    '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+const liveRegions = {};
+
+/**
+ * Keep Tab and Shift+Tab cycling through the focusable elements of
+ * `container`. Call it from a keydown handler; other keys are ignored.
+ *
+ * @param {KeyboardEvent} event
+ * @param {HTMLElement} container
+ */
+export function trapFocus(event, container) {
+    if (event.key !== 'Tab') return;
+
+    const focusable = [...container.querySelectorAll(FOCUSABLE)]
+        .filter(element => element.getClientRects().length > 0);
+    if (focusable.length === 0) {
+        event.preventDefault();
+        return;
+    }
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const outside = !container.contains(document.activeElement);
+    if (event.shiftKey && (outside || document.activeElement === first || document.activeElement === container)) {
+        event.preventDefault();
+        last.focus();
+    } else if (!event.shiftKey && (outside || document.activeElement === last)) {
+        event.preventDefault();
+        first.focus();
+    }
+}
+
+/**
+ * Make the items of a list a single Tab stop. Arrow keys move between items
+ * (Up and Down by row, so grids work too), Home and End jump to the ends,
+ * Page Up and Page Down step like in an ARIA feed, and Enter or Space click
+ * the focused item. Links and buttons inside an item keep their own keys.
+ * The list may be re-rendered at any time; the Tab stop stays on the same
+ * item while it is still there.
+ *
+ * @param {HTMLElement} container
+ * @param {string} itemSelector - Matches the items among the container's descendants
+ */
+export function rovingFocus(container, itemSelector) {
+    let current = null;
+
+    function items() {
+        return [...container.querySelectorAll(itemSelector)];
+    }
+
+    function sync() {
+        const all = items();
+        if (!all.includes(current)) {
+            current = all[0] || null;
+        }
+        all.forEach(item => {
+            item.tabIndex = item === current ? 0 : -1;
+        });
+    }
+
+    container.addEventListener('focusin', event => {
+        const item = event.target.closest(itemSelector);
+        if (item && item !== current && container.contains(item)) {
+            current = item;
+            sync();
+        }
+    });
+
+    container.addEventListener('keydown', event => {
+        if (!event.target.matches(itemSelector) || event.metaKey || event.ctrlKey || event.altKey) return;
+
+        const all = items();
+        const index = all.indexOf(event.target);
+        const columns = columnCount(all);
+        let next;
+        switch (event.key) {
+            case 'ArrowRight':
+            case 'PageDown':
+                next = all[index + 1];
+                break;
+            case 'ArrowLeft':
+            case 'PageUp':
+                next = all[index - 1];
+                break;
+            case 'ArrowDown':
+                next = all[Math.min(index + columns, all.length - 1)];
+                break;
+            case 'ArrowUp':
+                next = all[Math.max(index - columns, 0)];
+                break;
+            case 'Home':
+                next = all[0];
+                break;
+            case 'End':
+                next = all[all.length - 1];
+                break;
+            case 'Enter':
+            case ' ':
+                event.target.click();
+                break;
+            default:
+                return;
+        }
+        event.preventDefault();
+
+        if (next) {
+            current = next;
+            sync();
+            next.focus();
+        }
+    });
+
+    new MutationObserver(sync).observe(container, { childList: true, subtree: true });
+    sync();
+}
+
+/**
+ * Read `message` out to screen reader users without moving focus.
+ *
+ * @param {string} message
+ * @param {{assertive?: boolean}} [options] - Interrupt whatever is being read (for errors)
+ */
+export function announce(message, { assertive = false } = {}) {
+    const region = getLiveRegion(assertive ? 'alert' : 'status');
+    // Clearing first makes a repeated message count as a change
+    region.textContent = '';
+    setTimeout(() => {
+        region.textContent = message;
+    }, 50);
+}
+
+function getLiveRegion(role) {
+    if (!liveRegions[role]) {
+        const region = document.createElement('div');
+        region.className = 'visually-hidden';
+        region.setAttribute('role', role);
+        document.body.appendChild(region);
+        liveRegions[role] = region;
+    }
+    return liveRegions[role];
+}
+
+// Items sharing the first item's row
+function columnCount(items) {
+    const top = items[0]?.offsetTop;
+    return Math.max(items.filter(item => item.offsetTop === top).length, 1);
+}
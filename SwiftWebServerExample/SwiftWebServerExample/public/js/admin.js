@@ -1,20 +1,50 @@
 // SwiftWebServer Admin JavaScript
 
+import {
+    getAuthToken,
+    clearAuthToken,
+    onTokenInvalid,
+    canRefreshSession,
+    refreshSession,
+    startSessionRefresh,
+    openEventStream,
+    auth as authApi,
+    posts as postsApi,
+    tags as tagsApi,
+    comments as commentsApi,
+    users as usersApi,
+    media as mediaApi,
+    system as systemApi
+} from './api.js';
+import { renderMarkdown } from './markdown.js';
+import { lineChart, columnChart, barChart } from './charts.js';
+import { createSearchIndex, searchIndex, highlightMatches } from './search.js';
+import { createRouter } from './router.js';
+import { showToast, confirmDialog, withUndo } from './notify.js';
+import { trapFocus, rovingFocus, announce } from './a11y.js';
+import { initI18n, initLocaleSwitcher, t, formatDate, formatNumber } from './i18n.js';
+import { initThemeToggle } from './theme.js';
+
 let authToken = null;
 let currentUser = null;
-let API_BASE = ''; // Will be loaded from config
+// What the signed-in user's role allows; see the Permissions typedef in api.js
+let permissions = { manageUsers: false, writePosts: false, moderateAllPosts: false, viewServerLogs: false, viewStats: false };
 
 // Initialize the admin page
 document.addEventListener('DOMContentLoaded', async function() {
-    // Load configuration first
-    await loadConfig();
+    await initI18n();
+    initLocaleSwitcher(document.getElementById('locale-switcher'));
+    initThemeToggle(document.getElementById('theme-toggle'), { label: mode => t(`common.theme.${mode}`) });
+
+    // Any request rejected with TOKEN_INVALID ends the session
+    onTokenInvalid(handleTokenExpired);
 
     // Check for existing auth token in localStorage
-    authToken = localStorage.getItem('auth_token');
+    authToken = getAuthToken();
     if (!authToken) {
         // If no auth token, redirect to login
         console.log('No auth token found, redirecting to login');
-        window.location.href = '/login';
+        redirectToLogin();
         return;
     }
 
@@ -24,34 +54,97 @@ document.addEventListener('DOMContentLoaded', async function() {
     if (!isValid) {
         console.log('Auth token invalid, redirecting to login');
         // Clear invalid token
-        localStorage.removeItem('auth_token');
-        window.location.href = '/login';
+        clearAuthToken();
+        redirectToLogin();
         return;
     }
 
+    // Renew the token in the background so the session outlives its hour
+    startSessionRefresh();
+
     // Show user info and load initial data
-    showUserInfo();
+    await loadCurrentUser();
+    initPostFilters();
+    initMediaUploaders();
+    initTagEditors();
+    // The posts are one Tab stop; arrow keys move between them
+    rovingFocus(document.getElementById('posts-list'), '.post-item[data-post-id]');
     loadPosts();
-});
 
-// Load configuration from frontend server
-async function loadConfig() {
-    try {
-        const response = await fetch('/config.json');
-        if (response.ok) {
-            const config = await response.json();
-            API_BASE = config.apiBase || config.backendUrl || 'http://localhost:8080';
-        } else {
-            API_BASE = 'http://localhost:8080';
-        }
-    } catch (error) {
-        console.log('Using fallback API base');
-        API_BASE = 'http://localhost:8080';
-    }
-}
+    // Open the view the URL points at
+    router.start();
+
+    // Keep the pending comments badge current
+    refreshPendingCount();
+    setInterval(refreshPendingCount, PENDING_POLL_INTERVAL_MS);
+});
 
 // Global variables for post management
 let currentPostId = null;
+let currentPost = null;
+// Where focus was before the post modal opened, to go back to on close
+let postModalReturnFocus = null;
+
+// Posts list paging. Refreshing the list reloads every page already shown.
+const POSTS_PAGE_SIZE = 20;
+const MAX_POSTS_LIMIT = 100;
+let loadedPages = 1;
+let isLoadingMore = false;
+// Each list load gets the next id; responses for anything but the latest
+// are dropped, so a slow load can't overwrite one for newer filters
+let listRequestId = 0;
+let shownListId = 0;
+// IDs of deleted posts whose Undo toast is still showing
+const pendingPostDeletes = new Set();
+
+// Post list filters, mirrored in the page URL (?q=&status=&author=&from=&to=)
+const FILTER_KEYS = ['q', 'status', 'author', 'from', 'to'];
+const SEARCH_DEBOUNCE_MS = 300;
+let postFilters = {};
+let searchTimer = null;
+
+// Post editors. In-progress text is autosaved to localStorage under the
+// post's ID ('new' for the create form) so a closed tab or an expired
+// session does not lose it.
+const DRAFT_STORAGE_PREFIX = 'post_draft:';
+const NEW_POST_DRAFT_ID = 'new';
+const AUTOSAVE_INTERVAL_MS = 5000;
+const WORDS_PER_MINUTE = 200;
+
+const EDITORS = {
+    create: {
+        title: 'new-post-title',
+        content: 'new-post-content',
+        preview: 'new-post-preview',
+        stats: 'new-post-stats',
+        status: 'new-post-autosave-status',
+        banner: 'new-post-draft-banner',
+        tags: 'new-post-tags',
+        tagInput: 'new-post-tag-input',
+        dropzone: 'new-post-dropzone',
+        fileInput: 'new-post-file-input',
+        uploads: 'new-post-uploads',
+        library: 'new-post-media-library'
+    },
+    edit: {
+        title: 'edit-post-title',
+        content: 'edit-post-content',
+        preview: 'edit-post-preview',
+        stats: 'edit-post-stats',
+        status: 'edit-post-autosave-status',
+        banner: 'edit-post-draft-banner',
+        tags: 'edit-post-tags',
+        tagInput: 'edit-post-tag-input',
+        dropzone: 'edit-post-dropzone',
+        fileInput: 'edit-post-file-input',
+        uploads: 'edit-post-uploads',
+        library: 'edit-post-media-library'
+    }
+};
+
+// Editor name -> { draftId, baseline, lastSaved } for every open editor
+const openEditors = {};
+let autosaveTimer = null;
 
 // Authentication
 async function validateAuthToken() {
@@ -61,43 +154,23 @@ async function validateAuthToken() {
 
     try {
         console.log('Validating auth token with backend...');
-        const response = await fetch(`${API_BASE}/api/auth/token-info`, {
-            method: 'GET',
-            headers: {
-                'Authorization': `Bearer ${authToken}`
-            }
-        });
-
-        console.log('Auth validation response status:', response.status);
-
-        if (response.ok) {
-            const tokenInfo = await response.json();
-            console.log('Token info:', tokenInfo);
-
-            // Check if token is expired or about to expire (within 5 minutes)
-            const expiresIn = tokenInfo.expiresIn;
-            if (expiresIn <= 0) {
-                console.log('Token has expired');
-                handleTokenExpired();
-                return false;
-            } else if (expiresIn <= 300) { // 5 minutes
-                console.log(`Token expires in ${Math.floor(expiresIn / 60)} minutes`);
-                showTokenExpirationWarning(expiresIn);
-            }
+        const tokenInfo = await authApi.tokenInfo();
 
-            console.log('Auth token is valid');
-            return true;
-        } else {
-            const errorData = await response.json().catch(() => ({}));
-            if (errorData.code === 'TOKEN_INVALID') {
-                console.log('Token is invalid or expired');
-                handleTokenExpired();
-            } else {
-                console.log('Auth token validation failed');
-            }
+        // Check if token is expired or about to expire (within 5 minutes)
+        const expiresIn = tokenInfo.expiresIn;
+        if (expiresIn <= 0) {
+            console.log('Token has expired');
+            handleTokenExpired();
             return false;
+        } else if (expiresIn <= 300 && !canRefreshSession()) { // 5 minutes, and no silent refresh coming
+            console.log(`Token expires in ${Math.floor(expiresIn / 60)} minutes`);
+            showTokenExpirationWarning(expiresIn);
         }
+
+        console.log('Auth token is valid');
+        return true;
     } catch (error) {
+        // TOKEN_INVALID responses are routed to handleTokenExpired() by the API client
         console.error('Error validating auth token:', error);
         return false;
     }
@@ -107,16 +180,25 @@ async function validateAuthToken() {
 function handleTokenExpired() {
     console.log('Handling token expiration...');
 
+    // Keep whatever is being written so it can be restored after login
+    saveAllDrafts();
+
     // Clear token from localStorage
-    localStorage.removeItem('auth_token');
+    clearAuthToken();
     authToken = null;
     currentUser = null;
 
-    // Show user-friendly message
-    alert('Your session has expired. Please log in again.');
+    // Redirect to login, which explains why the user is back there
+    redirectToLogin({ expired: true });
+}
 
-    // Redirect to login
-    window.location.href = '/login';
+// Send the user to the login page, which brings them back to this view
+function redirectToLogin({ expired = false } = {}) {
+    const params = new URLSearchParams({ next: window.location.pathname + window.location.search });
+    if (expired) {
+        params.set('expired', '1');
+    }
+    window.location.href = `/login?${params}`;
 }
 
 // Show token expiration warning
@@ -129,87 +211,44 @@ function showTokenExpirationWarning(expiresIn) {
     if (!warningBanner) {
         warningBanner = document.createElement('div');
         warningBanner.id = 'token-warning-banner';
-        warningBanner.style.cssText = `
-            position: fixed;
-            top: 0;
-            left: 0;
-            right: 0;
-            background: #ff9500;
-            color: white;
-            padding: 10px;
-            text-align: center;
-            z-index: 1000;
-            font-weight: bold;
-        `;
+        warningBanner.className = 'session-warning';
         document.body.insertBefore(warningBanner, document.body.firstChild);
     }
 
     warningBanner.innerHTML = `
-        ⚠️ Your session expires in ${minutes}:${seconds.toString().padStart(2, '0')}.
-        <button onclick="refreshToken()" style="margin-left: 10px; padding: 5px 10px; background: white; color: #ff9500; border: none; border-radius: 3px; cursor: pointer;">
-            Extend Session
+        ${t('admin.session.expiresIn', { time: `${minutes}:${seconds.toString().padStart(2, '0')}` })}
+        <button class="session-warning-btn" onclick="refreshToken()">
+            ${t('admin.session.extend')}
         </button>
     `;
 }
 
-// Refresh/extend token (placeholder - would need backend support)
+// Exchange the refresh token for a new token pair
 async function refreshToken() {
-    // For now, just validate the token again
-    const isValid = await validateAuthToken();
-    if (isValid) {
-        // Remove warning banner
-        const warningBanner = document.getElementById('token-warning-banner');
-        if (warningBanner) {
-            warningBanner.remove();
-        }
-        alert('Session refreshed successfully!');
-    }
-}
-
-// Enhanced fetch wrapper that handles token expiration
-async function authenticatedFetch(url, options = {}) {
-    // Add auth header if token exists
-    if (authToken) {
-        options.headers = {
-            ...options.headers,
-            'Authorization': `Bearer ${authToken}`
-        };
-    }
-
     try {
-        const response = await fetch(url, options);
-
-        // Check for token expiration
-        if (response.status === 401) {
-            const errorData = await response.json().catch(() => ({}));
-            if (errorData.code === 'TOKEN_INVALID') {
-                handleTokenExpired();
-                return null;
-            }
-        }
-
-        return response;
+        await refreshSession();
     } catch (error) {
-        console.error('Fetch error:', error);
-        throw error;
+        console.error('Error refreshing session:', error);
+        handleTokenExpired();
+        return;
     }
+
+    // Remove warning banner
+    const warningBanner = document.getElementById('token-warning-banner');
+    if (warningBanner) {
+        warningBanner.remove();
+    }
+    showToast(t('admin.session.extended'), { type: 'success' });
 }
 
 async function logout() {
     try {
-        await fetch(`${API_BASE}/api/auth/logout`, {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${authToken}`
-            },
-
-        });
+        // Revokes the token on the backend and clears it from localStorage
+        await authApi.logout();
     } catch (error) {
         console.error('Logout error:', error);
     }
-    
-    // Clear token from localStorage
-    localStorage.removeItem('auth_token');
+
     authToken = null;
     currentUser = null;
 
@@ -217,395 +256,2101 @@ async function logout() {
     window.location.href = '/login';
 }
 
+// Fetch the signed-in user and their role's permissions, then show only the
+// controls the backend would accept
+async function loadCurrentUser() {
+    try {
+        const me = await authApi.me();
+        currentUser = me.user;
+        permissions = me.permissions;
+    } catch (error) {
+        console.error('Error loading current user:', error);
+    }
+
+    showUserInfo();
+    applyPermissions();
+}
+
 function showUserInfo() {
     const userInfoDiv = document.getElementById('user-info');
     const userNameSpan = document.getElementById('user-name');
+    const userRoleSpan = document.getElementById('user-role');
     
-    if (authToken) {
+    if (authToken && currentUser) {
         userInfoDiv.style.display = 'flex';
-        userNameSpan.textContent = 'Welcome, Admin!';
+        userNameSpan.textContent = t('admin.welcome', { name: currentUser.fullName });
+        userRoleSpan.textContent = t(`admin.role.${currentUser.role}`);
     } else {
         userInfoDiv.style.display = 'none';
     }
 }
 
-// Posts Management
-async function loadPosts() {
-    try {
-        const response = await fetch(`${API_BASE}/api/posts`, {
-            headers: {
-                'Authorization': `Bearer ${authToken}`
-            },
+function applyPermissions() {
+    document.getElementById('create-post-btn').style.display = permissions.writePosts ? '' : 'none';
+    document.getElementById('moderation-btn').style.display = canModerateAnything() ? '' : 'none';
+    document.getElementById('users-btn').style.display = permissions.manageUsers ? '' : 'none';
+    document.getElementById('dashboard-btn').style.display = permissions.viewStats ? '' : 'none';
+    document.getElementById('logs-btn').style.display = permissions.viewServerLogs ? '' : 'none';
+    if ((!permissions.manageUsers && isSectionOpen('users-section')) ||
+        (!permissions.viewStats && isSectionOpen('dashboard-section')) ||
+        (!permissions.viewServerLogs && isSectionOpen('logs-section'))) {
+        router.navigate(postsUrl(), { replace: true });
+    }
+    if (!permissions.writePosts) {
+        document.getElementById('create-post-form').style.display = 'none';
+    }
+}
 
-        });
+// Authors moderate comments on their own posts; readers have none
+function canModerateAnything() {
+    return permissions.moderateAllPosts || permissions.writePosts;
+}
 
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
+// Accepts a post summary (authorId) or a full post (author)
+function canEditPost(post) {
+    if (!post || !currentUser) return false;
+    const authorId = post.authorId ?? post.author?.id;
+    return permissions.moderateAllPosts || authorId === currentUser.id;
+}
 
-        const posts = await response.json();
+// A 403 means the UI offered something the role doesn't allow (or the role
+// changed since the page loaded): say so, and re-sync the controls.
+// `key` names the message for any other error, e.g. 'admin.error.deletePost'.
+function describeError(error, key) {
+    if (error.status === 403) {
+        loadCurrentUser();
+        return t('admin.permissionDenied', { error: error.message });
+    }
+    return t(key, { error: error.message });
+}
+
+// Posts Management
+async function loadPosts() {
+    const requestId = ++listRequestId;
+    try {
+        const limit = Math.min(loadedPages * POSTS_PAGE_SIZE, MAX_POSTS_LIMIT);
+        const result = await postsApi.list({ ...postFilters, page: 1, limit });
+        if (requestId !== listRequestId) return;
 
+        shownListId = requestId;
         const postsList = document.getElementById('posts-list');
         postsList.innerHTML = '';
 
-        // Check if posts is an array or if it's wrapped in an object
-        const postsArray = Array.isArray(posts) ? posts : (posts.posts || posts.data || []);
+        const postsArray = result.posts;
+        loadedPages = Math.max(1, Math.ceil(postsArray.length / POSTS_PAGE_SIZE));
+        updateLoadMore(result.hasMore);
 
-        if (postsArray.length === 0) {
-            postsList.innerHTML = `
-                <div class="post-item">
-                    <div class="post-header">
-                        <h3 class="post-title">No posts found</h3>
-                    </div>
-                    <p class="post-excerpt">Create your first post to get started!</p>
-                </div>
-            `;
-            return;
-        }
+        renderPosts(postsArray);
 
-        postsArray.forEach(post => {
-            const postElement = document.createElement('div');
-            postElement.className = 'post-item';
-            postElement.onclick = () => openPostModal(post.id);
+    } catch (error) {
+        if (requestId !== listRequestId) return;
+        console.error('Error loading posts:', error);
 
-            // Use excerpt from PostSummaryResponse (content is not available in summary)
-            const excerpt = post.excerpt || 'No excerpt available';
+        // Filtering still works against the full list if only the search failed
+        if (hasPostFilters() && await filterPostsLocally(requestId)) {
+            return;
+        }
+        if (requestId !== listRequestId) return;
 
-            postElement.innerHTML = `
+        updateLoadMore(false);
+        const postsList = document.getElementById('posts-list');
+        postsList.innerHTML = `
+            <div class="post-item">
                 <div class="post-header">
-                    <h3 class="post-title">${escapeHtml(post.title || 'Untitled')}</h3>
-                    <span class="post-status ${post.isPublished ? 'status-published' : 'status-draft'}">
-                        ${post.isPublished ? 'Published' : 'Draft'}
-                    </span>
-                </div>
-                <p class="post-excerpt">${escapeHtml(excerpt)}</p>
-                <div class="post-meta">
-                    <div class="post-stats">
-                        <span>👁️ ${post.viewCount || 0} views</span>
-                        <span>💬 ${post.commentsCount || 0} comments</span>
-                        <span>⏱️ ${post.readingTime || 1} min read</span>
-                    </div>
-                    <div class="post-date">
-                        ${post.isPublished && post.publishedAt
-                            ? `Published: ${new Date(post.publishedAt).toLocaleDateString()}`
-                            : post.createdAt
-                                ? `Created: ${new Date(post.createdAt).toLocaleDateString()}`
-                                : 'Date unknown'
-                        }
-                    </div>
+                    <h3 class="post-title">${t('admin.posts.loadFailedTitle')}</h3>
                 </div>
-            `;
-            postsList.appendChild(postElement);
-        });
+                <p class="post-excerpt">${escapeHtml(t('admin.posts.loadFailedText', { error: error.message }))}</p>
+            </div>
+        `;
+        announce(t('admin.posts.loadFailed', { error: error.message }), { assertive: true });
+    }
+}
 
+// Client-side fallback for the server filters. Returns false when the full
+// list cannot be loaded either. `requestId` is the list load this stands in
+// for; nothing is rendered once a newer one started.
+async function filterPostsLocally(requestId) {
+    try {
+        const index = createSearchIndex(await postsApi.list());
+        if (requestId !== listRequestId) return true;
+
+        shownListId = requestId;
+        renderPosts(searchIndex(index, postFilters));
+        loadedPages = 1;
+        updateLoadMore(false);
+        return true;
     } catch (error) {
-        console.error('Error loading posts:', error);
-        const postsList = document.getElementById('posts-list');
-        postsList.innerHTML = `
+        console.error('Error filtering posts locally:', error);
+        return false;
+    }
+}
+
+function renderPosts(posts) {
+    posts = withoutPendingDeletes(posts);
+    const postsList = document.getElementById('posts-list');
+    postsList.innerHTML = '';
+
+    if (posts.length === 0) {
+        postsList.innerHTML = hasPostFilters() ? `
+            <div class="post-item">
+                <div class="post-header">
+                    <h3 class="post-title">${t('blog.noMatches')}</h3>
+                </div>
+                <p class="post-excerpt">${t('admin.posts.noMatchesText')}</p>
+            </div>
+        ` : `
             <div class="post-item">
                 <div class="post-header">
-                    <h3 class="post-title">Error loading posts</h3>
+                    <h3 class="post-title">${t('admin.posts.emptyTitle')}</h3>
                 </div>
-                <p class="post-excerpt">Error: ${error.message}. Please try refreshing the page.</p>
+                <p class="post-excerpt">${t('admin.posts.emptyText')}</p>
             </div>
         `;
+        announce(hasPostFilters() ? t('blog.noMatches') : t('admin.posts.emptyTitle'));
+        return;
+    }
+
+    posts.forEach(post => postsList.appendChild(createPostItem(post)));
+    announce(t('blog.showingPosts', { count: posts.length }));
+}
+
+// Posts waiting out their Undo toast stay hidden when the list reloads
+function withoutPendingDeletes(posts) {
+    return posts.filter(post => !pendingPostDeletes.has(post.id));
+}
+
+// Append the next page of posts to the list. Nothing is appended once the
+// list started reloading (new filters, or after an edit).
+async function loadMorePosts() {
+    // A newer list is on its way and will replace this one
+    if (isLoadingMore || shownListId !== listRequestId) return;
+
+    const listId = shownListId;
+    const button = document.getElementById('load-more-btn');
+    isLoadingMore = true;
+    button.disabled = true;
+    button.textContent = t('blog.loadingMore');
+
+    try {
+        const result = await postsApi.list({ ...postFilters, page: loadedPages + 1, limit: POSTS_PAGE_SIZE });
+        if (listId !== listRequestId) {
+            button.textContent = t('blog.loadMore');
+            return;
+        }
+
+        const postsList = document.getElementById('posts-list');
+        withoutPendingDeletes(result.posts).forEach(post => postsList.appendChild(createPostItem(post)));
+        loadedPages++;
+        updateLoadMore(result.hasMore);
+        button.textContent = t('blog.loadMore');
+        announce(t('blog.morePostsLoaded', { count: result.posts.length }));
+    } catch (error) {
+        console.error('Error loading more posts:', error);
+        if (listId !== listRequestId) {
+            button.textContent = t('blog.loadMore');
+            return;
+        }
+        button.textContent = t('blog.loadMoreFailed');
+        announce(t('blog.loadMoreFailedAnnouncement'), { assertive: true });
+    } finally {
+        isLoadingMore = false;
+        button.disabled = false;
+    }
+}
+
+function updateLoadMore(hasMore) {
+    document.getElementById('load-more').style.display = hasMore ? 'block' : 'none';
+}
+
+// 'published', 'scheduled' (unpublished with a future publishedAt) or 'draft'
+function postStatus(post) {
+    if (post.isPublished) return 'published';
+    return post.isScheduled ? 'scheduled' : 'draft';
+}
+
+function createPostItem(post) {
+    const postElement = document.createElement('div');
+    postElement.className = 'post-item';
+    postElement.dataset.postId = post.id;
+    postElement.setAttribute('role', 'article');
+    postElement.setAttribute('aria-labelledby', `post-item-title-${post.id}`);
+    postElement.onclick = () => showPostDetails(post.id);
+
+    // Use excerpt from PostSummaryResponse (content is not available in summary)
+    const excerpt = post.excerpt || t('admin.posts.noExcerpt');
+
+    postElement.innerHTML = `
+        <div class="post-header">
+            <h3 class="post-title" id="post-item-title-${post.id}">${escapeHtml(post.title || t('admin.posts.untitled'))}</h3>
+            <span class="post-status status-${postStatus(post)}">
+                ${t(`admin.status.${postStatus(post)}`)}
+            </span>
+        </div>
+        <p class="post-excerpt">${escapeHtml(excerpt)}</p>
+        ${post.tags && post.tags.length > 0 ? `
+            <div class="post-tags">
+                ${post.tags.map(tag => `<span class="tag">#${escapeHtml(tag)}</span>`).join('')}
+            </div>
+        ` : ''}
+        <div class="post-meta">
+            <div class="post-stats">
+                <span>👁️ ${t('common.views', { count: post.viewCount || 0 })}</span>
+                <span>💬 ${t('common.comments', { count: post.commentsCount || 0 })}</span>
+                <span>⏱️ ${t('common.minRead', { count: post.readingTime || 1 })}</span>
+            </div>
+            <div class="post-date">
+                ${post.isPublished && post.publishedAt
+                    ? t('admin.posts.publishedOn', { date: formatDate(post.publishedAt, DATE) })
+                    : post.isScheduled
+                        ? t('admin.posts.scheduledFor', { date: formatDate(post.publishedAt, DATE_TIME) })
+                        : post.createdAt
+                        ? t('admin.posts.createdOn', { date: formatDate(post.createdAt, DATE) })
+                        : t('common.dateUnavailable')
+                }
+            </div>
+        </div>
+    `;
+
+    if (postFilters.q) {
+        postElement.querySelectorAll('.post-title, .post-excerpt').forEach(element => {
+            highlightMatches(element, postFilters.q);
+        });
+    }
+    return postElement;
+}
+
+// Post Filters
+function initPostFilters() {
+    const params = new URLSearchParams(window.location.search);
+    FILTER_KEYS.forEach(key => {
+        const value = params.get(key);
+        if (value) {
+            postFilters[key] = value;
+            document.getElementById(`filter-${key}`).value = value;
+        }
+    });
+
+    loadAuthorOptions();
+
+    document.getElementById('filter-q').addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(applyPostFilters, SEARCH_DEBOUNCE_MS);
+    });
+    ['status', 'author', 'from', 'to'].forEach(key => {
+        document.getElementById(`filter-${key}`).addEventListener('change', applyPostFilters);
+    });
+}
+
+// Fill the author dropdown, keeping a selection that came from the URL
+async function loadAuthorOptions() {
+    try {
+        const users = await usersApi.list();
+        const select = document.getElementById('filter-author');
+        select.innerHTML = `<option value="">${t('admin.filters.allAuthors')}</option>` + users.map(user =>
+            `<option value="${escapeHtml(user.id)}">${escapeHtml(user.fullName)}</option>`
+        ).join('');
+        select.value = postFilters.author || '';
+    } catch (error) {
+        console.error('Error loading authors:', error);
+    }
+}
+
+// Read the filter controls into the URL; the posts route applies them
+function applyPostFilters() {
+    const filters = {};
+    FILTER_KEYS.forEach(key => {
+        const value = document.getElementById(`filter-${key}`).value.trim();
+        if (value) {
+            filters[key] = value;
+        }
+    });
+
+    // Typing a search shouldn't add a history entry per keystroke
+    router.navigate(postsUrl(filters), { replace: true });
+}
+
+// Show the posts matching `filters`, reloading from page 1 when they changed
+function setPostFilters(filters) {
+    FILTER_KEYS.forEach(key => {
+        const control = document.getElementById(`filter-${key}`);
+        // Leave a control alone while its text only differs in whitespace
+        if (control.value.trim() !== (filters[key] || '')) {
+            control.value = filters[key] || '';
+        }
+    });
+
+    if (FILTER_KEYS.every(key => filters[key] === postFilters[key])) {
+        return;
     }
+    postFilters = filters;
+    loadedPages = 1;
+    loadPosts();
+}
+
+// The posts view's URL, with the current filters unless others are given
+function postsUrl(filters = postFilters) {
+    const params = new URLSearchParams();
+    FILTER_KEYS.forEach(key => {
+        if (filters[key]) {
+            params.set(key, filters[key]);
+        }
+    });
+    const query = params.toString();
+    return query ? `/admin/posts?${query}` : '/admin/posts';
+}
+
+function clearPostFilters() {
+    FILTER_KEYS.forEach(key => {
+        document.getElementById(`filter-${key}`).value = '';
+    });
+    applyPostFilters();
+}
+
+function hasPostFilters() {
+    return Object.keys(postFilters).length > 0;
 }
 
 function showCreatePostForm() {
+    router.navigate('/admin/posts/new');
+}
+
+function openCreatePostForm() {
     if (!authToken) {
-        alert('Please login to create posts');
+        showToast(t('admin.posts.loginToCreate'), { type: 'error' });
+        return;
+    }
+    if (!permissions.writePosts) {
+        showToast(t('admin.posts.roleCannotCreate'), { type: 'error' });
         return;
     }
     document.getElementById('create-post-form').style.display = 'block';
+    if (!openEditors.create) {
+        openEditor('create', NEW_POST_DRAFT_ID, { title: '', content: '', tags: [] });
+    }
 }
 
 function hideCreatePostForm() {
     document.getElementById('create-post-form').style.display = 'none';
-    // Clear form
+    // Cancelling or creating the post both mean the draft is no longer needed
+    closeEditor('create', { discard: true });
+    clearCreatePostForm();
+    if (window.location.pathname === '/admin/posts/new') {
+        router.navigate(postsUrl(), { replace: true });
+    }
+}
+
+// Navigating away from /admin/posts/new keeps the text as a draft to restore
+function stashCreatePostForm() {
+    if (!openEditors.create) return;
+
+    saveDraft('create');
+    closeEditor('create');
+    document.getElementById('create-post-form').style.display = 'none';
+    clearCreatePostForm();
+}
+
+function clearCreatePostForm() {
     document.getElementById('new-post-title').value = '';
     document.getElementById('new-post-content').value = '';
     document.getElementById('new-post-published').checked = false;
+    setEditorTags('create', []);
+    updateEditor('create');
 }
 
 async function createPost(event) {
     event.preventDefault();
     
     if (!authToken) {
-        alert('Please login to create posts');
+        showToast(t('admin.posts.loginToCreate'), { type: 'error' });
         return;
     }
     
+    // A tag still being typed counts too
+    commitTagInput('create');
     const postData = {
         title: document.getElementById('new-post-title').value,
         content: document.getElementById('new-post-content').value,
-        isPublished: document.getElementById('new-post-published').checked
+        isPublished: document.getElementById('new-post-published').checked,
+        tags: editorTags.create
     };
     
     try {
-        const response = await fetch(`${API_BASE}/api/posts`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${authToken}`
-            },
+        await postsApi.create(postData);
 
-            body: JSON.stringify(postData)
-        });
-        
-        const data = await response.json();
-        
-        if (response.ok) {
-            alert('Post created successfully!');
-            hideCreatePostForm();
-            loadPosts();
-        } else {
-            alert('Error creating post: ' + data.error);
-        }
+        showToast(t('admin.posts.created'), { type: 'success' });
+        hideCreatePostForm();
+        loadPosts();
+        loadTagSuggestions();
     } catch (error) {
-        alert('Error creating post: ' + error.message);
+        showToast(describeError(error, 'admin.error.createPost'), { type: 'error' });
     }
 }
 
 // Post Modal Management
+function showPostDetails(postId) {
+    router.navigate(`/admin/posts/${postId}`);
+}
+
 async function openPostModal(postId) {
     currentPostId = postId;
+    currentPost = null;
 
     try {
-        const response = await fetch(`${API_BASE}/api/posts/${postId}`, {
-            headers: {
-                'Authorization': `Bearer ${authToken}`
-            },
-
-        });
+        const post = await postsApi.get(postId);
+        currentPost = post;
+
+        // Always open in view mode
+        setEditMode(false);
+
+        // Update modal content
+        document.getElementById('modal-post-title').textContent = post.title;
+        document.getElementById('modal-post-content').innerHTML = `
+            <div class="post-content">
+                <p><strong>${t('admin.post.status')}:</strong> ${t(`admin.status.${postStatus(post)}`)}</p>
+                <p><strong>${t('admin.post.author')}:</strong> ${escapeHtml(post.author?.fullName || t('admin.post.unknownAuthor'))}</p>
+                <p><strong>${t('admin.post.views')}:</strong> ${formatNumber(post.viewCount || 0)} | <strong>${t('admin.post.readingTime')}:</strong> ${t('admin.post.minutes', { count: post.readingTime || 1 })}</p>
+                ${post.tags && post.tags.length > 0 ? `<p><strong>${t('admin.post.tags')}:</strong> ${post.tags.map(tag => `#${escapeHtml(tag)}`).join(' ')}</p>` : ''}
+                <p><strong>${t('admin.post.created')}:</strong> ${formatDate(post.createdAt, DATE)}</p>
+                ${post.publishedAt ? `<p><strong>${post.isScheduled ? t('admin.post.scheduledFor') : t('admin.status.published')}:</strong> ${formatDate(post.publishedAt, DATE_TIME)}</p>` : ''}
+                <hr style="margin: 1rem 0;">
+                <div class="post-body">${renderMarkdown(post.content)}</div>
+            </div>
+        `;
 
-        const post = await response.json();
-
-        if (response.ok) {
-            // Update modal content
-            document.getElementById('modal-post-title').textContent = post.title;
-            document.getElementById('modal-post-content').innerHTML = `
-                <div class="post-content">
-                    <p><strong>Status:</strong> ${post.isPublished ? 'Published' : 'Draft'}</p>
-                    <p><strong>Author:</strong> ${post.authorName}</p>
-                    <p><strong>Views:</strong> ${post.viewCount || 0} | <strong>Reading Time:</strong> ${post.readingTime || 1} min</p>
-                    <p><strong>Created:</strong> ${new Date(post.createdAt).toLocaleDateString()}</p>
-                    ${post.publishedAt ? `<p><strong>Published:</strong> ${new Date(post.publishedAt).toLocaleDateString()}</p>` : ''}
-                    <hr style="margin: 1rem 0;">
-                    <div class="post-body">${post.content.replace(/\n/g, '<br>')}</div>
-                </div>
-            `;
+        // Update toggle status button
+        const toggleBtn = document.getElementById('toggle-status-btn');
+        toggleBtn.textContent = t(post.isPublished ? 'admin.post.makeDraft' : post.isScheduled ? 'admin.post.publishNow' : 'admin.post.publish');
 
-            // Update toggle status button
-            const toggleBtn = document.getElementById('toggle-status-btn');
-            toggleBtn.textContent = post.isPublished ? 'Make Draft' : 'Publish';
+        // Publishing, editing and deleting are limited to the author and admins
+        const canEdit = canEditPost(post);
+        ['toggle-status-btn', 'edit-post-btn', 'delete-post-btn'].forEach(id => {
+            document.getElementById(id).style.display = canEdit ? '' : 'none';
+        });
 
-            // Load comments for this post
-            loadPostComments(postId);
+        // Load comments for this post
+        loadPostComments(postId);
 
-            // Show modal
-            document.getElementById('post-detail-modal').style.display = 'flex';
-        } else {
-            alert('Error loading post: ' + post.error);
+        // Show modal; refreshing an open modal leaves focus where it is
+        const modal = document.getElementById('post-detail-modal');
+        if (modal.style.display === 'none') {
+            postModalReturnFocus = document.activeElement;
+            modal.style.display = 'flex';
+            modal.querySelector('.modal-content').focus();
         }
     } catch (error) {
-        alert('Error loading post: ' + error.message);
+        showToast(describeError(error, 'admin.error.loadPost'), { type: 'error' });
     }
 }
 
+// Leave the post's URL: back to where it was opened from, or to the list
+// when the page was loaded on the post
 function closePostModal() {
-    document.getElementById('post-detail-modal').style.display = 'none';
+    if (router.canGoBack()) {
+        history.back();
+    } else {
+        router.navigate(postsUrl(), { replace: true });
+    }
+}
+
+function hidePostModal() {
+    const modal = document.getElementById('post-detail-modal');
+    const wasOpen = modal.style.display !== 'none';
+    const postId = currentPostId;
+
+    modal.style.display = 'none';
+    // Closing the modal mid-edit keeps the draft for next time
+    if (openEditors.edit) {
+        saveDraft('edit');
+        closeEditor('edit');
+    }
+    setEditMode(false);
     currentPostId = null;
+    currentPost = null;
+
+    if (wasOpen) {
+        restorePostModalFocus(postId);
+    }
+}
+
+// Back to what opened the modal, or to the post's entry when that is gone
+// (the list re-rendered, or the page was loaded on the post)
+function restorePostModalFocus(postId) {
+    const target = postModalReturnFocus?.isConnected && postModalReturnFocus !== document.body
+        ? postModalReturnFocus
+        : document.querySelector(`.post-item[data-post-id="${CSS.escape(postId || '')}"]`);
+    postModalReturnFocus = null;
+    target?.focus();
 }
 
 async function togglePostStatus() {
     if (!currentPostId) return;
 
-    console.log('togglePostStatus called with authToken:', authToken);
     console.log('currentPostId:', currentPostId);
 
     try {
         // First get the current post data
-        const getResponse = await fetch(`${API_BASE}/api/posts/${currentPostId}`, {
-            headers: {
-                'Authorization': `Bearer ${authToken}`
-            },
-
-        });
-
-        const currentPost = await getResponse.json();
-        if (!getResponse.ok) {
-            alert('Error getting post data: ' + currentPost.error);
-            return;
-        }
+        const currentPost = await postsApi.get(currentPostId);
 
         // Toggle the published status
         const updateData = {
             isPublished: !currentPost.isPublished
         };
 
-        console.log('Sending PUT request with authToken:', authToken);
         console.log('Update data:', updateData);
+        await postsApi.update(currentPostId, updateData);
 
-        const response = await fetch(`${API_BASE}/api/posts/${currentPostId}`, {
-            method: 'PUT',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${authToken}`
-            },
-
-            body: JSON.stringify(updateData)
-        });
-
-        if (response.ok) {
-            // Refresh the modal and posts list
-            openPostModal(currentPostId);
-            loadPosts();
-        } else {
-            const data = await response.json();
-            alert('Error updating post: ' + data.error);
-        }
+        // Refresh the modal and posts list
+        openPostModal(currentPostId);
+        loadPosts();
     } catch (error) {
-        alert('Error updating post: ' + error.message);
+        showToast(describeError(error, 'admin.error.updatePost'), { type: 'error' });
     }
 }
 
-function editPost() {
-    // For now, just show an alert. This could be expanded to show an edit form
-    alert('Edit functionality coming soon! For now, you can delete and recreate the post.');
+// Scheduled Publishing
+// An unpublished post can be given a future publishedAt; the server
+// publishes it when that time comes.
+const DEFAULT_SCHEDULE_DELAY_MS = 60 * 60 * 1000;
+
+// Show the picker for unpublished posts, preset to the current schedule or an hour from now
+function updateSchedulePicker(post, canEdit) {
+    const picker = document.getElementById('post-schedule');
+    const scheduled = canEdit && !post.isPublished;
+    picker.style.display = scheduled ? 'flex' : 'none';
+    document.getElementById('schedule-error').style.display = 'none';
+    if (!scheduled) return;
+
+    const input = document.getElementById('schedule-at');
+    const at = post.isScheduled ? new Date(post.publishedAt) : new Date(Date.now() + DEFAULT_SCHEDULE_DELAY_MS);
+    input.value = toDateTimeLocal(at);
+    input.min = toDateTimeLocal(new Date());
+    document.getElementById('schedule-post-btn').textContent = t(post.isScheduled ? 'admin.schedule.reschedule' : 'admin.schedule.schedule');
+    document.getElementById('cancel-schedule-btn').style.display = post.isScheduled ? '' : 'none';
+}
+
+// A Date as the local "yyyy-MM-ddTHH:mm" a datetime-local input expects
+function toDateTimeLocal(date) {
+    const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+    return local.toISOString().slice(0, 16);
 }
 
-async function deleteCurrentPost() {
+async function schedulePost() {
     if (!currentPostId) return;
 
-    if (!confirm('Are you sure you want to delete this post? This action cannot be undone.')) {
+    const errorDiv = document.getElementById('schedule-error');
+    const value = document.getElementById('schedule-at').value;
+    // datetime-local values are parsed as local time
+    const at = value ? new Date(value) : null;
+    if (!at || at <= new Date()) {
+        errorDiv.textContent = t('admin.schedule.pickFuture');
+        errorDiv.style.display = 'block';
         return;
     }
 
     try {
-        const response = await fetch(`${API_BASE}/api/posts/${currentPostId}`, {
-            method: 'DELETE',
-            headers: {
-                'Authorization': `Bearer ${authToken}`
-            },
-
-        });
-
-        if (response.ok) {
-            closePostModal();
-            loadPosts();
-            alert('Post deleted successfully!');
-        } else {
-            const data = await response.json();
-            alert('Error deleting post: ' + data.error);
-        }
+        // The server's ISO 8601 parser takes no fractional seconds
+        await postsApi.update(currentPostId, { publishedAt: at.toISOString().replace(/\.\d{3}Z$/, 'Z') });
+        openPostModal(currentPostId);
+        loadPosts();
     } catch (error) {
-        alert('Error deleting post: ' + error.message);
+        errorDiv.textContent = error.message;
+        errorDiv.style.display = 'block';
     }
 }
 
-async function deletePost(postId) {
-    if (!confirm('Are you sure you want to delete this post?')) {
-        return;
-    }
-    
-    try {
-        const response = await fetch(`${API_BASE}/api/posts/${postId}`, {
-            method: 'DELETE',
-            headers: {
-                'Authorization': `Bearer ${authToken}`
-            },
+// Back to a plain draft
+async function cancelSchedule() {
+    if (!currentPostId) return;
 
-        });
-        
-        if (response.ok) {
-            alert('Post deleted successfully!');
-            loadPosts();
-        } else {
-            const data = await response.json();
-            alert('Error deleting post: ' + data.error);
-        }
+    try {
+        await postsApi.update(currentPostId, { isPublished: false });
+        openPostModal(currentPostId);
+        loadPosts();
     } catch (error) {
-        alert('Error deleting post: ' + error.message);
+        showToast(describeError(error, 'admin.error.cancelSchedule'), { type: 'error' });
     }
 }
 
-// Comments Management
-async function loadPostComments(postId) {
-    try {
-        const response = await fetch(`${API_BASE}/api/posts/${postId}/comments`, {
-            headers: {
-                'Authorization': `Bearer ${authToken}`
-            },
-
-        });
+// Post Editing
+function editPost() {
+    if (!currentPost) return;
+
+    document.getElementById('edit-post-title').value = currentPost.title;
+    document.getElementById('edit-post-content').value = currentPost.content;
+    setEditorTags('edit', currentPost.tags || []);
+    hideEditError();
+    setEditMode(true);
+    openEditor('edit', currentPost.id, {
+        title: currentPost.title,
+        content: currentPost.content,
+        tags: currentPost.tags || []
+    });
+    document.getElementById('edit-post-title').focus();
+}
 
-        const comments = await response.json();
-        const commentsList = document.getElementById('post-comments');
+function cancelEditPost() {
+    closeEditor('edit', { discard: true });
+    setEditMode(false);
+}
 
-        if (!response.ok) {
-            commentsList.innerHTML = '<p>Error loading comments</p>';
-            return;
-        }
+// Swap the modal between the read-only post view and the edit form
+function setEditMode(editing) {
+    document.getElementById('edit-post-form').style.display = editing ? 'block' : 'none';
+    document.getElementById('modal-post-content').style.display = editing ? 'none' : 'block';
+    document.getElementById('post-actions').style.display = editing ? 'none' : 'flex';
+    if (editing) {
+        document.getElementById('post-schedule').style.display = 'none';
+    } else if (currentPost) {
+        updateSchedulePicker(currentPost, canEditPost(currentPost));
+    }
+}
 
-        if (comments.length === 0) {
-            commentsList.innerHTML = '<p>No comments yet.</p>';
-            return;
-        }
+async function savePostEdits(event) {
+    event.preventDefault();
+    if (!currentPostId || !currentPost) return;
 
-        commentsList.innerHTML = comments.map(comment => `
-            <div class="comment-item">
-                <div class="comment-author">${escapeHtml(comment.authorName || 'Anonymous')}</div>
-                <div class="comment-content">${escapeHtml(comment.content)}</div>
-                <div class="comment-meta">
-                    ${new Date(comment.createdAt).toLocaleDateString()} •
-                    Status: ${comment.isApproved ? 'Approved' : 'Pending'}
-                    ${!comment.isApproved ?
-                        `<button class="btn btn-secondary" style="margin-left: 1rem; padding: 0.25rem 0.5rem; font-size: 0.8rem;" onclick="approveComment('${comment.id}')">Approve</button>`
-                        : ''
-                    }
-                </div>
-            </div>
-        `).join('');
+    commitTagInput('edit');
+    const title = document.getElementById('edit-post-title').value;
+    const content = document.getElementById('edit-post-content').value;
+    const tags = editorTags.edit;
 
-    } catch (error) {
-        console.error('Error loading comments:', error);
-        document.getElementById('post-comments').innerHTML = '<p>Error loading comments</p>';
+    // Only send the fields that actually changed
+    const changes = {};
+    if (title !== currentPost.title) {
+        changes.title = title;
+    }
+    if (content !== currentPost.content) {
+        changes.content = content;
+    }
+    if (!sameTags(tags, currentPost.tags || [])) {
+        changes.tags = tags;
     }
-}
 
-async function approveComment(commentId) {
-    try {
-        const response = await fetch(`${API_BASE}/api/comments/${commentId}/approve`, {
-            method: 'PUT',
-            headers: {
-                'Authorization': `Bearer ${authToken}`
-            },
+    if (Object.keys(changes).length === 0) {
+        closeEditor('edit', { discard: true });
+        setEditMode(false);
+        return;
+    }
 
-        });
+    const saveBtn = document.getElementById('save-post-btn');
+    saveBtn.disabled = true;
+    hideEditError();
 
-        if (response.ok) {
-            // Reload comments for current post
-            if (currentPostId) {
-                loadPostComments(currentPostId);
-            }
-        } else {
-            const data = await response.json();
-            alert('Error approving comment: ' + data.error);
+    try {
+        await postsApi.update(currentPostId, changes);
+        closeEditor('edit', { discard: true });
+
+        // Refresh the modal and posts list
+        await openPostModal(currentPostId);
+        loadPosts();
+        if (changes.tags) {
+            loadTagSuggestions();
         }
     } catch (error) {
-        alert('Error approving comment: ' + error.message);
+        // Validation (400) and ownership (403) errors carry a readable message
+        showEditError(error.message);
+    } finally {
+        saveBtn.disabled = false;
     }
 }
 
-// Utility Functions
+function showEditError(message) {
+    const errorDiv = document.getElementById('edit-post-error');
+    errorDiv.textContent = message;
+    errorDiv.style.display = 'block';
+}
 
-function escapeHtml(text) {
+function hideEditError() {
+    document.getElementById('edit-post-error').style.display = 'none';
+}
+
+function deleteCurrentPost() {
+    if (!currentPostId) return;
+
+    const postId = currentPostId;
+    closePostModal();
+    deletePost(postId);
+}
+
+// The post leaves the list at once, but the DELETE is only sent once the
+// Undo toast runs out; undoing just brings it back.
+async function deletePost(postId) {
+    pendingPostDeletes.add(postId);
+    document.querySelector(`.post-item[data-post-id="${CSS.escape(postId)}"]`)?.remove();
+
+    try {
+        await withUndo(t('admin.posts.deleted'), options => postsApi.remove(postId, options));
+    } catch (error) {
+        showToast(describeError(error, 'admin.error.deletePost'), { type: 'error' });
+    } finally {
+        pendingPostDeletes.delete(postId);
+    }
+    loadPosts();
+}
+
+// Post Editors
+function editorFields(name) {
+    const ids = EDITORS[name];
+    return {
+        title: document.getElementById(ids.title).value,
+        content: document.getElementById(ids.content).value,
+        tags: [...editorTags[name]]
+    };
+}
+
+// Whether two sets of editor fields hold the same post text and tags.
+// Drafts saved before posts had tags have no `tags`.
+function sameFields(a, b) {
+    return a.title === b.title && a.content === b.content && sameTags(a.tags || [], b.tags || []);
+}
+
+function sameTags(a, b) {
+    return a.length === b.length && a.every((tag, index) => tag === b[index]);
+}
+
+function draftStorageKey(draftId) {
+    return DRAFT_STORAGE_PREFIX + draftId;
+}
+
+function readDraft(draftId) {
+    try {
+        return JSON.parse(localStorage.getItem(draftStorageKey(draftId)));
+    } catch {
+        return null;
+    }
+}
+
+// Start tracking an editor: live preview, stats and periodic autosave.
+// `baseline` is the saved post text; a draft equal to it is not kept.
+function openEditor(name, draftId, baseline) {
+    openEditors[name] = { draftId, baseline, lastSaved: baseline };
+    updateEditor(name);
+    offerDraftRestore(name);
+
+    if (!autosaveTimer) {
+        autosaveTimer = setInterval(saveAllDrafts, AUTOSAVE_INTERVAL_MS);
+    }
+}
+
+function closeEditor(name, { discard = false } = {}) {
+    const editor = openEditors[name];
+    if (!editor) return;
+
+    if (discard) {
+        localStorage.removeItem(draftStorageKey(editor.draftId));
+    }
+    delete openEditors[name];
+    document.getElementById(EDITORS[name].banner).style.display = 'none';
+    setAutosaveStatus(name, '');
+
+    if (Object.keys(openEditors).length === 0) {
+        clearInterval(autosaveTimer);
+        autosaveTimer = null;
+    }
+}
+
+// Refresh the Markdown preview and the word count / reading time, which
+// follow the backend's Post.readingTime (200 words per minute, at least 1)
+function updateEditor(name) {
+    const ids = EDITORS[name];
+    const { content } = editorFields(name);
+    const words = content.split(/\s+/).filter(Boolean).length;
+    const minutes = Math.max(1, Math.floor(words / WORDS_PER_MINUTE));
+
+    document.getElementById(ids.preview).innerHTML = renderMarkdown(content);
+    document.getElementById(ids.stats).textContent =
+        `${t('admin.editor.words', { count: words })} · ${t('common.minRead', { count: minutes })}`;
+}
+
+function saveAllDrafts() {
+    Object.keys(openEditors).forEach(saveDraft);
+}
+
+// Write the editor's text to localStorage if it changed since the last save
+function saveDraft(name) {
+    const editor = openEditors[name];
+    if (!editor) return;
+
+    const fields = editorFields(name);
+    if (sameFields(fields, editor.lastSaved)) {
+        return;
+    }
+    editor.lastSaved = fields;
+
+    // Back to the saved text (or empty): nothing worth restoring
+    if (sameFields(fields, editor.baseline)) {
+        localStorage.removeItem(draftStorageKey(editor.draftId));
+        setAutosaveStatus(name, '');
+        return;
+    }
+
+    try {
+        const savedAt = new Date();
+        localStorage.setItem(draftStorageKey(editor.draftId), JSON.stringify({ ...fields, savedAt: savedAt.toISOString() }));
+        setAutosaveStatus(name, t('admin.editor.draftSaved', { time: formatDate(savedAt, TIME) }));
+        // The previous draft has just been overwritten
+        document.getElementById(EDITORS[name].banner).style.display = 'none';
+    } catch (error) {
+        console.error('Error saving draft:', error);
+        setAutosaveStatus(name, t('admin.editor.draftFailed'));
+    }
+}
+
+function setAutosaveStatus(name, message) {
+    document.getElementById(EDITORS[name].status).textContent = message;
+}
+
+// Show the restore banner when an unsaved draft differs from the post
+function offerDraftRestore(name) {
+    const editor = openEditors[name];
+    const banner = document.getElementById(EDITORS[name].banner);
+    const draft = readDraft(editor.draftId);
+
+    if (!draft || sameFields(draft, editor.baseline)) {
+        banner.style.display = 'none';
+        return;
+    }
+
+    banner.querySelector('.draft-banner-text').textContent = draft.savedAt
+        ? t('admin.editor.unsavedDraft', { date: formatDate(draft.savedAt, DATE_TIME) })
+        : t('admin.editor.unsavedDraftUndated');
+    banner.style.display = 'flex';
+}
+
+function restoreDraft(name) {
+    const editor = openEditors[name];
+    const draft = editor && readDraft(editor.draftId);
+    if (!draft) return;
+
+    const ids = EDITORS[name];
+    document.getElementById(ids.title).value = draft.title || '';
+    document.getElementById(ids.content).value = draft.content || '';
+    setEditorTags(name, draft.tags || []);
+    editor.lastSaved = editorFields(name);
+    document.getElementById(ids.banner).style.display = 'none';
+    updateEditor(name);
+}
+
+function discardDraft(name) {
+    const editor = openEditors[name];
+    if (!editor) return;
+
+    localStorage.removeItem(draftStorageKey(editor.draftId));
+    document.getElementById(EDITORS[name].banner).style.display = 'none';
+}
+
+// Tags
+// Each editor keeps its tags as chips in front of a text input. Enter or a
+// comma adds what was typed, Backspace in the empty input removes the last
+// chip, and existing tags are suggested through a shared <datalist>.
+// Normalization and limits mirror the backend's Post.normalizedTags.
+const MAX_TAGS = 10;
+
+// Editor name -> its current tags, normalized
+const editorTags = { create: [], edit: [] };
+
+function initTagEditors() {
+    Object.keys(EDITORS).forEach(name => {
+        const ids = EDITORS[name];
+        const input = document.getElementById(ids.tagInput);
+
+        // Clicking anywhere in the box types into the input
+        document.getElementById(ids.tags).addEventListener('click', event => {
+            if (event.target === event.currentTarget) input.focus();
+        });
+
+        input.addEventListener('keydown', event => {
+            if (event.key === 'Enter' || event.key === ',') {
+                event.preventDefault();
+                commitTagInput(name);
+            } else if (event.key === 'Backspace' && input.value === '' && editorTags[name].length > 0) {
+                removeTag(name, editorTags[name].length - 1);
+            }
+        });
+        input.addEventListener('input', event => {
+            // Picking a suggestion replaces the text without a key press;
+            // pasted text may hold several comma-separated tags
+            if (!event.inputType || event.inputType === 'insertReplacementText' || input.value.includes(',')) {
+                commitTagInput(name);
+            }
+        });
+        input.addEventListener('blur', () => commitTagInput(name));
+    });
+
+    loadTagSuggestions();
+}
+
+function normalizeTag(tag) {
+    return tag.replace(/,/g, ' ').toLowerCase().split(/\s+/).filter(Boolean).join('-');
+}
+
+// Turn whatever is typed in the editor's tag input into chips
+function commitTagInput(name) {
+    const input = document.getElementById(EDITORS[name].tagInput);
+    const added = input.value.split(',').map(normalizeTag).filter(Boolean);
+    input.value = '';
+    if (added.length > 0) {
+        setEditorTags(name, [...editorTags[name], ...added]);
+    }
+}
+
+function removeTag(name, index) {
+    setEditorTags(name, editorTags[name].filter((_, i) => i !== index));
+    document.getElementById(EDITORS[name].tagInput).focus();
+}
+
+// Replace the editor's tags (deduplicated, at most MAX_TAGS) and redraw its chips
+function setEditorTags(name, tags) {
+    editorTags[name] = [...new Set(tags.map(normalizeTag).filter(Boolean))].slice(0, MAX_TAGS);
+
+    const ids = EDITORS[name];
+    const container = document.getElementById(ids.tags);
+    const input = document.getElementById(ids.tagInput);
+    container.querySelectorAll('.tag-editor-chip').forEach(chip => chip.remove());
+    editorTags[name].forEach((tag, index) => {
+        const chip = document.createElement('span');
+        chip.className = 'tag-editor-chip';
+        chip.textContent = `#${tag}`;
+
+        const removeButton = document.createElement('button');
+        removeButton.type = 'button';
+        removeButton.textContent = '×';
+        removeButton.setAttribute('aria-label', t('admin.editor.removeTag', { tag }));
+        removeButton.addEventListener('click', () => removeTag(name, index));
+        chip.appendChild(removeButton);
+
+        container.insertBefore(chip, input);
+    });
+
+    const full = editorTags[name].length >= MAX_TAGS;
+    input.disabled = full;
+    input.placeholder = full ? t('admin.editor.tagLimit', { count: MAX_TAGS }) : t('admin.editor.tagsPlaceholder');
+}
+
+// Suggest every tag in use, drafts included, most used first
+async function loadTagSuggestions() {
+    try {
+        const tags = await tagsApi.list({ includeDrafts: true });
+        document.getElementById('tag-suggestions').replaceChildren(...tags.map(tag =>
+            new Option(t('admin.postCount', { count: tag.count }), tag.name)
+        ));
+    } catch (error) {
+        // Tags can still be typed without suggestions
+        console.error('Error loading tag suggestions:', error);
+    }
+}
+
+// Media
+// Files dropped on or picked in an editor are uploaded to /api/media and
+// inserted at the cursor as Markdown: an image reference for images, a link
+// otherwise. The media library lists earlier uploads to insert again.
+// Limits mirror the backend's MediaItem.
+const MEDIA_MAX_SIZE = 5 * 1024 * 1024;
+const MEDIA_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'application/pdf', 'text/plain'];
+const UPLOAD_DONE_DISPLAY_MS = 3000;
+
+// Every upload, newest first; null until the library is first opened
+let mediaItems = null;
+
+function initMediaUploaders() {
+    Object.keys(EDITORS).forEach(name => {
+        const ids = EDITORS[name];
+        const dropzone = document.getElementById(ids.dropzone);
+        const fileInput = document.getElementById(ids.fileInput);
+
+        dropzone.addEventListener('dragover', event => {
+            event.preventDefault();
+            dropzone.classList.add('drag-over');
+        });
+        dropzone.addEventListener('dragleave', () => dropzone.classList.remove('drag-over'));
+        dropzone.addEventListener('drop', event => {
+            event.preventDefault();
+            dropzone.classList.remove('drag-over');
+            uploadFiles(name, event.dataTransfer.files);
+        });
+
+        fileInput.addEventListener('change', () => {
+            uploadFiles(name, fileInput.files);
+            // Picking the same file again should upload it again
+            fileInput.value = '';
+        });
+    });
+}
+
+function uploadFiles(name, files) {
+    Array.from(files).forEach(file => uploadFile(name, file));
+}
+
+// Upload one file with a progress row, then insert it into the editor
+async function uploadFile(name, file) {
+    const row = document.createElement('li');
+    row.className = 'media-upload';
+    row.innerHTML = `
+        <span class="media-upload-preview"></span>
+        <span class="media-upload-name">${escapeHtml(file.name)}</span>
+        <progress class="media-upload-progress" max="1" value="0"></progress>
+        <span class="media-upload-status">${t('admin.media.uploading')}</span>
+    `;
+    document.getElementById(EDITORS[name].uploads).appendChild(row);
+
+    const status = row.querySelector('.media-upload-status');
+    const fail = message => {
+        row.classList.add('failed');
+        row.querySelector('progress').remove();
+        status.textContent = message;
+        row.title = t('admin.media.dismiss');
+        row.addEventListener('click', () => row.remove());
+    };
+
+    if (!MEDIA_TYPES.includes(file.type)) {
+        fail(t('admin.media.unsupported'));
+        return;
+    }
+    if (file.size > MEDIA_MAX_SIZE) {
+        fail(t('admin.media.tooLarge'));
+        return;
+    }
+
+    if (file.type.startsWith('image/')) {
+        const preview = document.createElement('img');
+        preview.src = URL.createObjectURL(file);
+        preview.alt = '';
+        preview.onload = () => URL.revokeObjectURL(preview.src);
+        row.querySelector('.media-upload-preview').appendChild(preview);
+    }
+
+    try {
+        const item = await mediaApi.upload(file, {
+            onProgress: fraction => {
+                row.querySelector('progress').value = fraction;
+                status.textContent = t('admin.media.progress', { percent: Math.round(fraction * 100) });
+            }
+        });
+
+        row.classList.add('done');
+        status.textContent = t('admin.media.inserted');
+        setTimeout(() => row.remove(), UPLOAD_DONE_DISPLAY_MS);
+
+        insertMedia(name, item);
+        if (mediaItems) {
+            mediaItems.unshift(item);
+            renderMediaLibraries();
+        }
+    } catch (error) {
+        fail(error.message);
+        if (error.status === 403) {
+            loadCurrentUser();
+        }
+    }
+}
+
+// Insert a Markdown reference to `item` at the editor's cursor. Images go
+// on a line of their own so they render as blocks.
+function insertMedia(name, item) {
+    const textarea = document.getElementById(EDITORS[name].content);
+    const url = mediaApi.url(item);
+    const label = item.filename.replace(/\.[^.]+$/, '');
+
+    const { selectionStart: start, selectionEnd: end, value } = textarea;
+    let snippet = item.isImage ? `![${label}](${url})` : `[${item.filename}](${url})`;
+    if (item.isImage) {
+        const before = value.slice(0, start);
+        const after = value.slice(end);
+        if (before && !before.endsWith('\n')) snippet = `\n\n${snippet}`;
+        if (!after.startsWith('\n')) snippet = `${snippet}\n\n`;
+    }
+
+    textarea.setRangeText(snippet, start, end, 'end');
+    textarea.focus();
+    updateEditor(name);
+}
+
+async function toggleMediaLibrary(name) {
+    const library = document.getElementById(EDITORS[name].library);
+    if (library.style.display !== 'none') {
+        library.style.display = 'none';
+        return;
+    }
+
+    library.style.display = 'grid';
+    if (mediaItems) {
+        renderMediaLibrary(name);
+        return;
+    }
+
+    library.innerHTML = `<div class="media-library-empty">${t('admin.media.loading')}</div>`;
+    try {
+        mediaItems = await mediaApi.list();
+        renderMediaLibraries();
+    } catch (error) {
+        library.innerHTML = `<div class="media-library-empty">${escapeHtml(describeError(error, 'admin.error.loadMedia'))}</div>`;
+    }
+}
+
+// Re-render every open library after uploads or deletions
+function renderMediaLibraries() {
+    Object.keys(EDITORS).forEach(name => {
+        if (document.getElementById(EDITORS[name].library).style.display !== 'none') {
+            renderMediaLibrary(name);
+        }
+    });
+}
+
+function renderMediaLibrary(name) {
+    const library = document.getElementById(EDITORS[name].library);
+    if (mediaItems.length === 0) {
+        library.innerHTML = `<div class="media-library-empty">${t('admin.media.empty')}</div>`;
+        return;
+    }
+
+    library.innerHTML = mediaItems.map(item => `
+        <div class="media-item" title="${escapeHtml(item.filename)}">
+            <button type="button" class="media-item-insert" onclick="insertMediaItem('${name}', '${item.id}')">
+                ${item.isImage
+                    ? `<img src="${escapeHtml(mediaApi.url(item))}" alt="${escapeHtml(item.filename)}" loading="lazy">`
+                    : '<span class="media-item-icon">📄</span>'}
+                <span class="media-item-name">${escapeHtml(item.filename)}</span>
+                <span class="media-item-size">${formatFileSize(item.size)}</span>
+            </button>
+            ${canDeleteMedia(item) ? `<button type="button" class="media-item-delete" onclick="deleteMedia('${item.id}')" title="${t('admin.delete')}" aria-label="${t('admin.delete')}">&times;</button>` : ''}
+        </div>
+    `).join('');
+}
+
+function insertMediaItem(name, id) {
+    const item = mediaItems.find(item => item.id === id);
+    if (item) {
+        insertMedia(name, item);
+    }
+}
+
+// Mirrors the backend: the uploader or an admin
+function canDeleteMedia(item) {
+    return permissions.moderateAllPosts || (currentUser && item.uploader?.id === currentUser.id);
+}
+
+async function deleteMedia(id) {
+    const confirmed = await confirmDialog({
+        title: t('admin.media.deleteTitle'),
+        message: t('admin.media.deleteMessage'),
+        confirmLabel: t('admin.delete'),
+        danger: true
+    });
+    if (!confirmed) return;
+
+    try {
+        await mediaApi.remove(id);
+        mediaItems = mediaItems.filter(item => item.id !== id);
+        renderMediaLibraries();
+    } catch (error) {
+        showToast(describeError(error, 'admin.error.deleteMedia'), { type: 'error' });
+    }
+}
+
+function formatFileSize(bytes) {
+    if (bytes < 1024) return t('common.bytes', { size: bytes });
+    if (bytes < 1024 * 1024) return t('common.kilobytes', { size: Math.round(bytes / 102.4) / 10 });
+    return t('common.megabytes', { size: Math.round(bytes / (1024 * 102.4)) / 10 });
+}
+
+// Comments Management
+async function loadPostComments(postId) {
+    try {
+        // Each entry is a top-level comment with its approved replies
+        const threads = await commentsApi.listForPost(postId, { includeUnapproved: true });
+        const commentsList = document.getElementById('post-comments');
+
+        if (threads.length === 0) {
+            commentsList.innerHTML = `<p>${t('admin.comments.empty')}</p>`;
+            return;
+        }
+
+        commentsList.innerHTML = threads.map(({ comment, replies }) =>
+            renderPostComment(comment) + replies.map(reply => renderPostComment(reply, true)).join('')
+        ).join('');
+
+    } catch (error) {
+        console.error('Error loading comments:', error);
+        document.getElementById('post-comments').innerHTML = `<p>${t('admin.comments.loadFailed')}</p>`;
+    }
+}
+
+function renderPostComment(comment, isReply = false) {
+    return `
+        <div class="comment-item${isReply ? ' comment-reply' : ''}">
+            <div class="comment-author">${escapeHtml(comment.author?.fullName || t('common.anonymous'))}</div>
+            <div class="comment-content">${escapeHtml(comment.content)}</div>
+            <div class="comment-meta">
+                ${formatDate(comment.createdAt, DATE)} •
+                ${t('admin.post.status')}: ${commentStatusLabel(comment)}
+                ${!comment.isApproved && canEditPost(currentPost) ?
+                    `<button class="btn btn-secondary" style="margin-inline-start: 1rem; padding: 0.25rem 0.5rem; font-size: 0.8rem;" onclick="approveComment('${comment.id}')">${t('admin.approve')}</button>`
+                    : ''
+                }
+            </div>
+        </div>
+    `;
+}
+
+function commentStatusLabel(comment) {
+    if (comment.isApproved) return t('admin.comment.approved');
+    return t(comment.isRejected ? 'admin.comment.rejected' : 'admin.comment.pending');
+}
+
+async function approveComment(commentId) {
+    try {
+        await commentsApi.approve(commentId);
+
+        // Reload comments for current post
+        if (currentPostId) {
+            loadPostComments(currentPostId);
+        }
+        refreshPendingCount();
+    } catch (error) {
+        showToast(describeError(error, 'admin.error.approveComment'), { type: 'error' });
+    }
+}
+
+// Comment Moderation
+// A queue of pending comments across every post. Actions apply to the
+// checked comments, or to the focused one when nothing is checked.
+const PENDING_POLL_INTERVAL_MS = 60000;
+
+// `failed` is the message for comments the action couldn't be applied to
+const MODERATION_ACTIONS = {
+    approve: { run: id => commentsApi.approve(id), failed: 'admin.moderation.approveFailed' },
+    reject: { run: id => commentsApi.reject(id), failed: 'admin.moderation.rejectFailed' },
+    delete: { run: id => commentsApi.remove(id), failed: 'admin.moderation.deleteFailed' }
+};
+
+const MODERATION_STATUSES = ['pending', 'approved', 'rejected'];
+
+let moderationStatus = 'pending';
+let moderationComments = [];
+let focusedCommentIndex = -1;
+let isModerating = false;
+
+function showModerationView() {
+    router.navigate('/admin/comments');
+}
+
+function openModerationView(status) {
+    moderationStatus = MODERATION_STATUSES.includes(status) ? status : 'pending';
+    document.getElementById('moderation-status').value = moderationStatus;
+    showSection('moderation-section');
+    loadModerationQueue();
+}
+
+// Pending is the default, so it gets the plain /admin/comments
+function changeModerationStatus(status) {
+    router.navigate(status === 'pending' ? '/admin/comments' : `/admin/comments?status=${status}`, { replace: true });
+}
+
+function showPostsView() {
+    router.navigate(postsUrl());
+}
+
+function isModerationViewOpen() {
+    return isSectionOpen('moderation-section');
+}
+
+async function loadModerationQueue() {
+    const list = document.getElementById('moderation-list');
+
+    try {
+        moderationComments = await commentsApi.list({ status: moderationStatus });
+        if (moderationStatus === 'pending') {
+            updatePendingBadge(moderationComments.length);
+        }
+
+        if (moderationComments.length === 0) {
+            list.innerHTML = `<div class="moderation-empty">${t(`admin.moderation.empty.${moderationStatus}`)}</div>`;
+        } else {
+            list.innerHTML = moderationComments.map(({ comment, postTitle }, index) => `
+                <div class="moderation-item" data-index="${index}" tabindex="-1">
+                    <input type="checkbox" class="moderation-check" aria-label="${escapeHtml(t('admin.moderation.selectComment', { name: comment.author?.fullName || t('common.anonymous') }))}" onchange="updateModerationSelection()" />
+                    <div class="moderation-body">
+                        <div class="moderation-meta">
+                            ${t('admin.moderation.commentOn', {
+                                author: `<strong>${escapeHtml(comment.author?.fullName || t('common.anonymous'))}</strong>`,
+                                post: `<a href="/admin/posts/${comment.postId}" onclick="event.preventDefault(); showPostDetails('${comment.postId}')">${escapeHtml(postTitle || t('admin.moderation.unknownPost'))}</a>`
+                            })}
+                            · ${formatDate(comment.createdAt, DATE_TIME)}
+                            ${comment.parentCommentId ? ` · ${t('admin.moderation.reply')}` : ''}
+                        </div>
+                        <div class="moderation-content">${escapeHtml(comment.content)}</div>
+                    </div>
+                    <div class="moderation-actions">
+                        <button class="btn btn-primary" onclick="moderateComments(['${comment.id}'], 'approve')">${t('admin.approve')}</button>
+                        <button class="btn btn-secondary" onclick="moderateComments(['${comment.id}'], 'reject')">${t('admin.reject')}</button>
+                        <button class="btn btn-danger" onclick="moderateComments(['${comment.id}'], 'delete')">${t('admin.delete')}</button>
+                    </div>
+                </div>
+            `).join('');
+        }
+
+        focusComment(Math.min(Math.max(focusedCommentIndex, 0), moderationComments.length - 1));
+        updateModerationSelection();
+    } catch (error) {
+        console.error('Error loading moderation queue:', error);
+        list.innerHTML = `<div class="moderation-empty">${escapeHtml(t('admin.moderation.loadFailed', { error: error.message }))}</div>`;
+    }
+}
+
+function moderationItems() {
+    return Array.from(document.querySelectorAll('#moderation-list .moderation-item'));
+}
+
+function selectedCommentIds() {
+    return moderationItems()
+        .filter(item => item.querySelector('.moderation-check').checked)
+        .map(item => moderationComments[item.dataset.index].comment.id);
+}
+
+function updateModerationSelection() {
+    const items = moderationItems();
+    let selected = 0;
+    items.forEach(item => {
+        const checked = item.querySelector('.moderation-check').checked;
+        item.classList.toggle('selected', checked);
+        if (checked) selected++;
+    });
+
+    document.getElementById('moderation-selection-count').textContent = t('admin.moderation.selected', { count: selected });
+    const selectAll = document.getElementById('moderation-select-all');
+    selectAll.checked = items.length > 0 && selected === items.length;
+    selectAll.indeterminate = selected > 0 && selected < items.length;
+}
+
+function selectAllComments(checked) {
+    moderationItems().forEach(item => {
+        item.querySelector('.moderation-check').checked = checked;
+    });
+    updateModerationSelection();
+}
+
+function focusComment(index) {
+    const items = moderationItems();
+    focusedCommentIndex = index;
+    items.forEach((item, i) => item.classList.toggle('focused', i === index));
+    if (items[index]) {
+        items[index].focus();
+        items[index].scrollIntoView({ block: 'nearest' });
+    }
+}
+
+function moderateSelected(action) {
+    let ids = selectedCommentIds();
+    if (ids.length === 0 && moderationComments[focusedCommentIndex]) {
+        ids = [moderationComments[focusedCommentIndex].comment.id];
+    }
+    if (ids.length === 0) {
+        showToast(t('admin.moderation.selectFirst'));
+        return;
+    }
+    moderateComments(ids, action);
+}
+
+// Run one action over several comments and report any that failed
+async function moderateComments(ids, action) {
+    if (isModerating) return;
+
+    const { run, failed } = MODERATION_ACTIONS[action];
+    isModerating = true;
+
+    try {
+        if (action === 'delete' && !await confirmDialog({
+            title: t('admin.moderation.deleteTitle', { count: ids.length }),
+            message: t('admin.cannotUndo'),
+            confirmLabel: t('admin.delete'),
+            danger: true
+        })) {
+            return;
+        }
+
+        const results = await Promise.allSettled(ids.map(id => run(id)));
+        const failures = results.filter(result => result.status === 'rejected');
+        if (failures.length > 0) {
+            const reason = failures[0].reason;
+            showToast(t(failed, {
+                failed: failures.length,
+                count: ids.length,
+                error: reason.status === 403 ? describeError(reason) : reason.message
+            }), { type: 'error' });
+        }
+    } finally {
+        isModerating = false;
+    }
+
+    loadModerationQueue();
+    if (moderationStatus !== 'pending') {
+        refreshPendingCount();
+    }
+    if (currentPostId) {
+        loadPostComments(currentPostId);
+    }
+}
+
+function updatePendingBadge(count) {
+    const badge = document.getElementById('pending-badge');
+    badge.textContent = count > 99 ? '99+' : count;
+    badge.style.display = count > 0 ? 'block' : 'none';
+    badge.closest('button').title = t('admin.nav.moderationPending', { count });
+}
+
+async function refreshPendingCount() {
+    if (!canModerateAnything()) return;
+
+    try {
+        const pending = await commentsApi.list({ status: 'pending' });
+        updatePendingBadge(pending.length);
+    } catch (error) {
+        console.error('Error loading pending comment count:', error);
+    }
+}
+
+// Moderation keyboard shortcuts, active while the queue is shown and the
+// user isn't typing or looking at a post
+function handleModerationShortcut(event) {
+    if (!isModerationViewOpen() || event.metaKey || event.ctrlKey || event.altKey) return;
+    if (document.getElementById('post-detail-modal').style.display !== 'none') return;
+
+    const target = event.target;
+    if (target.matches('input:not([type="checkbox"]), textarea, select') || target.isContentEditable) return;
+
+    const items = moderationItems();
+    switch (event.key) {
+        case 'j':
+        case 'ArrowDown':
+            if (items.length) focusComment(Math.min(focusedCommentIndex + 1, items.length - 1));
+            break;
+        case 'k':
+        case 'ArrowUp':
+            if (items.length) focusComment(Math.max(focusedCommentIndex - 1, 0));
+            break;
+        case 'x': {
+            const checkbox = items[focusedCommentIndex]?.querySelector('.moderation-check');
+            if (!checkbox) return;
+            checkbox.checked = !checkbox.checked;
+            updateModerationSelection();
+            break;
+        }
+        case 'A':
+            selectAllComments(selectedCommentIds().length !== items.length);
+            break;
+        case 'a':
+            moderateSelected('approve');
+            break;
+        case 'r':
+            moderateSelected('reject');
+            break;
+        case 'd':
+            moderateSelected('delete');
+            break;
+        default:
+            return;
+    }
+    event.preventDefault();
+}
+
+// User Management
+// Admin-only list of every account. The form doubles as the create and the
+// edit form; usernames can't change once created.
+let loadedUsers = [];
+let editingUserId = null;
+
+function showUsersView() {
+    router.navigate('/admin/users');
+}
+
+function openUsersView() {
+    showSection('users-section');
+    loadUsers();
+}
+
+async function loadUsers() {
+    const list = document.getElementById('users-list');
+
+    try {
+        loadedUsers = await usersApi.list();
+        if (loadedUsers.length === 0) {
+            list.innerHTML = `<p class="moderation-empty">${t('admin.users.empty')}</p>`;
+            return;
+        }
+        list.innerHTML = loadedUsers.map(createUserItem).join('');
+    } catch (error) {
+        console.error('Error loading users:', error);
+        list.innerHTML = `<p class="moderation-empty">${t('admin.users.loadFailed')}</p>`;
+    }
+}
+
+function createUserItem(user) {
+    const isSelf = currentUser && user.id === currentUser.id;
+    const role = user.role || 'author';
+
+    // Nobody can lock themselves out from here
+    const selfActions = isSelf ? '' : `
+        <button class="btn btn-secondary" onclick="toggleUserActive('${user.id}')">
+            ${t(user.isActive ? 'admin.users.deactivate' : 'admin.users.activate')}
+        </button>
+        <button class="btn btn-danger" onclick="deleteUser('${user.id}')">${t('admin.delete')}</button>
+    `;
+
+    return `
+        <div class="user-item${user.isActive ? '' : ' inactive'}">
+            <div class="user-details">
+                <div class="user-name">
+                    ${escapeHtml(user.fullName)}${isSelf ? ` ${t('admin.users.you')}` : ''}
+                    <span class="role-badge role-${escapeHtml(role)}">${escapeHtml(t(`admin.role.${role}`))}</span>
+                    ${user.isActive ? '' : `<span class="post-status status-inactive">${t('admin.users.inactive')}</span>`}
+                </div>
+                <div class="user-meta">@${escapeHtml(user.username)} · ${escapeHtml(user.email)}</div>
+                <div class="user-meta">
+                    📝 ${t('admin.postCount', { count: user.postsCount || 0 })} · 💬 ${t('common.comments', { count: user.commentsCount || 0 })} ·
+                    ${t('admin.users.joined', { date: formatDate(user.createdAt, DATE) })}
+                </div>
+            </div>
+            <div class="user-actions">
+                <button class="btn btn-primary" onclick="editUser('${user.id}')">${t('admin.edit')}</button>
+                ${selfActions}
+            </div>
+        </div>
+    `;
+}
+
+function showCreateUserForm() {
+    openUserForm(null);
+}
+
+function editUser(userId) {
+    const user = loadedUsers.find(candidate => candidate.id === userId);
+    if (user) {
+        openUserForm(user);
+    }
+}
+
+// Fill the form for `user`, or clear it for a new account when null
+function openUserForm(user) {
+    editingUserId = user ? user.id : null;
+
+    document.getElementById('user-form-title').textContent = user ? t('admin.users.editTitle', { username: user.username }) : t('admin.users.addTitle');
+    document.getElementById('save-user-btn').textContent = t(user ? 'admin.saveChanges' : 'admin.users.create');
+    document.getElementById('user-username').value = user ? user.username : '';
+    document.getElementById('user-username').disabled = !!user;
+    document.getElementById('user-email').value = user ? user.email : '';
+    document.getElementById('user-first-name').value = user ? user.firstName : '';
+    document.getElementById('user-last-name').value = user ? user.lastName : '';
+    document.getElementById('user-role-select').value = user ? user.role : 'author';
+    // Admins can't demote themselves; another admin has to
+    document.getElementById('user-role-select').disabled = !!user && user.id === currentUser?.id;
+
+    // Passwords are set on creation only; the users API has no password update
+    const password = document.getElementById('user-password');
+    password.value = '';
+    password.required = !user;
+    document.getElementById('user-password-group').style.display = user ? 'none' : 'block';
+
+    hideUserFormError();
+    document.getElementById('user-form-container').style.display = 'block';
+    document.getElementById(user ? 'user-email' : 'user-username').focus();
+}
+
+function hideUserForm() {
+    document.getElementById('user-form-container').style.display = 'none';
+    document.getElementById('user-form').reset();
+    editingUserId = null;
+}
+
+async function saveUser(event) {
+    event.preventDefault();
+
+    const profile = {
+        email: document.getElementById('user-email').value.trim(),
+        firstName: document.getElementById('user-first-name').value.trim(),
+        lastName: document.getElementById('user-last-name').value.trim()
+    };
+    const roleSelect = document.getElementById('user-role-select');
+    if (!roleSelect.disabled) {
+        profile.role = roleSelect.value;
+    }
+
+    const saveBtn = document.getElementById('save-user-btn');
+    saveBtn.disabled = true;
+    hideUserFormError();
+
+    try {
+        if (editingUserId) {
+            await usersApi.update(editingUserId, profile);
+        } else {
+            await usersApi.create({
+                ...profile,
+                username: document.getElementById('user-username').value.trim(),
+                password: document.getElementById('user-password').value
+            });
+        }
+
+        const wasSelf = editingUserId && editingUserId === currentUser?.id;
+        hideUserForm();
+        loadUsers();
+        loadAuthorOptions();
+        if (wasSelf) {
+            loadCurrentUser();
+        }
+    } catch (error) {
+        // Validation (400) and duplicate username/email (409) errors carry a readable message
+        showUserFormError(error.status === 403 ? describeError(error) : error.message);
+    } finally {
+        saveBtn.disabled = false;
+    }
+}
+
+function showUserFormError(message) {
+    const errorDiv = document.getElementById('user-form-error');
+    errorDiv.textContent = message;
+    errorDiv.style.display = 'block';
+}
+
+function hideUserFormError() {
+    document.getElementById('user-form-error').style.display = 'none';
+}
+
+async function toggleUserActive(userId) {
+    const user = loadedUsers.find(candidate => candidate.id === userId);
+    if (!user) return;
+
+    try {
+        await usersApi.update(userId, { isActive: !user.isActive });
+        loadUsers();
+    } catch (error) {
+        showToast(describeError(error, user.isActive ? 'admin.error.deactivateUser' : 'admin.error.activateUser'), { type: 'error' });
+    }
+}
+
+async function deleteUser(userId) {
+    const user = loadedUsers.find(candidate => candidate.id === userId);
+    if (!user) return;
+
+    // Deleting a user cascades to everything they wrote
+    const confirmed = await confirmDialog({
+        title: t('admin.users.deleteTitle', { name: user.fullName, username: user.username }),
+        message: t('admin.users.deleteMessage', {
+            posts: t('admin.postCount', { count: user.postsCount || 0 }),
+            comments: t('common.comments', { count: user.commentsCount || 0 })
+        }),
+        confirmLabel: t('admin.users.deleteConfirm'),
+        danger: true
+    });
+    if (!confirmed) return;
+
+    try {
+        await usersApi.remove(userId);
+        if (editingUserId === userId) {
+            hideUserForm();
+        }
+        loadUsers();
+        loadAuthorOptions();
+        loadPosts();
+    } catch (error) {
+        showToast(describeError(error, 'admin.error.deleteUser'), { type: 'error' });
+    }
+}
+
+// Dashboard
+// Counters and charts from /api/admin/stats and /api/info, refreshed while
+// the section is open and the tab is visible.
+const DASHBOARD_REFRESH_MS = 30 * 1000;
+const DASHBOARD_TOP_POSTS = 5;
+
+let dashboardTimer = null;
+
+function showDashboardView() {
+    router.navigate('/admin/dashboard');
+}
+
+function openDashboardView() {
+    showSection('dashboard-section');
+    loadDashboard();
+
+    clearInterval(dashboardTimer);
+    dashboardTimer = setInterval(() => {
+        if (!document.hidden) {
+            loadDashboard();
+        }
+    }, DASHBOARD_REFRESH_MS);
+}
+
+function stopDashboardRefresh() {
+    clearInterval(dashboardTimer);
+    dashboardTimer = null;
+}
+
+async function loadDashboard() {
+    const errorDiv = document.getElementById('dashboard-error');
+
+    try {
+        const [stats, info] = await Promise.all([systemApi.adminStats(), systemApi.info()]);
+        errorDiv.style.display = 'none';
+        renderDashboard(stats, info);
+        document.getElementById('dashboard-updated').textContent = t('admin.dashboard.updated', { time: formatDate(new Date(), TIME) });
+    } catch (error) {
+        console.error('Error loading dashboard:', error);
+        errorDiv.textContent = describeError(error, 'admin.error.loadDashboard');
+        errorDiv.style.display = 'block';
+        if (error.status === 403) {
+            stopDashboardRefresh();
+        }
+    }
+}
+
+function renderDashboard(stats, info) {
+    const requests = stats.traffic.requests_per_minute;
+    const requestsLastHour = requests.reduce((sum, bucket) => sum + bucket.count, 0);
+    const running = stats.server.uptime === 'running';
+
+    const server = document.getElementById('dashboard-server');
+    server.className = `logs-connection ${running ? 'status-open' : ''}`;
+    // The port is an identifier, not a quantity: no digit grouping
+    server.textContent = `${t(running ? 'admin.dashboard.online' : 'admin.dashboard.stopped')} · ` +
+        t('admin.dashboard.serverInfo', { name: info.name, version: info.version, port: String(stats.server.port) });
+
+    const cards = [
+        { label: t('admin.dashboard.requestsLastHour'), value: requestsLastHour, detail: t('admin.dashboard.sinceStart', { count: stats.traffic.total_requests }) },
+        { label: t('admin.dashboard.postViews'), value: stats.posts.views, detail: t('admin.dashboard.postBreakdown', { published: stats.posts.published, drafts: stats.posts.draft }) },
+        { label: t('admin.comments.title'), value: stats.comments.total, detail: t('admin.dashboard.commentBreakdown', { pending: stats.comments.pending, rejected: stats.comments.rejected }) },
+        { label: t('admin.dashboard.users'), value: stats.users.total, detail: t('admin.dashboard.activeUsers', { count: stats.users.active }) },
+        { label: t('admin.dashboard.activeSessions'), value: stats.auth_tokens.active, detail: t('admin.dashboard.expiredSessions', { count: stats.auth_tokens.expired }) }
+    ];
+    document.getElementById('dashboard-summary').innerHTML = cards.map(card => `
+        <div class="stat-card">
+            <div class="stat-value">${formatNumber(card.value)}</div>
+            <div class="stat-label">${card.label}</div>
+            <div class="stat-detail">${card.detail}</div>
+        </div>
+    `).join('');
+
+    document.getElementById('chart-requests').innerHTML = lineChart(
+        requests.map(bucket => ({ label: formatMinute(bucket.minute), value: bucket.count })),
+        { title: t('admin.dashboard.requestsChart'), format: count => t('admin.dashboard.requests', { count }) }
+    );
+
+    document.getElementById('chart-comments').innerHTML = columnChart(
+        stats.comments.per_day.map(day => ({ label: formatDay(day.date), value: day.count })),
+        { title: t('admin.dashboard.commentsChart'), format: count => t('common.comments', { count }) }
+    );
+
+    const topPosts = stats.posts.top;
+    document.getElementById('chart-views').innerHTML = topPosts.length === 0
+        ? `<p class="chart-empty">${t('blog.noPosts')}</p>`
+        : barChart(topPosts.map(post => ({ label: post.title, value: post.views })), {
+            title: t('admin.dashboard.viewsPerPost'),
+            format: count => t('common.views', { count })
+        });
+
+    document.getElementById('dashboard-top-posts').innerHTML = topPosts.length === 0
+        ? `<p class="chart-empty">${t('blog.noPosts')}</p>`
+        : `
+            <table class="top-posts">
+                <thead>
+                    <tr>
+                        <th>${t('admin.dashboard.post')}</th>
+                        <th>${t('admin.post.status')}</th>
+                        <th class="numeric">${t('admin.post.views')}</th>
+                        <th class="numeric">${t('admin.comments.title')}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${topPosts.slice(0, DASHBOARD_TOP_POSTS).map(post => `
+                        <tr onclick="showPostDetails('${post.id}')">
+                            <td>${escapeHtml(post.title)}</td>
+                            <td><span class="post-status ${post.published ? 'status-published' : 'status-draft'}">${t(post.published ? 'admin.status.published' : 'admin.status.draft')}</span></td>
+                            <td class="numeric">${formatNumber(post.views)}</td>
+                            <td class="numeric">${formatNumber(post.comments)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+}
+
+function formatMinute(timestamp) {
+    return formatDate(timestamp, { hour: '2-digit', minute: '2-digit' });
+}
+
+// Stats days are UTC calendar days (yyyy-MM-dd)
+function formatDay(date) {
+    return formatDate(`${date}T00:00:00Z`, { month: 'short', day: 'numeric', timeZone: 'UTC' });
+}
+
+// Server Logs
+// Live tail of /api/admin/logs/stream. Only the newest LOG_BUFFER_SIZE
+// entries are kept. Pausing freezes the list; entries keep arriving in the
+// background and show up on resume.
+const LOG_BUFFER_SIZE = 500;
+const LOG_LEVELS = ['info', 'success', 'warning', 'error'];
+// Message keys by stream status
+const LOG_CONNECTION_LABELS = {
+    connecting: 'admin.logs.connecting',
+    open: 'admin.logs.live',
+    closed: 'admin.logs.disconnected'
+};
+
+let logEntries = [];
+let pausedLogEntries = null;
+let unseenLogCount = 0;
+let lastLogId = null;
+let logStream = null;
+let logRenderPending = false;
+
+function showLogsView() {
+    router.navigate('/admin/logs');
+}
+
+function openLogsView() {
+    showSection('logs-section');
+    startLogStream();
+}
+
+function startLogStream() {
+    if (logStream) return;
+    logStream = openEventStream('/api/admin/logs/stream', {
+        lastEventId: lastLogId,
+        onEvent: handleLogEvent,
+        onStatus: updateLogConnection
+    });
+}
+
+function stopLogStream() {
+    if (!logStream) return;
+    logStream.close();
+    logStream = null;
+    updateLogConnection('closed');
+}
+
+function handleLogEvent(message) {
+    if (message.event !== 'log') return;
+
+    let entry;
+    try {
+        entry = JSON.parse(message.data);
+    } catch (error) {
+        console.warn('Ignoring malformed log event:', error);
+        return;
+    }
+
+    lastLogId = message.id;
+    logEntries.push(entry);
+    if (logEntries.length > LOG_BUFFER_SIZE) {
+        logEntries.splice(0, logEntries.length - LOG_BUFFER_SIZE);
+    }
+
+    if (pausedLogEntries) {
+        unseenLogCount++;
+        updateLogCount();
+        return;
+    }
+
+    // Requests log in bursts; redraw at most once per frame
+    if (!logRenderPending) {
+        logRenderPending = true;
+        requestAnimationFrame(() => {
+            logRenderPending = false;
+            renderLogs();
+        });
+    }
+}
+
+function updateLogConnection(status, error) {
+    const label = document.getElementById('logs-connection');
+    label.className = `logs-connection status-${status}`;
+    label.textContent = error
+        ? `${t(LOG_CONNECTION_LABELS.closed)}: ${describeError(error, 'admin.error.streamLogs')}`
+        : t(LOG_CONNECTION_LABELS[status]);
+
+    // The stream gave up (e.g. 403); opening the section again retries
+    if (status === 'closed') {
+        logStream = null;
+    }
+}
+
+function filteredLogEntries() {
+    const level = document.getElementById('logs-level').value;
+    const query = document.getElementById('logs-search').value.trim().toLowerCase();
+    return (pausedLogEntries || logEntries).filter(entry =>
+        (!level || entry.level === level) &&
+        (!query || entry.message.toLowerCase().includes(query))
+    );
+}
+
+function renderLogs() {
+    const list = document.getElementById('logs-list');
+    const query = document.getElementById('logs-search').value.trim();
+    // Follow new entries unless the user scrolled up to read
+    const atBottom = list.scrollHeight - list.scrollTop - list.clientHeight < 20;
+    const entries = filteredLogEntries();
+
+    if (entries.length === 0) {
+        const text = t(logEntries.length === 0 ? 'admin.logs.waiting' : 'admin.logs.noMatches');
+        list.innerHTML = `<div class="logs-empty">${text}</div>`;
+    } else {
+        list.innerHTML = entries.map(createLogLine).join('');
+        if (query) {
+            highlightMatches(list, query);
+        }
+    }
+
+    if (atBottom) {
+        list.scrollTop = list.scrollHeight;
+    }
+    updateLogCount(entries.length);
+}
+
+function createLogLine(entry) {
+    const level = LOG_LEVELS.includes(entry.level) ? entry.level : 'info';
+    const time = formatDate(entry.timestamp, TIME);
+    return `
+        <div class="log-entry log-${level}">
+            <span class="log-time">${time}</span>
+            <span class="log-level">${t(`admin.logs.level.${level}`)}</span>
+            <span class="log-message">${escapeHtml(entry.message)}</span>
+        </div>
+    `;
+}
+
+function updateLogCount(shown = filteredLogEntries().length) {
+    const total = (pausedLogEntries || logEntries).length;
+    let text = shown === total
+        ? t('admin.logs.entries', { count: total })
+        : t('admin.logs.entriesFiltered', { shown, count: total });
+    if (pausedLogEntries && unseenLogCount > 0) {
+        text += ` · ${t('admin.logs.newWhilePaused', { count: unseenLogCount })}`;
+    }
+    document.getElementById('logs-count').textContent = text;
+}
+
+function toggleLogsPaused() {
+    pausedLogEntries = pausedLogEntries ? null : logEntries.slice();
+    unseenLogCount = 0;
+    document.getElementById('logs-pause-btn').textContent = t(pausedLogEntries ? 'admin.logs.resume' : 'admin.logs.pause');
+    renderLogs();
+}
+
+function clearLogs() {
+    logEntries = [];
+    if (pausedLogEntries) {
+        pausedLogEntries = [];
+    }
+    unseenLogCount = 0;
+    renderLogs();
+}
+
+// Routes
+// Every view has a URL under /admin, so it can be linked to, reloaded and
+// reached with back/forward; FrontendServerManager serves admin.html for each
+// of these paths. Views the role can't use fall back to the posts list.
+const router = createRouter([
+    { path: '/admin', handler: routePosts },
+    { path: '/admin/posts', handler: routePosts },
+    { path: '/admin/posts/new', handler: routeNewPost },
+    { path: '/admin/posts/{id}', handler: routePost },
+    { path: '/admin/comments', handler: routeSection(canModerateAnything, ({ query }) => openModerationView(query.get('status'))) },
+    { path: '/admin/users', handler: routeSection(() => permissions.manageUsers, openUsersView) },
+    { path: '/admin/dashboard', handler: routeSection(() => permissions.viewStats, openDashboardView) },
+    { path: '/admin/logs', handler: routeSection(() => permissions.viewServerLogs, openLogsView) }
+], {
+    notFound: () => router.navigate(postsUrl(), { replace: true })
+});
+
+// The posts list; the query holds its filters
+function routePosts({ query }) {
+    hidePostModal();
+    stashCreatePostForm();
+    showSection('posts-section');
+
+    const filters = {};
+    FILTER_KEYS.forEach(key => {
+        const value = query.get(key);
+        if (value) {
+            filters[key] = value;
+        }
+    });
+    setPostFilters(filters);
+}
+
+function routeNewPost() {
+    if (!permissions.writePosts) {
+        router.navigate(postsUrl(), { replace: true });
+        return;
+    }
+    hidePostModal();
+    showSection('posts-section');
+    openCreatePostForm();
+}
+
+// A post opens over whichever section is shown (the posts list on page load)
+async function routePost({ params }) {
+    if (currentPostId && currentPostId !== params.id) {
+        hidePostModal();
+    }
+    await openPostModal(params.id);
+    if (!currentPost) {
+        router.navigate(postsUrl(), { replace: true });
+    }
+}
+
+// A route handler that opens a section when `allowed()`
+function routeSection(allowed, open) {
+    return match => {
+        if (!allowed()) {
+            router.navigate(postsUrl(), { replace: true });
+            return;
+        }
+        hidePostModal();
+        open(match);
+    };
+}
+
+// Utility Functions
+// Date formats for formatDate()
+const DATE = { dateStyle: 'medium' };
+const DATE_TIME = { dateStyle: 'medium', timeStyle: 'short' };
+const TIME = { timeStyle: 'medium' };
+
+// Show one of the top-level admin sections and hide the others
+const SECTIONS = ['posts-section', 'moderation-section', 'users-section', 'dashboard-section', 'logs-section'];
+
+function showSection(id) {
+    SECTIONS.forEach(section => {
+        document.getElementById(section).style.display = section === id ? 'block' : 'none';
+    });
+    if (id !== 'dashboard-section') {
+        stopDashboardRefresh();
+    }
+    if (id !== 'logs-section') {
+        stopLogStream();
+    }
+}
+
+function isSectionOpen(id) {
+    return document.getElementById(id).style.display !== 'none';
+}
+
+
+function escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
     return div.innerHTML;
 }
 
+// Live preview and stats as the user types
+Object.keys(EDITORS).forEach(name => {
+    document.getElementById(EDITORS[name].content).addEventListener('input', () => updateEditor(name));
+});
+
+// Don't lose the last few seconds of typing when the tab closes
+window.addEventListener('beforeunload', saveAllDrafts);
+
+document.addEventListener('keydown', handleModerationShortcut);
+
 // Close modal when clicking outside
 document.addEventListener('click', function(event) {
     const modal = document.getElementById('post-detail-modal');
@@ -614,9 +2359,60 @@ document.addEventListener('click', function(event) {
     }
 });
 
-// Close modal with Escape key
+// While the post modal is open, Escape closes it and Tab stays inside it
 document.addEventListener('keydown', function(event) {
+    const modal = document.getElementById('post-detail-modal');
+    if (modal.style.display === 'none') return;
+
     if (event.key === 'Escape') {
         closePostModal();
+    } else {
+        trapFocus(event, modal.querySelector('.modal-content'));
     }
 });
+
+// Expose handlers referenced from inline markup
+Object.assign(window, {
+    logout,
+    refreshToken,
+    showCreatePostForm,
+    hideCreatePostForm,
+    createPost,
+    loadMorePosts,
+    clearPostFilters,
+    showPostDetails,
+    closePostModal,
+    togglePostStatus,
+    schedulePost,
+    cancelSchedule,
+    editPost,
+    cancelEditPost,
+    savePostEdits,
+    restoreDraft,
+    discardDraft,
+    toggleMediaLibrary,
+    insertMediaItem,
+    deleteMedia,
+    deleteCurrentPost,
+    approveComment,
+    showModerationView,
+    changeModerationStatus,
+    showPostsView,
+    showUsersView,
+    showDashboardView,
+    loadDashboard,
+    showLogsView,
+    renderLogs,
+    toggleLogsPaused,
+    clearLogs,
+    showCreateUserForm,
+    editUser,
+    hideUserForm,
+    saveUser,
+    toggleUserActive,
+    deleteUser,
+    selectAllComments,
+    updateModerationSelection,
+    moderateSelected,
+    moderateComments
+});
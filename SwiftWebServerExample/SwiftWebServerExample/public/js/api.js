@@ -0,0 +1,906 @@
+// SwiftWebServer API Client
+//
+// Shared ES module used by every page script. Owns config resolution, the
+// auth token in localStorage, JSON error parsing and network retries, so a
+// backend URL or auth change only has to be made here.
+
+const TOKEN_STORAGE_KEY = 'auth_token';
+const REFRESH_TOKEN_STORAGE_KEY = 'refresh_token';
+const EXPIRES_AT_STORAGE_KEY = 'auth_token_expires_at';
+// Renew the access token this long before it expires
+const REFRESH_AHEAD_MS = 60 * 1000;
+const RETRYABLE_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE'];
+const MAX_RETRIES = 2;
+const RETRY_DELAY_MS = 300;
+const STREAM_RETRY_MS = 3000;
+
+/**
+ * @typedef {Object} User
+ * @property {string} id
+ * @property {string} username
+ * @property {string} email
+ * @property {string} firstName
+ * @property {string} lastName
+ * @property {string} fullName
+ * @property {boolean} isActive
+ * @property {'admin'|'author'|'reader'} role
+ * @property {string} createdAt
+ * @property {string} updatedAt
+ * @property {number} postsCount
+ * @property {number} commentsCount
+ */
+
+/**
+ * What the signed-in user may do. Ownership still matters: authors can
+ * edit their own posts and moderate the comments on them.
+ *
+ * @typedef {Object} Permissions
+ * @property {boolean} manageUsers
+ * @property {boolean} writePosts
+ * @property {boolean} moderateAllPosts - Edit, publish and delete any post, moderate any comment
+ * @property {boolean} viewServerLogs
+ * @property {boolean} viewStats - Dashboard (/api/admin/stats)
+ */
+
+/**
+ * @typedef {Object} CurrentUser
+ * @property {User} user
+ * @property {Permissions} permissions
+ */
+
+/**
+ * @typedef {Object} PostSummary
+ * @property {string} id
+ * @property {string} title
+ * @property {string} excerpt
+ * @property {boolean} isPublished
+ * @property {number} viewCount
+ * @property {number} readingTime
+ * @property {string} createdAt
+ * @property {string|null} publishedAt - For scheduled posts, when they go live
+ * @property {boolean} isScheduled
+ * @property {string|null} authorId
+ * @property {string} authorName
+ * @property {number} commentsCount
+ * @property {string[]} tags
+ */
+
+/**
+ * @typedef {Object} PostsPage
+ * @property {PostSummary[]} posts
+ * @property {number} page - 1-based
+ * @property {number} limit
+ * @property {number} total
+ * @property {number} totalPages
+ * @property {boolean} hasMore
+ */
+
+/**
+ * @typedef {Object} Post
+ * @property {string} id
+ * @property {string} title
+ * @property {string} content
+ * @property {string} excerpt
+ * @property {boolean} isPublished
+ * @property {number} viewCount
+ * @property {number} wordCount
+ * @property {number} readingTime
+ * @property {string} createdAt
+ * @property {string} updatedAt
+ * @property {string|null} publishedAt - For scheduled posts, when they go live
+ * @property {boolean} isScheduled
+ * @property {User|null} author
+ * @property {number} commentsCount
+ * @property {string[]} tags - Lowercase, spaces replaced by "-"
+ */
+
+/**
+ * @typedef {Object} TagCount
+ * @property {string} name
+ * @property {number} count - Posts with the tag
+ */
+
+/**
+ * @typedef {Object} Comment
+ * @property {string} id
+ * @property {string} content
+ * @property {boolean} isApproved
+ * @property {boolean} isRejected
+ * @property {string} createdAt
+ * @property {string} updatedAt
+ * @property {User|null} author
+ * @property {string|null} postId
+ * @property {string|null} parentCommentId
+ * @property {number} repliesCount
+ * @property {number} wordCount
+ */
+
+/**
+ * @typedef {Object} CommentWithReplies
+ * @property {Comment} comment
+ * @property {Comment[]} replies
+ */
+
+/**
+ * @typedef {Object} CommentWithPost
+ * @property {Comment} comment
+ * @property {string|null} postTitle
+ */
+
+/**
+ * Data of a `comment-<kind>` event on a post's comment stream
+ *
+ * @typedef {Object} CommentEvent
+ * @property {number} id
+ * @property {'created'|'updated'|'approved'|'rejected'|'deleted'} kind
+ * @property {string} postId
+ * @property {string} commentId
+ * @property {Comment|null} comment - The comment after the change; null when deleted
+ */
+
+/**
+ * An uploaded image or file in the media library
+ *
+ * @typedef {Object} Media
+ * @property {string} id
+ * @property {string} filename
+ * @property {string} contentType
+ * @property {number} size - Bytes
+ * @property {boolean} isImage
+ * @property {string} url - Path on the backend server, e.g. `/media/{id}`
+ * @property {string} createdAt
+ * @property {User|null} uploader
+ */
+
+/**
+ * @typedef {Object} LoginResponse
+ * @property {string} token
+ * @property {User} user
+ * @property {number} expiresIn
+ * @property {string} expiresAt
+ * @property {string|null} refreshToken - Single use; exchanged at /api/auth/refresh
+ * @property {string|null} refreshExpiresAt
+ */
+
+/**
+ * @typedef {Object} TokenInfo
+ * @property {string} token
+ * @property {string} expiresAt
+ * @property {number} expiresIn
+ * @property {boolean} isExpired
+ * @property {boolean} isValid
+ * @property {{id: string, username: string, firstName: string, lastName: string, role: string}} user
+ */
+
+// Error thrown for every non-2xx response. `code` carries the backend's
+// machine-readable code (e.g. TOKEN_INVALID) when the body provides one.
+export class ApiError extends Error {
+    constructor(message, { status = 0, code = null, data = null } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+        this.data = data;
+    }
+
+    get isNetworkError() {
+        return this.status === 0;
+    }
+}
+
+// Configuration
+
+let configPromise = null;
+let apiBase = '';
+
+// Resolve the backend base URL once per page. The frontend server publishes
+// it at /config.json; when the page is served by the backend itself there
+// is no config and the API lives on the same origin.
+export function loadConfig() {
+    if (!configPromise) {
+        configPromise = (async () => {
+            try {
+                const response = await fetch('/config.json');
+                if (response.ok) {
+                    const config = await response.json();
+                    apiBase = config.apiBase || config.backendUrl || window.location.origin;
+                } else {
+                    apiBase = window.location.origin;
+                }
+            } catch (error) {
+                console.log('Using fallback API base');
+                apiBase = window.location.origin;
+            }
+            return apiBase;
+        })();
+    }
+    return configPromise;
+}
+
+export function getApiBase() {
+    return apiBase;
+}
+
+// Auth token storage
+
+export function getAuthToken() {
+    return localStorage.getItem(TOKEN_STORAGE_KEY);
+}
+
+export function setAuthToken(token) {
+    localStorage.setItem(TOKEN_STORAGE_KEY, token);
+}
+
+export function clearAuthToken() {
+    clearTimeout(refreshTimer);
+    localStorage.removeItem(TOKEN_STORAGE_KEY);
+    localStorage.removeItem(REFRESH_TOKEN_STORAGE_KEY);
+    localStorage.removeItem(EXPIRES_AT_STORAGE_KEY);
+}
+
+// Store the token pair from a login or refresh response
+function storeSession(data) {
+    setAuthToken(data.token);
+    if (data.refreshToken) {
+        localStorage.setItem(REFRESH_TOKEN_STORAGE_KEY, data.refreshToken);
+    }
+    if (data.expiresAt) {
+        localStorage.setItem(EXPIRES_AT_STORAGE_KEY, data.expiresAt);
+    }
+    if (refreshStarted) {
+        scheduleRefresh();
+    }
+}
+
+export function canRefreshSession() {
+    return Boolean(localStorage.getItem(REFRESH_TOKEN_STORAGE_KEY));
+}
+
+let tokenInvalidHandler = null;
+
+// Register a callback for responses rejected with TOKEN_INVALID. Pages that
+// require a session (admin) use it to send the user back to /login.
+export function onTokenInvalid(handler) {
+    tokenInvalidHandler = handler;
+}
+
+// Session refresh
+
+let refreshPromise = null;
+let refreshTimer = null;
+let refreshStarted = false;
+
+/**
+ * Exchange the stored refresh token for a new token pair. Concurrent callers
+ * share one request, since the server accepts each refresh token only once.
+ *
+ * @returns {Promise<void>}
+ * @throws {ApiError} REFRESH_INVALID when the session cannot be renewed
+ */
+export function refreshSession() {
+    if (!refreshPromise) {
+        refreshPromise = (async () => {
+            const refreshToken = localStorage.getItem(REFRESH_TOKEN_STORAGE_KEY);
+            if (!refreshToken) {
+                throw new ApiError('No refresh token', { status: 401, code: 'REFRESH_INVALID' });
+            }
+            try {
+                storeSession(await request('/api/auth/refresh', {
+                    method: 'POST',
+                    body: { refreshToken },
+                    auth: false
+                }));
+            } catch (error) {
+                // Another tab may have used the same refresh token first; its
+                // new pair is already in localStorage
+                if (localStorage.getItem(REFRESH_TOKEN_STORAGE_KEY) === refreshToken) {
+                    throw error;
+                }
+            }
+        })().finally(() => {
+            refreshPromise = null;
+        });
+    }
+    return refreshPromise;
+}
+
+// Refresh silently shortly before the access token expires, for as long as
+// the page stays open. Safe to call more than once.
+export function startSessionRefresh() {
+    if (refreshStarted) return;
+    refreshStarted = true;
+
+    // Follow renewals made by other tabs
+    window.addEventListener('storage', event => {
+        if (event.key === EXPIRES_AT_STORAGE_KEY) {
+            scheduleRefresh();
+        }
+    });
+    scheduleRefresh();
+}
+
+function scheduleRefresh() {
+    clearTimeout(refreshTimer);
+    const expiresAt = Date.parse(localStorage.getItem(EXPIRES_AT_STORAGE_KEY));
+    if (!canRefreshSession() || Number.isNaN(expiresAt)) return;
+
+    refreshTimer = setTimeout(() => {
+        refreshSession().catch(error => console.warn('Background session refresh failed:', error));
+    }, Math.max(expiresAt - Date.now() - REFRESH_AHEAD_MS, 0));
+}
+
+// Called after a 401: resolves true once a newer token than `failedToken` is
+// stored, refreshing if nobody else has already
+async function renewSession(failedToken) {
+    const current = getAuthToken();
+    if (current && current !== failedToken) {
+        return true;
+    }
+    if (!canRefreshSession()) {
+        return false;
+    }
+    try {
+        await refreshSession();
+        return true;
+    } catch (error) {
+        console.warn('Session refresh failed:', error);
+        return false;
+    }
+}
+
+// Requests
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function parseBody(response) {
+    if (response.status === 204) {
+        return null;
+    }
+    const text = await response.text();
+    if (!text) {
+        return null;
+    }
+    try {
+        return JSON.parse(text);
+    } catch {
+        return text;
+    }
+}
+
+// Backend errors come in two shapes: handler errors `{error: "msg", code?}`
+// and framework errors `{error: true, code: 404, message: "msg"}`.
+function toApiError(response, body) {
+    let message = `HTTP ${response.status}`;
+    let code = null;
+    if (body && typeof body === 'object') {
+        if (typeof body.error === 'string') {
+            message = body.error;
+        } else if (typeof body.message === 'string') {
+            message = body.message;
+        }
+        code = body.code ?? null;
+    } else if (typeof body === 'string' && body) {
+        message = body;
+    }
+    return new ApiError(message, { status: response.status, code, data: body });
+}
+
+function buildUrl(path, query) {
+    const url = new URL(path, apiBase || window.location.origin);
+    if (query) {
+        Object.entries(query).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '') {
+                url.searchParams.set(key, value);
+            }
+        });
+    }
+    return url.toString();
+}
+
+/**
+ * Send a request to the backend and return the parsed JSON body.
+ *
+ * @param {string} path - API path, e.g. `/api/posts`
+ * @param {Object} [options]
+ * @param {string} [options.method='GET']
+ * @param {Object} [options.query] - Query parameters; empty values are skipped
+ * @param {*} [options.body] - Serialized as JSON unless it is FormData
+ * @param {Object} [options.headers]
+ * @param {boolean} [options.auth=true] - Attach the stored bearer token
+ * @param {boolean} [options.retry] - Retry on network failure (defaults to idempotent methods)
+ * @param {boolean} [options.replay=true] - On 401, refresh the session and send the request once more
+ * @param {boolean} [options.keepalive] - Let the request outlive the page, e.g. when sent on pagehide
+ * @returns {Promise<*>}
+ * @throws {ApiError}
+ */
+export async function request(path, options = {}) {
+    await loadConfig();
+
+    const method = (options.method || 'GET').toUpperCase();
+    const headers = { ...options.headers };
+    const init = { method, headers, credentials: 'include', keepalive: Boolean(options.keepalive) };
+
+    if (options.body !== undefined) {
+        if (options.body instanceof FormData) {
+            init.body = options.body;
+        } else {
+            headers['Content-Type'] = 'application/json';
+            init.body = JSON.stringify(options.body);
+        }
+    }
+
+    const token = options.auth === false ? null : getAuthToken();
+    if (token) {
+        headers['Authorization'] = `Bearer ${token}`;
+    }
+
+    const url = buildUrl(path, options.query);
+    const retries = (options.retry ?? RETRYABLE_METHODS.includes(method)) ? MAX_RETRIES : 0;
+
+    let response;
+    for (let attempt = 0; ; attempt++) {
+        try {
+            response = await fetch(url, init);
+            break;
+        } catch (error) {
+            if (attempt >= retries) {
+                throw new ApiError('Unable to connect to server', { data: error });
+            }
+            await delay(RETRY_DELAY_MS * 2 ** attempt);
+        }
+    }
+
+    const body = await parseBody(response);
+    if (!response.ok) {
+        if (response.status === 401 && token && options.replay !== false && await renewSession(token)) {
+            return request(path, { ...options, replay: false });
+        }
+
+        const error = toApiError(response, body);
+        if (error.code === 'TOKEN_INVALID' && tokenInvalidHandler) {
+            tokenInvalidHandler(error);
+        }
+        throw error;
+    }
+    return body;
+}
+
+/**
+ * Send `formData` with XMLHttpRequest, which unlike fetch reports upload
+ * progress. Errors and the 401 replay behave as in {@link request}; there
+ * are no network retries.
+ *
+ * @param {string} path
+ * @param {FormData} formData
+ * @param {Object} [options]
+ * @param {function(number): void} [options.onProgress] - Fraction sent, 0 to 1
+ * @param {boolean} [options.replay=true]
+ * @returns {Promise<*>}
+ * @throws {ApiError}
+ */
+export async function upload(path, formData, options = {}) {
+    await loadConfig();
+
+    const token = getAuthToken();
+    const { status, body } = await new Promise((resolve, reject) => {
+        const xhr = new XMLHttpRequest();
+        xhr.open('POST', buildUrl(path));
+        xhr.withCredentials = true;
+        if (token) {
+            xhr.setRequestHeader('Authorization', `Bearer ${token}`);
+        }
+        xhr.upload.addEventListener('progress', event => {
+            if (event.lengthComputable && options.onProgress) {
+                options.onProgress(event.loaded / event.total);
+            }
+        });
+        xhr.addEventListener('load', () => {
+            let body = xhr.responseText || null;
+            try {
+                body = body && JSON.parse(body);
+            } catch {
+                // Not JSON; keep the text
+            }
+            resolve({ status: xhr.status, body });
+        });
+        xhr.addEventListener('error', () => reject(new ApiError('Unable to connect to server')));
+        xhr.send(formData);
+    });
+
+    if (status < 200 || status >= 300) {
+        if (status === 401 && token && options.replay !== false && await renewSession(token)) {
+            return upload(path, formData, { ...options, replay: false });
+        }
+
+        const error = toApiError({ status }, body);
+        if (error.code === 'TOKEN_INVALID' && tokenInvalidHandler) {
+            tokenInvalidHandler(error);
+        }
+        throw error;
+    }
+    return body;
+}
+
+// Event streams
+
+/**
+ * @typedef {Object} StreamEvent
+ * @property {string} event - Event name, `message` when the server sent none
+ * @property {string} data
+ * @property {?string} id
+ */
+
+// Parse a text/event-stream body, calling `onEvent` for each complete event
+async function readEventStream(body, { onEvent, onRetry }) {
+    const reader = body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+    let event = null;
+    let data = [];
+    let id = null;
+
+    for (;;) {
+        const { value, done } = await reader.read();
+        if (done) return;
+
+        buffer += value;
+        const lines = buffer.split(/\r\n|\r|\n/);
+        buffer = lines.pop();
+
+        for (const line of lines) {
+            if (line === '') {
+                if (data.length > 0) {
+                    onEvent({ event: event || 'message', data: data.join('\n'), id });
+                }
+                event = null;
+                data = [];
+                continue;
+            }
+            if (line.startsWith(':')) continue; // comment / heartbeat
+
+            const colon = line.indexOf(':');
+            const field = colon === -1 ? line : line.slice(0, colon);
+            const fieldValue = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+            if (field === 'data') {
+                data.push(fieldValue);
+            } else if (field === 'event') {
+                event = fieldValue;
+            } else if (field === 'id') {
+                id = fieldValue;
+            } else if (field === 'retry' && /^\d+$/.test(fieldValue)) {
+                onRetry(Number(fieldValue));
+            }
+        }
+    }
+}
+
+/**
+ * Follow a Server-Sent Events endpoint. Uses fetch rather than EventSource
+ * so the bearer token is sent and an expired session can be renewed. After a
+ * dropped connection it reconnects, passing the last event id as `after` so
+ * the server can replay what was missed.
+ *
+ * @param {string} path - API path, e.g. `/api/admin/logs/stream`
+ * @param {Object} options
+ * @param {function(StreamEvent): void} options.onEvent
+ * @param {function(string, ApiError=): void} [options.onStatus] - `connecting`,
+ *     `open`, or `closed` with the error that ended the stream for good
+ * @param {?string} [options.lastEventId] - Resume after this event
+ * @param {Object} [options.query]
+ * @returns {{close: function(): void}}
+ */
+export function openEventStream(path, options) {
+    const controller = new AbortController();
+    let closed = false;
+    let lastEventId = options.lastEventId ?? null;
+    let retryMs = STREAM_RETRY_MS;
+
+    const setStatus = (status, error) => {
+        if (!closed && options.onStatus) {
+            options.onStatus(status, error);
+        }
+    };
+
+    const fail = error => {
+        setStatus('closed', error);
+        closed = true;
+    };
+
+    const run = async () => {
+        await loadConfig();
+        let renewed = false;
+
+        while (!closed) {
+            setStatus('connecting');
+
+            const token = getAuthToken();
+            const headers = { 'Accept': 'text/event-stream' };
+            if (token) {
+                headers['Authorization'] = `Bearer ${token}`;
+            }
+
+            try {
+                const url = buildUrl(path, { ...options.query, after: lastEventId });
+                const response = await fetch(url, { headers, credentials: 'include', signal: controller.signal });
+
+                if (!response.ok) {
+                    const body = await parseBody(response);
+                    if (response.status === 401 && token && !renewed && await renewSession(token)) {
+                        renewed = true;
+                        continue;
+                    }
+
+                    const error = toApiError(response, body);
+                    if (error.code === 'TOKEN_INVALID' && tokenInvalidHandler) {
+                        tokenInvalidHandler(error);
+                    }
+                    fail(error);
+                    return;
+                }
+
+                renewed = false;
+                setStatus('open');
+                await readEventStream(response.body, {
+                    onEvent: message => {
+                        if (message.id !== null) {
+                            lastEventId = message.id;
+                        }
+                        if (!closed) {
+                            options.onEvent(message);
+                        }
+                    },
+                    onRetry: ms => {
+                        retryMs = ms;
+                    }
+                });
+            } catch (error) {
+                if (closed) return;
+                console.warn(`Event stream ${path} dropped:`, error);
+            }
+
+            if (!closed) {
+                setStatus('connecting');
+                await delay(retryMs);
+            }
+        }
+    };
+    run();
+
+    return {
+        close() {
+            closed = true;
+            controller.abort();
+        }
+    };
+}
+
+// Resources
+
+export const posts = {
+    /**
+     * Without `page`/`limit` this resolves to every matching post; with
+     * either it resolves to a single page.
+     *
+     * @param {Object} [options]
+     * @param {boolean} [options.published]
+     * @param {number} [options.page]
+     * @param {number} [options.limit]
+     * @param {string} [options.q] - Terms matched against title, excerpt and author
+     * @param {'published'|'scheduled'|'draft'} [options.status]
+     * @param {string} [options.tag]
+     * @param {string} [options.author] - Author user ID
+     * @param {string} [options.from] - Inclusive yyyy-MM-dd
+     * @param {string} [options.to] - Inclusive yyyy-MM-dd
+     * @returns {Promise<PostSummary[]|PostsPage>}
+     */
+    list({ published, page, limit, q, status, tag, author, from, to } = {}) {
+        return request('/api/posts', {
+            query: { published: published ? 'true' : undefined, page, limit, q, status, tag, author, from, to }
+        });
+    },
+    /** @returns {Promise<Post>} */
+    get(id) {
+        return request(`/api/posts/${id}`);
+    },
+    /** @returns {Promise<Post>} */
+    create({ title, content, isPublished, tags }) {
+        return request('/api/posts', { method: 'POST', body: { title, content, isPublished, tags } });
+    },
+    /**
+     * `changes.publishedAt` (a future ISO 8601 time) schedules the post;
+     * `isPublished` publishes it now or makes it a draft.
+     *
+     * @returns {Promise<Post>}
+     */
+    update(id, changes) {
+        return request(`/api/posts/${id}`, { method: 'PUT', body: changes });
+    },
+    /** @param {{keepalive?: boolean}} [options] */
+    remove(id, { keepalive } = {}) {
+        return request(`/api/posts/${id}`, { method: 'DELETE', keepalive });
+    }
+};
+
+export const tags = {
+    /**
+     * Tags of published posts with their counts, most used first. With
+     * `includeDrafts`, authors and admins also get their drafts' tags.
+     *
+     * @param {{includeDrafts?: boolean}} [options]
+     * @returns {Promise<TagCount[]>}
+     */
+    list({ includeDrafts } = {}) {
+        return request('/api/tags', {
+            query: { include_drafts: includeDrafts ? 'true' : undefined }
+        });
+    }
+};
+
+export const comments = {
+    /**
+     * Comments across every post, oldest first (moderation queue).
+     *
+     * @param {{status?: 'pending'|'approved'|'rejected'}} [options]
+     * @returns {Promise<CommentWithPost[]>}
+     */
+    list({ status } = {}) {
+        return request('/api/comments', { query: { status } });
+    },
+    /** @returns {Promise<CommentWithReplies[]>} */
+    listForPost(postId, { includeUnapproved } = {}) {
+        return request(`/api/posts/${postId}/comments`, {
+            query: { include_unapproved: includeUnapproved ? 'true' : undefined }
+        });
+    },
+    /** @returns {Promise<Comment>} */
+    create(postId, { content, parentCommentId }) {
+        return request(`/api/posts/${postId}/comments`, {
+            method: 'POST',
+            body: { content, postId, parentCommentId }
+        });
+    },
+    /**
+     * Follow changes to a post's comments. Each `comment-<kind>` event
+     * carries a {@link CommentEvent}; `reset` means changes were missed and
+     * the comments should be reloaded. Moderators also hear about pending
+     * and rejected comments.
+     *
+     * @param {string} postId
+     * @param {{onEvent: function(StreamEvent): void, onStatus?: function(string, ApiError=): void}} handlers
+     * @returns {{close: function(): void}}
+     */
+    stream(postId, { onEvent, onStatus }) {
+        return openEventStream(`/api/posts/${postId}/comments/stream`, { onEvent, onStatus });
+    },
+    /** @returns {Promise<CommentWithReplies>} */
+    get(id) {
+        return request(`/api/comments/${id}`);
+    },
+    /** @returns {Promise<Comment>} */
+    update(id, changes) {
+        return request(`/api/comments/${id}`, { method: 'PUT', body: changes });
+    },
+    /** @returns {Promise<Comment>} */
+    approve(id) {
+        return request(`/api/comments/${id}/approve`, { method: 'PUT' });
+    },
+    /** @returns {Promise<Comment>} */
+    reject(id) {
+        return request(`/api/comments/${id}/reject`, { method: 'PUT' });
+    },
+    remove(id) {
+        return request(`/api/comments/${id}`, { method: 'DELETE' });
+    }
+};
+
+export const users = {
+    /** @returns {Promise<User[]>} */
+    list() {
+        return request('/api/users');
+    },
+    /** @returns {Promise<User>} */
+    get(id) {
+        return request(`/api/users/${id}`);
+    },
+    /** @returns {Promise<User>} */
+    create(user) {
+        return request('/api/users', { method: 'POST', body: user });
+    },
+    /** @returns {Promise<User>} */
+    update(id, changes) {
+        return request(`/api/users/${id}`, { method: 'PUT', body: changes });
+    },
+    remove(id) {
+        return request(`/api/users/${id}`, { method: 'DELETE' });
+    }
+};
+
+export const media = {
+    /**
+     * The media library, newest first. Authors and admins only.
+     *
+     * @param {{type?: 'image'}} [options]
+     * @returns {Promise<Media[]>}
+     */
+    list({ type } = {}) {
+        return request('/api/media', { query: { type } });
+    },
+    /**
+     * @param {File} file
+     * @param {{onProgress?: function(number): void}} [options]
+     * @returns {Promise<Media>}
+     */
+    upload(file, { onProgress } = {}) {
+        const formData = new FormData();
+        formData.append('file', file);
+        return upload('/api/media', formData, { onProgress });
+    },
+    remove(id) {
+        return request(`/api/media/${id}`, { method: 'DELETE' });
+    },
+    /**
+     * Absolute URL of an upload, for use in post bodies: the files are
+     * served by the backend, not the page's own origin.
+     *
+     * @param {Media} item
+     * @returns {string}
+     */
+    url(item) {
+        return buildUrl(item.url);
+    }
+};
+
+export const auth = {
+    /** @returns {Promise<LoginResponse>} */
+    async login(username, password) {
+        const data = await request('/api/auth/login', {
+            method: 'POST',
+            body: { username, password },
+            auth: false
+        });
+        if (data && data.token) {
+            storeSession(data);
+        }
+        return data;
+    },
+    async logout() {
+        try {
+            await request('/api/auth/logout', { method: 'POST' });
+        } finally {
+            clearAuthToken();
+        }
+    },
+    /** @returns {Promise<CurrentUser>} */
+    me() {
+        return request('/api/auth/me');
+    },
+    /** @returns {Promise<TokenInfo>} */
+    async tokenInfo() {
+        const info = await request('/api/auth/token-info');
+        // Sessions restored from storage need the expiry to schedule a refresh
+        if (info && info.expiresAt) {
+            localStorage.setItem(EXPIRES_AT_STORAGE_KEY, info.expiresAt);
+        }
+        return info;
+    }
+};
+
+export const system = {
+    health() {
+        return request('/api/health', { auth: false });
+    },
+    info() {
+        return request('/api/info', { auth: false });
+    },
+    /**
+     * Site counters plus the dashboard series: `traffic.requests_per_minute`
+     * (last hour), `comments.per_day` (last 14 days) and `posts.top` (most
+     * viewed). Admin only.
+     *
+     * @returns {Promise<Object>}
+     */
+    adminStats() {
+        return request('/api/admin/stats');
+    }
+};
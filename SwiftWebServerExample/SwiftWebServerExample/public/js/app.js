@@ -1,16 +1,25 @@
 // SwiftWebServer Example JavaScript
 
+import {
+    loadConfig,
+    getApiBase,
+    getAuthToken,
+    openEventStream,
+    auth as authApi,
+    posts as postsApi,
+    users as usersApi,
+    comments as commentsApi,
+    system as systemApi
+} from './api.js';
+import { showToast } from './notify.js';
+
 let authToken = null;
 let currentUser = null;
-let API_BASE = ''; // Will be loaded from config
 
 // Initialize the app
 document.addEventListener('DOMContentLoaded', async function() {
-    // Load configuration first
-    await loadConfig();
-
     // Check for existing auth token in localStorage
-    authToken = localStorage.getItem('auth_token');
+    authToken = getAuthToken();
     if (authToken) {
         showUserInfo();
     } else {
@@ -26,26 +35,10 @@ document.addEventListener('DOMContentLoaded', async function() {
     loadUsers();
     loadPosts();
 
-    // Set up auto-refresh for logs
-    setInterval(loadLogs, 5000);
-
-    // Load initial logs
+    // Follow the server log
     loadLogs();
 });
 
-// Load configuration from frontend server
-async function loadConfig() {
-    try {
-        const response = await fetch('/api/config');
-        const config = await response.json();
-        API_BASE = config.backendUrl || 'http://localhost:8080';
-        console.log('Backend API URL:', API_BASE);
-    } catch (error) {
-        console.error('Failed to load config, using default backend URL:', error);
-        API_BASE = 'http://localhost:8080';
-    }
-}
-
 // Tab Management
 function showTab(tabName) {
     // Hide all tabs
@@ -84,56 +77,36 @@ async function login() {
     const password = document.getElementById('password').value;
     
     if (!username || !password) {
-        alert('Please enter username and password');
+        showToast('Please enter username and password');
         return;
     }
     
     try {
-        const response = await fetch(`${API_BASE}/api/auth/login`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({ username, password })
-        });
-        
-        const data = await response.json();
-        
-        if (response.ok) {
-            // Store token in localStorage
-            localStorage.setItem('auth_token', data.token);
-            authToken = data.token;
-            currentUser = data.user;
-            showUserInfo();
-            showCreateButtons();
-            alert('Login successful!');
-        } else {
-            alert('Login failed: ' + data.error);
-        }
+        // The API client stores the token in localStorage
+        const data = await authApi.login(username, password);
+        authToken = data.token;
+        currentUser = data.user;
+        showUserInfo();
+        showCreateButtons();
+        showToast('Login successful', { type: 'success' });
     } catch (error) {
-        alert('Login error: ' + error.message);
+        showToast('Login failed: ' + error.message, { type: 'error' });
     }
 }
 
 async function logout() {
     try {
-        await fetch(`${API_BASE}/api/auth/logout`, {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${authToken}`
-            }
-        });
+        // Revokes the token on the backend and clears it from localStorage
+        await authApi.logout();
     } catch (error) {
         console.error('Logout error:', error);
     }
-    
-    // Clear token from localStorage
-    localStorage.removeItem('auth_token');
+
     authToken = null;
     currentUser = null;
     showLoginForm();
     hideCreateButtons();
-    alert('Logged out successfully');
+    showToast('Logged out', { type: 'success' });
 }
 
 function showUserInfo() {
@@ -168,14 +141,11 @@ function hideCreateButtons() {
 // Server Info
 async function loadServerInfo() {
     try {
-        const [healthResponse, infoResponse] = await Promise.all([
-            fetch(`${API_BASE}/api/health`),
-            fetch(`${API_BASE}/api/info`)
+        const [healthData, infoData] = await Promise.all([
+            systemApi.health(),
+            systemApi.info()
         ]);
         
-        const healthData = await healthResponse.json();
-        const infoData = await infoResponse.json();
-        
         // Update server status
         const statusElement = document.getElementById('server-status');
         if (healthData.status === 'healthy') {
@@ -203,8 +173,7 @@ async function loadServerInfo() {
 // Users Management
 async function loadUsers() {
     try {
-        const response = await fetch(`${API_BASE}/api/users`);
-        const users = await response.json();
+        const users = await usersApi.list();
         
         const usersList = document.getElementById('users-list');
         usersList.innerHTML = '';
@@ -255,34 +224,21 @@ async function createUser(event) {
     };
     
     try {
-        const response = await fetch(`${API_BASE}/api/users`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify(userData)
-        });
-        
-        const data = await response.json();
-        
-        if (response.ok) {
-            alert('User created successfully!');
-            hideCreateUserForm();
-            loadUsers();
-            loadServerInfo(); // Refresh stats
-        } else {
-            alert('Error creating user: ' + data.error);
-        }
+        await usersApi.create(userData);
+
+        showToast('User created', { type: 'success' });
+        hideCreateUserForm();
+        loadUsers();
+        loadServerInfo(); // Refresh stats
     } catch (error) {
-        alert('Error creating user: ' + error.message);
+        showToast('Error creating user: ' + error.message, { type: 'error' });
     }
 }
 
 // Posts Management
 async function loadPosts() {
     try {
-        const response = await fetch(`${API_BASE}/api/posts`);
-        const posts = await response.json();
+        const posts = await postsApi.list();
         
         const postsList = document.getElementById('posts-list');
         postsList.innerHTML = '';
@@ -315,7 +271,7 @@ async function loadPosts() {
 
 function showCreatePostForm() {
     if (!authToken) {
-        alert('Please login to create posts');
+        showToast('Please login to create posts', { type: 'error' });
         return;
     }
     document.getElementById('create-post-form').style.display = 'block';
@@ -333,7 +289,7 @@ async function createPost(event) {
     event.preventDefault();
     
     if (!authToken) {
-        alert('Please login to create posts');
+        showToast('Please login to create posts', { type: 'error' });
         return;
     }
     
@@ -344,65 +300,59 @@ async function createPost(event) {
     };
     
     try {
-        const response = await fetch(`${API_BASE}/api/posts`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${authToken}`
-            },
-            body: JSON.stringify(postData)
-        });
-        
-        const data = await response.json();
-        
-        if (response.ok) {
-            alert('Post created successfully!');
-            hideCreatePostForm();
-            loadPosts();
-            loadServerInfo(); // Refresh stats
-        } else {
-            alert('Error creating post: ' + data.error);
-        }
+        await postsApi.create(postData);
+
+        showToast('Post created', { type: 'success' });
+        hideCreatePostForm();
+        loadPosts();
+        loadServerInfo(); // Refresh stats
     } catch (error) {
-        alert('Error creating post: ' + error.message);
+        showToast('Error creating post: ' + error.message, { type: 'error' });
     }
 }
 
 async function viewPost(postId) {
     try {
-        const response = await fetch(`${API_BASE}/api/posts/${postId}`);
-        const post = await response.json();
-        
-        if (response.ok) {
-            alert(`Post: ${post.title}\n\nContent: ${post.content}\n\nAuthor: ${post.author?.fullName}\nViews: ${post.viewCount}\nComments: ${post.commentsCount}`);
-        } else {
-            alert('Error loading post: ' + post.error);
-        }
+        const post = await postsApi.get(postId);
+        showToast(`${post.title} by ${post.author?.fullName || 'Unknown'}: ${post.viewCount} views, ${post.commentsCount} comments`, {
+            action: { label: 'Open', onClick: () => { window.location.href = `/post/${post.id}`; } }
+        });
     } catch (error) {
-        alert('Error loading post: ' + error.message);
+        showToast('Error loading post: ' + error.message, { type: 'error' });
     }
 }
 
 // Comments Management
 async function loadComments() {
-    // For simplicity, we'll show a message about comments
     const commentsList = document.getElementById('comments-list');
-    commentsList.innerHTML = `
-        <div class="data-item">
-            <h4>💬 Comments Feature</h4>
-            <p>Comments are managed per post. To view comments:</p>
-            <ol>
-                <li>Go to the Posts tab</li>
-                <li>Click "View" on any post</li>
-                <li>Comments will be displayed with the post details</li>
-            </ol>
-            <p>You can also test the comments API using the API Test tab with endpoints like:</p>
-            <ul>
-                <li><code>GET /api/posts/{postId}/comments</code></li>
-                <li><code>POST /api/posts/{postId}/comments</code> (requires authentication)</li>
-            </ul>
-        </div>
-    `;
+
+    if (!authToken) {
+        commentsList.innerHTML = '<div class="data-item"><p>Please login to see comments waiting for moderation.</p></div>';
+        return;
+    }
+
+    try {
+        const pending = await commentsApi.list({ status: 'pending' });
+
+        if (pending.length === 0) {
+            commentsList.innerHTML = '<div class="data-item"><p>No comments waiting for moderation.</p></div>';
+            return;
+        }
+
+        commentsList.innerHTML = pending.map(({ comment, postTitle }) => `
+            <div class="data-item">
+                <h4>${escapeHtml(comment.author?.fullName || 'Anonymous')} on "${escapeHtml(postTitle || 'Unknown post')}"</h4>
+                <p>${escapeHtml(comment.content)}</p>
+                <div class="meta">
+                    Created: ${new Date(comment.createdAt).toLocaleDateString()} | Pending approval
+                </div>
+            </div>
+        `).join('') + '<p>Approve, reject or delete them from the <a href="/admin">admin moderation queue</a>.</p>';
+
+    } catch (error) {
+        console.error('Error loading comments:', error);
+        commentsList.innerHTML = `<div class="data-item"><p>Unable to load comments: ${escapeHtml(error.message)}</p></div>`;
+    }
 }
 
 // API Testing
@@ -412,7 +362,7 @@ async function testAPI() {
     const body = document.getElementById('api-body').value;
     
     if (!url) {
-        alert('Please enter an API URL');
+        showToast('Please enter an API URL');
         return;
     }
     
@@ -423,8 +373,9 @@ async function testAPI() {
         }
     };
     
-    if (authToken) {
-        options.headers['Authorization'] = `Bearer ${authToken}`;
+    const token = getAuthToken();
+    if (token) {
+        options.headers['Authorization'] = `Bearer ${token}`;
     }
     
     if (body && (method === 'POST' || method === 'PUT')) {
@@ -432,8 +383,10 @@ async function testAPI() {
     }
     
     try {
-        // Use API_BASE for relative URLs, or use the URL as-is if it's absolute
-        const fullUrl = url.startsWith('/') ? `${API_BASE}${url}` : url;
+        // Raw fetch on purpose: the tester shows the response as-is.
+        // Use the API base for relative URLs, or use the URL as-is if it's absolute
+        await loadConfig();
+        const fullUrl = url.startsWith('/') ? `${getApiBase()}${url}` : url;
         const response = await fetch(fullUrl, options);
         const responseText = await response.text();
         
@@ -453,27 +406,38 @@ async function testAPI() {
 }
 
 // Logs Management
-async function loadLogs() {
-    // Since we can't directly access the SwiftUI logs from the web interface,
-    // we'll simulate log display with API calls
+// Stream the server log (admins only) into the logs tab
+const MAX_LOG_ENTRIES = 200;
+let logStream = null;
+
+function loadLogs() {
     const logsContainer = document.getElementById('logs-container');
     
-    if (!logsContainer) return;
-    
-    // Simulate log entries based on recent activity
-    const logEntries = [
-        { timestamp: new Date(), type: 'info', message: 'Server status check completed' },
-        { timestamp: new Date(Date.now() - 30000), type: 'success', message: 'API request processed successfully' },
-        { timestamp: new Date(Date.now() - 60000), type: 'info', message: 'User data loaded' },
-        { timestamp: new Date(Date.now() - 90000), type: 'info', message: 'Posts data refreshed' }
-    ];
+    if (!logsContainer || logStream || !getAuthToken()) return;
     
-    logsContainer.innerHTML = logEntries.map(entry => `
-        <div class="log-entry ${entry.type}">
-            <span class="log-timestamp">${entry.timestamp.toLocaleTimeString()}</span>
-            <span class="log-message">${entry.message}</span>
-        </div>
-    `).join('');
+    logStream = openEventStream('/api/admin/logs/stream', {
+        onEvent: message => {
+            if (message.event !== 'log') return;
+            const entry = JSON.parse(message.data);
+
+            const line = document.createElement('div');
+            line.className = `log-entry ${entry.level}`;
+            line.innerHTML = `
+                <span class="log-timestamp">${new Date(entry.timestamp).toLocaleTimeString()}</span>
+                <span class="log-message">${escapeHtml(entry.message)}</span>
+            `;
+            logsContainer.appendChild(line);
+            while (logsContainer.children.length > MAX_LOG_ENTRIES) {
+                logsContainer.firstElementChild.remove();
+            }
+        },
+        onStatus: (status, error) => {
+            if (status === 'closed') {
+                logStream = null;
+                console.error('Log stream closed:', error);
+            }
+        }
+    });
 }
 
 function clearLogs() {
@@ -484,3 +448,25 @@ function clearLogs() {
 }
 
 // Utility Functions
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+// Expose handlers referenced from inline markup
+Object.assign(window, {
+    showTab,
+    login,
+    logout,
+    showCreateUserForm,
+    hideCreateUserForm,
+    createUser,
+    showCreatePostForm,
+    hideCreatePostForm,
+    createPost,
+    viewPost,
+    testAPI,
+    clearLogs
+});
@@ -1,139 +1,416 @@
 // SwiftWebServer Blog JavaScript
 
-let API_BASE = ''; // Will be loaded from config
+import { getAuthToken, posts as postsApi, tags as tagsApi } from './api.js';
+import { renderMarkdown } from './markdown.js';
+import { createSearchIndex, searchIndex, highlightMatches } from './search.js';
+import { enableOfflineSupport, isOffline, onReconnect } from './offline.js';
+import { rovingFocus, announce } from './a11y.js';
+import { initI18n, initLocaleSwitcher, t, formatDate, formatNumber } from './i18n.js';
+import { initThemeToggle } from './theme.js';
+
+const POSTS_PAGE_SIZE = 10;
+// The API caps `limit` at 100, so at most this many pages load in one request
+const MAX_RESTORED_PAGES = 10;
+const SEARCH_DEBOUNCE_MS = 300;
+// Tag cloud font sizes (rem) for the least and most used tags
+const TAG_CLOUD_MIN_SIZE = 0.8;
+const TAG_CLOUD_MAX_SIZE = 1.4;
+
 let authToken = null;
+let loadedPages = 0;
+let isLoadingMore = false;
+let searchQuery = '';
+let activeTag = '';
+let searchTimer = null;
+// Each list load gets the next id; responses for anything but the latest
+// are dropped, so a slow search can't overwrite a newer one
+let listRequestId = 0;
+let shownListId = 0;
+let fallbackIndex = null;
+let tagCounts = [];
 
 // Initialize the blog
 document.addEventListener('DOMContentLoaded', async function() {
-    // Load configuration first
-    await loadConfig();
+    // Scroll position is restored below once the posts are in
+    history.scrollRestoration = 'manual';
+
+    await initI18n();
+    initLocaleSwitcher(document.getElementById('locale-switcher'));
+    initThemeToggle(document.getElementById('theme-toggle'), { label: mode => t(`common.theme.${mode}`) });
+
+    enableOfflineSupport();
+    // Retry a list that failed to load while offline
+    onReconnect(() => {
+        if (loadedPages === 0) {
+            loadBlogPosts();
+        }
+        if (document.getElementById('tag-cloud').hidden) {
+            loadTagCloud();
+        }
+    });
 
     // Check authentication status
     checkAuthStatus();
 
+    // `?q=`, `?tag=` and `?page=N` in the URL restore the search, the tag
+    // filter and the first N pages, so coming back from a post shows the same
+    // list at the same spot
+    const params = new URLSearchParams(window.location.search);
+    const pageParam = parseInt(params.get('page'), 10);
+    searchQuery = params.get('q') || '';
+    activeTag = params.get('tag') || '';
+    updateActiveTag();
+    loadTagCloud();
+
+    const searchInput = document.getElementById('search-input');
+    searchInput.value = searchQuery;
+    searchInput.addEventListener('input', handleSearchInput);
+
+    // The cards are one Tab stop; arrow keys move between them
+    rovingFocus(document.getElementById('blog-posts'), '.post-title-link');
+
     // Load published blog posts
-    loadBlogPosts();
+    await loadBlogPosts(Math.min(Math.max(pageParam || 1, 1), MAX_RESTORED_PAGES));
+
+    if (history.state && history.state.scrollY) {
+        window.scrollTo(0, history.state.scrollY);
+    }
 });
 
-// Load configuration from backend
-async function loadConfig() {
+// Load the first `pages` pages of published blog posts matching the search
+// and tag filter
+async function loadBlogPosts(pages = 1) {
+    const requestId = ++listRequestId;
+    const postsContainer = document.getElementById('blog-posts');
+    postsContainer.setAttribute('aria-busy', 'true');
+
+    try {
+        // Fetch only published posts, newest first
+        const result = await postsApi.list({
+            published: true,
+            q: searchQuery,
+            tag: activeTag,
+            page: 1,
+            limit: pages * POSTS_PAGE_SIZE
+        });
+        if (requestId !== listRequestId) return;
+
+        renderPosts(result.posts);
+        shownListId = requestId;
+        loadedPages = Math.ceil(result.posts.length / POSTS_PAGE_SIZE);
+        updateLoadMore(result.hasMore);
+        updateUrl();
+        
+    } catch (error) {
+        if (requestId !== listRequestId) return;
+        console.error('Error loading blog posts:', error);
+
+        // Filtering still works against the full list if only the filtered request failed
+        if ((searchQuery || activeTag) && await searchLocally(requestId)) {
+            return;
+        }
+        if (requestId !== listRequestId) return;
+
+        updateLoadMore(false);
+        postsContainer.innerHTML = isOffline() ? `
+            <div class="no-posts">
+                <h3>${t('blog.offlineTitle')}</h3>
+                <p>${t('blog.offlineText')}</p>
+            </div>
+        ` : `
+            <div class="no-posts">
+                <h3>${t('blog.errorTitle')}</h3>
+                <p>${t('blog.errorText')}</p>
+            </div>
+        `;
+        announce(t(isOffline() ? 'blog.offlineAnnouncement' : 'blog.errorAnnouncement'), { assertive: true });
+    } finally {
+        if (requestId === listRequestId) {
+            postsContainer.removeAttribute('aria-busy');
+        }
+    }
+}
+
+// Client-side fallback: search an index of every published post. Returns
+// false when the full list cannot be loaded either. `requestId` is the list
+// load this stands in for; nothing is rendered once a newer one started.
+async function searchLocally(requestId) {
     try {
-        const response = await fetch('/config.json');
-        if (response.ok) {
-            const config = await response.json();
-            API_BASE = config.apiBase || '';
-        } else {
-            // Fallback to current origin
-            API_BASE = window.location.origin;
+        if (!fallbackIndex) {
+            fallbackIndex = createSearchIndex(await postsApi.list({ published: true }));
         }
+        if (requestId !== listRequestId) return true;
+
+        renderPosts(searchIndex(fallbackIndex, { q: searchQuery, tag: activeTag }));
+        shownListId = requestId;
+        loadedPages = 1;
+        updateLoadMore(false);
+        updateUrl();
+        return true;
     } catch (error) {
-        console.log('Using fallback API base');
-        API_BASE = window.location.origin;
+        console.error('Error searching posts locally:', error);
+        return false;
     }
 }
 
-// Load published blog posts
-async function loadBlogPosts() {
+function renderPosts(posts) {
     const postsContainer = document.getElementById('blog-posts');
-    
+
+    if (posts.length === 0) {
+        postsContainer.innerHTML = searchQuery ? `
+            <div class="no-posts">
+                <h3>${t('blog.noMatchesTitle')}</h3>
+                <p>${t('blog.noMatchesText', { query: escapeHtml(searchQuery) })}</p>
+            </div>
+        ` : activeTag ? `
+            <div class="no-posts">
+                <h3>${t('blog.noTaggedTitle', { tag: escapeHtml(activeTag) })}</h3>
+                <p>${t('blog.noTaggedText')}</p>
+            </div>
+        ` : `
+            <div class="no-posts">
+                <h3>${t('blog.noPostsTitle')}</h3>
+                <p>${t('blog.noPostsText')}</p>
+            </div>
+        `;
+        announce(searchQuery ? t('blog.noMatches') : activeTag ? t('blog.noTagged', { tag: activeTag }) : t('blog.noPosts'));
+        return;
+    }
+
+    // Render posts
+    postsContainer.innerHTML = posts.map(post => createPostCard(post)).join('');
+    highlightResults(postsContainer);
+    announce(t('blog.showingPosts', { count: posts.length }));
+}
+
+function highlightResults(container) {
+    container.querySelectorAll('.post-title, .post-author, .post-excerpt').forEach(element => {
+        highlightMatches(element, searchQuery);
+    });
+}
+
+// Re-run the search once typing pauses
+function handleSearchInput(event) {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => {
+        const query = event.target.value.trim();
+        if (query === searchQuery) return;
+
+        searchQuery = query;
+        loadBlogPosts(1);
+    }, SEARCH_DEBOUNCE_MS);
+}
+
+// Append the next page of posts below the current ones. Nothing is appended
+// once a different search or tag started loading.
+async function loadMorePosts() {
+    // A newer list is on its way and will replace this one
+    if (isLoadingMore || shownListId !== listRequestId) return;
+
+    const listId = shownListId;
+    const button = document.getElementById('load-more-btn');
+    isLoadingMore = true;
+    button.disabled = true;
+    button.textContent = t('blog.loadingMore');
+
     try {
-        // Fetch only published posts
-        const response = await fetch(`${API_BASE}/api/posts?published=true`, {
-            credentials: 'include' // Include cookies in cross-origin requests
+        const result = await postsApi.list({
+            published: true,
+            q: searchQuery,
+            tag: activeTag,
+            page: loadedPages + 1,
+            limit: POSTS_PAGE_SIZE
         });
-        
-        if (!response.ok) {
-            throw new Error(`HTTP ${response.status}`);
-        }
-        
-        const posts = await response.json();
-        
-        if (posts.length === 0) {
-            postsContainer.innerHTML = `
-                <div class="no-posts">
-                    <h3>📝 No Posts Yet</h3>
-                    <p>Check back soon for new content!</p>
-                </div>
-            `;
+        if (listId !== listRequestId) {
+            button.textContent = t('blog.loadMore');
             return;
         }
-        
-        // Sort posts by published date (newest first)
-        posts.sort((a, b) => new Date(b.publishedAt || b.createdAt) - new Date(a.publishedAt || a.createdAt));
-        
-        // Render posts
-        postsContainer.innerHTML = posts.map(post => createPostCard(post)).join('');
-        
+
+        // Render into a detached element so only the new cards get highlighted
+        const newPosts = document.createElement('div');
+        newPosts.innerHTML = result.posts.map(post => createPostCard(post)).join('');
+        highlightResults(newPosts);
+        document.getElementById('blog-posts').append(...newPosts.children);
+        loadedPages++;
+        updateLoadMore(result.hasMore);
+        updateUrl();
+        button.textContent = t('blog.loadMore');
+        announce(t('blog.morePostsLoaded', { count: result.posts.length }));
     } catch (error) {
-        console.error('Error loading blog posts:', error);
-        postsContainer.innerHTML = `
-            <div class="no-posts">
-                <h3>⚠️ Unable to Load Posts</h3>
-                <p>Please try refreshing the page.</p>
-            </div>
-        `;
+        console.error('Error loading more posts:', error);
+        if (listId !== listRequestId) {
+            button.textContent = t('blog.loadMore');
+            return;
+        }
+        button.textContent = t('blog.loadMoreFailed');
+        announce(t('blog.loadMoreFailedAnnouncement'), { assertive: true });
+    } finally {
+        isLoadingMore = false;
+        button.disabled = false;
+    }
+}
+
+function updateLoadMore(hasMore) {
+    document.getElementById('load-more').style.display = hasMore ? 'block' : 'none';
+}
+
+// Keep the search and the number of loaded pages in the URL (for sharing and
+// back navigation) without adding history entries
+function updateUrl() {
+    const url = new URL(window.location.href);
+    if (searchQuery) {
+        url.searchParams.set('q', searchQuery);
+    } else {
+        url.searchParams.delete('q');
+    }
+    if (activeTag) {
+        url.searchParams.set('tag', activeTag);
+    } else {
+        url.searchParams.delete('tag');
+    }
+    if (loadedPages > 1) {
+        url.searchParams.set('page', loadedPages);
+    } else {
+        url.searchParams.delete('page');
     }
+    history.replaceState(history.state, '', url);
 }
 
 // Create a blog post card HTML
 function createPostCard(post) {
-    const publishedDate = new Date(post.publishedAt || post.createdAt);
-    const formattedDate = publishedDate.toLocaleDateString('en-US', {
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric'
-    });
+    const formattedDate = formatDate(post.publishedAt || post.createdAt) || t('common.dateUnavailable');
     
     // Create excerpt if not provided
     const excerpt = post.excerpt || (post.content ? 
         post.content.substring(0, 200) + (post.content.length > 200 ? '...' : '') : 
-        'No preview available'
+        t('blog.noPreview')
     );
     
     return `
-        <article class="blog-post" onclick="viewPost('${post.id}')">
+        <article class="blog-post" aria-labelledby="post-title-${post.id}">
             <div class="post-header">
-                <h2 class="post-title">${escapeHtml(post.title)}</h2>
+                <h2 class="post-title" id="post-title-${post.id}">
+                    <a href="/post/${post.id}" class="post-title-link" onclick="viewPost(event, '${post.id}')">${escapeHtml(post.title)}</a>
+                </h2>
                 <div class="post-meta">
                     <div class="post-author">
-                        <span>👤</span>
-                        <span>${escapeHtml(post.authorName || 'Anonymous')}</span>
+                        <span aria-hidden="true">👤</span>
+                        <span>${escapeHtml(post.authorName || t('common.anonymous'))}</span>
                     </div>
                     <div class="post-date">
-                        <span>📅</span>
+                        <span aria-hidden="true">📅</span>
                         <span>${formattedDate}</span>
                     </div>
                     <div class="post-stats">
-                        <span>👁️ ${post.viewCount || 0}</span>
-                        <span>💬 ${post.commentsCount || 0}</span>
-                        <span>⏱️ ${post.readingTime || 1} min read</span>
+                        <span>
+                            <span aria-hidden="true">👁️ ${formatNumber(post.viewCount || 0)}</span>
+                            <span class="visually-hidden">${t('common.views', { count: post.viewCount || 0 })}</span>
+                        </span>
+                        <span>
+                            <span aria-hidden="true">💬 ${formatNumber(post.commentsCount || 0)}</span>
+                            <span class="visually-hidden">${t('common.comments', { count: post.commentsCount || 0 })}</span>
+                        </span>
+                        <span><span aria-hidden="true">⏱️</span> ${t('common.minRead', { count: post.readingTime || 1 })}</span>
                     </div>
                 </div>
             </div>
             <div class="post-excerpt">
-                <p>${escapeHtml(excerpt)}</p>
+                ${renderMarkdown(excerpt)}
             </div>
             <div class="post-footer">
                 <div class="post-tags">
-                    <!-- Tags could be added here if available -->
+                    ${(post.tags || []).map(tag => createTagChip(tag)).join('')}
                 </div>
-                <a href="#" class="read-more" onclick="event.stopPropagation(); viewPost('${post.id}')">
-                    Read More <span>→</span>
+                <a href="/post/${post.id}" class="read-more" tabindex="-1" aria-hidden="true" onclick="viewPost(event, '${post.id}')">
+                    ${t('blog.readMore')} <span class="read-more-arrow">→</span>
                 </a>
             </div>
         </article>
     `;
 }
 
-// View individual blog post
-function viewPost(postId) {
+// A tag chip that filters the list; the href keeps it usable as a plain link
+function createTagChip(tag) {
+    const active = tag === activeTag ? ' active' : '';
+    return `<a class="tag-chip${active}" href="/?tag=${encodeURIComponent(tag)}" onclick="filterByTag(event, this)">#${escapeHtml(tag)}</a>`;
+}
+
+// Show only posts with the clicked chip's tag
+function filterByTag(event, link) {
+    // Stay on the page
+    event.preventDefault();
+
+    setTagFilter(new URL(link.href).searchParams.get('tag') || '');
+}
+
+function clearTagFilter() {
+    setTagFilter('');
+}
+
+function setTagFilter(tag) {
+    if (tag === activeTag) return;
+
+    activeTag = tag;
+    updateActiveTag();
+    renderTagCloud();
+    loadBlogPosts(1);
+    window.scrollTo(0, 0);
+}
+
+function updateActiveTag() {
+    document.getElementById('active-tag').hidden = !activeTag;
+    document.getElementById('active-tag-name').textContent = `#${activeTag}`;
+}
+
+// Load the sidebar of tags used by published posts
+async function loadTagCloud() {
+    try {
+        tagCounts = await tagsApi.list();
+        renderTagCloud();
+    } catch (error) {
+        // The list works without the sidebar, so just leave it hidden
+        console.error('Error loading tags:', error);
+    }
+}
+
+// Tags alphabetically, sized by how many posts use them
+function renderTagCloud() {
+    const cloud = document.getElementById('tag-cloud');
+    cloud.hidden = tagCounts.length === 0;
+    if (tagCounts.length === 0) return;
+
+    const counts = tagCounts.map(tag => tag.count);
+    const min = Math.min(...counts);
+    const range = Math.max(...counts) - min;
+
+    document.getElementById('tag-cloud-list').innerHTML = [...tagCounts]
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(({ name, count }) => {
+            const weight = range === 0 ? 0.5 : (count - min) / range;
+            const size = TAG_CLOUD_MIN_SIZE + weight * (TAG_CLOUD_MAX_SIZE - TAG_CLOUD_MIN_SIZE);
+            const active = name === activeTag ? ' active' : '';
+            return `
+                <a class="tag-cloud-item${active}" href="/?tag=${encodeURIComponent(name)}" onclick="filterByTag(event, this)" style="font-size: ${size.toFixed(2)}rem">
+                    #${escapeHtml(name)} <span class="tag-count">${formatNumber(count)}</span>
+                </a>
+            `;
+        })
+        .join('');
+}
+
+// Open a post from its title or Read More link
+function viewPost(event, postId) {
+    event.preventDefault();
+    // Remember where we were so the back button returns to this post's card
+    history.replaceState({ ...history.state, scrollY: window.scrollY }, '');
+
     // Navigate to the post detail page using path parameters
     window.location.href = `/post/${postId}`;
 }
 
 // Check authentication status and update UI
 function checkAuthStatus() {
-    authToken = localStorage.getItem('auth_token');
+    authToken = getAuthToken();
     updateAuthButton();
 }
 
@@ -145,12 +422,12 @@ function updateAuthButton() {
 
     if (authToken) {
         authIcon.textContent = '⚙️'; // Admin icon
-        if (authText) authText.textContent = 'Admin';
-        authBtn.title = 'Go to Admin';
+        if (authText) authText.textContent = t('common.admin');
+        authBtn.title = t('common.goToAdmin');
     } else {
         authIcon.textContent = '👤'; // Login icon
-        if (authText) authText.textContent = 'Login';
-        authBtn.title = 'Login';
+        if (authText) authText.textContent = t('common.login');
+        authBtn.title = t('common.login');
     }
 }
 
@@ -173,3 +450,6 @@ function escapeHtml(text) {
     div.textContent = text;
     return div.innerHTML;
 }
+
+// Expose handlers referenced from inline markup
+Object.assign(window, { viewPost, loadMorePosts, filterByTag, clearTagFilter, handleAuthClick });
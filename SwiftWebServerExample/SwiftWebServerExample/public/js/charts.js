@@ -0,0 +1,182 @@
+// SwiftWebServer Charts
+//
+// Small SVG charts for the admin dashboard. Each function returns SVG markup
+// drawn in a fixed-width viewBox, so a chart scales with its container.
+// Hovering a point or bar shows its exact value through an SVG <title>.
+// Numbers are formatted for the page locale (see i18n.js).
+
+import { formatNumber } from './i18n.js';
+
+const WIDTH = 600;
+const PADDING = { top: 12, right: 12, bottom: 26, left: 40 };
+const GRID_LINES = 4;
+
+/**
+ * @typedef {Object} ChartPoint
+ * @property {string} label - X axis label, or the bar name in bar charts
+ * @property {number} value
+ */
+
+/**
+ * Line chart with a filled area, for time series.
+ *
+ * @param {ChartPoint[]} points - Oldest first
+ * @param {Object} [options]
+ * @param {string} [options.title] - Accessible name of the chart
+ * @param {function(number): string} [options.format] - Value text for tooltips, e.g. "3 views"
+ * @param {number} [options.height=200]
+ * @param {number} [options.xLabels=6] - How many x axis labels to show at most
+ * @returns {string}
+ */
+export function lineChart(points, { title = '', format = formatNumber, height = 200, xLabels = 6 } = {}) {
+    const plot = plotArea(height);
+    const max = niceMax(points.map(point => point.value));
+    const x = index => plot.left + (points.length > 1 ? index * plot.width / (points.length - 1) : plot.width / 2);
+    const y = value => plot.bottom - value / max * plot.height;
+
+    const coords = points.map((point, index) => `${x(index).toFixed(1)},${y(point.value).toFixed(1)}`);
+    const line = `M${coords.join('L')}`;
+    const area = `${line}L${x(points.length - 1).toFixed(1)},${plot.bottom}L${x(0).toFixed(1)},${plot.bottom}Z`;
+
+    const dots = points.map((point, index) => `
+        <circle class="chart-dot" cx="${x(index).toFixed(1)}" cy="${y(point.value).toFixed(1)}" r="3">
+            <title>${escapeXml(`${point.label}: ${format(point.value)}`)}</title>
+        </circle>
+    `).join('');
+
+    return svg(title, height, `
+        ${grid(plot, max)}
+        ${points.length > 0 ? `<path class="chart-area" d="${area}" /><path class="chart-line" d="${line}" />` : ''}
+        ${dots}
+        ${axisLabels(points, x, plot, xLabels)}
+    `);
+}
+
+/**
+ * Vertical bars, one per point, for counts per period.
+ *
+ * @param {ChartPoint[]} points - Oldest first
+ * @param {Object} [options] - Same as lineChart()
+ * @returns {string}
+ */
+export function columnChart(points, { title = '', format = formatNumber, height = 200, xLabels = 7 } = {}) {
+    const plot = plotArea(height);
+    const max = niceMax(points.map(point => point.value));
+    const slot = plot.width / Math.max(points.length, 1);
+    const barWidth = Math.max(slot * 0.7, 1);
+    const x = index => plot.left + slot * index + slot / 2;
+
+    const bars = points.map((point, index) => {
+        const barHeight = point.value / max * plot.height;
+        return `
+            <rect class="chart-bar" x="${(x(index) - barWidth / 2).toFixed(1)}" y="${(plot.bottom - barHeight).toFixed(1)}"
+                  width="${barWidth.toFixed(1)}" height="${barHeight.toFixed(1)}" rx="2">
+                <title>${escapeXml(`${point.label}: ${format(point.value)}`)}</title>
+            </rect>
+        `;
+    }).join('');
+
+    return svg(title, height, `
+        ${grid(plot, max)}
+        ${bars}
+        ${axisLabels(points, x, plot, xLabels)}
+    `);
+}
+
+/**
+ * Horizontal bars with the label on the left, for ranking named items.
+ *
+ * @param {ChartPoint[]} items - Drawn top to bottom in the given order
+ * @param {Object} [options]
+ * @param {string} [options.title]
+ * @param {function(number): string} [options.format]
+ * @returns {string}
+ */
+export function barChart(items, { title = '', format = formatNumber } = {}) {
+    const rowHeight = 28;
+    const labelWidth = 190;
+    const valueWidth = 50;
+    const height = Math.max(items.length, 1) * rowHeight;
+    const max = Math.max(1, ...items.map(item => item.value));
+    const barSpace = WIDTH - labelWidth - valueWidth;
+
+    const rows = items.map((item, index) => {
+        const top = index * rowHeight;
+        const barWidth = Math.max(item.value / max * barSpace, item.value > 0 ? 2 : 0);
+        return `
+            <text class="chart-label" x="${labelWidth - 8}" y="${top + rowHeight / 2}" text-anchor="end" dominant-baseline="middle">${escapeXml(truncate(item.label, 28))}</text>
+            <rect class="chart-bar" x="${labelWidth}" y="${top + 5}" width="${barWidth.toFixed(1)}" height="${rowHeight - 10}" rx="3">
+                <title>${escapeXml(`${item.label}: ${format(item.value)}`)}</title>
+            </rect>
+            <text class="chart-value" x="${(labelWidth + barWidth + 6).toFixed(1)}" y="${top + rowHeight / 2}" dominant-baseline="middle">${formatNumber(item.value)}</text>
+        `;
+    }).join('');
+
+    return svg(title, height, rows);
+}
+
+// Helpers
+
+function svg(title, height, content) {
+    return `
+        <svg class="chart" viewBox="0 0 ${WIDTH} ${height}" role="img" aria-label="${escapeXml(title)}" preserveAspectRatio="xMidYMid meet">
+            ${content}
+        </svg>
+    `;
+}
+
+function plotArea(height) {
+    return {
+        left: PADDING.left,
+        width: WIDTH - PADDING.left - PADDING.right,
+        height: height - PADDING.top - PADDING.bottom,
+        bottom: height - PADDING.bottom
+    };
+}
+
+// Horizontal grid lines with their values on the y axis
+function grid(plot, max) {
+    let lines = '';
+    for (let i = 0; i <= GRID_LINES; i++) {
+        const value = max * i / GRID_LINES;
+        const y = (plot.bottom - plot.height * i / GRID_LINES).toFixed(1);
+        lines += `
+            <line class="chart-grid" x1="${plot.left}" x2="${plot.left + plot.width}" y1="${y}" y2="${y}" />
+            <text class="chart-axis" x="${plot.left - 6}" y="${y}" text-anchor="end" dominant-baseline="middle">${formatNumber(value)}</text>
+        `;
+    }
+    return lines;
+}
+
+// Label every n-th point so at most `count` labels fit along the x axis
+function axisLabels(points, x, plot, count) {
+    const every = Math.max(1, Math.ceil(points.length / count));
+    return points.map((point, index) => index % every === 0
+        ? `<text class="chart-axis" x="${x(index).toFixed(1)}" y="${plot.bottom + 16}" text-anchor="middle">${escapeXml(point.label)}</text>`
+        : ''
+    ).join('');
+}
+
+// Smallest 1/2/5 x 10^n step that fits the data in GRID_LINES whole steps
+function niceMax(values) {
+    const max = Math.max(0, ...values);
+    if (max <= GRID_LINES) {
+        return GRID_LINES;
+    }
+    const magnitude = 10 ** Math.floor(Math.log10(max / GRID_LINES));
+    const step = [1, 2, 5, 10].map(multiple => multiple * magnitude).find(size => size * GRID_LINES >= max);
+    return step * GRID_LINES;
+}
+
+function truncate(text, length) {
+    return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
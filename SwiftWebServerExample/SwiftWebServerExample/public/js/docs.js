@@ -0,0 +1,426 @@
+// SwiftWebServer API Docs
+//
+// Renders the backend's OpenAPI document (GET /api/openapi.json): one card
+// per operation with its parameters, request body and responses, the
+// component schemas, and a "Try it out" form that sends the request with
+// raw fetch, like the API explorer does.
+
+import { loadConfig, getApiBase, getAuthToken, request } from './api.js';
+import { initI18n, initLocaleSwitcher, t } from './i18n.js';
+import { initThemeToggle } from './theme.js';
+
+const METHOD_ORDER = ['get', 'post', 'put', 'patch', 'delete'];
+// Message keys by the operations' x-access extension, as in the API explorer
+const ACCESS_LABELS = {
+    optional: 'explorer.access.optional',
+    authenticated: 'explorer.access.authenticated',
+    admin: 'explorer.access.admin'
+};
+
+/** @type {Object|null} The OpenAPI document */
+let spec = null;
+/** @type {Object[]} Operations flattened from spec.paths: { id, method, path, operation } */
+let operations = [];
+
+// Initialize the docs page
+document.addEventListener('DOMContentLoaded', async function() {
+    await initI18n();
+    initLocaleSwitcher(document.getElementById('locale-switcher'));
+    initThemeToggle(document.getElementById('theme-toggle'), { label: mode => t(`common.theme.${mode}`) });
+    document.getElementById('docs-filter').addEventListener('input', renderNav);
+
+    await loadConfig();
+    // The document lives on the API server, not this one
+    document.getElementById('openapi-link').href = new URL('/api/openapi.json', getApiBase() || window.location.origin);
+    loadSpec();
+});
+
+async function loadSpec() {
+    try {
+        spec = await request('/api/openapi.json', { auth: false });
+    } catch (error) {
+        console.error('Error loading OpenAPI document:', error);
+        document.getElementById('docs-operations').innerHTML =
+            `<div class="explorer-empty">${escapeHtml(t('docs.loadFailed', { error: error.message }))}</div>`;
+        document.getElementById('docs-nav').innerHTML = '';
+        return;
+    }
+
+    operations = [];
+    Object.entries(spec.paths).forEach(([path, methods]) => {
+        Object.entries(methods).forEach(([method, operation]) => {
+            operations.push({ id: operation.operationId, method, path, operation });
+        });
+    });
+    operations.sort((a, b) => a.path.localeCompare(b.path) ||
+        METHOD_ORDER.indexOf(a.method) - METHOD_ORDER.indexOf(b.method));
+
+    document.getElementById('docs-title').textContent = `${spec.info.title} ${spec.info.version}`;
+    document.getElementById('docs-description').textContent = spec.info.description || '';
+    document.getElementById('docs-server').textContent = getApiBase() || spec.servers?.[0]?.url || window.location.origin;
+
+    renderNav();
+    renderOperations();
+    renderSchemas();
+
+    // Jump to the operation or schema named in the URL, now that it exists
+    if (window.location.hash) {
+        openAnchor(window.location.hash.slice(1));
+    }
+}
+
+// Navigation
+
+function renderNav() {
+    const nav = document.getElementById('docs-nav');
+    const filter = document.getElementById('docs-filter').value.trim().toLowerCase();
+
+    const groups = groupByTag(operations.filter(({ method, path, operation }) =>
+        !filter || `${method} ${path} ${operation.summary}`.toLowerCase().includes(filter)));
+
+    const schemaNames = Object.keys(spec.components.schemas)
+        .filter(name => !filter || name.toLowerCase().includes(filter))
+        .sort();
+
+    if (groups.size === 0 && schemaNames.length === 0) {
+        nav.innerHTML = `<div class="explorer-empty">${t('docs.noMatches')}</div>`;
+        return;
+    }
+
+    nav.innerHTML = [...groups.entries()].map(([tag, items]) => `
+        <div class="route-group">
+            <h3>${escapeHtml(tag)}</h3>
+            ${items.map(({ id, method, path }) => `
+                <a class="route-item" href="#${escapeHtml(id)}" onclick="openAnchor('${escapeHtml(id)}')">
+                    <span class="method method-${method}">${method.toUpperCase()}</span>
+                    <span class="route-path">${escapeHtml(path)}</span>
+                </a>
+            `).join('')}
+        </div>
+    `).join('') + (schemaNames.length === 0 ? '' : `
+        <div class="route-group">
+            <h3>${t('docs.schemas')}</h3>
+            ${schemaNames.map(name => `
+                <a class="route-item" href="#schema-${escapeHtml(name)}" onclick="openAnchor('schema-${escapeHtml(name)}')">
+                    <span class="route-path">${escapeHtml(name)}</span>
+                </a>
+            `).join('')}
+        </div>
+    `);
+}
+
+// Group operations by their first tag, keeping the order tags first appear in
+function groupByTag(items) {
+    const groups = new Map();
+    items.forEach(item => {
+        const tag = item.operation.tags?.[0] || t('docs.otherTag');
+        if (!groups.has(tag)) {
+            groups.set(tag, []);
+        }
+        groups.get(tag).push(item);
+    });
+    return groups;
+}
+
+// Open the <details> for an operation or schema so the browser can scroll to it
+function openAnchor(id) {
+    const target = document.getElementById(id);
+    if (target && target.tagName === 'DETAILS') {
+        target.open = true;
+    }
+}
+
+// Operations
+
+function renderOperations() {
+    const container = document.getElementById('docs-operations');
+
+    container.innerHTML = [...groupByTag(operations).entries()].map(([tag, items]) => `
+        <h2 class="docs-tag">${escapeHtml(tag)}</h2>
+        ${items.map(renderOperation).join('')}
+    `).join('');
+}
+
+function renderOperation({ id, method, path, operation }) {
+    const parameters = operation.parameters || [];
+    // Each operation accepts a single media type (JSON, or multipart for uploads)
+    const [requestMediaType, requestBody] = Object.entries(operation.requestBody?.content || {})[0] || [];
+
+    return `
+        <details class="explorer-card docs-operation" id="${escapeHtml(id)}">
+            <summary>
+                <span class="method method-${method}">${method.toUpperCase()}</span>
+                <span class="route-path">${escapeHtml(path)}</span>
+                <span class="docs-summary">${escapeHtml(operation.summary || '')}</span>
+                <span class="route-access-label">${accessLabel(operation['x-access'])}</span>
+            </summary>
+
+            ${parameters.length === 0 ? '' : `
+                <h3 class="docs-heading">${t('docs.parameters')}</h3>
+                <table class="response-headers docs-table">
+                    <tr><th>${t('explorer.name')}</th><th>${t('docs.in')}</th><th>${t('docs.type')}</th><th>${t('docs.description')}</th></tr>
+                    ${parameters.map(parameter => `
+                        <tr>
+                            <td><code>${escapeHtml(parameter.name)}</code>${parameter.required ? requiredBadge() : ''}</td>
+                            <td>${escapeHtml(parameter.in)}</td>
+                            <td>${typeLabel(parameter.schema)}</td>
+                            <td>${escapeHtml(parameter.description || '')}</td>
+                        </tr>
+                    `).join('')}
+                </table>
+            `}
+
+            ${!requestBody ? '' : `
+                <h3 class="docs-heading">${t('explorer.requestBody')} <span class="hint">${escapeHtml(requestMediaType)}</span></h3>
+                <p>${typeLabel(requestBody.schema)}</p>
+            `}
+
+            <h3 class="docs-heading">${t('docs.responses')}</h3>
+            <table class="response-headers docs-table">
+                ${Object.entries(operation.responses).map(([status, response]) => `
+                    <tr>
+                        <td><code>${escapeHtml(status)}</code></td>
+                        <td>${escapeHtml(response.description)}</td>
+                        <td>${Object.entries(response.content || {}).map(([mediaType, content]) =>
+                            `${typeLabel(content.schema)} <span class="hint">${escapeHtml(mediaType)}</span>`).join('<br>')}</td>
+                    </tr>
+                `).join('')}
+            </table>
+
+            ${renderTryIt(id, method, parameters, requestMediaType, requestBody)}
+        </details>
+    `;
+}
+
+// Try it out
+
+function renderTryIt(id, method, parameters, requestMediaType, requestBody) {
+    const example = requestBody?.example === undefined ? '' : JSON.stringify(requestBody.example, null, 2);
+    const isMultipart = requestMediaType === 'multipart/form-data';
+
+    return `
+        <form class="docs-try" data-operation="${escapeHtml(id)}" onsubmit="tryOperation(event)">
+            <h3 class="docs-heading">${t('docs.tryItOut')}</h3>
+            ${parameters.map(parameter => `
+                <div class="param-row">
+                    <label class="param-name" for="${escapeHtml(`${id}-${parameter.in}-${parameter.name}`)}">${escapeHtml(parameter.name)}</label>
+                    <input type="text" class="explorer-input param-value"
+                        id="${escapeHtml(`${id}-${parameter.in}-${parameter.name}`)}"
+                        data-in="${escapeHtml(parameter.in)}" data-name="${escapeHtml(parameter.name)}"
+                        placeholder="${escapeHtml(parameter.example || parameter.in)}"
+                        ${parameter.required ? 'required' : ''} />
+                </div>
+            `).join('')}
+            ${!requestBody || !isMultipart ? '' : renderFormFields(id, requestBody.schema)}
+            ${!requestBody || isMultipart ? '' : `
+                <textarea class="explorer-input request-body" name="body" rows="6" spellcheck="false" aria-label="${t('explorer.requestBody')}">${escapeHtml(example)}</textarea>
+            `}
+            <div class="docs-try-actions">
+                <label class="send-token">
+                    <input type="checkbox" name="send-token" ${getAuthToken() ? 'checked' : 'disabled'} />
+                    ${t('explorer.sendToken')} ${getAuthToken() ? '' : `<span class="hint">${t('explorer.notSignedIn')}</span>`}
+                </label>
+                <button type="submit" class="btn btn-primary">${t('docs.execute')}</button>
+            </div>
+            <div class="docs-try-result" style="display: none;">
+                <div class="response-meta">
+                    <span class="response-status"></span>
+                    <span class="hint docs-try-time"></span>
+                </div>
+                <pre class="response-body"></pre>
+            </div>
+        </form>
+    `;
+}
+
+// One input per property of a multipart body; binary properties pick a file
+function renderFormFields(id, schema) {
+    const resolved = schema.$ref ? spec.components.schemas[schema.$ref.split('/').pop()] : schema;
+    const required = resolved?.required || [];
+
+    return Object.entries(resolved?.properties || {}).map(([name, property]) => `
+        <div class="param-row">
+            <label class="param-name" for="${escapeHtml(`${id}-form-${name}`)}">${escapeHtml(name)}</label>
+            <input type="${property.format === 'binary' ? 'file' : 'text'}" class="explorer-input param-value"
+                id="${escapeHtml(`${id}-form-${name}`)}" data-in="form" data-name="${escapeHtml(name)}"
+                ${required.includes(name) ? 'required' : ''} />
+        </div>
+    `).join('');
+}
+
+async function tryOperation(event) {
+    event.preventDefault();
+
+    const form = event.target;
+    const { method, path } = operations.find(({ id }) => id === form.dataset.operation);
+
+    const url = new URL(path.replace(/\{(\w+)\}/g, (match, name) => {
+        const input = form.querySelector(`[data-in="path"][data-name="${name}"]`);
+        return encodeURIComponent(input.value.trim());
+    }), getApiBase() || window.location.origin);
+
+    const headers = {};
+    form.querySelectorAll('[data-in="query"], [data-in="header"]').forEach(input => {
+        const value = input.value.trim();
+        if (!value) {
+            return;
+        }
+        if (input.dataset.in === 'query') {
+            url.searchParams.append(input.dataset.name, value);
+        } else {
+            headers[input.dataset.name] = value;
+        }
+    });
+
+    const token = getAuthToken();
+    if (token && form.elements['send-token'].checked) {
+        headers['Authorization'] = `Bearer ${token}`;
+    }
+
+    let body;
+    const formFields = form.querySelectorAll('[data-in="form"]');
+    if (formFields.length > 0) {
+        // The browser sets the multipart Content-Type with its boundary
+        body = new FormData();
+        formFields.forEach(input => {
+            if (input.type === 'file') {
+                [...input.files].forEach(file => body.append(input.dataset.name, file));
+            } else if (input.value.trim()) {
+                body.append(input.dataset.name, input.value.trim());
+            }
+        });
+    } else if (form.elements.body && form.elements.body.value.trim()) {
+        body = form.elements.body.value;
+        headers['Content-Type'] = 'application/json';
+    }
+
+    const submitBtn = form.querySelector('button[type="submit"]');
+    submitBtn.disabled = true;
+    submitBtn.textContent = t('explorer.sending');
+
+    const started = performance.now();
+    let status, statusText, text;
+    try {
+        const response = await fetch(url.toString(), {
+            method: method.toUpperCase(),
+            headers,
+            body,
+            credentials: 'include'
+        });
+        status = response.status;
+        statusText = response.statusText;
+        text = await response.text();
+    } catch (error) {
+        status = 0;
+        statusText = t('explorer.networkError');
+        text = `${error.message}\n\n${t('explorer.networkErrorHint')}`;
+    } finally {
+        submitBtn.disabled = false;
+        submitBtn.textContent = t('docs.execute');
+    }
+
+    try {
+        text = JSON.stringify(JSON.parse(text), null, 2);
+    } catch {
+        // Not JSON; show as-is
+    }
+
+    const result = form.querySelector('.docs-try-result');
+    result.style.display = 'block';
+    const statusBadge = result.querySelector('.response-status');
+    statusBadge.textContent = status ? `${status} ${statusText}` : statusText;
+    statusBadge.className = `response-status status-${Math.floor(status / 100)}xx`;
+    result.querySelector('.docs-try-time').textContent = t('explorer.duration', { ms: Math.round(performance.now() - started) });
+    result.querySelector('.response-body').textContent = text || t('explorer.emptyBody');
+}
+
+// Schemas
+
+function renderSchemas() {
+    const schemas = spec.components.schemas;
+
+    document.getElementById('docs-schemas').innerHTML = Object.keys(schemas).sort().map(name => `
+        <details class="explorer-card docs-operation" id="schema-${escapeHtml(name)}">
+            <summary><span class="route-path">${escapeHtml(name)}</span></summary>
+            ${renderSchemaBody(schemas[name])}
+        </details>
+    `).join('');
+}
+
+function renderSchemaBody(schema) {
+    if (schema.type !== 'object' || !schema.properties) {
+        return `<p>${typeLabel(schema)}</p>`;
+    }
+
+    const required = schema.required || [];
+    return `
+        <table class="response-headers docs-table">
+            ${Object.entries(schema.properties).map(([name, property]) => `
+                <tr>
+                    <td><code>${escapeHtml(name)}</code>${required.includes(name) ? requiredBadge() : ''}</td>
+                    <td>${typeLabel(property)}${inlineObject(property) ? renderSchemaBody(inlineObject(property)) : ''}</td>
+                </tr>
+            `).join('')}
+        </table>
+    `;
+}
+
+// Objects defined in place (rather than by $ref), directly or as array items
+function inlineObject(schema) {
+    if (schema.type === 'object' && schema.properties) {
+        return schema;
+    }
+    if (schema.type === 'array' && schema.items?.type === 'object' && schema.items.properties) {
+        return schema.items;
+    }
+    return null;
+}
+
+// Short type description; $refs link to the schema's card
+function typeLabel(schema) {
+    if (!schema) {
+        return '';
+    }
+
+    let label;
+    if (schema.$ref) {
+        const name = schema.$ref.split('/').pop();
+        label = `<a href="#schema-${escapeHtml(name)}" onclick="openAnchor('schema-${escapeHtml(name)}')">${escapeHtml(name)}</a>`;
+    } else if (schema.allOf && schema.allOf.length === 1) {
+        label = typeLabel(schema.allOf[0]);
+    } else if (schema.type === 'array') {
+        label = `${typeLabel(schema.items)}[]`;
+    } else if (schema.enum) {
+        label = schema.enum.map(value => `<code>${escapeHtml(value)}</code>`).join(' | ');
+    } else {
+        label = `<span class="docs-type">${escapeHtml(schema.type || 'any')}${schema.format ? ` <span class="hint">(${escapeHtml(schema.format)})</span>` : ''}</span>`;
+    }
+
+    return schema.nullable ? `${label} <span class="hint">| null</span>` : label;
+}
+
+// Utility Functions
+
+function accessLabel(access) {
+    return ACCESS_LABELS[access] ? t(ACCESS_LABELS[access]) : '';
+}
+
+function requiredBadge() {
+    return ` <span class="docs-required">${t('docs.required')}</span>`;
+}
+
+// Also used inside attribute values, so quotes are escaped too
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Expose handlers referenced from inline markup
+Object.assign(window, {
+    openAnchor,
+    tryOperation
+});
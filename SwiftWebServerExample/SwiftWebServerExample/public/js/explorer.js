@@ -0,0 +1,469 @@
+// SwiftWebServer API Explorer
+//
+// Builds requests from the backend's route listing (GET /api/routes) and
+// sends them with raw fetch on purpose, so responses are shown exactly as
+// received: status, headers and body, with no retries or token refresh.
+
+import { loadConfig, getApiBase, getAuthToken, request } from './api.js';
+import { showToast } from './notify.js';
+import { initI18n, initLocaleSwitcher, t, formatDate } from './i18n.js';
+import { initThemeToggle } from './theme.js';
+
+const HISTORY_STORAGE_KEY = 'api_explorer_history';
+const HISTORY_LIMIT = 20;
+const METHODS_WITHOUT_BODY = ['GET', 'HEAD'];
+// History is kept in localStorage, so these header values are never saved
+const CREDENTIAL_HEADERS = ['authorization', 'cookie', 'set-cookie'];
+const REDACTED = '[redacted]';
+// Message keys of the access labels; public routes have none
+const ACCESS_LABELS = {
+    optional: 'explorer.access.optional',
+    authenticated: 'explorer.access.authenticated',
+    admin: 'explorer.access.admin'
+};
+
+/** @type {Object[]} Route descriptions from GET /api/routes */
+let routes = [];
+let selectedRoute = null;
+// Path parameter values by name, kept while the path is edited
+let pathParamValues = {};
+
+// Initialize the explorer
+document.addEventListener('DOMContentLoaded', async function() {
+    await initI18n();
+    initLocaleSwitcher(document.getElementById('locale-switcher'));
+    initThemeToggle(document.getElementById('theme-toggle'), { label: mode => t(`common.theme.${mode}`) });
+    document.getElementById('request-form').addEventListener('submit', sendRequest);
+    document.getElementById('route-filter').addEventListener('input', renderRoutes);
+    document.getElementById('request-method').addEventListener('change', updateBodyState);
+    document.getElementById('request-path').addEventListener('input', renderPathParams);
+
+    updateTokenState();
+    updateBodyState();
+    renderHistory();
+
+    await loadConfig();
+    loadRoutes();
+});
+
+// Routes
+
+async function loadRoutes() {
+    const list = document.getElementById('route-list');
+
+    try {
+        routes = await request('/api/routes', { auth: false });
+        renderRoutes();
+    } catch (error) {
+        console.error('Error loading routes:', error);
+        list.innerHTML = `<div class="explorer-empty">${escapeHtml(t('explorer.loadRoutesFailed', { error: error.message }))}</div>`;
+    }
+}
+
+function renderRoutes() {
+    const list = document.getElementById('route-list');
+    const filter = document.getElementById('route-filter').value.trim().toLowerCase();
+
+    // Group by tag, keeping the order the tags first appear in
+    const groups = new Map();
+    routes.forEach((route, index) => {
+        const text = `${route.method} ${route.path} ${route.summary} ${route.tag}`.toLowerCase();
+        if (filter && !text.includes(filter)) return;
+        if (!groups.has(route.tag)) {
+            groups.set(route.tag, []);
+        }
+        groups.get(route.tag).push({ route, index });
+    });
+
+    if (groups.size === 0) {
+        list.innerHTML = `<div class="explorer-empty">${t('explorer.noRoutesMatch')}</div>`;
+        return;
+    }
+
+    list.innerHTML = [...groups].map(([tag, items]) => `
+        <div class="route-group">
+            <h3>${escapeHtml(tag)}</h3>
+            ${items.map(({ route, index }) => `
+                <button type="button" class="route-item ${route === selectedRoute ? 'active' : ''}" onclick="selectRoute(${index})" title="${escapeHtml(route.summary)}">
+                    <span class="method method-${route.method.toLowerCase()}">${escapeHtml(route.method)}</span>
+                    <span class="route-path">${escapeHtml(route.path)}</span>
+                    ${route.access === 'public' ? '' : `<span class="route-access" title="${accessLabel(route.access)}">${route.access === 'admin' ? '👑' : '🔒'}</span>`}
+                </button>
+            `).join('')}
+        </div>
+    `).join('');
+}
+
+// Fill the request form from a route's documentation
+function selectRoute(index) {
+    const route = routes[index];
+    selectedRoute = route;
+    pathParamValues = {};
+
+    document.getElementById('request-method').value = route.method;
+    document.getElementById('request-path').value = route.path;
+    document.getElementById('request-body').value = route.exampleBody || '';
+
+    setParamRows('query-params', route.query.map(param => ({ name: param.name, value: '', hint: param.example || param.description })));
+    setParamRows('header-params', route.headers.map(param => ({ name: param.name, value: '', hint: param.example || param.description })));
+
+    renderRouteSummary();
+    renderPathParams();
+    updateBodyState();
+    renderRoutes();
+}
+
+function renderRouteSummary() {
+    const summary = document.getElementById('route-summary');
+    if (!selectedRoute) {
+        summary.textContent = t('explorer.pickRoute');
+        return;
+    }
+    const access = accessLabel(selectedRoute.access);
+    summary.innerHTML = `
+        <strong>${escapeHtml(selectedRoute.summary)}</strong>
+        ${access ? `<span class="route-access-label">${access}</span>` : ''}
+    `;
+}
+
+// Request form
+
+function renderPathParams() {
+    const path = document.getElementById('request-path').value;
+    const names = [...new Set([...path.matchAll(/\{(\w+)\}/g)].map(match => match[1]))];
+    const group = document.getElementById('path-params-group');
+    const container = document.getElementById('path-params');
+
+    group.style.display = names.length > 0 ? 'block' : 'none';
+    container.innerHTML = names.map(name => `
+        <div class="param-row">
+            <label class="param-name" for="path-param-${name}">{${name}}</label>
+            <input type="text" id="path-param-${name}" class="explorer-input param-value" data-name="${name}" value="${escapeHtml(pathParamValues[name] || '')}" placeholder="${t('explorer.required')}" />
+        </div>
+    `).join('');
+
+    container.querySelectorAll('input').forEach(input => {
+        input.addEventListener('input', () => {
+            pathParamValues[input.dataset.name] = input.value;
+        });
+    });
+}
+
+function setParamRows(containerId, rows) {
+    document.getElementById(containerId).innerHTML = '';
+    rows.forEach(row => addParamRow(containerId, row));
+}
+
+function addParamRow(containerId, { name = '', value = '', hint = t('explorer.value') } = {}) {
+    const row = document.createElement('div');
+    row.className = 'param-row';
+    row.innerHTML = `
+        <input type="text" class="explorer-input param-name" placeholder="${t('explorer.name')}" value="${escapeHtml(name)}" aria-label="${t('explorer.name')}" />
+        <input type="text" class="explorer-input param-value" placeholder="${escapeHtml(hint)}" value="${escapeHtml(value)}" aria-label="${t('explorer.value')}" />
+        <button type="button" class="link-btn" title="${t('explorer.remove')}" aria-label="${t('explorer.remove')}" onclick="this.parentElement.remove()">&times;</button>
+    `;
+    document.getElementById(containerId).appendChild(row);
+}
+
+// [name, value] pairs of the rows that have both
+function readParams(containerId) {
+    return [...document.getElementById(containerId).querySelectorAll('.param-row')]
+        .map(row => [row.querySelector('.param-name').value.trim(), row.querySelector('.param-value').value])
+        .filter(([name, value]) => name && value !== '');
+}
+
+function updateBodyState() {
+    const method = document.getElementById('request-method').value;
+    const body = document.getElementById('request-body');
+    const hasBody = !METHODS_WITHOUT_BODY.includes(method);
+    body.disabled = !hasBody;
+    body.placeholder = hasBody ? '{ }' : t('explorer.noBody', { method });
+}
+
+function updateTokenState() {
+    const hasToken = Boolean(getAuthToken());
+    document.getElementById('send-token').disabled = !hasToken;
+    document.getElementById('token-state').textContent = hasToken ? '' : t('explorer.notSignedIn');
+}
+
+function hasHeader(headers, name) {
+    return Object.keys(headers).some(key => key.toLowerCase() === name);
+}
+
+// Resolve the form into what fetch() needs. Throws on a missing path parameter.
+function buildRequest() {
+    const method = document.getElementById('request-method').value;
+    const template = document.getElementById('request-path').value.trim();
+
+    const path = template.replace(/\{(\w+)\}/g, (match, name) => {
+        const value = (pathParamValues[name] || '').trim();
+        if (!value) {
+            throw new Error(t('explorer.missingPathParameter', { name: `{${name}}` }));
+        }
+        return encodeURIComponent(value);
+    });
+
+    // Relative paths go to the API server; absolute URLs are used as-is
+    const url = new URL(path, getApiBase() || window.location.origin);
+    readParams('query-params').forEach(([name, value]) => url.searchParams.append(name, value));
+
+    const headers = {};
+    readParams('header-params').forEach(([name, value]) => {
+        headers[name] = value;
+    });
+
+    const token = getAuthToken();
+    if (token && document.getElementById('send-token').checked && !hasHeader(headers, 'authorization')) {
+        headers['Authorization'] = `Bearer ${token}`;
+    }
+
+    let body;
+    const bodyText = document.getElementById('request-body').value;
+    if (!METHODS_WITHOUT_BODY.includes(method) && bodyText.trim()) {
+        body = bodyText;
+        if (!hasHeader(headers, 'content-type')) {
+            headers['Content-Type'] = 'application/json';
+        }
+    }
+
+    return { method, url: url.toString(), headers, body };
+}
+
+// Sending
+
+async function sendRequest(event) {
+    event.preventDefault();
+
+    let built;
+    try {
+        built = buildRequest();
+    } catch (error) {
+        showToast(error.message, { type: 'error' });
+        return;
+    }
+
+    const sendBtn = document.getElementById('send-btn');
+    sendBtn.disabled = true;
+    sendBtn.textContent = t('explorer.sending');
+
+    const started = performance.now();
+    let result;
+    try {
+        const response = await fetch(built.url, {
+            method: built.method,
+            headers: built.headers,
+            body: built.body,
+            credentials: 'include'
+        });
+        const text = await response.text();
+        result = {
+            status: response.status,
+            statusText: response.statusText,
+            headers: [...response.headers.entries()],
+            body: text,
+            time: performance.now() - started
+        };
+    } catch (error) {
+        result = {
+            status: 0,
+            statusText: t('explorer.networkError'),
+            headers: [],
+            body: `${error.message}\n\n${t('explorer.networkErrorHint')}`,
+            time: performance.now() - started
+        };
+    } finally {
+        sendBtn.disabled = false;
+        sendBtn.textContent = t('explorer.send');
+    }
+
+    showResponse(result);
+    addToHistory(result);
+}
+
+function showResponse(result) {
+    document.getElementById('response-card').style.display = 'block';
+
+    const status = document.getElementById('response-status');
+    status.textContent = result.status ? `${result.status} ${result.statusText}` : result.statusText;
+    status.className = `response-status status-${result.status ? Math.floor(result.status / 100) : 0}xx`;
+
+    document.getElementById('response-time').textContent = t('explorer.duration', { ms: Math.round(result.time) });
+    document.getElementById('response-size').textContent = formatBytes(new Blob([result.body]).size);
+
+    let body = result.body;
+    try {
+        body = JSON.stringify(JSON.parse(result.body), null, 2);
+    } catch {
+        // Not JSON; show as-is
+    }
+    document.getElementById('response-body').textContent = body || t('explorer.emptyBody');
+
+    document.getElementById('response-headers').innerHTML = result.headers.length === 0
+        ? `<tr><td class="hint">${t('explorer.noHeaders')}</td></tr>`
+        : result.headers.map(([name, value]) => `
+            <tr><th>${escapeHtml(name)}</th><td>${escapeHtml(value)}</td></tr>
+        `).join('');
+}
+
+function showResponseTab(tab) {
+    document.querySelectorAll('.response-tab').forEach(button => {
+        button.classList.toggle('active', button.dataset.tab === tab);
+    });
+    document.getElementById('response-body').style.display = tab === 'body' ? 'block' : 'none';
+    document.getElementById('response-headers').style.display = tab === 'headers' ? 'table' : 'none';
+}
+
+// Copy as curl
+
+async function copyAsCurl() {
+    let built;
+    try {
+        built = buildRequest();
+    } catch (error) {
+        showToast(error.message, { type: 'error' });
+        return;
+    }
+
+    const parts = [built.method === 'HEAD' ? `curl -I ${shellQuote(built.url)}` : `curl -X ${built.method} ${shellQuote(built.url)}`];
+    Object.entries(built.headers).forEach(([name, value]) => {
+        parts.push(`-H ${shellQuote(`${name}: ${value}`)}`);
+    });
+    if (built.body !== undefined) {
+        parts.push(`--data-raw ${shellQuote(built.body)}`);
+    }
+    const command = parts.join(' \\\n  ');
+
+    try {
+        await navigator.clipboard.writeText(command);
+        showToast(t('explorer.curlCopied'), { type: 'success' });
+    } catch {
+        // Clipboard access needs a secure context; let the user copy by hand
+        window.prompt(t('explorer.copyCurlPrompt'), command);
+    }
+}
+
+function shellQuote(text) {
+    return `'${text.replace(/'/g, `'\\''`)}'`;
+}
+
+// History
+// The last HISTORY_LIMIT requests, stored as the form state (not the
+// resolved URL) so an entry can be restored, edited and re-sent.
+
+// Entries saved before credentials were redacted are redacted on the way
+// out, and dropped from storage with the next save
+function loadHistory() {
+    try {
+        const history = JSON.parse(localStorage.getItem(HISTORY_STORAGE_KEY)) || [];
+        return history.map(entry => ({ ...entry, headers: redactHeaders(entry.headers) }));
+    } catch {
+        return [];
+    }
+}
+
+function redactHeaders(headers) {
+    return headers.map(([name, value]) => [name, isCredentialHeader(name) ? REDACTED : value]);
+}
+
+function isCredentialHeader(name) {
+    return CREDENTIAL_HEADERS.includes(name.toLowerCase());
+}
+
+function addToHistory(result) {
+    const entry = {
+        method: document.getElementById('request-method').value,
+        path: document.getElementById('request-path').value.trim(),
+        pathParams: { ...pathParamValues },
+        query: readParams('query-params'),
+        headers: redactHeaders(readParams('header-params')),
+        body: document.getElementById('request-body').value,
+        sendToken: document.getElementById('send-token').checked,
+        status: result.status,
+        time: Math.round(result.time),
+        sentAt: new Date().toISOString()
+    };
+
+    const history = [entry, ...loadHistory()].slice(0, HISTORY_LIMIT);
+    localStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify(history));
+    renderHistory();
+}
+
+function renderHistory() {
+    const list = document.getElementById('history-list');
+    const history = loadHistory();
+
+    if (history.length === 0) {
+        list.innerHTML = `<div class="explorer-empty">${t('explorer.historyEmpty')}</div>`;
+        return;
+    }
+
+    list.innerHTML = history.map((entry, index) => `
+        <button type="button" class="history-item" onclick="restoreHistory(${index})">
+            <span class="method method-${entry.method.toLowerCase()}">${escapeHtml(entry.method)}</span>
+            <span class="route-path">${escapeHtml(entry.path)}</span>
+            <span class="response-status status-${entry.status ? Math.floor(entry.status / 100) : 0}xx">${entry.status || 'ERR'}</span>
+            <span class="hint">${t('explorer.duration', { ms: entry.time })} · ${formatDate(entry.sentAt, { timeStyle: 'medium' })}</span>
+        </button>
+    `).join('');
+}
+
+function restoreHistory(index) {
+    const entry = loadHistory()[index];
+    if (!entry) return;
+
+    selectedRoute = routes.find(route => route.method === entry.method && route.path === entry.path) || null;
+    pathParamValues = { ...entry.pathParams };
+
+    document.getElementById('request-method').value = entry.method;
+    document.getElementById('request-path').value = entry.path;
+    document.getElementById('request-body').value = entry.body;
+    document.getElementById('send-token').checked = entry.sendToken;
+    setParamRows('query-params', entry.query.map(([name, value]) => ({ name, value })));
+    // Redacted credentials come back empty, to be entered again
+    setParamRows('header-params', entry.headers.map(([name, value]) => ({
+        name,
+        value: isCredentialHeader(name) ? '' : value
+    })));
+
+    renderRouteSummary();
+    renderPathParams();
+    updateBodyState();
+    renderRoutes();
+}
+
+function clearHistory() {
+    localStorage.removeItem(HISTORY_STORAGE_KEY);
+    renderHistory();
+}
+
+// Utility Functions
+
+function accessLabel(access) {
+    return ACCESS_LABELS[access] ? t(ACCESS_LABELS[access]) : '';
+}
+
+function formatBytes(bytes) {
+    return bytes < 1024
+        ? t('common.bytes', { size: bytes })
+        : t('common.kilobytes', { size: Math.round(bytes / 102.4) / 10 });
+}
+
+// Also used inside attribute values, so quotes are escaped too
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Expose handlers referenced from inline markup
+Object.assign(window, {
+    selectRoute,
+    addParamRow,
+    showResponseTab,
+    copyAsCurl,
+    restoreHistory,
+    clearHistory
+});
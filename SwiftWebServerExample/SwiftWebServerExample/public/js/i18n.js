@@ -0,0 +1,204 @@
+// SwiftWebServer Internationalization
+//
+// Message catalogs, plurals and locale-aware dates for every page. The
+// catalogs live in js/locales/ as modules of `key: message` pairs; a message
+// is either a string with `{name}` placeholders or an object of plural
+// forms keyed by Intl.PluralRules category (`one`, `few`, `other`...),
+// chosen by the `count` parameter. Missing keys fall back to English.
+//
+// The locale is the reader's choice from the switcher (kept in
+// localStorage), else the first supported browser language, else English.
+// Static markup is translated through `data-i18n` attributes:
+//   <h3 data-i18n="post.commentsTitle">Comments</h3>
+//   <input data-i18n-attr="placeholder:blog.searchPlaceholder">
+
+import en from './locales/en.js';
+
+const LOCALE_STORAGE_KEY = 'locale';
+const DEFAULT_LOCALE = 'en';
+
+/** Supported locales with their native names and text direction */
+export const LOCALES = {
+    en: { name: 'English', dir: 'ltr' },
+    es: { name: 'Español', dir: 'ltr' },
+    ar: { name: 'العربية', dir: 'rtl' }
+};
+
+// Relative times switch to the next unit at these many seconds
+const RELATIVE_UNITS = [
+    ['year', 365 * 24 * 60 * 60],
+    ['month', 30 * 24 * 60 * 60],
+    ['week', 7 * 24 * 60 * 60],
+    ['day', 24 * 60 * 60],
+    ['hour', 60 * 60],
+    ['minute', 60]
+];
+
+let locale = DEFAULT_LOCALE;
+let messages = en;
+let pluralRules = new Intl.PluralRules(DEFAULT_LOCALE);
+
+/**
+ * Pick the locale, load its catalog and set `lang`/`dir` on the page. Call
+ * once before rendering anything; until then messages are English.
+ *
+ * @returns {Promise<string>} The locale in use
+ */
+export async function initI18n() {
+    const preferred = detectLocale();
+    if (preferred !== DEFAULT_LOCALE) {
+        try {
+            messages = (await import(`./locales/${preferred}.js`)).default;
+            locale = preferred;
+        } catch (error) {
+            console.error(`Error loading the ${preferred} catalog:`, error);
+        }
+    }
+
+    pluralRules = new Intl.PluralRules(locale);
+    document.documentElement.lang = locale;
+    document.documentElement.dir = LOCALES[locale].dir;
+    translatePage();
+    return locale;
+}
+
+export function getLocale() {
+    return locale;
+}
+
+/**
+ * Switch to `newLocale` and reload, so every view renders in it.
+ *
+ * @param {string} newLocale - A key of LOCALES
+ */
+export function setLocale(newLocale) {
+    if (!LOCALES[newLocale] || newLocale === locale) return;
+
+    localStorage.setItem(LOCALE_STORAGE_KEY, newLocale);
+    window.location.reload();
+}
+
+/**
+ * The message for `key` with its placeholders filled in. A plural message
+ * picks its form from `params.count`.
+ *
+ * @param {string} key - e.g. `common.comments`
+ * @param {Object<string, *>} [params] - Placeholder values; numbers are formatted for the locale
+ * @returns {string}
+ */
+export function t(key, params = {}) {
+    let message = messages[key] ?? en[key];
+    if (message === undefined) {
+        console.warn(`Missing message: ${key}`);
+        return key;
+    }
+
+    if (typeof message === 'object') {
+        const form = pluralRules.select(params.count ?? 0);
+        message = message[form] ?? message.other;
+    }
+
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+        const value = params[name];
+        if (value === undefined) return placeholder;
+        return typeof value === 'number' ? formatNumber(value) : String(value);
+    });
+}
+
+/**
+ * @param {Date|string} date
+ * @param {Intl.DateTimeFormatOptions} [options]
+ * @returns {string} Empty when the date is invalid
+ */
+export function formatDate(date, options = { dateStyle: 'long' }) {
+    const value = new Date(date);
+    return isNaN(value.getTime()) ? '' : new Intl.DateTimeFormat(locale, options).format(value);
+}
+
+/**
+ * "3 hours ago", "yesterday", "in 2 days"...
+ *
+ * @param {Date|string} date
+ * @param {Date} [now]
+ * @returns {string} Empty when the date is invalid
+ */
+export function formatRelativeTime(date, now = new Date()) {
+    const value = new Date(date);
+    if (isNaN(value.getTime())) return '';
+
+    const seconds = Math.round((value - now) / 1000);
+    const formatter = new Intl.RelativeTimeFormat(locale, { numeric: 'auto' });
+    for (const [unit, size] of RELATIVE_UNITS) {
+        if (Math.abs(seconds) >= size) {
+            return formatter.format(Math.round(seconds / size), unit);
+        }
+    }
+    return formatter.format(0, 'second');
+}
+
+/**
+ * A `<time>` element showing the relative time, with the full date and
+ * time as its tooltip.
+ *
+ * @param {Date|string} date
+ * @returns {string} HTML; a placeholder text when the date is invalid
+ */
+export function timeHTML(date) {
+    const value = new Date(date);
+    if (isNaN(value.getTime())) return t('common.dateUnavailable');
+
+    const full = formatDate(value, { dateStyle: 'long', timeStyle: 'short' });
+    return `<time datetime="${value.toISOString()}" title="${full}">${formatRelativeTime(value)}</time>`;
+}
+
+export function formatNumber(value) {
+    return new Intl.NumberFormat(locale).format(value);
+}
+
+/**
+ * Translate the `data-i18n` (text) and `data-i18n-attr` (`attr:key;...`)
+ * elements under `root`.
+ *
+ * @param {ParentNode} [root=document]
+ */
+export function translatePage(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
+    });
+    root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+        element.dataset.i18nAttr.split(';').forEach(pair => {
+            const [attribute, key] = pair.split(':').map(part => part.trim());
+            element.setAttribute(attribute, t(key));
+        });
+    });
+}
+
+/**
+ * Fill `select` with the supported locales and switch on change.
+ *
+ * @param {HTMLSelectElement} select
+ */
+export function initLocaleSwitcher(select) {
+    select.replaceChildren(...Object.entries(LOCALES).map(([code, { name }]) => {
+        const option = new Option(name, code, false, code === locale);
+        option.lang = code;
+        return option;
+    }));
+    select.addEventListener('change', () => setLocale(select.value));
+}
+
+function detectLocale() {
+    const stored = localStorage.getItem(LOCALE_STORAGE_KEY);
+    if (stored && LOCALES[stored]) {
+        return stored;
+    }
+
+    // "es-MX" -> "es"
+    for (const language of navigator.languages || [navigator.language]) {
+        const code = language?.split('-')[0].toLowerCase();
+        if (code && LOCALES[code]) {
+            return code;
+        }
+    }
+    return DEFAULT_LOCALE;
+}
@@ -0,0 +1,506 @@
+// Arabic messages, shown right to left (see js/i18n.js)
+
+export default {
+    // Shared
+    'common.anonymous': 'مجهول',
+    'common.dateUnavailable': 'التاريخ غير متوفر',
+    'common.login': 'تسجيل الدخول',
+    'common.admin': 'الإدارة',
+    'common.goToAdmin': 'الانتقال إلى الإدارة',
+    'common.language': 'اللغة',
+    'common.theme.system': 'المظهر: حسب النظام',
+    'common.theme.light': 'المظهر: فاتح',
+    'common.theme.dark': 'المظهر: داكن',
+    'common.cancel': 'إلغاء',
+    'common.loading': 'جارٍ التحميل...',
+    'common.apiDocs': 'توثيق الواجهة البرمجية',
+    'common.apiExplorer': 'مستكشف الواجهة البرمجية',
+    'common.backToBlog': 'العودة إلى المدونة',
+    'common.offlineBanner': '📡 أنت غير متصل. تُعرض المقالات المحفوظة على هذا الجهاز، وستُرسل التعليقات التي تكتبها عند عودة الاتصال.',
+    'common.poweredBy': 'مدعوم بواسطة',
+    'common.withLove': 'مع ❤️',
+    'common.views': {
+        zero: 'لا مشاهدات',
+        one: 'مشاهدة واحدة',
+        two: 'مشاهدتان',
+        few: '{count} مشاهدات',
+        many: '{count} مشاهدة',
+        other: '{count} مشاهدة'
+    },
+    'common.comments': {
+        zero: 'لا تعليقات',
+        one: 'تعليق واحد',
+        two: 'تعليقان',
+        few: '{count} تعليقات',
+        many: '{count} تعليقًا',
+        other: '{count} تعليق'
+    },
+    'common.minRead': {
+        zero: 'قراءة أقل من دقيقة',
+        one: 'قراءة دقيقة واحدة',
+        two: 'قراءة دقيقتين',
+        few: 'قراءة {count} دقائق',
+        many: 'قراءة {count} دقيقة',
+        other: 'قراءة {count} دقيقة'
+    },
+    'common.bytes': '{size} بايت',
+    'common.kilobytes': '{size} كيلوبايت',
+    'common.megabytes': '{size} ميغابايت',
+
+    // Toasts and dialogs
+    'notify.region': 'الإشعارات',
+    'notify.dismiss': 'إغلاق الإشعار',
+    'notify.undo': 'تراجع',
+    'notify.confirm': 'تأكيد',
+
+    // Blog index
+    'blog.searchLabel': 'البحث في المقالات',
+    'blog.searchPlaceholder': '🔍 ابحث بالعنوان أو المحتوى أو الكاتب...',
+    'blog.postsTagged': 'المقالات الموسومة بـ',
+    'blog.clearTag': '✕ مسح',
+    'blog.showAllPosts': 'عرض كل المقالات',
+    'blog.loadingPosts': 'جارٍ تحميل المقالات...',
+    'blog.loadMore': 'تحميل المزيد من المقالات',
+    'blog.loadingMore': 'جارٍ التحميل...',
+    'blog.loadMoreFailed': 'تعذّر تحميل المقالات. حاول مرة أخرى',
+    'blog.loadMoreFailedAnnouncement': 'تعذّر تحميل المزيد من المقالات',
+    'blog.tags': '🏷️ الوسوم',
+    'blog.offlineTitle': '📡 أنت غير متصل',
+    'blog.offlineText': 'لم تُحفظ هذه المقالات على هذا الجهاز بعد. ستُحمّل عند عودة الاتصال.',
+    'blog.offlineAnnouncement': 'أنت غير متصل. لم تُحفظ هذه المقالات على هذا الجهاز بعد.',
+    'blog.errorTitle': '⚠️ تعذّر تحميل المقالات',
+    'blog.errorText': 'يُرجى تحديث الصفحة.',
+    'blog.errorAnnouncement': 'تعذّر تحميل المقالات. يُرجى تحديث الصفحة.',
+    'blog.noMatchesTitle': '🔍 لا توجد نتائج',
+    'blog.noMatchesText': 'لا شيء يطابق "{query}". جرّب كلمات أخرى.',
+    'blog.noMatches': 'لا توجد نتائج',
+    'blog.noTaggedTitle': '🏷️ لا توجد مقالات موسومة بـ #{tag}',
+    'blog.noTaggedText': 'جرّب وسمًا آخر، أو امسح عامل التصفية لعرض كل المقالات.',
+    'blog.noTagged': 'لا توجد مقالات موسومة بـ {tag}',
+    'blog.noPostsTitle': '📝 لا توجد مقالات بعد',
+    'blog.noPostsText': 'عُد قريبًا لقراءة محتوى جديد!',
+    'blog.noPosts': 'لا توجد مقالات بعد',
+    'blog.showingPosts': {
+        zero: 'لا توجد مقالات',
+        one: 'عرض مقالة واحدة',
+        two: 'عرض مقالتين',
+        few: 'عرض {count} مقالات',
+        many: 'عرض {count} مقالة',
+        other: 'عرض {count} مقالة'
+    },
+    'blog.morePostsLoaded': {
+        zero: 'لم تُحمّل مقالات أخرى',
+        one: 'حُمّلت مقالة أخرى',
+        two: 'حُمّلت مقالتان أخريان',
+        few: 'حُمّلت {count} مقالات أخرى',
+        many: 'حُمّلت {count} مقالة أخرى',
+        other: 'حُمّلت {count} مقالة أخرى'
+    },
+    'blog.noPreview': 'لا توجد معاينة',
+    'blog.readMore': 'اقرأ المزيد',
+
+    // Post page
+    'post.documentTitle': '{title} - مدونة SwiftWebServer',
+    'post.backToBlog': 'العودة إلى المدونة',
+    'post.loading': 'جارٍ تحميل المقالة...',
+    'post.noContent': 'لا يوجد محتوى.',
+    'post.errorTitle': '⚠️ خطأ',
+    'post.errorBackLink': '→ العودة إلى المدونة',
+    'post.noPostId': 'لم تُحدَّد أي مقالة',
+    'post.offlineUnavailable': 'أنت غير متصل، ولم تُحفظ هذه المقالة على هذا الجهاز بعد.',
+    'post.loadFailed': 'تعذّر تحميل المقالة. حاول مرة أخرى.',
+    'post.notLoaded': 'لم تُحمّل المقالة.',
+    'post.commentsTitle': '💬 التعليقات',
+    'post.leaveComment': 'اترك تعليقًا',
+    'post.commentPlaceholder': 'اكتب تعليقك...',
+    'post.postComment': 'نشر التعليق',
+    'post.addComment': 'إضافة تعليق',
+    'post.noComments': 'لا توجد تعليقات بعد. كن أول من يعلّق!',
+    'post.commentsFailed': 'تعذّر تحميل التعليقات.',
+    'post.pendingApproval': 'بانتظار الموافقة',
+    'post.approve': 'موافقة',
+    'post.reply': '↩ رد',
+    'post.replyingTo': '↪ ردًا على {name}',
+    'post.replies': {
+        zero: 'لا ردود',
+        one: 'رد واحد',
+        two: 'ردّان',
+        few: '{count} ردود',
+        many: '{count} ردًا',
+        other: '{count} رد'
+    },
+    'post.showReplies': '◂ عرض {replies}',
+    'post.hideReplies': '▾ إخفاء {replies}',
+    'post.replyPlaceholder': 'اكتب ردك...',
+    'post.postReply': 'نشر الرد',
+    'post.loginToReply': 'يُرجى تسجيل الدخول للرد على التعليقات.',
+    'post.enterReply': 'يُرجى كتابة رد.',
+    'post.replyPosted': 'نُشر الرد',
+    'post.replyQueued': 'أنت غير متصل. سيُنشر ردك عند عودة الاتصال.',
+    'post.replyFailed': 'تعذّر نشر الرد: {error}',
+    'post.loginToComment': 'يُرجى تسجيل الدخول للتعليق.',
+    'post.enterComment': 'يُرجى كتابة تعليق.',
+    'post.commentPosted': 'نُشر التعليق',
+    'post.commentQueued': 'أنت غير متصل. سيُنشر تعليقك عند عودة الاتصال.',
+    'post.commentFailed': 'تعذّر نشر التعليق. حاول مرة أخرى.',
+    'post.you': 'أنت',
+    'post.waitingToSend': 'بانتظار الإرسال',
+    'post.queuedReply': '↪ رد',
+    'post.queueFailed': {
+        zero: 'تعذّر نشر التعليقات المكتوبة دون اتصال: {error}',
+        one: 'تعذّر نشر تعليق واحد كُتب دون اتصال: {error}',
+        two: 'تعذّر نشر تعليقين كُتبا دون اتصال: {error}',
+        few: 'تعذّر نشر {count} تعليقات كُتبت دون اتصال: {error}',
+        many: 'تعذّر نشر {count} تعليقًا كُتب دون اتصال: {error}',
+        other: 'تعذّر نشر {count} تعليق كُتب دون اتصال: {error}'
+    },
+    'post.authRequired': 'يلزم تسجيل الدخول',
+    'post.commentApproved': 'تمت الموافقة على التعليق',
+    'post.noModeratePermission': 'لم تعد لديك صلاحية الإشراف على تعليقات هذه المقالة.',
+    'post.approveFailed': 'خطأ في الموافقة على التعليق: {error}',
+
+    // Login page
+    'login.documentTitle': 'تسجيل الدخول - مدونة SwiftWebServer',
+    'login.title': '🔐 دخول الإدارة',
+    'login.subtitle': 'سجّل الدخول للوصول إلى لوحة الإدارة',
+    'login.username': 'اسم المستخدم',
+    'login.usernamePlaceholder': 'أدخل اسم المستخدم',
+    'login.password': 'كلمة المرور',
+    'login.passwordPlaceholder': 'أدخل كلمة المرور',
+    'login.signIn': 'تسجيل الدخول',
+    'login.signingIn': 'جارٍ تسجيل الدخول...',
+    'login.sessionExpired': 'انتهت صلاحية جلستك. يُرجى تسجيل الدخول مرة أخرى.',
+    'login.missingCredentials': 'يُرجى إدخال اسم المستخدم وكلمة المرور.',
+    'login.success': 'تم تسجيل الدخول! جارٍ التحويل...',
+    'login.networkError': 'تعذّر الاتصال بالخادم. حاول مرة أخرى.',
+    'login.invalidCredentials': 'اسم المستخدم أو كلمة المرور غير صحيحة.',
+
+    // Not found page
+    'notFound.documentTitle': '404 - الصفحة غير موجودة | SwiftWebServer',
+    'notFound.title': 'الصفحة غير موجودة',
+    'notFound.message': 'عذرًا، الصفحة التي تبحث عنها غير موجودة. ربما نُقلت أو حُذفت، أو أن العنوان غير صحيح.',
+    'notFound.home': 'الصفحة الرئيسية',
+    'notFound.back': 'رجوع',
+
+    // API explorer
+    'explorer.documentTitle': 'مستكشف واجهة SwiftWebServer البرمجية',
+    'explorer.title': '🧪 مستكشف الواجهة البرمجية',
+    'explorer.filterPlaceholder': '🔍 تصفية المسارات...',
+    'explorer.filterLabel': 'تصفية المسارات',
+    'explorer.loadingRoutes': 'جارٍ تحميل المسارات...',
+    'explorer.loadRoutesFailed': 'خطأ في تحميل المسارات: {error}',
+    'explorer.noRoutesMatch': 'لا توجد مسارات مطابقة',
+    'explorer.pickRoute': 'اختر مسارًا، أو اكتب أي طريقة ومسار.',
+    'explorer.access.optional': '🔓 الرمز اختياري',
+    'explorer.access.authenticated': '🔒 يتطلب تسجيل الدخول',
+    'explorer.access.admin': '👑 للمسؤولين فقط',
+    'explorer.method': 'الطريقة',
+    'explorer.path': 'المسار',
+    'explorer.send': 'إرسال',
+    'explorer.sending': 'جارٍ الإرسال...',
+    'explorer.copyAsCurl': 'نسخ كأمر curl',
+    'explorer.curlCopied': 'نُسخ أمر curl إلى الحافظة',
+    'explorer.copyCurlPrompt': 'انسخ أمر curl:',
+    'explorer.pathParameters': 'معاملات المسار',
+    'explorer.queryParameters': 'معاملات الاستعلام',
+    'explorer.headers': 'الترويسات',
+    'explorer.add': '+ إضافة',
+    'explorer.name': 'الاسم',
+    'explorer.value': 'القيمة',
+    'explorer.required': 'مطلوب',
+    'explorer.remove': 'إزالة',
+    'explorer.missingPathParameter': 'املأ معامل المسار {name}',
+    'explorer.sendToken': 'إرسال رمز الوصول الخاص بي',
+    'explorer.notSignedIn': '(لم تسجّل الدخول)',
+    'explorer.corsHint': 'لا ترسل الطلبات عبر المصادر إلا الترويسات التي تسمح بها إعدادات CORS في الخادم.',
+    'explorer.body': 'المحتوى',
+    'explorer.bodyHint': 'JSON، يُرسل بنوع application/json ما لم تُحدَّد ترويسة Content-Type',
+    'explorer.requestBody': 'محتوى الطلب',
+    'explorer.noBody': 'طلبات {method} بلا محتوى',
+    'explorer.networkError': 'خطأ في الشبكة',
+    'explorer.networkErrorHint': 'قد يكون الخادم متوقفًا، أو حظر المتصفح الطلب (CORS).',
+    'explorer.duration': '{ms} مللي ثانية',
+    'explorer.emptyBody': '(محتوى فارغ)',
+    'explorer.noHeaders': 'لا توجد ترويسات قابلة للقراءة',
+    'explorer.history': 'السجل',
+    'explorer.historyEmpty': 'ستظهر هنا الطلبات التي ترسلها.',
+    'explorer.clear': 'مسح',
+
+    // API docs
+    'docs.documentTitle': 'توثيق واجهة SwiftWebServer البرمجية',
+    'docs.title': '📖 توثيق الواجهة البرمجية',
+    'docs.openApiDocument': 'مستند OpenAPI',
+    'docs.filterPlaceholder': '🔍 تصفية...',
+    'docs.filterLabel': 'تصفية العمليات والمخططات',
+    'docs.loading': 'جارٍ تحميل وصف الواجهة البرمجية...',
+    'docs.loadFailed': 'خطأ في تحميل وصف الواجهة البرمجية: {error}',
+    'docs.noMatches': 'لا نتائج مطابقة',
+    'docs.server': 'الخادم:',
+    'docs.schemas': 'المخططات',
+    'docs.otherTag': 'أخرى',
+    'docs.parameters': 'المعاملات',
+    'docs.in': 'الموضع',
+    'docs.type': 'النوع',
+    'docs.description': 'الوصف',
+    'docs.required': 'مطلوب',
+    'docs.responses': 'الاستجابات',
+    'docs.tryItOut': 'جرّبها',
+    'docs.execute': 'تنفيذ',
+
+    // Admin console
+    'admin.documentTitle': 'إدارة SwiftWebServer',
+    'admin.title': '📝 إدارة المدونة',
+    'admin.welcome': 'مرحبًا، {name}!',
+    'admin.logout': 'تسجيل الخروج',
+    'admin.nav.moderation': 'مراجعة التعليقات',
+    'admin.nav.moderationPending': 'مراجعة التعليقات ({count} بانتظار المراجعة)',
+    'admin.nav.users': 'إدارة المستخدمين',
+    'admin.nav.dashboard': 'لوحة المعلومات',
+    'admin.nav.logs': 'سجلات الخادم',
+    'admin.role.admin': 'مدير',
+    'admin.role.author': 'كاتب',
+    'admin.role.reader': 'قارئ',
+    'admin.session.expiresIn': '⚠️ تنتهي جلستك خلال {time}.',
+    'admin.session.extend': 'تمديد الجلسة',
+    'admin.session.extended': 'تم تمديد الجلسة',
+    'admin.permissionDenied': 'تم رفض الإذن: {error}',
+    'admin.error.createPost': 'خطأ في إنشاء المقالة: {error}',
+    'admin.error.loadPost': 'خطأ في تحميل المقالة: {error}',
+    'admin.error.updatePost': 'خطأ في تحديث المقالة: {error}',
+    'admin.error.cancelSchedule': 'خطأ في إلغاء الجدولة: {error}',
+    'admin.error.deletePost': 'خطأ في حذف المقالة: {error}',
+    'admin.error.loadMedia': 'خطأ في تحميل الملفات: {error}',
+    'admin.error.deleteMedia': 'خطأ في حذف الملف: {error}',
+    'admin.error.approveComment': 'خطأ في قبول التعليق: {error}',
+    'admin.error.activateUser': 'خطأ في تفعيل المستخدم: {error}',
+    'admin.error.deactivateUser': 'خطأ في تعطيل المستخدم: {error}',
+    'admin.error.deleteUser': 'خطأ في حذف المستخدم: {error}',
+    'admin.error.loadDashboard': 'خطأ في تحميل لوحة المعلومات: {error}',
+    'admin.error.streamLogs': 'خطأ في بث السجلات: {error}',
+    'admin.approve': 'قبول',
+    'admin.reject': 'رفض',
+    'admin.delete': 'حذف',
+    'admin.edit': 'تعديل',
+    'admin.clear': 'مسح',
+    'admin.close': 'إغلاق',
+    'admin.saveChanges': 'حفظ التغييرات',
+    'admin.backToPosts': '→ العودة إلى المقالات',
+    'admin.cannotUndo': 'لا يمكن التراجع عن هذا الإجراء.',
+    'admin.postCount': {
+        zero: 'لا مقالات',
+        one: 'مقالة واحدة',
+        two: 'مقالتان',
+        few: '{count} مقالات',
+        many: '{count} مقالة',
+        other: '{count} مقالة'
+    },
+    'admin.status.published': 'منشورة',
+    'admin.status.scheduled': 'مجدولة',
+    'admin.status.draft': 'مسودة',
+    'admin.posts.title': '📝 إدارة المقالات',
+    'admin.posts.create': '+ إنشاء مقالة',
+    'admin.posts.createTitle': 'مقالة جديدة',
+    'admin.posts.createSubmit': 'إنشاء المقالة',
+    'admin.posts.created': 'تم إنشاء المقالة',
+    'admin.posts.deleted': 'تم حذف المقالة',
+    'admin.posts.loginToCreate': 'يرجى تسجيل الدخول لإنشاء المقالات',
+    'admin.posts.roleCannotCreate': 'دورك لا يسمح بإنشاء المقالات',
+    'admin.posts.loadFailed': 'خطأ في تحميل المقالات: {error}',
+    'admin.posts.loadFailedTitle': 'خطأ في تحميل المقالات',
+    'admin.posts.loadFailedText': 'خطأ: {error}. يرجى إعادة تحميل الصفحة.',
+    'admin.posts.noMatchesText': 'جرّب بحثًا آخر أو امسح عوامل التصفية.',
+    'admin.posts.emptyTitle': 'لا توجد مقالات',
+    'admin.posts.emptyText': 'أنشئ مقالتك الأولى للبدء!',
+    'admin.posts.noExcerpt': 'لا يوجد مقتطف',
+    'admin.posts.untitled': 'بلا عنوان',
+    'admin.posts.publishedOn': 'نُشرت: {date}',
+    'admin.posts.scheduledFor': 'مجدولة: {date}',
+    'admin.posts.createdOn': 'أُنشئت: {date}',
+    'admin.filters.searchPlaceholder': '🔍 ابحث بالعنوان أو المحتوى أو الكاتب...',
+    'admin.filters.status': 'التصفية حسب الحالة',
+    'admin.filters.allStatuses': 'كل الحالات',
+    'admin.filters.author': 'التصفية حسب الكاتب',
+    'admin.filters.allAuthors': 'كل الكتّاب',
+    'admin.filters.from': 'من',
+    'admin.filters.to': 'إلى',
+    'admin.post.status': 'الحالة',
+    'admin.post.author': 'الكاتب',
+    'admin.post.unknownAuthor': 'غير معروف',
+    'admin.post.views': 'المشاهدات',
+    'admin.post.readingTime': 'مدة القراءة',
+    'admin.post.minutes': {
+        zero: '{count} دقيقة',
+        one: 'دقيقة واحدة',
+        two: 'دقيقتان',
+        few: '{count} دقائق',
+        many: '{count} دقيقة',
+        other: '{count} دقيقة'
+    },
+    'admin.post.tags': 'الوسوم',
+    'admin.post.created': 'تاريخ الإنشاء',
+    'admin.post.scheduledFor': 'مجدولة في',
+    'admin.post.toggleStatus': 'تبديل الحالة',
+    'admin.post.makeDraft': 'تحويل إلى مسودة',
+    'admin.post.publish': 'نشر',
+    'admin.post.publishNow': 'النشر الآن',
+    'admin.schedule.publishAt': '📅 النشر في',
+    'admin.schedule.schedule': 'جدولة',
+    'admin.schedule.reschedule': 'إعادة الجدولة',
+    'admin.schedule.cancel': 'إلغاء الجدولة',
+    'admin.schedule.pickFuture': 'اختر وقتًا في المستقبل',
+    'admin.editor.title': 'العنوان',
+    'admin.editor.titlePlaceholder': 'عنوان المقالة',
+    'admin.editor.content': 'المحتوى',
+    'admin.editor.contentLabel': 'محتوى المقالة',
+    'admin.editor.contentPlaceholder': 'اكتب محتوى المقالة هنا... (يدعم Markdown)',
+    'admin.editor.words': {
+        zero: 'لا كلمات',
+        one: 'كلمة واحدة',
+        two: 'كلمتان',
+        few: '{count} كلمات',
+        many: '{count} كلمة',
+        other: '{count} كلمة'
+    },
+    'admin.editor.publishNow': 'النشر فورًا',
+    'admin.editor.restore': 'استعادة',
+    'admin.editor.discard': 'تجاهل',
+    'admin.editor.draftSaved': 'حُفظت المسودة في {time}',
+    'admin.editor.draftFailed': 'تعذّر حفظ المسودة',
+    'admin.editor.unsavedDraft': 'لديك مسودة غير محفوظة من {date}.',
+    'admin.editor.unsavedDraftUndated': 'لديك مسودة غير محفوظة من جلسة سابقة.',
+    'admin.editor.tagsPlaceholder': 'أضف وسومًا (Enter أو فاصلة للإضافة)',
+    'admin.editor.tagLimit': '{count} وسوم كحد أقصى',
+    'admin.editor.removeTag': 'إزالة الوسم {tag}',
+    'admin.media.drop': '📎 أفلت الصور أو الملفات هنا، أو',
+    'admin.media.browse': 'تصفّح',
+    'admin.media.library': '🖼️ مكتبة الملفات',
+    'admin.media.hint': 'PNG أو JPEG أو GIF أو WebP أو PDF أو نص، حتى 5 ميغابايت. تُدرج الملفات عند موضع المؤشر.',
+    'admin.media.uploading': 'جارٍ الرفع...',
+    'admin.media.progress': '{percent}٪',
+    'admin.media.inserted': 'تم الإدراج',
+    'admin.media.dismiss': 'انقر للإغلاق',
+    'admin.media.unsupported': 'نوع ملف غير مدعوم',
+    'admin.media.tooLarge': 'أكبر من 5 ميغابايت',
+    'admin.media.loading': 'جارٍ تحميل الملفات...',
+    'admin.media.empty': 'لا توجد ملفات مرفوعة بعد',
+    'admin.media.deleteTitle': 'حذف هذا الملف؟',
+    'admin.media.deleteMessage': 'ستعرض المقالات التي تستخدمه صورة أو رابطًا معطّلًا.',
+    'admin.comments.title': 'التعليقات',
+    'admin.comments.empty': 'لا توجد تعليقات بعد.',
+    'admin.comments.loadFailed': 'خطأ في تحميل التعليقات',
+    'admin.comment.pending': 'بانتظار المراجعة',
+    'admin.comment.approved': 'مقبول',
+    'admin.comment.rejected': 'مرفوض',
+    'admin.moderation.title': '💬 مراجعة التعليقات',
+    'admin.moderation.statusLabel': 'حالة التعليق',
+    'admin.moderation.selectAll': 'تحديد الكل',
+    'admin.moderation.selected': 'المحدد: {count}',
+    'admin.moderation.selectFirst': 'حدّد تعليقًا واحدًا على الأقل أولًا',
+    'admin.moderation.selectComment': 'تحديد تعليق {name}',
+    'admin.moderation.commentOn': '{author} على {post}',
+    'admin.moderation.unknownPost': 'مقالة غير معروفة',
+    'admin.moderation.reply': 'رد',
+    'admin.moderation.loadFailed': 'خطأ في تحميل التعليقات: {error}',
+    'admin.moderation.empty.pending': '🎉 لا توجد تعليقات بانتظار المراجعة.',
+    'admin.moderation.empty.approved': 'لا توجد تعليقات مقبولة.',
+    'admin.moderation.empty.rejected': 'لا توجد تعليقات مرفوضة.',
+    'admin.moderation.deleteTitle': {
+        zero: 'حذف {count} تعليق؟',
+        one: 'حذف تعليق واحد؟',
+        two: 'حذف تعليقين؟',
+        few: 'حذف {count} تعليقات؟',
+        many: 'حذف {count} تعليقًا؟',
+        other: 'حذف {count} تعليق؟'
+    },
+    'admin.moderation.approveFailed': 'تعذّر قبول {failed} من {count}: {error}',
+    'admin.moderation.rejectFailed': 'تعذّر رفض {failed} من {count}: {error}',
+    'admin.moderation.deleteFailed': 'تعذّر حذف {failed} من {count}: {error}',
+    'admin.shortcuts.title': 'الاختصارات:',
+    'admin.shortcuts.move': 'تنقّل',
+    'admin.shortcuts.select': 'تحديد',
+    'admin.shortcuts.selectAll': 'تحديد الكل',
+    'admin.shortcuts.approve': 'قبول',
+    'admin.shortcuts.reject': 'رفض',
+    'admin.shortcuts.delete': 'حذف',
+    'admin.users.title': '👥 إدارة المستخدمين',
+    'admin.users.add': '+ إضافة مستخدم',
+    'admin.users.addTitle': 'إضافة مستخدم',
+    'admin.users.editTitle': 'تعديل {username}',
+    'admin.users.create': 'إنشاء المستخدم',
+    'admin.users.username': 'اسم المستخدم',
+    'admin.users.usernameHint': 'أحرف لاتينية وأرقام وشرطات سفلية',
+    'admin.users.email': 'البريد الإلكتروني',
+    'admin.users.firstName': 'الاسم الأول',
+    'admin.users.lastName': 'اسم العائلة',
+    'admin.users.password': 'كلمة المرور',
+    'admin.users.passwordPlaceholder': 'كلمة المرور (6 أحرف على الأقل)',
+    'admin.users.role': 'الدور',
+    'admin.users.empty': 'لا يوجد مستخدمون بعد.',
+    'admin.users.loadFailed': 'خطأ في تحميل المستخدمين',
+    'admin.users.you': '(أنت)',
+    'admin.users.inactive': 'معطّل',
+    'admin.users.joined': 'انضم في {date}',
+    'admin.users.activate': 'تفعيل',
+    'admin.users.deactivate': 'تعطيل',
+    'admin.users.deleteTitle': 'حذف {name} (@{username})؟',
+    'admin.users.deleteMessage': 'ستُحذف أيضًا {posts} و{comments} الخاصة به. لا يمكن التراجع عن هذا الإجراء.',
+    'admin.users.deleteConfirm': 'حذف المستخدم',
+    'admin.dashboard.title': '📊 لوحة المعلومات',
+    'admin.dashboard.refresh': 'تحديث',
+    'admin.dashboard.updated': 'آخر تحديث {time}',
+    'admin.dashboard.online': '● متصل',
+    'admin.dashboard.stopped': '○ متوقف',
+    'admin.dashboard.serverInfo': '{name} {version} على المنفذ {port}',
+    'admin.dashboard.requestsLastHour': 'الطلبات (آخر ساعة)',
+    'admin.dashboard.sinceStart': '{count} منذ التشغيل',
+    'admin.dashboard.postViews': 'مشاهدات المقالات',
+    'admin.dashboard.postBreakdown': '{published} منشورة · {drafts} مسودات',
+    'admin.dashboard.commentBreakdown': '{pending} بانتظار المراجعة · {rejected} مرفوضة',
+    'admin.dashboard.users': 'المستخدمون',
+    'admin.dashboard.activeUsers': '{count} مفعّل',
+    'admin.dashboard.activeSessions': 'الجلسات النشطة',
+    'admin.dashboard.expiredSessions': '{count} منتهية',
+    'admin.dashboard.requestsPerMinute': 'الطلبات في الدقيقة',
+    'admin.dashboard.lastHour': 'آخر ساعة',
+    'admin.dashboard.requestsChart': 'الطلبات في الدقيقة خلال الساعة الأخيرة',
+    'admin.dashboard.requests': {
+        zero: 'لا طلبات',
+        one: 'طلب واحد',
+        two: 'طلبان',
+        few: '{count} طلبات',
+        many: '{count} طلبًا',
+        other: '{count} طلب'
+    },
+    'admin.dashboard.commentsPerDay': 'التعليقات في اليوم',
+    'admin.dashboard.last14Days': 'آخر 14 يومًا',
+    'admin.dashboard.commentsChart': 'التعليقات في اليوم خلال آخر 14 يومًا',
+    'admin.dashboard.viewsPerPost': 'المشاهدات لكل مقالة',
+    'admin.dashboard.topPosts': 'المقالات الأكثر مشاهدة',
+    'admin.dashboard.post': 'المقالة',
+    'admin.logs.title': '📜 سجلات الخادم',
+    'admin.logs.searchPlaceholder': '🔍 ابحث في رسائل السجل...',
+    'admin.logs.searchLabel': 'البحث في السجلات',
+    'admin.logs.levelLabel': 'التصفية حسب المستوى',
+    'admin.logs.allLevels': 'كل المستويات',
+    'admin.logs.level.info': 'معلومات',
+    'admin.logs.level.success': 'نجاح',
+    'admin.logs.level.warning': 'تحذير',
+    'admin.logs.level.error': 'خطأ',
+    'admin.logs.pause': 'إيقاف مؤقت',
+    'admin.logs.resume': 'استئناف',
+    'admin.logs.connecting': 'جارٍ الاتصال...',
+    'admin.logs.live': '● مباشر',
+    'admin.logs.disconnected': 'غير متصل',
+    'admin.logs.waiting': 'بانتظار رسائل السجل...',
+    'admin.logs.noMatches': 'لا توجد إدخالات تطابق عوامل التصفية.',
+    'admin.logs.entries': {
+        zero: 'لا إدخالات',
+        one: 'إدخال واحد',
+        two: 'إدخالان',
+        few: '{count} إدخالات',
+        many: '{count} إدخالًا',
+        other: '{count} إدخال'
+    },
+    'admin.logs.entriesFiltered': '{shown} من {count}',
+    'admin.logs.newWhilePaused': '{count} جديدة أثناء الإيقاف'
+};
@@ -0,0 +1,427 @@
+// English messages; the fallback for every other catalog (see js/i18n.js)
+
+export default {
+    // Shared
+    'common.anonymous': 'Anonymous',
+    'common.dateUnavailable': 'Date unavailable',
+    'common.login': 'Login',
+    'common.admin': 'Admin',
+    'common.goToAdmin': 'Go to Admin',
+    'common.language': 'Language',
+    'common.theme.system': 'Theme: system',
+    'common.theme.light': 'Theme: light',
+    'common.theme.dark': 'Theme: dark',
+    'common.cancel': 'Cancel',
+    'common.loading': 'Loading...',
+    'common.apiDocs': 'API Docs',
+    'common.apiExplorer': 'API Explorer',
+    'common.backToBlog': 'Back to Blog',
+    'common.offlineBanner': "📡 You're offline. Showing posts saved on this device; comments you write will be sent once you're back online.",
+    'common.poweredBy': 'Powered by',
+    'common.withLove': 'with ❤️',
+    'common.views': { one: '{count} view', other: '{count} views' },
+    'common.comments': { one: '{count} comment', other: '{count} comments' },
+    'common.minRead': { one: '{count} min read', other: '{count} min read' },
+    'common.bytes': '{size} B',
+    'common.kilobytes': '{size} KB',
+    'common.megabytes': '{size} MB',
+
+    // Toasts and dialogs
+    'notify.region': 'Notifications',
+    'notify.dismiss': 'Dismiss notification',
+    'notify.undo': 'Undo',
+    'notify.confirm': 'Confirm',
+
+    // Blog index
+    'blog.searchLabel': 'Search posts',
+    'blog.searchPlaceholder': '🔍 Search posts by title, content or author...',
+    'blog.postsTagged': 'Posts tagged',
+    'blog.clearTag': '✕ Clear',
+    'blog.showAllPosts': 'Show all posts',
+    'blog.loadingPosts': 'Loading posts...',
+    'blog.loadMore': 'Load more posts',
+    'blog.loadingMore': 'Loading...',
+    'blog.loadMoreFailed': "Couldn't load posts. Try again",
+    'blog.loadMoreFailedAnnouncement': "Couldn't load more posts",
+    'blog.tags': '🏷️ Tags',
+    'blog.offlineTitle': "📡 You're Offline",
+    'blog.offlineText': "These posts haven't been saved on this device yet. They'll load once you're back online.",
+    'blog.offlineAnnouncement': "You're offline. These posts haven't been saved on this device yet.",
+    'blog.errorTitle': '⚠️ Unable to Load Posts',
+    'blog.errorText': 'Please try refreshing the page.',
+    'blog.errorAnnouncement': 'Unable to load posts. Please try refreshing the page.',
+    'blog.noMatchesTitle': '🔍 No Matching Posts',
+    'blog.noMatchesText': 'Nothing matches "{query}". Try different keywords.',
+    'blog.noMatches': 'No matching posts',
+    'blog.noTaggedTitle': '🏷️ No Posts Tagged #{tag}',
+    'blog.noTaggedText': 'Try another tag, or clear the filter to see every post.',
+    'blog.noTagged': 'No posts tagged {tag}',
+    'blog.noPostsTitle': '📝 No Posts Yet',
+    'blog.noPostsText': 'Check back soon for new content!',
+    'blog.noPosts': 'No posts yet',
+    'blog.showingPosts': { one: 'Showing {count} post', other: 'Showing {count} posts' },
+    'blog.morePostsLoaded': { one: '{count} more post loaded', other: '{count} more posts loaded' },
+    'blog.noPreview': 'No preview available',
+    'blog.readMore': 'Read More',
+
+    // Post page
+    'post.documentTitle': '{title} - SwiftWebServer Blog',
+    'post.backToBlog': 'Back to the blog',
+    'post.loading': 'Loading post...',
+    'post.noContent': 'No content available.',
+    'post.errorTitle': '⚠️ Error',
+    'post.errorBackLink': '← Back to Blog',
+    'post.noPostId': 'No post ID specified',
+    'post.offlineUnavailable': "You're offline, and this post hasn't been saved on this device yet.",
+    'post.loadFailed': 'Unable to load the post. Please try again.',
+    'post.notLoaded': 'Post not loaded.',
+    'post.commentsTitle': '💬 Comments',
+    'post.leaveComment': 'Leave a Comment',
+    'post.commentPlaceholder': 'Write your comment...',
+    'post.postComment': 'Post Comment',
+    'post.addComment': 'Add Comment',
+    'post.noComments': 'No comments yet. Be the first to comment!',
+    'post.commentsFailed': 'Unable to load comments.',
+    'post.pendingApproval': 'Pending Approval',
+    'post.approve': 'Approve',
+    'post.reply': '↩ Reply',
+    'post.replyingTo': '↪ Replying to {name}',
+    'post.replies': { one: '{count} reply', other: '{count} replies' },
+    'post.showReplies': '▸ Show {replies}',
+    'post.hideReplies': '▾ Hide {replies}',
+    'post.replyPlaceholder': 'Write your reply...',
+    'post.postReply': 'Post Reply',
+    'post.loginToReply': 'Please login to reply to comments.',
+    'post.enterReply': 'Please enter a reply.',
+    'post.replyPosted': 'Reply posted',
+    'post.replyQueued': "You're offline. Your reply will be posted when the connection is back.",
+    'post.replyFailed': 'Unable to post reply: {error}',
+    'post.loginToComment': 'Please login to post comments.',
+    'post.enterComment': 'Please enter a comment.',
+    'post.commentPosted': 'Comment posted',
+    'post.commentQueued': "You're offline. Your comment will be posted when the connection is back.",
+    'post.commentFailed': 'Unable to post comment. Please try again.',
+    'post.you': 'You',
+    'post.waitingToSend': 'Waiting to send',
+    'post.queuedReply': '↪ Reply',
+    'post.queueFailed': {
+        one: '{count} comment written offline could not be posted: {error}',
+        other: '{count} comments written offline could not be posted: {error}'
+    },
+    'post.authRequired': 'Authentication required',
+    'post.commentApproved': 'Comment approved',
+    'post.noModeratePermission': 'You no longer have permission to moderate comments on this post.',
+    'post.approveFailed': 'Error approving comment: {error}',
+
+    // Login page
+    'login.documentTitle': 'Login - SwiftWebServer Blog',
+    'login.title': '🔐 Admin Login',
+    'login.subtitle': 'Sign in to access the admin console',
+    'login.username': 'Username',
+    'login.usernamePlaceholder': 'Enter your username',
+    'login.password': 'Password',
+    'login.passwordPlaceholder': 'Enter your password',
+    'login.signIn': 'Sign In',
+    'login.signingIn': 'Signing in...',
+    'login.sessionExpired': 'Your session has expired. Please log in again.',
+    'login.missingCredentials': 'Please enter both username and password.',
+    'login.success': 'Login successful! Redirecting...',
+    'login.networkError': 'Unable to connect to server. Please try again.',
+    'login.invalidCredentials': 'Invalid username or password.',
+
+    // Not found page
+    'notFound.documentTitle': '404 - Page Not Found | SwiftWebServer',
+    'notFound.title': 'Page Not Found',
+    'notFound.message': "Sorry, the page you're looking for doesn't exist. It might have been moved, deleted, or you entered the wrong URL.",
+    'notFound.home': 'Go Home',
+    'notFound.back': 'Go Back',
+
+    // API explorer
+    'explorer.documentTitle': 'SwiftWebServer API Explorer',
+    'explorer.title': '🧪 API Explorer',
+    'explorer.filterPlaceholder': '🔍 Filter routes...',
+    'explorer.filterLabel': 'Filter routes',
+    'explorer.loadingRoutes': 'Loading routes...',
+    'explorer.loadRoutesFailed': 'Error loading routes: {error}',
+    'explorer.noRoutesMatch': 'No routes match',
+    'explorer.pickRoute': 'Pick a route, or type any method and path.',
+    'explorer.access.optional': '🔓 token optional',
+    'explorer.access.authenticated': '🔒 sign-in required',
+    'explorer.access.admin': '👑 admin only',
+    'explorer.method': 'Method',
+    'explorer.path': 'Path',
+    'explorer.send': 'Send',
+    'explorer.sending': 'Sending...',
+    'explorer.copyAsCurl': 'Copy as curl',
+    'explorer.curlCopied': 'curl command copied to the clipboard',
+    'explorer.copyCurlPrompt': 'Copy the curl command:',
+    'explorer.pathParameters': 'Path parameters',
+    'explorer.queryParameters': 'Query parameters',
+    'explorer.headers': 'Headers',
+    'explorer.add': '+ Add',
+    'explorer.name': 'Name',
+    'explorer.value': 'Value',
+    'explorer.required': 'Required',
+    'explorer.remove': 'Remove',
+    'explorer.missingPathParameter': 'Fill in the path parameter {name}',
+    'explorer.sendToken': 'Send my access token',
+    'explorer.notSignedIn': '(not signed in)',
+    'explorer.corsHint': "Cross-origin requests can only send headers the backend's CORS settings allow.",
+    'explorer.body': 'Body',
+    'explorer.bodyHint': 'JSON, sent as application/json unless a Content-Type header is set',
+    'explorer.requestBody': 'Request body',
+    'explorer.noBody': '{method} requests have no body',
+    'explorer.networkError': 'Network error',
+    'explorer.networkErrorHint': 'The server may be down, or the browser blocked the request (CORS).',
+    'explorer.duration': '{ms} ms',
+    'explorer.emptyBody': '(empty body)',
+    'explorer.noHeaders': 'No readable headers',
+    'explorer.history': 'History',
+    'explorer.historyEmpty': 'Requests you send show up here.',
+    'explorer.clear': 'Clear',
+
+    // API docs
+    'docs.documentTitle': 'SwiftWebServer API Docs',
+    'docs.title': '📖 API Docs',
+    'docs.openApiDocument': 'OpenAPI document',
+    'docs.filterPlaceholder': '🔍 Filter...',
+    'docs.filterLabel': 'Filter operations and schemas',
+    'docs.loading': 'Loading API description...',
+    'docs.loadFailed': 'Error loading API description: {error}',
+    'docs.noMatches': 'No matches',
+    'docs.server': 'Server:',
+    'docs.schemas': 'Schemas',
+    'docs.otherTag': 'Other',
+    'docs.parameters': 'Parameters',
+    'docs.in': 'In',
+    'docs.type': 'Type',
+    'docs.description': 'Description',
+    'docs.required': 'required',
+    'docs.responses': 'Responses',
+    'docs.tryItOut': 'Try it out',
+    'docs.execute': 'Execute',
+
+    // Admin console
+    'admin.documentTitle': 'SwiftWebServer Admin',
+    'admin.title': '📝 Blog Admin',
+    'admin.welcome': 'Welcome, {name}!',
+    'admin.logout': 'Logout',
+    'admin.nav.moderation': 'Comment moderation',
+    'admin.nav.moderationPending': 'Comment moderation ({count} pending)',
+    'admin.nav.users': 'User management',
+    'admin.nav.dashboard': 'Dashboard',
+    'admin.nav.logs': 'Server logs',
+    'admin.role.admin': 'Admin',
+    'admin.role.author': 'Author',
+    'admin.role.reader': 'Reader',
+    'admin.session.expiresIn': '⚠️ Your session expires in {time}.',
+    'admin.session.extend': 'Extend Session',
+    'admin.session.extended': 'Session extended',
+    'admin.permissionDenied': 'Permission denied: {error}',
+    'admin.error.createPost': 'Error creating post: {error}',
+    'admin.error.loadPost': 'Error loading post: {error}',
+    'admin.error.updatePost': 'Error updating post: {error}',
+    'admin.error.cancelSchedule': 'Error cancelling schedule: {error}',
+    'admin.error.deletePost': 'Error deleting post: {error}',
+    'admin.error.loadMedia': 'Error loading media: {error}',
+    'admin.error.deleteMedia': 'Error deleting media: {error}',
+    'admin.error.approveComment': 'Error approving comment: {error}',
+    'admin.error.activateUser': 'Error activating user: {error}',
+    'admin.error.deactivateUser': 'Error deactivating user: {error}',
+    'admin.error.deleteUser': 'Error deleting user: {error}',
+    'admin.error.loadDashboard': 'Error loading dashboard: {error}',
+    'admin.error.streamLogs': 'Error streaming logs: {error}',
+    'admin.approve': 'Approve',
+    'admin.reject': 'Reject',
+    'admin.delete': 'Delete',
+    'admin.edit': 'Edit',
+    'admin.clear': 'Clear',
+    'admin.close': 'Close',
+    'admin.saveChanges': 'Save Changes',
+    'admin.backToPosts': '← Back to Posts',
+    'admin.cannotUndo': 'This action cannot be undone.',
+    'admin.postCount': { one: '{count} post', other: '{count} posts' },
+    'admin.status.published': 'Published',
+    'admin.status.scheduled': 'Scheduled',
+    'admin.status.draft': 'Draft',
+    'admin.posts.title': '📝 Posts Management',
+    'admin.posts.create': '+ Create Post',
+    'admin.posts.createTitle': 'Create New Post',
+    'admin.posts.createSubmit': 'Create Post',
+    'admin.posts.created': 'Post created',
+    'admin.posts.deleted': 'Post deleted',
+    'admin.posts.loginToCreate': 'Please login to create posts',
+    'admin.posts.roleCannotCreate': 'Your role cannot create posts',
+    'admin.posts.loadFailed': 'Error loading posts: {error}',
+    'admin.posts.loadFailedTitle': 'Error loading posts',
+    'admin.posts.loadFailedText': 'Error: {error}. Please try refreshing the page.',
+    'admin.posts.noMatchesText': 'Try a different search or clear the filters.',
+    'admin.posts.emptyTitle': 'No posts found',
+    'admin.posts.emptyText': 'Create your first post to get started!',
+    'admin.posts.noExcerpt': 'No excerpt available',
+    'admin.posts.untitled': 'Untitled',
+    'admin.posts.publishedOn': 'Published: {date}',
+    'admin.posts.scheduledFor': 'Scheduled: {date}',
+    'admin.posts.createdOn': 'Created: {date}',
+    'admin.filters.searchPlaceholder': '🔍 Search title, content or author...',
+    'admin.filters.status': 'Filter by status',
+    'admin.filters.allStatuses': 'All statuses',
+    'admin.filters.author': 'Filter by author',
+    'admin.filters.allAuthors': 'All authors',
+    'admin.filters.from': 'From',
+    'admin.filters.to': 'To',
+    'admin.post.status': 'Status',
+    'admin.post.author': 'Author',
+    'admin.post.unknownAuthor': 'Unknown',
+    'admin.post.views': 'Views',
+    'admin.post.readingTime': 'Reading Time',
+    'admin.post.minutes': { one: '{count} min', other: '{count} min' },
+    'admin.post.tags': 'Tags',
+    'admin.post.created': 'Created',
+    'admin.post.scheduledFor': 'Scheduled for',
+    'admin.post.toggleStatus': 'Toggle Status',
+    'admin.post.makeDraft': 'Make Draft',
+    'admin.post.publish': 'Publish',
+    'admin.post.publishNow': 'Publish Now',
+    'admin.schedule.publishAt': '📅 Publish at',
+    'admin.schedule.schedule': 'Schedule',
+    'admin.schedule.reschedule': 'Reschedule',
+    'admin.schedule.cancel': 'Cancel Schedule',
+    'admin.schedule.pickFuture': 'Pick a time in the future',
+    'admin.editor.title': 'Title',
+    'admin.editor.titlePlaceholder': 'Post Title',
+    'admin.editor.content': 'Content',
+    'admin.editor.contentLabel': 'Post content',
+    'admin.editor.contentPlaceholder': 'Write your post content here... (Markdown supported)',
+    'admin.editor.words': { one: '{count} word', other: '{count} words' },
+    'admin.editor.publishNow': 'Publish immediately',
+    'admin.editor.restore': 'Restore',
+    'admin.editor.discard': 'Discard',
+    'admin.editor.draftSaved': 'Draft saved at {time}',
+    'admin.editor.draftFailed': 'Draft could not be saved',
+    'admin.editor.unsavedDraft': 'You have an unsaved draft from {date}.',
+    'admin.editor.unsavedDraftUndated': 'You have an unsaved draft from an earlier session.',
+    'admin.editor.tagsPlaceholder': 'Add tags (Enter or comma to add)',
+    'admin.editor.tagLimit': '{count} tags maximum',
+    'admin.editor.removeTag': 'Remove tag {tag}',
+    'admin.media.drop': '📎 Drop images or files here, or',
+    'admin.media.browse': 'browse',
+    'admin.media.library': '🖼️ Media library',
+    'admin.media.hint': 'PNG, JPEG, GIF, WebP, PDF or text, up to 5MB. Uploads are inserted at the cursor.',
+    'admin.media.uploading': 'Uploading...',
+    'admin.media.progress': '{percent}%',
+    'admin.media.inserted': 'Inserted',
+    'admin.media.dismiss': 'Click to dismiss',
+    'admin.media.unsupported': 'Unsupported file type',
+    'admin.media.tooLarge': 'Larger than 5MB',
+    'admin.media.loading': 'Loading media...',
+    'admin.media.empty': 'No uploads yet',
+    'admin.media.deleteTitle': 'Delete this file?',
+    'admin.media.deleteMessage': 'Posts that use it will show a broken image or link.',
+    'admin.comments.title': 'Comments',
+    'admin.comments.empty': 'No comments yet.',
+    'admin.comments.loadFailed': 'Error loading comments',
+    'admin.comment.pending': 'Pending',
+    'admin.comment.approved': 'Approved',
+    'admin.comment.rejected': 'Rejected',
+    'admin.moderation.title': '💬 Comment Moderation',
+    'admin.moderation.statusLabel': 'Comment status',
+    'admin.moderation.selectAll': 'Select all',
+    'admin.moderation.selected': '{count} selected',
+    'admin.moderation.selectFirst': 'Select at least one comment first',
+    'admin.moderation.selectComment': 'Select comment by {name}',
+    'admin.moderation.commentOn': '{author} on {post}',
+    'admin.moderation.unknownPost': 'Unknown post',
+    'admin.moderation.reply': 'reply',
+    'admin.moderation.loadFailed': 'Error loading comments: {error}',
+    'admin.moderation.empty.pending': '🎉 No comments waiting for moderation.',
+    'admin.moderation.empty.approved': 'No approved comments.',
+    'admin.moderation.empty.rejected': 'No rejected comments.',
+    'admin.moderation.deleteTitle': { one: 'Delete {count} comment?', other: 'Delete {count} comments?' },
+    'admin.moderation.approveFailed': {
+        one: '{failed} of {count} comment could not be approved: {error}',
+        other: '{failed} of {count} comments could not be approved: {error}'
+    },
+    'admin.moderation.rejectFailed': {
+        one: '{failed} of {count} comment could not be rejected: {error}',
+        other: '{failed} of {count} comments could not be rejected: {error}'
+    },
+    'admin.moderation.deleteFailed': {
+        one: '{failed} of {count} comment could not be deleted: {error}',
+        other: '{failed} of {count} comments could not be deleted: {error}'
+    },
+    'admin.shortcuts.title': 'Shortcuts:',
+    'admin.shortcuts.move': 'move',
+    'admin.shortcuts.select': 'select',
+    'admin.shortcuts.selectAll': 'select all',
+    'admin.shortcuts.approve': 'approve',
+    'admin.shortcuts.reject': 'reject',
+    'admin.shortcuts.delete': 'delete',
+    'admin.users.title': '👥 User Management',
+    'admin.users.add': '+ Add User',
+    'admin.users.addTitle': 'Add User',
+    'admin.users.editTitle': 'Edit {username}',
+    'admin.users.create': 'Create User',
+    'admin.users.username': 'Username',
+    'admin.users.usernameHint': 'Letters, numbers and underscores',
+    'admin.users.email': 'Email',
+    'admin.users.firstName': 'First Name',
+    'admin.users.lastName': 'Last Name',
+    'admin.users.password': 'Password',
+    'admin.users.passwordPlaceholder': 'Password (min. 6 characters)',
+    'admin.users.role': 'Role',
+    'admin.users.empty': 'No users yet.',
+    'admin.users.loadFailed': 'Error loading users',
+    'admin.users.you': '(you)',
+    'admin.users.inactive': 'Inactive',
+    'admin.users.joined': 'Joined {date}',
+    'admin.users.activate': 'Activate',
+    'admin.users.deactivate': 'Deactivate',
+    'admin.users.deleteTitle': 'Delete {name} (@{username})?',
+    'admin.users.deleteMessage': 'Their {posts} and {comments} will be deleted too. This action cannot be undone.',
+    'admin.users.deleteConfirm': 'Delete user',
+    'admin.dashboard.title': '📊 Dashboard',
+    'admin.dashboard.refresh': 'Refresh',
+    'admin.dashboard.updated': 'Updated {time}',
+    'admin.dashboard.online': '● Online',
+    'admin.dashboard.stopped': '○ Stopped',
+    'admin.dashboard.serverInfo': '{name} {version} on port {port}',
+    'admin.dashboard.requestsLastHour': 'Requests (last hour)',
+    'admin.dashboard.sinceStart': '{count} since start',
+    'admin.dashboard.postViews': 'Post views',
+    'admin.dashboard.postBreakdown': '{published} published · {drafts} drafts',
+    'admin.dashboard.commentBreakdown': '{pending} pending · {rejected} rejected',
+    'admin.dashboard.users': 'Users',
+    'admin.dashboard.activeUsers': '{count} active',
+    'admin.dashboard.activeSessions': 'Active sessions',
+    'admin.dashboard.expiredSessions': '{count} expired',
+    'admin.dashboard.requestsPerMinute': 'Requests per minute',
+    'admin.dashboard.lastHour': 'last hour',
+    'admin.dashboard.requestsChart': 'Requests per minute over the last hour',
+    'admin.dashboard.requests': { one: '{count} request', other: '{count} requests' },
+    'admin.dashboard.commentsPerDay': 'Comments per day',
+    'admin.dashboard.last14Days': 'last 14 days',
+    'admin.dashboard.commentsChart': 'Comments per day over the last 14 days',
+    'admin.dashboard.viewsPerPost': 'Views per post',
+    'admin.dashboard.topPosts': 'Top posts',
+    'admin.dashboard.post': 'Post',
+    'admin.logs.title': '📜 Server Logs',
+    'admin.logs.searchPlaceholder': '🔍 Search log messages...',
+    'admin.logs.searchLabel': 'Search logs',
+    'admin.logs.levelLabel': 'Filter by level',
+    'admin.logs.allLevels': 'All levels',
+    'admin.logs.level.info': 'Info',
+    'admin.logs.level.success': 'Success',
+    'admin.logs.level.warning': 'Warning',
+    'admin.logs.level.error': 'Error',
+    'admin.logs.pause': 'Pause',
+    'admin.logs.resume': 'Resume',
+    'admin.logs.connecting': 'Connecting...',
+    'admin.logs.live': '● Live',
+    'admin.logs.disconnected': 'Disconnected',
+    'admin.logs.waiting': 'Waiting for log messages...',
+    'admin.logs.noMatches': 'No log entries match the filters.',
+    'admin.logs.entries': { one: '{count} entry', other: '{count} entries' },
+    'admin.logs.entriesFiltered': { one: '{shown} of {count} entry', other: '{shown} of {count} entries' },
+    'admin.logs.newWhilePaused': '{count} new while paused'
+};
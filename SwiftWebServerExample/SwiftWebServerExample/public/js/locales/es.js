@@ -0,0 +1,427 @@
+// Spanish messages (see js/i18n.js)
+
+export default {
+    // Shared
+    'common.anonymous': 'Anónimo',
+    'common.dateUnavailable': 'Fecha no disponible',
+    'common.login': 'Iniciar sesión',
+    'common.admin': 'Administración',
+    'common.goToAdmin': 'Ir a la administración',
+    'common.language': 'Idioma',
+    'common.theme.system': 'Tema: sistema',
+    'common.theme.light': 'Tema: claro',
+    'common.theme.dark': 'Tema: oscuro',
+    'common.cancel': 'Cancelar',
+    'common.loading': 'Cargando...',
+    'common.apiDocs': 'Documentación de la API',
+    'common.apiExplorer': 'Explorador de la API',
+    'common.backToBlog': 'Volver al blog',
+    'common.offlineBanner': '📡 Estás sin conexión. Se muestran las publicaciones guardadas en este dispositivo; los comentarios que escribas se enviarán cuando vuelvas a estar en línea.',
+    'common.poweredBy': 'Funciona con',
+    'common.withLove': 'y ❤️',
+    'common.views': { one: '{count} visita', other: '{count} visitas' },
+    'common.comments': { one: '{count} comentario', other: '{count} comentarios' },
+    'common.minRead': { one: '{count} min de lectura', other: '{count} min de lectura' },
+    'common.bytes': '{size} B',
+    'common.kilobytes': '{size} KB',
+    'common.megabytes': '{size} MB',
+
+    // Toasts and dialogs
+    'notify.region': 'Notificaciones',
+    'notify.dismiss': 'Cerrar notificación',
+    'notify.undo': 'Deshacer',
+    'notify.confirm': 'Confirmar',
+
+    // Blog index
+    'blog.searchLabel': 'Buscar publicaciones',
+    'blog.searchPlaceholder': '🔍 Buscar por título, contenido o autor...',
+    'blog.postsTagged': 'Publicaciones con la etiqueta',
+    'blog.clearTag': '✕ Quitar',
+    'blog.showAllPosts': 'Mostrar todas las publicaciones',
+    'blog.loadingPosts': 'Cargando publicaciones...',
+    'blog.loadMore': 'Cargar más publicaciones',
+    'blog.loadingMore': 'Cargando...',
+    'blog.loadMoreFailed': 'No se pudieron cargar. Reintentar',
+    'blog.loadMoreFailedAnnouncement': 'No se pudieron cargar más publicaciones',
+    'blog.tags': '🏷️ Etiquetas',
+    'blog.offlineTitle': '📡 Sin conexión',
+    'blog.offlineText': 'Estas publicaciones aún no se han guardado en este dispositivo. Se cargarán cuando vuelvas a estar en línea.',
+    'blog.offlineAnnouncement': 'Estás sin conexión. Estas publicaciones aún no se han guardado en este dispositivo.',
+    'blog.errorTitle': '⚠️ No se pudieron cargar las publicaciones',
+    'blog.errorText': 'Intenta recargar la página.',
+    'blog.errorAnnouncement': 'No se pudieron cargar las publicaciones. Intenta recargar la página.',
+    'blog.noMatchesTitle': '🔍 Sin resultados',
+    'blog.noMatchesText': 'Nada coincide con "{query}". Prueba con otras palabras.',
+    'blog.noMatches': 'Sin resultados',
+    'blog.noTaggedTitle': '🏷️ No hay publicaciones con #{tag}',
+    'blog.noTaggedText': 'Prueba otra etiqueta o quita el filtro para ver todas las publicaciones.',
+    'blog.noTagged': 'No hay publicaciones con la etiqueta {tag}',
+    'blog.noPostsTitle': '📝 Aún no hay publicaciones',
+    'blog.noPostsText': '¡Vuelve pronto para ver contenido nuevo!',
+    'blog.noPosts': 'Aún no hay publicaciones',
+    'blog.showingPosts': { one: 'Mostrando {count} publicación', other: 'Mostrando {count} publicaciones' },
+    'blog.morePostsLoaded': { one: 'Se cargó {count} publicación más', other: 'Se cargaron {count} publicaciones más' },
+    'blog.noPreview': 'Sin vista previa',
+    'blog.readMore': 'Leer más',
+
+    // Post page
+    'post.documentTitle': '{title} - Blog de SwiftWebServer',
+    'post.backToBlog': 'Volver al blog',
+    'post.loading': 'Cargando publicación...',
+    'post.noContent': 'Sin contenido.',
+    'post.errorTitle': '⚠️ Error',
+    'post.errorBackLink': '← Volver al blog',
+    'post.noPostId': 'No se indicó ninguna publicación',
+    'post.offlineUnavailable': 'Estás sin conexión y esta publicación aún no se ha guardado en este dispositivo.',
+    'post.loadFailed': 'No se pudo cargar la publicación. Inténtalo de nuevo.',
+    'post.notLoaded': 'La publicación no está cargada.',
+    'post.commentsTitle': '💬 Comentarios',
+    'post.leaveComment': 'Deja un comentario',
+    'post.commentPlaceholder': 'Escribe tu comentario...',
+    'post.postComment': 'Publicar comentario',
+    'post.addComment': 'Añadir comentario',
+    'post.noComments': 'Aún no hay comentarios. ¡Sé el primero en comentar!',
+    'post.commentsFailed': 'No se pudieron cargar los comentarios.',
+    'post.pendingApproval': 'Pendiente de aprobación',
+    'post.approve': 'Aprobar',
+    'post.reply': '↩ Responder',
+    'post.replyingTo': '↪ En respuesta a {name}',
+    'post.replies': { one: '{count} respuesta', other: '{count} respuestas' },
+    'post.showReplies': '▸ Mostrar {replies}',
+    'post.hideReplies': '▾ Ocultar {replies}',
+    'post.replyPlaceholder': 'Escribe tu respuesta...',
+    'post.postReply': 'Publicar respuesta',
+    'post.loginToReply': 'Inicia sesión para responder a los comentarios.',
+    'post.enterReply': 'Escribe una respuesta.',
+    'post.replyPosted': 'Respuesta publicada',
+    'post.replyQueued': 'Estás sin conexión. Tu respuesta se publicará cuando vuelva la conexión.',
+    'post.replyFailed': 'No se pudo publicar la respuesta: {error}',
+    'post.loginToComment': 'Inicia sesión para comentar.',
+    'post.enterComment': 'Escribe un comentario.',
+    'post.commentPosted': 'Comentario publicado',
+    'post.commentQueued': 'Estás sin conexión. Tu comentario se publicará cuando vuelva la conexión.',
+    'post.commentFailed': 'No se pudo publicar el comentario. Inténtalo de nuevo.',
+    'post.you': 'Tú',
+    'post.waitingToSend': 'Pendiente de envío',
+    'post.queuedReply': '↪ Respuesta',
+    'post.queueFailed': {
+        one: 'No se pudo publicar {count} comentario escrito sin conexión: {error}',
+        other: 'No se pudieron publicar {count} comentarios escritos sin conexión: {error}'
+    },
+    'post.authRequired': 'Se requiere iniciar sesión',
+    'post.commentApproved': 'Comentario aprobado',
+    'post.noModeratePermission': 'Ya no tienes permiso para moderar los comentarios de esta publicación.',
+    'post.approveFailed': 'Error al aprobar el comentario: {error}',
+
+    // Login page
+    'login.documentTitle': 'Iniciar sesión - Blog de SwiftWebServer',
+    'login.title': '🔐 Acceso de administración',
+    'login.subtitle': 'Inicia sesión para entrar en la consola de administración',
+    'login.username': 'Usuario',
+    'login.usernamePlaceholder': 'Escribe tu nombre de usuario',
+    'login.password': 'Contraseña',
+    'login.passwordPlaceholder': 'Escribe tu contraseña',
+    'login.signIn': 'Iniciar sesión',
+    'login.signingIn': 'Iniciando sesión...',
+    'login.sessionExpired': 'Tu sesión ha caducado. Vuelve a iniciar sesión.',
+    'login.missingCredentials': 'Escribe el usuario y la contraseña.',
+    'login.success': '¡Sesión iniciada! Redirigiendo...',
+    'login.networkError': 'No se pudo conectar con el servidor. Inténtalo de nuevo.',
+    'login.invalidCredentials': 'Usuario o contraseña incorrectos.',
+
+    // Not found page
+    'notFound.documentTitle': '404 - Página no encontrada | SwiftWebServer',
+    'notFound.title': 'Página no encontrada',
+    'notFound.message': 'Lo sentimos, la página que buscas no existe. Puede que se haya movido o eliminado, o que la URL no sea correcta.',
+    'notFound.home': 'Ir al inicio',
+    'notFound.back': 'Volver',
+
+    // API explorer
+    'explorer.documentTitle': 'Explorador de la API de SwiftWebServer',
+    'explorer.title': '🧪 Explorador de la API',
+    'explorer.filterPlaceholder': '🔍 Filtrar rutas...',
+    'explorer.filterLabel': 'Filtrar rutas',
+    'explorer.loadingRoutes': 'Cargando rutas...',
+    'explorer.loadRoutesFailed': 'Error al cargar las rutas: {error}',
+    'explorer.noRoutesMatch': 'Ninguna ruta coincide',
+    'explorer.pickRoute': 'Elige una ruta, o escribe cualquier método y ruta.',
+    'explorer.access.optional': '🔓 token opcional',
+    'explorer.access.authenticated': '🔒 requiere iniciar sesión',
+    'explorer.access.admin': '👑 solo administradores',
+    'explorer.method': 'Método',
+    'explorer.path': 'Ruta',
+    'explorer.send': 'Enviar',
+    'explorer.sending': 'Enviando...',
+    'explorer.copyAsCurl': 'Copiar como curl',
+    'explorer.curlCopied': 'Comando curl copiado al portapapeles',
+    'explorer.copyCurlPrompt': 'Copia el comando curl:',
+    'explorer.pathParameters': 'Parámetros de ruta',
+    'explorer.queryParameters': 'Parámetros de consulta',
+    'explorer.headers': 'Cabeceras',
+    'explorer.add': '+ Añadir',
+    'explorer.name': 'Nombre',
+    'explorer.value': 'Valor',
+    'explorer.required': 'Obligatorio',
+    'explorer.remove': 'Quitar',
+    'explorer.missingPathParameter': 'Completa el parámetro de ruta {name}',
+    'explorer.sendToken': 'Enviar mi token de acceso',
+    'explorer.notSignedIn': '(sin iniciar sesión)',
+    'explorer.corsHint': 'Las peticiones entre orígenes solo pueden enviar las cabeceras que permita la configuración CORS del servidor.',
+    'explorer.body': 'Cuerpo',
+    'explorer.bodyHint': 'JSON, enviado como application/json salvo que se indique una cabecera Content-Type',
+    'explorer.requestBody': 'Cuerpo de la petición',
+    'explorer.noBody': 'Las peticiones {method} no tienen cuerpo',
+    'explorer.networkError': 'Error de red',
+    'explorer.networkErrorHint': 'Puede que el servidor no esté disponible, o que el navegador haya bloqueado la petición (CORS).',
+    'explorer.duration': '{ms} ms',
+    'explorer.emptyBody': '(cuerpo vacío)',
+    'explorer.noHeaders': 'No hay cabeceras legibles',
+    'explorer.history': 'Historial',
+    'explorer.historyEmpty': 'Aquí aparecerán las peticiones que envíes.',
+    'explorer.clear': 'Borrar',
+
+    // API docs
+    'docs.documentTitle': 'Documentación de la API de SwiftWebServer',
+    'docs.title': '📖 Documentación de la API',
+    'docs.openApiDocument': 'Documento OpenAPI',
+    'docs.filterPlaceholder': '🔍 Filtrar...',
+    'docs.filterLabel': 'Filtrar operaciones y esquemas',
+    'docs.loading': 'Cargando la descripción de la API...',
+    'docs.loadFailed': 'Error al cargar la descripción de la API: {error}',
+    'docs.noMatches': 'Sin coincidencias',
+    'docs.server': 'Servidor:',
+    'docs.schemas': 'Esquemas',
+    'docs.otherTag': 'Otros',
+    'docs.parameters': 'Parámetros',
+    'docs.in': 'En',
+    'docs.type': 'Tipo',
+    'docs.description': 'Descripción',
+    'docs.required': 'obligatorio',
+    'docs.responses': 'Respuestas',
+    'docs.tryItOut': 'Pruébalo',
+    'docs.execute': 'Ejecutar',
+
+    // Admin console
+    'admin.documentTitle': 'Administración de SwiftWebServer',
+    'admin.title': '📝 Administración del blog',
+    'admin.welcome': '¡Hola, {name}!',
+    'admin.logout': 'Cerrar sesión',
+    'admin.nav.moderation': 'Moderación de comentarios',
+    'admin.nav.moderationPending': 'Moderación de comentarios ({count} pendientes)',
+    'admin.nav.users': 'Gestión de usuarios',
+    'admin.nav.dashboard': 'Panel',
+    'admin.nav.logs': 'Registros del servidor',
+    'admin.role.admin': 'Administrador',
+    'admin.role.author': 'Autor',
+    'admin.role.reader': 'Lector',
+    'admin.session.expiresIn': '⚠️ Tu sesión caduca en {time}.',
+    'admin.session.extend': 'Ampliar sesión',
+    'admin.session.extended': 'Sesión ampliada',
+    'admin.permissionDenied': 'Permiso denegado: {error}',
+    'admin.error.createPost': 'Error al crear la publicación: {error}',
+    'admin.error.loadPost': 'Error al cargar la publicación: {error}',
+    'admin.error.updatePost': 'Error al actualizar la publicación: {error}',
+    'admin.error.cancelSchedule': 'Error al cancelar la programación: {error}',
+    'admin.error.deletePost': 'Error al eliminar la publicación: {error}',
+    'admin.error.loadMedia': 'Error al cargar los archivos: {error}',
+    'admin.error.deleteMedia': 'Error al eliminar el archivo: {error}',
+    'admin.error.approveComment': 'Error al aprobar el comentario: {error}',
+    'admin.error.activateUser': 'Error al activar el usuario: {error}',
+    'admin.error.deactivateUser': 'Error al desactivar el usuario: {error}',
+    'admin.error.deleteUser': 'Error al eliminar el usuario: {error}',
+    'admin.error.loadDashboard': 'Error al cargar el panel: {error}',
+    'admin.error.streamLogs': 'Error al recibir los registros: {error}',
+    'admin.approve': 'Aprobar',
+    'admin.reject': 'Rechazar',
+    'admin.delete': 'Eliminar',
+    'admin.edit': 'Editar',
+    'admin.clear': 'Limpiar',
+    'admin.close': 'Cerrar',
+    'admin.saveChanges': 'Guardar cambios',
+    'admin.backToPosts': '← Volver a las publicaciones',
+    'admin.cannotUndo': 'Esta acción no se puede deshacer.',
+    'admin.postCount': { one: '{count} publicación', other: '{count} publicaciones' },
+    'admin.status.published': 'Publicada',
+    'admin.status.scheduled': 'Programada',
+    'admin.status.draft': 'Borrador',
+    'admin.posts.title': '📝 Gestión de publicaciones',
+    'admin.posts.create': '+ Crear publicación',
+    'admin.posts.createTitle': 'Nueva publicación',
+    'admin.posts.createSubmit': 'Crear publicación',
+    'admin.posts.created': 'Publicación creada',
+    'admin.posts.deleted': 'Publicación eliminada',
+    'admin.posts.loginToCreate': 'Inicia sesión para crear publicaciones',
+    'admin.posts.roleCannotCreate': 'Tu rol no puede crear publicaciones',
+    'admin.posts.loadFailed': 'Error al cargar las publicaciones: {error}',
+    'admin.posts.loadFailedTitle': 'Error al cargar las publicaciones',
+    'admin.posts.loadFailedText': 'Error: {error}. Prueba a recargar la página.',
+    'admin.posts.noMatchesText': 'Prueba con otra búsqueda o quita los filtros.',
+    'admin.posts.emptyTitle': 'No hay publicaciones',
+    'admin.posts.emptyText': '¡Crea tu primera publicación para empezar!',
+    'admin.posts.noExcerpt': 'Sin extracto',
+    'admin.posts.untitled': 'Sin título',
+    'admin.posts.publishedOn': 'Publicada: {date}',
+    'admin.posts.scheduledFor': 'Programada: {date}',
+    'admin.posts.createdOn': 'Creada: {date}',
+    'admin.filters.searchPlaceholder': '🔍 Buscar por título, contenido o autor...',
+    'admin.filters.status': 'Filtrar por estado',
+    'admin.filters.allStatuses': 'Todos los estados',
+    'admin.filters.author': 'Filtrar por autor',
+    'admin.filters.allAuthors': 'Todos los autores',
+    'admin.filters.from': 'Desde',
+    'admin.filters.to': 'Hasta',
+    'admin.post.status': 'Estado',
+    'admin.post.author': 'Autor',
+    'admin.post.unknownAuthor': 'Desconocido',
+    'admin.post.views': 'Visitas',
+    'admin.post.readingTime': 'Tiempo de lectura',
+    'admin.post.minutes': { one: '{count} min', other: '{count} min' },
+    'admin.post.tags': 'Etiquetas',
+    'admin.post.created': 'Creada',
+    'admin.post.scheduledFor': 'Programada para',
+    'admin.post.toggleStatus': 'Cambiar estado',
+    'admin.post.makeDraft': 'Pasar a borrador',
+    'admin.post.publish': 'Publicar',
+    'admin.post.publishNow': 'Publicar ahora',
+    'admin.schedule.publishAt': '📅 Publicar el',
+    'admin.schedule.schedule': 'Programar',
+    'admin.schedule.reschedule': 'Reprogramar',
+    'admin.schedule.cancel': 'Cancelar programación',
+    'admin.schedule.pickFuture': 'Elige una fecha futura',
+    'admin.editor.title': 'Título',
+    'admin.editor.titlePlaceholder': 'Título de la publicación',
+    'admin.editor.content': 'Contenido',
+    'admin.editor.contentLabel': 'Contenido de la publicación',
+    'admin.editor.contentPlaceholder': 'Escribe aquí el contenido... (admite Markdown)',
+    'admin.editor.words': { one: '{count} palabra', other: '{count} palabras' },
+    'admin.editor.publishNow': 'Publicar inmediatamente',
+    'admin.editor.restore': 'Restaurar',
+    'admin.editor.discard': 'Descartar',
+    'admin.editor.draftSaved': 'Borrador guardado a las {time}',
+    'admin.editor.draftFailed': 'No se pudo guardar el borrador',
+    'admin.editor.unsavedDraft': 'Tienes un borrador sin guardar del {date}.',
+    'admin.editor.unsavedDraftUndated': 'Tienes un borrador sin guardar de una sesión anterior.',
+    'admin.editor.tagsPlaceholder': 'Añadir etiquetas (Intro o coma para añadir)',
+    'admin.editor.tagLimit': 'Máximo {count} etiquetas',
+    'admin.editor.removeTag': 'Quitar la etiqueta {tag}',
+    'admin.media.drop': '📎 Suelta imágenes o archivos aquí, o',
+    'admin.media.browse': 'examina',
+    'admin.media.library': '🖼️ Biblioteca de archivos',
+    'admin.media.hint': 'PNG, JPEG, GIF, WebP, PDF o texto, hasta 5 MB. Los archivos se insertan en el cursor.',
+    'admin.media.uploading': 'Subiendo...',
+    'admin.media.progress': '{percent} %',
+    'admin.media.inserted': 'Insertado',
+    'admin.media.dismiss': 'Haz clic para cerrar',
+    'admin.media.unsupported': 'Tipo de archivo no admitido',
+    'admin.media.tooLarge': 'Supera los 5 MB',
+    'admin.media.loading': 'Cargando archivos...',
+    'admin.media.empty': 'Aún no hay archivos',
+    'admin.media.deleteTitle': '¿Eliminar este archivo?',
+    'admin.media.deleteMessage': 'Las publicaciones que lo usan mostrarán una imagen o un enlace roto.',
+    'admin.comments.title': 'Comentarios',
+    'admin.comments.empty': 'Aún no hay comentarios.',
+    'admin.comments.loadFailed': 'Error al cargar los comentarios',
+    'admin.comment.pending': 'Pendiente',
+    'admin.comment.approved': 'Aprobado',
+    'admin.comment.rejected': 'Rechazado',
+    'admin.moderation.title': '💬 Moderación de comentarios',
+    'admin.moderation.statusLabel': 'Estado del comentario',
+    'admin.moderation.selectAll': 'Seleccionar todo',
+    'admin.moderation.selected': { one: '{count} seleccionado', other: '{count} seleccionados' },
+    'admin.moderation.selectFirst': 'Selecciona al menos un comentario',
+    'admin.moderation.selectComment': 'Seleccionar el comentario de {name}',
+    'admin.moderation.commentOn': '{author} en {post}',
+    'admin.moderation.unknownPost': 'Publicación desconocida',
+    'admin.moderation.reply': 'respuesta',
+    'admin.moderation.loadFailed': 'Error al cargar los comentarios: {error}',
+    'admin.moderation.empty.pending': '🎉 No hay comentarios pendientes de moderación.',
+    'admin.moderation.empty.approved': 'No hay comentarios aprobados.',
+    'admin.moderation.empty.rejected': 'No hay comentarios rechazados.',
+    'admin.moderation.deleteTitle': { one: '¿Eliminar {count} comentario?', other: '¿Eliminar {count} comentarios?' },
+    'admin.moderation.approveFailed': {
+        one: 'No se pudo aprobar {failed} de {count} comentario: {error}',
+        other: 'No se pudieron aprobar {failed} de {count} comentarios: {error}'
+    },
+    'admin.moderation.rejectFailed': {
+        one: 'No se pudo rechazar {failed} de {count} comentario: {error}',
+        other: 'No se pudieron rechazar {failed} de {count} comentarios: {error}'
+    },
+    'admin.moderation.deleteFailed': {
+        one: 'No se pudo eliminar {failed} de {count} comentario: {error}',
+        other: 'No se pudieron eliminar {failed} de {count} comentarios: {error}'
+    },
+    'admin.shortcuts.title': 'Atajos:',
+    'admin.shortcuts.move': 'mover',
+    'admin.shortcuts.select': 'seleccionar',
+    'admin.shortcuts.selectAll': 'seleccionar todo',
+    'admin.shortcuts.approve': 'aprobar',
+    'admin.shortcuts.reject': 'rechazar',
+    'admin.shortcuts.delete': 'eliminar',
+    'admin.users.title': '👥 Gestión de usuarios',
+    'admin.users.add': '+ Añadir usuario',
+    'admin.users.addTitle': 'Añadir usuario',
+    'admin.users.editTitle': 'Editar a {username}',
+    'admin.users.create': 'Crear usuario',
+    'admin.users.username': 'Nombre de usuario',
+    'admin.users.usernameHint': 'Letras, números y guiones bajos',
+    'admin.users.email': 'Correo electrónico',
+    'admin.users.firstName': 'Nombre',
+    'admin.users.lastName': 'Apellidos',
+    'admin.users.password': 'Contraseña',
+    'admin.users.passwordPlaceholder': 'Contraseña (mín. 6 caracteres)',
+    'admin.users.role': 'Rol',
+    'admin.users.empty': 'Aún no hay usuarios.',
+    'admin.users.loadFailed': 'Error al cargar los usuarios',
+    'admin.users.you': '(tú)',
+    'admin.users.inactive': 'Inactivo',
+    'admin.users.joined': 'Se unió el {date}',
+    'admin.users.activate': 'Activar',
+    'admin.users.deactivate': 'Desactivar',
+    'admin.users.deleteTitle': '¿Eliminar a {name} (@{username})?',
+    'admin.users.deleteMessage': 'También se eliminarán sus {posts} y {comments}. Esta acción no se puede deshacer.',
+    'admin.users.deleteConfirm': 'Eliminar usuario',
+    'admin.dashboard.title': '📊 Panel',
+    'admin.dashboard.refresh': 'Actualizar',
+    'admin.dashboard.updated': 'Actualizado a las {time}',
+    'admin.dashboard.online': '● En línea',
+    'admin.dashboard.stopped': '○ Detenido',
+    'admin.dashboard.serverInfo': '{name} {version} en el puerto {port}',
+    'admin.dashboard.requestsLastHour': 'Peticiones (última hora)',
+    'admin.dashboard.sinceStart': '{count} desde el inicio',
+    'admin.dashboard.postViews': 'Visitas a publicaciones',
+    'admin.dashboard.postBreakdown': '{published} publicadas · {drafts} borradores',
+    'admin.dashboard.commentBreakdown': '{pending} pendientes · {rejected} rechazados',
+    'admin.dashboard.users': 'Usuarios',
+    'admin.dashboard.activeUsers': '{count} activos',
+    'admin.dashboard.activeSessions': 'Sesiones activas',
+    'admin.dashboard.expiredSessions': '{count} caducadas',
+    'admin.dashboard.requestsPerMinute': 'Peticiones por minuto',
+    'admin.dashboard.lastHour': 'última hora',
+    'admin.dashboard.requestsChart': 'Peticiones por minuto en la última hora',
+    'admin.dashboard.requests': { one: '{count} petición', other: '{count} peticiones' },
+    'admin.dashboard.commentsPerDay': 'Comentarios por día',
+    'admin.dashboard.last14Days': 'últimos 14 días',
+    'admin.dashboard.commentsChart': 'Comentarios por día en los últimos 14 días',
+    'admin.dashboard.viewsPerPost': 'Visitas por publicación',
+    'admin.dashboard.topPosts': 'Publicaciones más vistas',
+    'admin.dashboard.post': 'Publicación',
+    'admin.logs.title': '📜 Registros del servidor',
+    'admin.logs.searchPlaceholder': '🔍 Buscar en los registros...',
+    'admin.logs.searchLabel': 'Buscar en los registros',
+    'admin.logs.levelLabel': 'Filtrar por nivel',
+    'admin.logs.allLevels': 'Todos los niveles',
+    'admin.logs.level.info': 'Info',
+    'admin.logs.level.success': 'Éxito',
+    'admin.logs.level.warning': 'Aviso',
+    'admin.logs.level.error': 'Error',
+    'admin.logs.pause': 'Pausar',
+    'admin.logs.resume': 'Reanudar',
+    'admin.logs.connecting': 'Conectando...',
+    'admin.logs.live': '● En directo',
+    'admin.logs.disconnected': 'Desconectado',
+    'admin.logs.waiting': 'Esperando mensajes de registro...',
+    'admin.logs.noMatches': 'Ninguna entrada coincide con los filtros.',
+    'admin.logs.entries': { one: '{count} entrada', other: '{count} entradas' },
+    'admin.logs.entriesFiltered': { one: '{shown} de {count} entrada', other: '{shown} de {count} entradas' },
+    'admin.logs.newWhilePaused': { one: '{count} nueva en pausa', other: '{count} nuevas en pausa' }
+};
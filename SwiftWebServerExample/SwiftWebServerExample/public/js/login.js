@@ -1,20 +1,28 @@
 // SwiftWebServer Login JavaScript
 
-let API_BASE = '';
+import { getAuthToken, auth as authApi } from './api.js';
+import { initI18n, initLocaleSwitcher, t } from './i18n.js';
+import { initThemeToggle } from './theme.js';
 
 // Initialize the login page
 document.addEventListener('DOMContentLoaded', async function() {
-    // Load configuration first
-    await loadConfig();
-    
+    await initI18n();
+    initLocaleSwitcher(document.getElementById('locale-switcher'));
+    initThemeToggle(document.getElementById('theme-toggle'), { label: mode => t(`common.theme.${mode}`) });
+
     // Check if user is already logged in
-    const authToken = localStorage.getItem('auth_token');
+    const authToken = getAuthToken();
     if (authToken) {
         // Redirect to admin if already logged in
-        window.location.href = '/admin';
+        window.location.href = adminUrl();
         return;
     }
     
+    // Sent here by the admin console when the session ran out
+    if (new URLSearchParams(window.location.search).has('expired')) {
+        showError(t('login.sessionExpired'));
+    }
+
     // Focus on username field
     document.getElementById('username').focus();
     
@@ -26,20 +34,11 @@ document.addEventListener('DOMContentLoaded', async function() {
     });
 });
 
-// Load configuration from backend
-async function loadConfig() {
-    try {
-        const response = await fetch('/config.json');
-        if (response.ok) {
-            const config = await response.json();
-            API_BASE = config.apiBase || '';
-        } else {
-            API_BASE = window.location.origin;
-        }
-    } catch (error) {
-        console.log('Using fallback API base');
-        API_BASE = window.location.origin;
-    }
+// The admin view that sent the user here (`?next=`), or the admin home.
+// Only /admin paths are followed, so the parameter can't redirect elsewhere.
+function adminUrl() {
+    const next = new URLSearchParams(window.location.search).get('next');
+    return next && /^\/admin(\/|\?|$)/.test(next) ? next : '/admin';
 }
 
 // Handle login form submission
@@ -55,7 +54,7 @@ async function handleLogin(event) {
     
     // Validate input
     if (!username || !password) {
-        showError('Please enter both username and password.');
+        showError(t('login.missingCredentials'));
         return;
     }
     
@@ -66,42 +65,24 @@ async function handleLogin(event) {
     hideError();
     
     try {
-        const response = await fetch(`${API_BASE}/api/auth/login`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-
-            body: JSON.stringify({
-                username: username,
-                password: password
-            })
-        });
-        
-        const data = await response.json();
+        // Login successful - the API client stores the token in localStorage
+        await authApi.login(username, password);
 
-        if (response.ok) {
-            // Login successful - get token from response and store in localStorage
-            if (data.token) {
-                localStorage.setItem('auth_token', data.token);
-                console.log('Auth token stored in localStorage:', data.token);
-            }
+        showSuccess(t('login.success'));
 
-            showSuccess('Login successful! Redirecting...');
+        // Redirect to admin
+        setTimeout(() => {
+            window.location.href = adminUrl();
+        }, 500);
 
-            // Redirect to admin
-            setTimeout(() => {
-                window.location.href = '/admin';
-            }, 500);
-            
+    } catch (error) {
+        console.error('Login error:', error);
+        if (error.isNetworkError) {
+            showError(t('login.networkError'));
         } else {
             // Login failed
-            showError(data.error || 'Invalid username or password.');
+            showError(error.message || t('login.invalidCredentials'));
         }
-        
-    } catch (error) {
-        console.error('Login error:', error);
-        showError('Unable to connect to server. Please try again.');
     } finally {
         // Reset button state
         loginBtn.disabled = false;
@@ -114,20 +95,16 @@ async function handleLogin(event) {
 function showError(message) {
     const errorDiv = document.getElementById('login-error');
     errorDiv.textContent = message;
+    errorDiv.classList.remove('success');
     errorDiv.style.display = 'block';
-    errorDiv.style.backgroundColor = '#fee';
-    errorDiv.style.borderColor = '#fcc';
-    errorDiv.style.color = '#c33';
 }
 
 // Show success message
 function showSuccess(message) {
     const errorDiv = document.getElementById('login-error');
     errorDiv.textContent = message;
+    errorDiv.classList.add('success');
     errorDiv.style.display = 'block';
-    errorDiv.style.backgroundColor = '#efe';
-    errorDiv.style.borderColor = '#cfc';
-    errorDiv.style.color = '#3c3';
 }
 
 // Hide error/success message
@@ -135,3 +112,6 @@ function hideError() {
     const errorDiv = document.getElementById('login-error');
     errorDiv.style.display = 'none';
 }
+
+// Expose handlers referenced from inline markup
+Object.assign(window, { handleLogin });
@@ -0,0 +1,310 @@
+// SwiftWebServer Markdown Renderer
+//
+// Renders post bodies for the public post page, blog excerpts and the admin
+// preview. Raw HTML in the source is escaped, and the generated markup is
+// passed through an allowlist sanitizer before it reaches innerHTML.
+
+const ALLOWED_TAGS = {
+    A: ['href', 'title'],
+    IMG: ['src', 'alt', 'title'],
+    CODE: ['class'],
+    OL: ['start'],
+    P: [], BR: [], HR: [],
+    H1: [], H2: [], H3: [], H4: [], H5: [], H6: [],
+    STRONG: [], EM: [], DEL: [],
+    PRE: [], BLOCKQUOTE: [],
+    UL: [], LI: []
+};
+
+// Disallowed elements are unwrapped so their text survives, except these,
+// whose content is never meant to be read as text.
+const DROPPED_WITH_CONTENT = ['SCRIPT', 'STYLE', 'IFRAME', 'OBJECT', 'EMBED', 'TEMPLATE'];
+
+const URL_ATTRIBUTES = ['href', 'src'];
+const SAFE_URL_SCHEMES = ['http', 'https', 'mailto'];
+
+const LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const FENCE = /^\s{0,3}(```|~~~)\s*([\w+-]*)\s*$/;
+const HEADING = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RULE = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/;
+const QUOTE = /^\s{0,3}>/;
+
+const IMAGE = /!\[([^\]]*)\]\(\s*([^\s)]+)(?:\s+&quot;(.*?)&quot;)?\s*\)/g;
+const LINK = /\[([^\]]+)\]\(\s*([^\s)]+)(?:\s+&quot;(.*?)&quot;)?\s*\)/g;
+const AUTOLINK = /&lt;(https?:\/\/[^\s&]+)&gt;/g;
+
+/**
+ * Render Markdown to sanitized HTML.
+ *
+ * Supports ATX headings, paragraphs, emphasis, inline and fenced code,
+ * links, images, blockquotes, nested ordered/unordered lists and rules.
+ *
+ * @param {string} source
+ * @returns {string}
+ */
+export function renderMarkdown(source) {
+    if (!source) return '';
+    const lines = source.replace(/\r\n?/g, '\n').replace(/\u0000/g, '').split('\n');
+    return sanitizeHtml(renderBlocks(lines));
+}
+
+/**
+ * Strip every element and attribute that is not on the allowlist, and any
+ * URL whose scheme is not http(s)/mailto (or a data: image for <img>).
+ *
+ * @param {string} html
+ * @returns {string}
+ */
+export function sanitizeHtml(html) {
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    sanitizeChildren(template.content);
+    return template.innerHTML;
+}
+
+// Block-level parsing
+
+function renderBlocks(lines) {
+    const html = [];
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (!line.trim()) {
+            i++;
+            continue;
+        }
+
+        const fence = line.match(FENCE);
+        if (fence) {
+            const code = [];
+            i++;
+            while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+                code.push(lines[i]);
+                i++;
+            }
+            i++; // Skip the closing fence
+            const language = fence[2] ? ` class="language-${fence[2]}"` : '';
+            html.push(`<pre><code${language}>${escapeHtml(code.join('\n'))}</code></pre>`);
+            continue;
+        }
+
+        const heading = line.match(HEADING);
+        if (heading) {
+            const level = heading[1].length;
+            html.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+            i++;
+            continue;
+        }
+
+        // Checked before lists so "* * *" is a rule, not a list item
+        if (RULE.test(line)) {
+            html.push('<hr>');
+            i++;
+            continue;
+        }
+
+        if (QUOTE.test(line)) {
+            const quoted = [];
+            while (i < lines.length && QUOTE.test(lines[i])) {
+                quoted.push(lines[i].replace(/^\s{0,3}>\s?/, ''));
+                i++;
+            }
+            html.push(`<blockquote>${renderBlocks(quoted)}</blockquote>`);
+            continue;
+        }
+
+        if (LIST_ITEM.test(line)) {
+            const list = renderList(lines, i);
+            html.push(list.html);
+            i = list.next;
+            continue;
+        }
+
+        // Paragraph: consecutive lines until a blank line or another block
+        const paragraph = [];
+        while (i < lines.length && lines[i].trim() && !startsBlock(lines[i])) {
+            paragraph.push(lines[i].trim());
+            i++;
+        }
+        html.push(`<p>${paragraph.map(renderInline).join('<br>')}</p>`);
+    }
+
+    return html.join('\n');
+}
+
+function startsBlock(line) {
+    return FENCE.test(line) || HEADING.test(line) || RULE.test(line) || QUOTE.test(line) || LIST_ITEM.test(line);
+}
+
+function leadingSpaces(line) {
+    return line.match(/^\s*/)[0].length;
+}
+
+// Collect one list starting at `start`. Lines indented past the marker belong
+// to the current item and are rendered recursively, which yields nested lists.
+function renderList(lines, start) {
+    const first = lines[start].match(LIST_ITEM);
+    const indent = first[1].length;
+    const ordered = /\d/.test(first[2]);
+    const items = [];
+    let contentIndent = indent + first[2].length + 1;
+    let i = start;
+
+    const isSibling = line => {
+        const match = line.match(LIST_ITEM);
+        return match && match[1].length === indent && /\d/.test(match[2]) === ordered ? match : null;
+    };
+
+    while (i < lines.length) {
+        const line = lines[i];
+        const sibling = isSibling(line);
+
+        if (sibling) {
+            contentIndent = indent + sibling[2].length + 1;
+            items.push([sibling[3]]);
+            i++;
+            continue;
+        }
+
+        if (line.trim() && leadingSpaces(line) > indent) {
+            items[items.length - 1].push(line.slice(Math.min(leadingSpaces(line), contentIndent)));
+            i++;
+            continue;
+        }
+
+        // A blank line only continues the list if the next item follows it
+        if (!line.trim() && i + 1 < lines.length && isSibling(lines[i + 1])) {
+            i++;
+            continue;
+        }
+
+        break;
+    }
+
+    const tag = ordered ? 'ol' : 'ul';
+    const startNumber = ordered ? parseInt(first[2], 10) : 1;
+    const startAttr = startNumber !== 1 ? ` start="${startNumber}"` : '';
+    const body = items.map(([text, ...rest]) =>
+        `<li>${renderInline(text)}${rest.length ? renderBlocks(rest) : ''}</li>`
+    ).join('');
+
+    return { html: `<${tag}${startAttr}>${body}</${tag}>`, next: i };
+}
+
+// Inline parsing
+
+function renderInline(text) {
+    const tokens = [];
+    const stash = html => `\u0000${tokens.push(html) - 1}\u0000`;
+
+    // Code spans first so their contents are never treated as markup
+    let html = text.replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (_, ticks, code) =>
+        stash(`<code>${escapeHtml(code.trim())}</code>`)
+    );
+
+    html = escapeHtml(html);
+    html = html.replace(IMAGE, (_, alt, src, title) =>
+        stash(`<img src="${src}" alt="${alt}"${titleAttribute(title)}>`)
+    );
+    html = html.replace(LINK, (_, label, href, title) =>
+        stash(`<a href="${href}"${titleAttribute(title)}>${emphasis(label)}</a>`)
+    );
+    html = html.replace(AUTOLINK, (_, url) => stash(`<a href="${url}">${url}</a>`));
+    html = emphasis(html);
+
+    // Tokens can contain other tokens (an image inside a link label)
+    while (html.includes('\u0000')) {
+        html = html.replace(/\u0000(\d+)\u0000/g, (_, index) => tokens[index]);
+    }
+    return html;
+}
+
+function emphasis(html) {
+    return html
+        .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+        .replace(/__(?=\S)([\s\S]*?\S)__/g, '<strong>$1</strong>')
+        .replace(/\*(?=\S)([\s\S]*?\S)\*/g, '<em>$1</em>')
+        .replace(/(^|[^\w])_(?=\S)([\s\S]*?\S)_(?!\w)/g, '$1<em>$2</em>')
+        .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>');
+}
+
+function titleAttribute(title) {
+    return title ? ` title="${title}"` : '';
+}
+
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Sanitizing
+
+function sanitizeChildren(parent) {
+    Array.from(parent.childNodes).forEach(node => {
+        if (node.nodeType === Node.TEXT_NODE) {
+            return;
+        }
+
+        if (node.nodeType !== Node.ELEMENT_NODE) {
+            node.remove();
+            return;
+        }
+
+        const allowedAttributes = ALLOWED_TAGS[node.tagName];
+        if (!allowedAttributes) {
+            if (DROPPED_WITH_CONTENT.includes(node.tagName)) {
+                node.remove();
+            } else {
+                sanitizeChildren(node);
+                node.replaceWith(...node.childNodes);
+            }
+            return;
+        }
+
+        Array.from(node.attributes).forEach(attribute => {
+            const name = attribute.name.toLowerCase();
+            if (!allowedAttributes.includes(name) || !isSafeAttribute(node.tagName, name, attribute.value)) {
+                node.removeAttribute(attribute.name);
+            }
+        });
+
+        if (node.tagName === 'A') {
+            node.setAttribute('rel', 'noopener noreferrer');
+        } else if (node.tagName === 'IMG') {
+            node.setAttribute('loading', 'lazy');
+            node.setAttribute('decoding', 'async');
+        }
+
+        sanitizeChildren(node);
+    });
+}
+
+function isSafeAttribute(tagName, name, value) {
+    if (URL_ATTRIBUTES.includes(name)) {
+        return isSafeUrl(tagName, value);
+    }
+    if (name === 'class') {
+        return /^language-[\w+-]+$/.test(value);
+    }
+    return true;
+}
+
+function isSafeUrl(tagName, value) {
+    // Browsers ignore control characters and whitespace inside a scheme
+    const url = value.replace(/[\u0000- \u007f]/g, '');
+    const scheme = url.match(/^([a-z][a-z0-9+.-]*):/i);
+    if (!scheme) {
+        return true; // Relative URL
+    }
+    const name = scheme[1].toLowerCase();
+    if (name === 'data') {
+        return tagName === 'IMG' && /^data:image\/(png|jpe?g|gif|webp);/i.test(url);
+    }
+    return SAFE_URL_SCHEMES.includes(name);
+}
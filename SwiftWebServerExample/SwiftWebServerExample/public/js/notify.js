@@ -0,0 +1,235 @@
+// SwiftWebServer Notifications
+//
+// Toasts and confirmation dialogs used instead of alert() and confirm(), which
+// block the page and can't be styled. Toasts stack in a live region in the
+// corner and dismiss themselves; dialogs are modal, keep focus inside and
+// resolve a promise. Styles live in css/notify.css.
+
+import { trapFocus } from './a11y.js';
+import { t } from './i18n.js';
+
+const TOAST_DURATIONS = { success: 4000, info: 5000, error: 8000 };
+const MAX_TOASTS = 4;
+const UNDO_DELAY_MS = 6000;
+
+let toastRegion = null;
+let dialogCount = 0;
+const openToasts = [];
+// Undoable actions still waiting for their delay
+const pendingActions = new Set();
+
+/**
+ * @typedef {Object} ToastOptions
+ * @property {'success'|'error'|'info'} [type='info']
+ * @property {number} [duration] - Milliseconds before it dismisses itself; 0 keeps it until closed
+ * @property {{label: string, onClick: () => void}} [action] - A button that also dismisses the toast
+ */
+
+/**
+ * Show a non-blocking message. Hovering or focusing the toast keeps it open.
+ *
+ * @param {string} message
+ * @param {ToastOptions} [options]
+ * @returns {{dismiss: () => void}}
+ */
+export function showToast(message, { type = 'info', duration = TOAST_DURATIONS[type], action } = {}) {
+    const toast = document.createElement('div');
+    toast.className = `toast toast-${type}`;
+    // Errors interrupt the screen reader; the region announces the rest politely
+    if (type === 'error') {
+        toast.setAttribute('role', 'alert');
+    }
+
+    const text = document.createElement('p');
+    text.className = 'toast-message';
+    text.textContent = message;
+    toast.appendChild(text);
+
+    let timer = null;
+    const handle = {
+        dismiss() {
+            clearTimeout(timer);
+            const index = openToasts.indexOf(handle);
+            if (index === -1) return;
+            openToasts.splice(index, 1);
+            toast.remove();
+        }
+    };
+
+    if (action) {
+        const actionButton = document.createElement('button');
+        actionButton.type = 'button';
+        actionButton.className = 'toast-action';
+        actionButton.textContent = action.label;
+        actionButton.addEventListener('click', () => {
+            handle.dismiss();
+            action.onClick();
+        });
+        toast.appendChild(actionButton);
+    }
+
+    const closeButton = document.createElement('button');
+    closeButton.type = 'button';
+    closeButton.className = 'toast-close';
+    closeButton.setAttribute('aria-label', t('notify.dismiss'));
+    closeButton.textContent = '×';
+    closeButton.addEventListener('click', () => handle.dismiss());
+    toast.appendChild(closeButton);
+
+    function startTimer() {
+        if (duration > 0) {
+            timer = setTimeout(() => handle.dismiss(), duration);
+        }
+    }
+
+    toast.addEventListener('mouseenter', () => clearTimeout(timer));
+    toast.addEventListener('focusin', () => clearTimeout(timer));
+    toast.addEventListener('mouseleave', () => {
+        if (!toast.contains(document.activeElement)) startTimer();
+    });
+    toast.addEventListener('focusout', event => {
+        if (!toast.contains(event.relatedTarget) && !toast.matches(':hover')) startTimer();
+    });
+
+    getToastRegion().appendChild(toast);
+    openToasts.push(handle);
+    // Oldest first out when too many pile up
+    if (openToasts.length > MAX_TOASTS) {
+        openToasts[0].dismiss();
+    }
+    startTimer();
+
+    return handle;
+}
+
+/**
+ * Ask the user to confirm an action in a modal dialog. Escape or Cancel
+ * resolves false; focus returns to where it was once the dialog closes.
+ *
+ * @param {Object} options
+ * @param {string} options.title
+ * @param {string} [options.message]
+ * @param {string} [options.confirmLabel] - Defaults to "Confirm" in the page's language
+ * @param {string} [options.cancelLabel] - Defaults to "Cancel" in the page's language
+ * @param {boolean} [options.danger=false] - Style the confirm button as destructive and focus Cancel first
+ * @returns {Promise<boolean>} Whether the user confirmed
+ */
+export function confirmDialog({
+    title,
+    message = '',
+    confirmLabel = t('notify.confirm'),
+    cancelLabel = t('common.cancel'),
+    danger = false
+}) {
+    return new Promise(resolve => {
+        const previousFocus = document.activeElement;
+        const id = `confirm-dialog-${++dialogCount}`;
+
+        const backdrop = document.createElement('div');
+        backdrop.className = 'dialog-backdrop';
+        backdrop.innerHTML = `
+            <div class="dialog" role="alertdialog" aria-modal="true"
+                 aria-labelledby="${id}-title" aria-describedby="${id}-message">
+                <h2 class="dialog-title" id="${id}-title"></h2>
+                <p class="dialog-message" id="${id}-message"></p>
+                <div class="dialog-actions">
+                    <button type="button" class="dialog-btn dialog-btn-cancel"></button>
+                    <button type="button" class="dialog-btn ${danger ? 'dialog-btn-danger' : 'dialog-btn-confirm'}"></button>
+                </div>
+            </div>
+        `;
+
+        const dialog = backdrop.querySelector('.dialog');
+        const [cancelButton, confirmButton] = dialog.querySelectorAll('button');
+        dialog.querySelector('.dialog-title').textContent = title;
+        dialog.querySelector('.dialog-message').textContent = message;
+        cancelButton.textContent = cancelLabel;
+        confirmButton.textContent = confirmLabel;
+
+        function close(confirmed) {
+            document.removeEventListener('keydown', handleKeydown, true);
+            backdrop.remove();
+            if (previousFocus && previousFocus.isConnected) {
+                previousFocus.focus();
+            }
+            resolve(confirmed);
+        }
+
+        // Captured so the page's keyboard shortcuts and Escape handlers
+        // don't run behind the dialog
+        function handleKeydown(event) {
+            event.stopPropagation();
+            if (event.key === 'Escape') {
+                event.preventDefault();
+                close(false);
+            } else {
+                trapFocus(event, dialog);
+            }
+        }
+
+        cancelButton.addEventListener('click', () => close(false));
+        confirmButton.addEventListener('click', () => close(true));
+        document.addEventListener('keydown', handleKeydown, true);
+
+        document.body.appendChild(backdrop);
+        (danger ? cancelButton : confirmButton).focus();
+    });
+}
+
+/**
+ * Run `action` after a delay, showing a toast whose Undo button cancels it.
+ * Actions still waiting when the page is hidden run straight away, with
+ * `keepalive` set so their request outlives the page.
+ *
+ * @param {string} message - e.g. "Post deleted"
+ * @param {(options: {keepalive: boolean}) => Promise<*>} action
+ * @param {{delay?: number}} [options]
+ * @returns {Promise<boolean>} false when undone, true once the action has run; rejects if the action fails
+ */
+export function withUndo(message, action, { delay = UNDO_DELAY_MS } = {}) {
+    return new Promise((resolve, reject) => {
+        let timer = null;
+
+        function settle() {
+            clearTimeout(timer);
+            pendingActions.delete(run);
+            toast.dismiss();
+        }
+
+        function run({ keepalive = false } = {}) {
+            settle();
+            Promise.resolve()
+                .then(() => action({ keepalive }))
+                .then(() => resolve(true), reject);
+        }
+
+        const toast = showToast(message, {
+            duration: 0,
+            action: {
+                label: t('notify.undo'),
+                onClick() {
+                    settle();
+                    resolve(false);
+                }
+            }
+        });
+
+        pendingActions.add(run);
+        timer = setTimeout(run, delay);
+    });
+}
+
+function getToastRegion() {
+    if (!toastRegion) {
+        toastRegion = document.createElement('div');
+        toastRegion.className = 'toast-region';
+        toastRegion.setAttribute('aria-live', 'polite');
+        toastRegion.setAttribute('aria-label', t('notify.region'));
+        document.body.appendChild(toastRegion);
+    }
+    return toastRegion;
+}
+
+window.addEventListener('pagehide', () => {
+    pendingActions.forEach(run => run({ keepalive: true }));
+});
@@ -0,0 +1,52 @@
+// SwiftWebServer Blog Offline Support
+//
+// Registers the service worker (/sw.js) and shows the #offline-banner while
+// the blog is offline: when the browser reports no connection, or when the
+// service worker had to answer an API request from its cache.
+
+let offline = !navigator.onLine;
+const reconnectHandlers = [];
+
+// Register the service worker and start tracking connectivity
+export function enableOfflineSupport() {
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.register('/sw.js').catch(error => {
+            console.error('Service worker registration failed:', error);
+        });
+        navigator.serviceWorker.addEventListener('message', event => {
+            if (event.data && event.data.type === 'network-status') {
+                setOffline(!event.data.online);
+            }
+        });
+    }
+
+    window.addEventListener('online', () => setOffline(false));
+    window.addEventListener('offline', () => setOffline(true));
+    updateBanner();
+}
+
+export function isOffline() {
+    return offline;
+}
+
+// Call `handler` each time the connection comes back
+export function onReconnect(handler) {
+    reconnectHandlers.push(handler);
+}
+
+function setOffline(value) {
+    if (value === offline) return;
+
+    offline = value;
+    updateBanner();
+    if (!offline) {
+        reconnectHandlers.forEach(handler => handler());
+    }
+}
+
+function updateBanner() {
+    const banner = document.getElementById('offline-banner');
+    if (banner) {
+        banner.hidden = !offline;
+    }
+}
@@ -1,16 +1,49 @@
 // SwiftWebServer Post Detail JavaScript
 
-let API_BASE = '';
+import { getAuthToken, auth as authApi, posts as postsApi, comments as commentsApi } from './api.js';
+import { renderMarkdown } from './markdown.js';
+import { enableOfflineSupport, isOffline, onReconnect } from './offline.js';
+import { showToast } from './notify.js';
+import { announce } from './a11y.js';
+import { initI18n, initLocaleSwitcher, t, formatDate, timeHTML } from './i18n.js';
+import { initThemeToggle } from './theme.js';
+
+// Replies nest up to this depth; deeper replies continue at the last level
+const MAX_REPLY_DEPTH = 4;
+// Threads with more replies than this start collapsed
+const COLLAPSE_THREAD_SIZE = 3;
+// Comments written while offline, waiting to be sent
+const COMMENT_QUEUE_STORAGE_KEY = 'queued_comments';
+// How often to retry queued comments while they keep failing
+const COMMENT_QUEUE_RETRY_MS = 30000;
+// Live updates often come in bursts (a thread approved at once); reload once
+const COMMENT_REFRESH_DELAY_MS = 300;
+
 let currentPost = null;
 let authToken = null;
+/** @type {import('./api.js').CurrentUser|null} */
+let currentUser = null;
+// Threads the reader expanded or collapsed, kept across comment reloads
+const expandedThreads = new Set();
+const collapsedThreads = new Set();
+let isFlushingQueue = false;
+let queueRetryTimer = null;
+let commentStream = null;
+let commentRefreshTimer = null;
+// Comments to highlight after the next live refresh
+const changedComments = new Set();
 
 // Initialize the post page
 document.addEventListener('DOMContentLoaded', async function() {
-    // Load configuration first
-    await loadConfig();
-    
+    await initI18n();
+    initLocaleSwitcher(document.getElementById('locale-switcher'));
+    initThemeToggle(document.getElementById('theme-toggle'), { label: mode => t(`common.theme.${mode}`) });
+
+    enableOfflineSupport();
+    onReconnect(flushCommentQueue);
+
     // Check for auth token and update UI
-    authToken = localStorage.getItem('auth_token');
+    authToken = getAuthToken();
     updateAuthButton();
 
     // Get post ID from URL path parameters
@@ -18,47 +51,45 @@ document.addEventListener('DOMContentLoaded', async function() {
     const postId = pathParts[2]; // /post/{id} -> pathParts[2] is the ID
 
     if (postId && postId !== '') {
-        await loadPost(postId);
+        await Promise.all([loadPost(postId), loadCurrentUser()]);
         await loadComments(postId);
+        startCommentStream();
+        renderQueuedComments();
+        if (!isOffline()) {
+            await flushCommentQueue();
+        }
     } else {
-        showError('No post ID specified');
+        showError(t('post.noPostId'));
     }
 });
 
-// Load configuration from backend
-async function loadConfig() {
+// Signed-in readers need their role to know whether they can moderate
+async function loadCurrentUser() {
+    if (!authToken) return;
+
     try {
-        const response = await fetch('/config.json');
-        if (response.ok) {
-            const config = await response.json();
-            API_BASE = config.apiBase || '';
-        } else {
-            API_BASE = window.location.origin;
-        }
+        currentUser = await authApi.me();
     } catch (error) {
-        console.log('Using fallback API base');
-        API_BASE = window.location.origin;
+        console.error('Error loading current user:', error);
     }
 }
 
+// Admins moderate every post, authors only their own
+function canModerateComments() {
+    if (!currentUser || !currentPost) return false;
+    return currentUser.permissions.moderateAllPosts || currentPost.author?.id === currentUser.user.id;
+}
+
 // Load individual post
 async function loadPost(postId) {
     const articleContainer = document.getElementById('post-article');
     
     try {
-        const response = await fetch(`${API_BASE}/api/posts/${postId}`, {
-            credentials: 'include' // Include cookies in cross-origin requests
-        });
-        
-        if (!response.ok) {
-            throw new Error(`HTTP ${response.status}`);
-        }
-        
-        const post = await response.json();
+        const post = await postsApi.get(postId);
         currentPost = post;
         
         // Update page title
-        document.title = `${post.title} - SwiftWebServer Blog`;
+        document.title = t('post.documentTitle', { title: post.title });
         
         // Render post
         articleContainer.innerHTML = createPostHTML(post);
@@ -68,20 +99,14 @@ async function loadPost(postId) {
         
     } catch (error) {
         console.error('Error loading post:', error);
-        showError('Unable to load the post. Please try again.');
+        showError(t(isOffline() ? 'post.offlineUnavailable' : 'post.loadFailed'));
     }
 }
 
 // Create post HTML
 function createPostHTML(post) {
-    const publishedDate = new Date(post.publishedAt || post.createdAt);
-    const formattedDate = isValidDate(publishedDate) ? publishedDate.toLocaleDateString('en-US', {
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric',
-        hour: '2-digit',
-        minute: '2-digit'
-    }) : 'Date unavailable';
+    const formattedDate = formatDate(post.publishedAt || post.createdAt, { dateStyle: 'long', timeStyle: 'short' }) ||
+        t('common.dateUnavailable');
     
     return `
         <div class="post-content-header">
@@ -89,18 +114,19 @@ function createPostHTML(post) {
             <div class="post-content-meta">
                 <div class="post-content-author">
                     <span>👤</span>
-                    <span>${escapeHtml(post.author?.fullName || 'Anonymous')}</span>
+                    <span>${escapeHtml(post.author?.fullName || t('common.anonymous'))}</span>
                 </div>
                 <div class="post-content-date">
                     <span>📅</span>
                     <span>${formattedDate}</span>
                 </div>
                 <div class="post-content-stats">
-                    <span>👁️ ${post.viewCount || 0} views</span>
-                    <span>💬 ${post.commentsCount || 0} comments</span>
-                    <span>⏱️ ${post.readingTime || 1} min read</span>
+                    <span><span aria-hidden="true">👁️</span> ${t('common.views', { count: post.viewCount || 0 })}</span>
+                    <span><span aria-hidden="true">💬</span> ${t('common.comments', { count: post.commentsCount || 0 })}</span>
+                    <span><span aria-hidden="true">⏱️</span> ${t('common.minRead', { count: post.readingTime || 1 })}</span>
                 </div>
             </div>
+            ${createTagsHTML(post.tags || [])}
         </div>
         <div class="post-content-body">
             ${formatPostContent(post.content)}
@@ -108,40 +134,38 @@ function createPostHTML(post) {
     `;
 }
 
+// Tag chips linking to the blog index filtered by that tag
+function createTagsHTML(tags) {
+    if (tags.length === 0) return '';
+
+    return `
+        <div class="post-content-tags">
+            ${tags.map(tag => `<a class="tag-chip" href="/?tag=${encodeURIComponent(tag)}">#${escapeHtml(tag)}</a>`).join('')}
+        </div>
+    `;
+}
+
 // Load comments for the post
 async function loadComments(postId) {
     const commentsList = document.getElementById('comments-list');
     const commentsCount = document.getElementById('comments-count');
 
     try {
-        // Check if user is authenticated to show pending comments
-        const includeUnapproved = authToken ? '?include_unapproved=true' : '';
-        const headers = authToken ? {
-            'Authorization': `Bearer ${authToken}`
-        } : {};
-
-        const response = await fetch(`${API_BASE}/api/posts/${postId}/comments${includeUnapproved}`, {
-            headers,
-            credentials: 'include' // Include cookies in cross-origin requests
-        });
-
-        if (!response.ok) {
-            throw new Error(`HTTP ${response.status}`);
-        }
+        // Moderators also see pending comments
+        const threads = await commentsApi.listForPost(postId, { includeUnapproved: canModerateComments() });
 
-        const comments = await response.json();
+        // Sort comments by date (oldest first)
+        threads.sort((a, b) => new Date(a.comment.createdAt) - new Date(b.comment.createdAt));
+        const roots = threads.map(buildCommentTree);
 
-        // Filter approved comments for count display
-        const approvedComments = comments.filter(comment => comment.comment.isApproved);
-        const count = approvedComments.length;
-        commentsCount.textContent = `${count} comment${count !== 1 ? 's' : ''}`;
+        // Count approved comments and replies for display
+        const count = roots.reduce((sum, root) => sum + countApproved(root), 0);
+        commentsCount.textContent = t('common.comments', { count });
 
-        if (comments.length === 0) {
-            commentsList.innerHTML = '<div class="no-comments">No comments yet. Be the first to comment!</div>';
+        if (roots.length === 0) {
+            commentsList.innerHTML = `<div class="no-comments">${t('post.noComments')}</div>`;
         } else {
-            // Sort comments by date (oldest first)
-            comments.sort((a, b) => new Date(a.comment.createdAt) - new Date(b.comment.createdAt));
-            commentsList.innerHTML = comments.map(comment => createCommentHTML(comment.comment)).join('');
+            commentsList.innerHTML = roots.map(root => createThreadHTML(root, 0)).join('');
         }
 
         // Show/hide comment form based on authentication
@@ -149,45 +173,250 @@ async function loadComments(postId) {
 
     } catch (error) {
         console.error('Error loading comments:', error);
-        commentsList.innerHTML = '<div class="no-comments">Unable to load comments.</div>';
+        commentsList.innerHTML = `<div class="no-comments">${t('post.commentsFailed')}</div>`;
+        announce(t('post.commentsFailed'), { assertive: true });
+    }
+}
+
+// Live updates
+
+// Follow the post's comment stream; changes reload the list. The stream
+// (re)connecting also means the backend is reachable again, even when the
+// browser never went offline, so that is when queued comments go out.
+function startCommentStream() {
+    if (commentStream || !currentPost) return;
+    commentStream = commentsApi.stream(currentPost.id, {
+        onEvent: handleCommentEvent,
+        onStatus: status => {
+            if (status === 'open') {
+                flushCommentQueue();
+            }
+        }
+    });
+}
+
+function handleCommentEvent(message) {
+    if (message.event === 'reset') {
+        scheduleCommentRefresh();
+        return;
+    }
+    if (!message.event.startsWith('comment-')) return;
+
+    let change;
+    try {
+        change = JSON.parse(message.data);
+    } catch {
+        return;
+    }
+    if (change.kind !== 'deleted') {
+        changedComments.add(change.commentId);
+    }
+    scheduleCommentRefresh();
+}
+
+function scheduleCommentRefresh() {
+    clearTimeout(commentRefreshTimer);
+    commentRefreshTimer = setTimeout(refreshComments, COMMENT_REFRESH_DELAY_MS);
+}
+
+// Reload the comments, keeping a reply that is being written and
+// highlighting the comments that changed
+async function refreshComments() {
+    if (!currentPost) return;
+
+    const replyForm = document.querySelector('.reply-form');
+    const openReply = replyForm ? {
+        commentId: replyForm.closest('.comment').id.replace('comment-', ''),
+        content: document.getElementById('reply-content').value
+    } : null;
+
+    await loadComments(currentPost.id);
+
+    if (openReply && document.getElementById(`reply-slot-${openReply.commentId}`)) {
+        showReplyForm(openReply.commentId);
+        document.getElementById('reply-content').value = openReply.content;
     }
+
+    changedComments.forEach(id => {
+        const element = document.getElementById(`comment-${id}`);
+        if (element) {
+            element.classList.add('comment-highlight');
+            element.addEventListener('animationend', () => element.classList.remove('comment-highlight'), { once: true });
+        }
+    });
+    changedComments.clear();
+}
+
+// Turn a top-level comment and its flat, oldest-first reply list into a tree
+function buildCommentTree({ comment, replies }) {
+    const root = { comment, children: [] };
+    const nodes = new Map([[comment.id, root]]);
+
+    replies.forEach(reply => nodes.set(reply.id, { comment: reply, children: [] }));
+    replies.forEach(reply => {
+        const parent = nodes.get(reply.parentCommentId) || root;
+        parent.children.push(nodes.get(reply.id));
+    });
+
+    return root;
+}
+
+function countReplies(node) {
+    return node.children.reduce((sum, child) => sum + 1 + countReplies(child), 0);
+}
+
+function countApproved(node) {
+    return (node.comment.isApproved ? 1 : 0) +
+        node.children.reduce((sum, child) => sum + countApproved(child), 0);
+}
+
+// Render a comment followed by its replies. Replies are indented up to
+// MAX_REPLY_DEPTH; deeper ones continue at that level, labelled with who
+// they answer. Large threads start collapsed.
+function createThreadHTML(node, depth, replyingTo = null) {
+    const { comment, children } = node;
+
+    if (children.length === 0) {
+        return createCommentHTML(comment, { replyingTo });
+    }
+
+    if (depth >= MAX_REPLY_DEPTH) {
+        const parentName = comment.author?.fullName || t('common.anonymous');
+        return createCommentHTML(comment, { replyingTo }) +
+            children.map(child => createThreadHTML(child, depth, parentName)).join('');
+    }
+
+    const replyCount = countReplies(node);
+    const expanded = expandedThreads.has(comment.id) ||
+        (!collapsedThreads.has(comment.id) && replyCount <= COLLAPSE_THREAD_SIZE);
+
+    return `
+        <div class="comment-thread">
+            ${createCommentHTML(comment, { replyingTo, replyCount, expanded })}
+            <div class="comment-replies" id="replies-${comment.id}"${expanded ? '' : ' hidden'}>
+                ${children.map(child => createThreadHTML(child, depth + 1)).join('')}
+            </div>
+        </div>
+    `;
 }
 
 // Create comment HTML
-function createCommentHTML(comment) {
-    const commentDate = new Date(comment.createdAt);
-    const formattedDate = isValidDate(commentDate) ? commentDate.toLocaleDateString('en-US', {
-        year: 'numeric',
-        month: 'short',
-        day: 'numeric',
-        hour: '2-digit',
-        minute: '2-digit'
-    }) : 'Date unavailable';
-
-    // Show pending status and approval button for admins
-    const isAdmin = authToken; // Simple check - in a real app you'd verify admin role
+function createCommentHTML(comment, { replyingTo = null, replyCount = 0, expanded = true } = {}) {
+    // Show pending status and approval button for moderators
     const statusBadge = !comment.isApproved ?
-        `<span class="comment-status pending">Pending Approval</span>` : '';
-    const approveButton = !comment.isApproved && isAdmin ?
-        `<button class="btn btn-approve" onclick="approveComment('${comment.id}')">Approve</button>` : '';
+        `<span class="comment-status pending">${t('post.pendingApproval')}</span>` : '';
+    const approveButton = !comment.isApproved && canModerateComments() ?
+        `<button class="btn btn-approve" onclick="approveComment('${comment.id}')">${t('post.approve')}</button>` : '';
+    const replyButton = authToken && comment.isApproved ?
+        `<button class="btn-link" onclick="showReplyForm('${comment.id}')">${t('post.reply')}</button>` : '';
+    const toggleButton = replyCount > 0 ?
+        `<button class="btn-link" onclick="toggleReplies('${comment.id}')" aria-expanded="${expanded}" aria-controls="replies-${comment.id}">
+            ${repliesToggleLabel(replyCount, expanded)}
+        </button>` : '';
+    const actions = [approveButton, replyButton, toggleButton].filter(Boolean).join('');
 
     return `
-        <div class="comment ${!comment.isApproved ? 'comment-pending' : ''}">
+        <div class="comment ${!comment.isApproved ? 'comment-pending' : ''}" id="comment-${comment.id}" data-reply-count="${replyCount}">
             <div class="comment-header">
-                <div class="comment-author">${escapeHtml(comment.author?.fullName || 'Anonymous')}</div>
-                <div class="comment-date">${formattedDate}</div>
+                <div class="comment-author">${escapeHtml(comment.author?.fullName || t('common.anonymous'))}</div>
+                <div class="comment-date">${timeHTML(comment.createdAt)}</div>
                 ${statusBadge}
             </div>
+            ${replyingTo ? `<div class="comment-replying-to">${t('post.replyingTo', { name: escapeHtml(replyingTo) })}</div>` : ''}
             <div class="comment-content">${escapeHtml(comment.content)}</div>
-            ${approveButton ? `<div class="comment-actions">${approveButton}</div>` : ''}
+            ${actions ? `<div class="comment-actions">${actions}</div>` : ''}
+            <div class="reply-form-slot" id="reply-slot-${comment.id}"></div>
         </div>
     `;
 }
 
+function repliesToggleLabel(count, expanded) {
+    const replies = t('post.replies', { count });
+    return t(expanded ? 'post.hideReplies' : 'post.showReplies', { replies });
+}
+
+// Collapse or expand the replies under a comment, remembered across reloads
+function toggleReplies(commentId) {
+    const replies = document.getElementById(`replies-${commentId}`);
+    const comment = document.getElementById(`comment-${commentId}`);
+    const button = comment.querySelector('[aria-controls]');
+    const expanded = replies.hidden;
+
+    replies.hidden = !expanded;
+    button.setAttribute('aria-expanded', expanded);
+    button.textContent = repliesToggleLabel(Number(comment.dataset.replyCount), expanded);
+
+    if (expanded) {
+        expandedThreads.add(commentId);
+        collapsedThreads.delete(commentId);
+    } else {
+        collapsedThreads.add(commentId);
+        expandedThreads.delete(commentId);
+    }
+}
+
+// Open an inline reply form under a comment (one at a time)
+function showReplyForm(commentId) {
+    if (!authToken) {
+        showToast(t('post.loginToReply'));
+        return;
+    }
+
+    hideReplyForm();
+    document.getElementById(`reply-slot-${commentId}`).innerHTML = `
+        <form class="comment-form reply-form" onsubmit="submitReply(event, '${commentId}')">
+            <textarea id="reply-content" placeholder="${t('post.replyPlaceholder')}" rows="3" maxlength="2000" required></textarea>
+            <div class="form-actions">
+                <button type="submit" class="btn btn-primary">${t('post.postReply')}</button>
+                <button type="button" class="btn btn-secondary" onclick="hideReplyForm()">${t('common.cancel')}</button>
+            </div>
+        </form>
+    `;
+    document.getElementById('reply-content').focus();
+}
+
+function hideReplyForm() {
+    document.querySelectorAll('.reply-form').forEach(form => form.remove());
+}
+
+// Submit a reply to an existing comment
+async function submitReply(event, parentCommentId) {
+    event.preventDefault();
+
+    if (!authToken || !currentPost) return;
+
+    const content = document.getElementById('reply-content').value.trim();
+    if (!content) {
+        showToast(t('post.enterReply'));
+        return;
+    }
+
+    try {
+        await commentsApi.create(currentPost.id, { content, parentCommentId });
+
+        // Keep the thread open so the new reply is visible
+        expandedThreads.add(parentCommentId);
+        collapsedThreads.delete(parentCommentId);
+        await loadComments(currentPost.id);
+
+        showToast(t('post.replyPosted'), { type: 'success' });
+
+    } catch (error) {
+        if (error.isNetworkError) {
+            queueComment({ postId: currentPost.id, content, parentCommentId });
+            hideReplyForm();
+            showToast(t('post.replyQueued'));
+            return;
+        }
+        console.error('Error posting reply:', error);
+        showToast(t('post.replyFailed', { error: error.message }), { type: 'error' });
+    }
+}
+
 // Show comment form
 function showCommentForm() {
     if (!authToken) {
-        alert('Please login to post comments. Visit /console to login.');
+        showToast(t('post.loginToComment'));
         return;
     }
     
@@ -208,48 +437,39 @@ async function submitComment(event) {
     event.preventDefault();
     
     if (!authToken) {
-        alert('Please login to post comments.');
+        showToast(t('post.loginToComment'));
         return;
     }
     
     if (!currentPost) {
-        alert('Post not loaded.');
+        showToast(t('post.notLoaded'), { type: 'error' });
         return;
     }
     
     const content = document.getElementById('comment-content').value.trim();
     if (!content) {
-        alert('Please enter a comment.');
+        showToast(t('post.enterComment'));
         return;
     }
     
     try {
-        const response = await fetch(`${API_BASE}/api/posts/${currentPost.id}/comments`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${authToken}`
-            },
-            credentials: 'include', // Include cookies in cross-origin requests
-            body: JSON.stringify({
-                content,
-                postId: currentPost.id
-            })
-        });
-        
-        if (!response.ok) {
-            throw new Error(`HTTP ${response.status}`);
-        }
-        
+        await commentsApi.create(currentPost.id, { content });
+
         // Reload comments
         await loadComments(currentPost.id);
         hideCommentForm();
         
-        alert('Comment posted successfully!');
+        showToast(t('post.commentPosted'), { type: 'success' });
         
     } catch (error) {
+        if (error.isNetworkError) {
+            queueComment({ postId: currentPost.id, content });
+            hideCommentForm();
+            showToast(t('post.commentQueued'));
+            return;
+        }
         console.error('Error posting comment:', error);
-        alert('Unable to post comment. Please try again.');
+        showToast(t('post.commentFailed'), { type: 'error' });
     }
 }
 
@@ -263,46 +483,142 @@ function updateCommentFormVisibility() {
     }
 }
 
+// Offline comment queue
+//
+// Comments that fail with a network error are kept in localStorage and sent
+// once the connection is back, or on a timer while any are left. The page
+// replays them rather than the service worker because the access token
+// lives in localStorage, which workers can't read.
+
+function loadCommentQueue() {
+    try {
+        return JSON.parse(localStorage.getItem(COMMENT_QUEUE_STORAGE_KEY)) || [];
+    } catch {
+        return [];
+    }
+}
+
+function saveCommentQueue(queue) {
+    if (queue.length === 0) {
+        localStorage.removeItem(COMMENT_QUEUE_STORAGE_KEY);
+    } else {
+        localStorage.setItem(COMMENT_QUEUE_STORAGE_KEY, JSON.stringify(queue));
+    }
+}
+
+function queueComment(comment) {
+    saveCommentQueue([...loadCommentQueue(), {
+        ...comment,
+        id: crypto.randomUUID(),
+        queuedAt: new Date().toISOString()
+    }]);
+    renderQueuedComments();
+    scheduleQueueRetry();
+}
+
+function scheduleQueueRetry() {
+    if (queueRetryTimer) return;
+    queueRetryTimer = setTimeout(() => {
+        queueRetryTimer = null;
+        flushCommentQueue();
+    }, COMMENT_QUEUE_RETRY_MS);
+}
+
+// Show this post's queued comments above the sent ones
+function renderQueuedComments() {
+    const container = document.getElementById('queued-comments');
+    const queued = currentPost ? loadCommentQueue().filter(comment => comment.postId === currentPost.id) : [];
+
+    container.innerHTML = queued.map(comment => `
+        <div class="comment comment-pending">
+            <div class="comment-header">
+                <div class="comment-author">${escapeHtml(currentUser?.user.fullName || t('post.you'))}</div>
+                <div class="comment-date">${timeHTML(comment.queuedAt)}</div>
+                <span class="comment-status queued">${t('post.waitingToSend')}</span>
+            </div>
+            ${comment.parentCommentId ? `<div class="comment-replying-to">${t('post.queuedReply')}</div>` : ''}
+            <div class="comment-content">${escapeHtml(comment.content)}</div>
+        </div>
+    `).join('');
+}
+
+// Send queued comments in the order they were written. Comments that fail
+// with a network error stay queued; any other failure drops the comment.
+async function flushCommentQueue() {
+    if (isFlushingQueue || !authToken) return;
+
+    const queue = loadCommentQueue();
+    if (queue.length === 0) return;
+
+    isFlushingQueue = true;
+    const done = new Set();
+    const failures = [];
+    let sent = 0;
+
+    for (const comment of queue) {
+        try {
+            await commentsApi.create(comment.postId, {
+                content: comment.content,
+                parentCommentId: comment.parentCommentId
+            });
+            done.add(comment.id);
+            sent++;
+        } catch (error) {
+            if (error.isNetworkError) {
+                // Still offline; keep the rest in order for the next try
+                scheduleQueueRetry();
+                break;
+            }
+            console.error('Error posting queued comment:', error);
+            done.add(comment.id);
+            failures.push(error.message);
+        }
+    }
+
+    // Re-read the queue in case a comment was added meanwhile
+    saveCommentQueue(loadCommentQueue().filter(comment => !done.has(comment.id)));
+    isFlushingQueue = false;
+
+    renderQueuedComments();
+    if (sent > 0 && currentPost) {
+        await loadComments(currentPost.id);
+    }
+    if (failures.length > 0) {
+        showToast(t('post.queueFailed', { count: failures.length, error: failures[0] }), { type: 'error' });
+    }
+}
+
 // Approve comment (admin function)
 async function approveComment(commentId) {
     if (!authToken) {
-        alert('Authentication required');
+        showToast(t('post.authRequired'), { type: 'error' });
         return;
     }
 
     try {
-        const response = await fetch(`${API_BASE}/api/comments/${commentId}/approve`, {
-            method: 'PUT',
-            headers: {
-                'Authorization': `Bearer ${authToken}`
-            }
-        });
+        await commentsApi.approve(commentId);
 
-        if (response.ok) {
-            // Reload comments to show updated status
-            await loadComments(currentPost.id);
-            alert('Comment approved successfully!');
-        } else {
-            const data = await response.json();
-            alert('Error approving comment: ' + (data.error || 'Unknown error'));
-        }
+        // Reload comments to show updated status
+        await loadComments(currentPost.id);
+        showToast(t('post.commentApproved'), { type: 'success' });
     } catch (error) {
         console.error('Error approving comment:', error);
-        alert('Unable to approve comment. Please try again.');
+        if (error.status === 403) {
+            // The role changed since the page loaded; drop the stale controls
+            showToast(t('post.noModeratePermission'), { type: 'error' });
+            await loadCurrentUser();
+            await loadComments(currentPost.id);
+            return;
+        }
+        showToast(t('post.approveFailed', { error: error.message }), { type: 'error' });
     }
 }
 
-// Format post content (convert line breaks to paragraphs and handle basic formatting)
+// Format post content (Markdown, sanitized)
 function formatPostContent(content) {
-    if (!content) return '<p>No content available.</p>';
-    
-    // Simple formatting: convert double line breaks to paragraphs
-    const paragraphs = content.split('\n\n').filter(p => p.trim());
-    return paragraphs.map(p => {
-        // Handle single line breaks within paragraphs
-        const formatted = p.trim().replace(/\n/g, '<br>');
-        return `<p>${escapeHtml(formatted)}</p>`;
-    }).join('');
+    if (!content) return `<p>${t('post.noContent')}</p>`;
+
+    return renderMarkdown(content);
 }
 
 // Show error message
@@ -310,13 +626,14 @@ function showError(message) {
     const articleContainer = document.getElementById('post-article');
     articleContainer.innerHTML = `
         <div class="post-content-header">
-            <h1 class="post-content-title">⚠️ Error</h1>
+            <h1 class="post-content-title">${t('post.errorTitle')}</h1>
         </div>
         <div class="post-content-body">
             <p>${escapeHtml(message)}</p>
-            <p><a href="/">← Back to Blog</a></p>
+            <p><a href="/">${t('post.errorBackLink')}</a></p>
         </div>
     `;
+    announce(message, { assertive: true });
 }
 
 // Utility functions
@@ -326,12 +643,6 @@ function escapeHtml(text) {
     return div.innerHTML;
 }
 
-
-
-function isValidDate(date) {
-    return date instanceof Date && !isNaN(date.getTime());
-}
-
 // Update authentication button based on login status
 function updateAuthButton() {
     const authBtn = document.getElementById('auth-btn');
@@ -339,10 +650,10 @@ function updateAuthButton() {
 
     if (authToken) {
         authIcon.textContent = '⚙️'; // Admin icon
-        authBtn.title = 'Go to Admin';
+        authBtn.title = t('common.goToAdmin');
     } else {
         authIcon.textContent = '👤'; // Login icon
-        authBtn.title = 'Login';
+        authBtn.title = t('common.login');
     }
 }
 
@@ -356,3 +667,16 @@ function handleAuthClick() {
         window.location.href = '/login';
     }
 }
+
+// Expose handlers referenced from inline markup
+Object.assign(window, {
+    handleAuthClick,
+    showCommentForm,
+    hideCommentForm,
+    submitComment,
+    approveComment,
+    showReplyForm,
+    hideReplyForm,
+    submitReply,
+    toggleReplies
+});
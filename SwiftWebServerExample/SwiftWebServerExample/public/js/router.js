@@ -0,0 +1,111 @@
+// SwiftWebServer Client-Side Router
+//
+// A small History API router. Routes use the same `{name}` path parameters as
+// the servers; the first matching route's handler runs on start(), on every
+// navigate() and on browser back/forward. The pages behind these paths must
+// also be served by the frontend server, so reloading lands on the same view.
+
+/**
+ * @typedef {Object} RouteMatch
+ * @property {Object<string, string>} params - Decoded path parameters
+ * @property {URLSearchParams} query
+ * @property {string} path
+ */
+
+/**
+ * @typedef {Object} Route
+ * @property {string} path - e.g. `/admin/posts/{id}`
+ * @property {(match: RouteMatch) => void} handler
+ */
+
+/**
+ * @param {Route[]} routes - Tried in order
+ * @param {{notFound?: (match: RouteMatch) => void}} [options] - Runs when no route matches
+ */
+export function createRouter(routes, { notFound } = {}) {
+    const compiled = routes.map(route => ({ ...route, ...compilePath(route.path) }));
+
+    function dispatch() {
+        const { pathname, search } = window.location;
+        // "/admin/" and "/admin" are the same view
+        const path = pathname.length > 1 ? pathname.replace(/\/+$/, '') : pathname;
+        const query = new URLSearchParams(search);
+
+        for (const route of compiled) {
+            const match = route.pattern.exec(path);
+            if (match) {
+                const params = decodeParams(route.names, match);
+                // A malformed escape such as %E0 matches no route
+                if (!params) break;
+
+                route.handler({ params, query, path });
+                return;
+            }
+        }
+        if (notFound) {
+            notFound({ params: {}, query, path });
+        }
+    }
+
+    window.addEventListener('popstate', dispatch);
+
+    return {
+        /** Run the route for the current URL */
+        start: dispatch,
+
+        /**
+         * Go to `url` and run its route. Entries added here are marked in
+         * history.state, so pages can tell whether going back stays in the app.
+         *
+         * @param {string} url - Path with an optional query string
+         * @param {{replace?: boolean}} [options] - Replace the current entry instead of adding one
+         */
+        navigate(url, { replace = false } = {}) {
+            const target = new URL(url, window.location.href);
+            if (target.href === window.location.href) return;
+
+            if (replace) {
+                history.replaceState(history.state, '', target);
+            } else {
+                history.pushState({ routed: true }, '', target);
+            }
+            dispatch();
+        },
+
+        /** Whether the current history entry was added by navigate() */
+        canGoBack() {
+            return Boolean(history.state?.routed);
+        }
+    };
+}
+
+// Path parameters by name, or null when one is not valid percent-encoding
+function decodeParams(names, match) {
+    const params = {};
+    try {
+        names.forEach((name, index) => {
+            params[name] = decodeURIComponent(match[index + 1]);
+        });
+    } catch (error) {
+        if (error instanceof URIError) return null;
+        throw error;
+    }
+    return params;
+}
+
+// `/admin/posts/{id}` -> /^\/admin\/posts\/([^/]+)$/ with names ['id']
+function compilePath(path) {
+    const names = [];
+    const source = path
+        .split('/')
+        .map(segment => {
+            const param = /^\{(\w+)\}$/.exec(segment);
+            if (param) {
+                names.push(param[1]);
+                return '([^/]+)';
+            }
+            return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        })
+        .join('/');
+    return { pattern: new RegExp(`^${source}$`), names };
+}
@@ -0,0 +1,105 @@
+// SwiftWebServer Post Search
+//
+// Client-side counterpart of the `q`/`status`/`author`/`tag`/`from`/`to`
+// filters on /api/posts. Pages fall back to it when the server search request
+// fails, and use highlightMatches() to mark query terms in rendered results.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Split a query into lowercase terms.
+ *
+ * @param {string} query
+ * @returns {string[]}
+ */
+export function searchTerms(query) {
+    return (query || '').toLowerCase().split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Build a search index over post summaries.
+ *
+ * @param {import('./api.js').PostSummary[]} posts
+ * @returns {{post: import('./api.js').PostSummary, text: string}[]}
+ */
+export function createSearchIndex(posts) {
+    return posts.map(post => ({
+        post,
+        text: [post.title, post.excerpt, post.authorName].filter(Boolean).join('\n').toLowerCase()
+    }));
+}
+
+/**
+ * Filter an index the same way the server does: every query term must
+ * appear, `tag` must be one of the post's tags, and `from`/`to` are
+ * inclusive yyyy-MM-dd dates (UTC).
+ *
+ * @param {ReturnType<typeof createSearchIndex>} index
+ * @param {{q?: string, status?: string, author?: string, tag?: string, from?: string, to?: string}} [filters]
+ * @returns {import('./api.js').PostSummary[]}
+ */
+export function searchIndex(index, { q, status, author, tag, from, to } = {}) {
+    const terms = searchTerms(q);
+    const fromTime = from ? Date.parse(from) : null;
+    const toTime = to ? Date.parse(to) + DAY_MS : null;
+
+    return index
+        .filter(({ post, text }) => {
+            if (status === 'published' && !post.isPublished) return false;
+            if (status === 'scheduled' && !post.isScheduled) return false;
+            if (status === 'draft' && (post.isPublished || post.isScheduled)) return false;
+            if (author && post.authorId !== author) return false;
+            if (tag && !(post.tags || []).includes(tag)) return false;
+
+            const time = Date.parse(post.publishedAt || post.createdAt);
+            if (fromTime !== null && time < fromTime) return false;
+            if (toTime !== null && time >= toTime) return false;
+
+            return terms.every(term => text.includes(term));
+        })
+        .map(({ post }) => post);
+}
+
+/**
+ * Wrap every occurrence of the query's terms inside `root` in <mark>.
+ * Only text nodes are touched, so it is safe on already-rendered HTML.
+ *
+ * @param {Element} root
+ * @param {string} query
+ */
+export function highlightMatches(root, query) {
+    const terms = searchTerms(query);
+    if (terms.length === 0) return;
+
+    const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi');
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    const textNodes = [];
+    while (walker.nextNode()) {
+        if (!walker.currentNode.parentElement.closest('mark')) {
+            textNodes.push(walker.currentNode);
+        }
+    }
+
+    textNodes.forEach(node => {
+        const parts = node.textContent.split(pattern);
+        if (parts.length === 1) return;
+
+        const fragment = document.createDocumentFragment();
+        parts.forEach((part, index) => {
+            if (!part) return;
+            // split() with a capture group puts the matches at odd indexes
+            if (index % 2 === 1) {
+                const mark = document.createElement('mark');
+                mark.textContent = part;
+                fragment.appendChild(mark);
+            } else {
+                fragment.appendChild(document.createTextNode(part));
+            }
+        });
+        node.replaceWith(fragment);
+    });
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,13 @@
+// SwiftWebServer Theme Bootstrap
+//
+// Included as a classic blocking <script> in <head>, ahead of the
+// stylesheets, so <html data-theme> is set before the first paint and a dark
+// page never flashes light. The toggle itself lives in js/theme.js, which
+// uses the same storage key.
+
+(() => {
+    const mode = localStorage.getItem('theme');
+    const dark = mode === 'dark' ||
+        (mode !== 'light' && window.matchMedia('(prefers-color-scheme: dark)').matches);
+    document.documentElement.dataset.theme = dark ? 'dark' : 'light';
+})();
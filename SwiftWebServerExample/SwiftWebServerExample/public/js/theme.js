@@ -0,0 +1,83 @@
+// SwiftWebServer Theme
+//
+// Light, dark or system theme for every page. The colors are the custom
+// properties in css/theme.css, switched by `data-theme` on <html>;
+// js/theme-init.js applies the saved mode before the first paint, and this
+// module keeps it current: the toggle button, the OS setting while in
+// system mode, and changes made in other tabs.
+
+const THEME_STORAGE_KEY = 'theme';
+
+/** Toggle order; `system` follows the OS setting */
+export const THEME_MODES = ['system', 'light', 'dark'];
+
+const THEME_ICONS = { system: '🖥️', light: '☀️', dark: '🌙' };
+const THEME_LABELS = { system: 'Theme: system', light: 'Theme: light', dark: 'Theme: dark' };
+
+const darkQuery = window.matchMedia('(prefers-color-scheme: dark)');
+const toggles = [];
+
+/**
+ * @returns {string} One of THEME_MODES
+ */
+export function getThemeMode() {
+    const stored = localStorage.getItem(THEME_STORAGE_KEY);
+    return THEME_MODES.includes(stored) ? stored : 'system';
+}
+
+/**
+ * Save `mode` and restyle the page.
+ *
+ * @param {string} mode - One of THEME_MODES
+ */
+export function setThemeMode(mode) {
+    if (!THEME_MODES.includes(mode)) return;
+
+    if (mode === 'system') {
+        localStorage.removeItem(THEME_STORAGE_KEY);
+    } else {
+        localStorage.setItem(THEME_STORAGE_KEY, mode);
+    }
+    applyTheme();
+}
+
+/**
+ * Turn `button` into a toggle that cycles through THEME_MODES.
+ *
+ * @param {HTMLButtonElement} button
+ * @param {Object} [options]
+ * @param {function(string): string} [options.label] - Accessible name for a mode; English by default
+ */
+export function initThemeToggle(button, { label = mode => THEME_LABELS[mode] } = {}) {
+    const toggle = { button, label };
+    toggles.push(toggle);
+    updateToggle(toggle);
+
+    button.addEventListener('click', () => {
+        const next = (THEME_MODES.indexOf(getThemeMode()) + 1) % THEME_MODES.length;
+        setThemeMode(THEME_MODES[next]);
+    });
+}
+
+function applyTheme() {
+    const mode = getThemeMode();
+    const dark = mode === 'dark' || (mode === 'system' && darkQuery.matches);
+    document.documentElement.dataset.theme = dark ? 'dark' : 'light';
+    toggles.forEach(updateToggle);
+}
+
+function updateToggle({ button, label }) {
+    const mode = getThemeMode();
+    button.textContent = THEME_ICONS[mode];
+    button.title = label(mode);
+    button.setAttribute('aria-label', label(mode));
+}
+
+darkQuery.addEventListener('change', () => {
+    if (getThemeMode() === 'system') applyTheme();
+});
+
+// Another tab switched themes
+window.addEventListener('storage', event => {
+    if (event.key === THEME_STORAGE_KEY) applyTheme();
+});
@@ -0,0 +1,180 @@
+// SwiftWebServer Blog Service Worker
+//
+// Keeps the public blog readable offline:
+// - The page shell (HTML, CSS, JS, config) is precached on install and
+//   served network-first, so edits show up immediately while online.
+// - GET /api/posts, GET /api/posts/{id} and GET /api/tags are
+//   stale-while-revalidate: answered from the cache when possible and
+//   refreshed in the background.
+// - Uploaded media (/media/{id}) is cache-first: an id always names the
+//   same file, so images in posts read earlier still show offline.
+// API responses are only cached for the blog pages; the admin console,
+// explorer and docs always talk to the network so they never show stale data.
+//
+// Pages are told whether the network answered via a `network-status`
+// message, which drives the offline banner (see js/offline.js).
+
+// Bump whenever SHELL_FILES or a precached file changes, so activate drops
+// the old shell and API caches
+const CACHE_VERSION = 'v8';
+const SHELL_CACHE = `blog-shell-${CACHE_VERSION}`;
+const API_CACHE = `blog-api-${CACHE_VERSION}`;
+const MEDIA_CACHE = `blog-media-${CACHE_VERSION}`;
+
+const SHELL_FILES = [
+    '/',
+    '/post',
+    '/config.json',
+    '/css/theme.css',
+    '/css/blog.css',
+    '/css/post.css',
+    '/css/notify.css',
+    '/js/api.js',
+    '/js/blog.js',
+    '/js/post.js',
+    '/js/markdown.js',
+    '/js/search.js',
+    '/js/offline.js',
+    '/js/notify.js',
+    '/js/a11y.js',
+    '/js/theme-init.js',
+    '/js/theme.js',
+    '/js/i18n.js',
+    '/js/locales/en.js',
+    '/js/locales/es.js',
+    '/js/locales/ar.js',
+    '/favicon.ico'
+];
+
+// The post list (any query), single posts and the tag cloud; not
+// /api/posts/{id}/comments
+const CACHED_API_PATH = /^\/api\/(posts(\/[^/]+)?|tags)$/;
+const MEDIA_PATH = /^\/media\/[^/]+$/;
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Drop caches from earlier versions
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => ![SHELL_CACHE, API_CACHE, MEDIA_CACHE].includes(key))
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET') {
+        return;
+    }
+
+    const url = new URL(request.url);
+
+    if (request.mode === 'navigate') {
+        if (isBlogPage(url)) {
+            // Every /post/{id} is the same page; the id is read from the URL
+            event.respondWith(networkFirst(request, url.pathname === '/' ? '/' : '/post'));
+        }
+        return;
+    }
+
+    // Served by the backend, usually on another origin
+    if (MEDIA_PATH.test(url.pathname)) {
+        event.respondWith(cacheFirst(request));
+        return;
+    }
+
+    if (url.origin === self.location.origin) {
+        if (SHELL_FILES.includes(url.pathname)) {
+            event.respondWith(networkFirst(request, url.pathname));
+        }
+        return;
+    }
+
+    // The API usually lives on another origin (the backend server)
+    if (CACHED_API_PATH.test(url.pathname)) {
+        event.respondWith(handleApiRequest(event));
+    }
+});
+
+function isBlogPage(url) {
+    return url.origin === self.location.origin &&
+        (url.pathname === '/' || url.pathname === '/post' || url.pathname.startsWith('/post/'));
+}
+
+// Shell files: fresh from the network, or the precached copy when offline
+async function networkFirst(request, cacheKey) {
+    const cache = await caches.open(SHELL_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            await cache.put(cacheKey, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(cacheKey);
+        if (cached) {
+            return cached;
+        }
+        throw error;
+    }
+}
+
+async function cacheFirst(request) {
+    const cache = await caches.open(MEDIA_CACHE);
+    const cached = await cache.match(request);
+    if (cached) {
+        return cached;
+    }
+
+    const response = await fetch(request);
+    // Cross-origin <img> loads are opaque: their status can't be checked
+    if (response.ok || response.type === 'opaque') {
+        await cache.put(request, response.clone());
+    }
+    return response;
+}
+
+async function handleApiRequest(event) {
+    const client = event.clientId ? await self.clients.get(event.clientId) : null;
+    if (!client || !isBlogPage(new URL(client.url))) {
+        return fetch(event.request);
+    }
+    return staleWhileRevalidate(event, client);
+}
+
+// Answer from the cache when possible and refresh it in the background;
+// without a cached copy, wait for the network
+async function staleWhileRevalidate(event, client) {
+    const cache = await caches.open(API_CACHE);
+    const cached = await cache.match(event.request);
+
+    const network = fetch(event.request)
+        .then(async response => {
+            if (response.ok) {
+                await cache.put(event.request, response.clone());
+            }
+            client.postMessage({ type: 'network-status', online: true });
+            return response;
+        })
+        .catch(error => {
+            client.postMessage({ type: 'network-status', online: false });
+            throw error;
+        });
+
+    if (cached) {
+        // Keep the worker alive until the refresh lands; its failure is
+        // already reported to the page
+        event.waitUntil(network.catch(() => {}));
+        return cached;
+    }
+    return network;
+}
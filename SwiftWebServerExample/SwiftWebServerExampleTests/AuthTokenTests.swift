@@ -0,0 +1,76 @@
+//
+//  AuthTokenTests.swift
+//  SwiftWebServerExampleTests
+//
+//  Tests for auth token cleanup and refresh against an in-memory store
+//
+
+import XCTest
+import SwiftData
+@testable import SwiftWebServerExample
+
+final class AuthTokenTests: XCTestCase {
+    private var container: ModelContainer!
+    private var dataManager: DataManager!
+    private var user: User!
+
+    override func setUpWithError() throws {
+        container = try ModelContainer(
+            for: User.self, Post.self, Comment.self, AuthToken.self, MediaItem.self,
+            configurations: ModelConfiguration(isStoredInMemoryOnly: true)
+        )
+        dataManager = DataManager(modelContext: ModelContext(container))
+        user = try dataManager.createUser(request: CreateUserRequest(
+            username: "reader",
+            email: "reader@example.com",
+            password: "secret123",
+            firstName: "Test",
+            lastName: "Reader"
+        ))
+    }
+
+    override func tearDown() {
+        user = nil
+        dataManager = nil
+        container = nil
+    }
+
+    func testCleanupKeepsExpiredTokenThatCanStillRefresh() throws {
+        let token = try dataManager.createAuthToken(for: user, expiresIn: -60)
+        XCTAssertTrue(token.isExpired)
+
+        try dataManager.cleanupExpiredTokens()
+
+        XCTAssertTrue(dataManager.authTokens.contains { $0.id == token.id })
+    }
+
+    func testRefreshSucceedsAfterAccessTokenExpiresAndCleanupRuns() throws {
+        let token = try dataManager.createAuthToken(for: user, expiresIn: -60)
+        let refreshToken = try XCTUnwrap(token.refreshToken)
+
+        try dataManager.cleanupExpiredTokens()
+        let renewed = try dataManager.refreshAuthToken(refreshToken)
+
+        XCTAssertTrue(renewed.isValid)
+        XCTAssertEqual(renewed.user?.id, user.id)
+        XCTAssertTrue(token.isRevoked)
+    }
+
+    func testCleanupDeletesRevokedTokens() throws {
+        let token = try dataManager.createAuthToken(for: user)
+        try dataManager.revokeAuthToken(token.token)
+
+        try dataManager.cleanupExpiredTokens()
+
+        XCTAssertFalse(dataManager.authTokens.contains { $0.id == token.id })
+    }
+
+    func testCleanupDeletesTokensWhoseRefreshTokenExpired() throws {
+        let token = try dataManager.createAuthToken(for: user, expiresIn: -60)
+        token.refreshExpiresAt = Date().addingTimeInterval(-60)
+
+        try dataManager.cleanupExpiredTokens()
+
+        XCTAssertFalse(dataManager.authTokens.contains { $0.id == token.id })
+    }
+}
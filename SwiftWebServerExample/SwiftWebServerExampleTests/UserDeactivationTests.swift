@@ -0,0 +1,72 @@
+//
+//  UserDeactivationTests.swift
+//  SwiftWebServerExampleTests
+//
+//  Tests that deactivated users lose API access
+//
+
+import XCTest
+import SwiftData
+@testable import SwiftWebServerExample
+
+final class UserDeactivationTests: XCTestCase {
+    private var container: ModelContainer!
+    private var dataManager: DataManager!
+    private var author: User!
+
+    override func setUpWithError() throws {
+        container = try ModelContainer(
+            for: User.self, Post.self, Comment.self, AuthToken.self, MediaItem.self,
+            configurations: ModelConfiguration(isStoredInMemoryOnly: true)
+        )
+        dataManager = DataManager(modelContext: ModelContext(container))
+        // The first user becomes the admin, so the author can be deactivated
+        _ = try dataManager.createUser(request: CreateUserRequest(
+            username: "admin", email: "admin@example.com", password: "secret123", firstName: "Ada", lastName: "Admin"
+        ))
+        author = try dataManager.createUser(request: CreateUserRequest(
+            username: "author", email: "author@example.com", password: "secret123", firstName: "Avery", lastName: "Author"
+        ))
+    }
+
+    override func tearDown() {
+        author = nil
+        dataManager = nil
+        container = nil
+    }
+
+    private func deactivate(_ user: User) throws {
+        try dataManager.updateUser(user, request: UpdateUserRequest(
+            email: nil, firstName: nil, lastName: nil, isActive: false
+        ))
+    }
+
+    func testDeactivationRevokesTokens() throws {
+        let token = try dataManager.createAuthToken(for: author)
+
+        try deactivate(author)
+
+        XCTAssertTrue(token.isRevoked)
+        XCTAssertNil(dataManager.getUserFromToken(token.token))
+        XCTAssertNil(dataManager.validateAuthToken(token.token))
+    }
+
+    func testDeactivatedUserCannotRefresh() throws {
+        let token = try dataManager.createAuthToken(for: author)
+        let refreshToken = try XCTUnwrap(token.refreshToken)
+
+        try deactivate(author)
+
+        XCTAssertThrowsError(try dataManager.refreshAuthToken(refreshToken))
+    }
+
+    func testTokensOfInactiveUsersAreRejected() throws {
+        let token = try dataManager.createAuthToken(for: author)
+        // Deactivated without going through updateUser, e.g. by an older build
+        author.isActive = false
+
+        XCTAssertFalse(token.isRevoked)
+        XCTAssertNil(dataManager.getUserFromToken(token.token))
+        XCTAssertNil(dataManager.validateAuthToken(token.token))
+    }
+}
@@ -0,0 +1,239 @@
+// SwiftWebServer Accessibility Audit
+//
+// Checks every page in public/ against a subset of the axe-core rules that
+// can be decided from the markup alone (the rule ids match axe's, so a
+// failure can be looked up in its docs). Content rendered by the page
+// scripts is not covered; those templates follow the same rules by review.
+// No dependencies: run with `node --test SwiftWebServerExample/WebTests`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, readdirSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+
+const PUBLIC_DIR = fileURLToPath(new URL('../SwiftWebServerExample/public/', import.meta.url));
+
+const VOID_ELEMENTS = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'
+]);
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title']);
+
+// WAI-ARIA 1.2 roles, minus the abstract ones
+const ARIA_ROLES = new Set(`
+    alert alertdialog application article banner blockquote button caption cell checkbox code
+    columnheader combobox complementary contentinfo definition deletion dialog directory document
+    emphasis feed figure form generic grid gridcell group heading img insertion link list listbox
+    listitem log main marquee math menu menubar menuitem menuitemcheckbox menuitemradio meter
+    navigation none note option paragraph presentation progressbar radio radiogroup region row
+    rowgroup rowheader scrollbar search searchbox separator slider spinbutton status strong
+    subscript superscript switch tab table tablist tabpanel term textbox time timer toolbar
+    tooltip tree treegrid treeitem
+`.trim().split(/\s+/));
+
+const ID_REF_ATTRIBUTES = ['aria-labelledby', 'aria-describedby', 'aria-controls', 'aria-owns', 'for'];
+
+// --- A small HTML parser: enough for well-formed pages -------------------
+
+function parseHTML(html) {
+    const root = { tag: '#root', attrs: {}, children: [], parent: null };
+    const tagPattern = /<!--[\s\S]*?-->|<!doctype[^>]*>|<\/([a-zA-Z][\w-]*)\s*>|<([a-zA-Z][\w-]*)((?:\s+[^\s=>\/]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*(\/?)>/gi;
+    let current = root;
+    let index = 0;
+    let match;
+
+    while ((match = tagPattern.exec(html))) {
+        addText(current, html.slice(index, match.index));
+        index = tagPattern.lastIndex;
+
+        const [, closing, opening, attributeSource, selfClosing] = match;
+        if (closing) {
+            const tag = closing.toLowerCase();
+            let node = current;
+            while (node !== root && node.tag !== tag) node = node.parent;
+            if (node !== root) current = node.parent;
+        } else if (opening) {
+            const tag = opening.toLowerCase();
+            const element = { tag, attrs: parseAttributes(attributeSource), children: [], parent: current };
+            current.children.push(element);
+
+            if (RAW_TEXT_ELEMENTS.has(tag)) {
+                const end = html.toLowerCase().indexOf(`</${tag}`, index);
+                addText(element, html.slice(index, end));
+                tagPattern.lastIndex = index = html.indexOf('>', end) + 1;
+            } else if (!VOID_ELEMENTS.has(tag) && !selfClosing) {
+                current = element;
+            }
+        }
+    }
+    addText(current, html.slice(index));
+    return root;
+}
+
+function parseAttributes(source) {
+    const attrs = {};
+    const pattern = /([^\s=>\/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+    let match;
+    while ((match = pattern.exec(source))) {
+        attrs[match[1].toLowerCase()] = match[2] ?? match[3] ?? match[4] ?? '';
+    }
+    return attrs;
+}
+
+function addText(parent, text) {
+    if (text) parent.children.push({ tag: '#text', text, parent });
+}
+
+function* walk(node) {
+    for (const child of node.children || []) {
+        if (child.tag === '#text') continue;
+        yield child;
+        yield* walk(child);
+    }
+}
+
+// Text a screen reader would read for `node`, skipping aria-hidden subtrees
+function textContent(node) {
+    if (node.tag === '#text') return node.text;
+    if ('aria-hidden' in node.attrs && node.attrs['aria-hidden'] !== 'false') return '';
+    if (node.tag === 'img') return node.attrs.alt || '';
+    return node.children.map(textContent).join('');
+}
+
+function hasAncestor(node, tag) {
+    for (let parent = node.parent; parent; parent = parent.parent) {
+        if (parent.tag === tag) return true;
+    }
+    return false;
+}
+
+function describe(node) {
+    const id = node.attrs.id ? `#${node.attrs.id}` : '';
+    const className = node.attrs.class ? `.${node.attrs.class.split(/\s+/).join('.')}` : '';
+    return `<${node.tag}${id}${className}>`;
+}
+
+// --- Rules ----------------------------------------------------------------
+
+function accessibleName(node, ids) {
+    const { attrs } = node;
+    if (attrs['aria-labelledby']) {
+        return attrs['aria-labelledby'].split(/\s+/).map(id => ids.get(id)).filter(Boolean).map(textContent).join(' ');
+    }
+    return (attrs['aria-label'] || '').trim() || textContent(node).trim() || (attrs.title || '').trim();
+}
+
+function audit(document) {
+    const violations = [];
+    const report = (rule, node, message) => violations.push(`${rule}: ${describe(node)} ${message}`);
+    const elements = [...walk(document)];
+
+    const ids = new Map();
+    for (const element of elements) {
+        const { id } = element.attrs;
+        if (id === undefined) continue;
+        if (ids.has(id)) report('duplicate-id', element, `reuses id "${id}"`);
+        ids.set(id, element);
+    }
+
+    const labelled = new Set(elements
+        .filter(element => element.tag === 'label' && element.attrs.for)
+        .map(element => element.attrs.for));
+
+    const html = elements.find(element => element.tag === 'html');
+    if (!html?.attrs.lang) report('html-has-lang', html || document, 'has no lang attribute');
+
+    const title = elements.find(element => element.tag === 'title');
+    if (!title || !textContent(title).trim()) report('document-title', title || document, 'is missing or empty');
+
+    if (!elements.some(element => element.tag === 'main' || element.attrs.role === 'main')) {
+        report('landmark-one-main', html || document, 'has no main landmark');
+    }
+
+    for (const element of elements) {
+        const { tag, attrs } = element;
+
+        if (tag === 'meta' && attrs.name === 'viewport' && /user-scalable\s*=\s*no|maximum-scale\s*=\s*1(\.0)?\b/.test(attrs.content)) {
+            report('meta-viewport', element, 'disables zooming');
+        }
+
+        if (tag === 'img' && attrs.alt === undefined && attrs.role !== 'presentation' && attrs.role !== 'none') {
+            report('image-alt', element, 'has no alt text');
+        }
+
+        if (tag === 'button' && !accessibleName(element, ids)) {
+            report('button-name', element, 'has no accessible name');
+        }
+
+        if (tag === 'a' && attrs.href !== undefined && attrs['aria-hidden'] !== 'true' && !accessibleName(element, ids)) {
+            report('link-name', element, 'has no accessible name');
+        }
+
+        const isFormControl = (tag === 'input' && !['hidden', 'submit', 'button', 'reset', 'image'].includes(attrs.type))
+            || tag === 'select' || tag === 'textarea';
+        if (isFormControl && !labelled.has(attrs.id) && !hasAncestor(element, 'label')
+            && !attrs['aria-label'] && !attrs['aria-labelledby'] && !attrs.title) {
+            report(tag === 'select' ? 'select-name' : 'label', element, 'has no label');
+        }
+
+        if (attrs.role !== undefined && !attrs.role.split(/\s+/).every(role => ARIA_ROLES.has(role))) {
+            report('aria-roles', element, `has an unknown role "${attrs.role}"`);
+        }
+
+        if (Number(attrs.tabindex) > 0) {
+            report('tabindex', element, 'has a positive tabindex');
+        }
+
+        for (const attribute of ID_REF_ATTRIBUTES) {
+            if (attrs[attribute] === undefined) continue;
+            for (const id of attrs[attribute].split(/\s+/).filter(Boolean)) {
+                if (!ids.has(id)) report('aria-valid-attr-value', element, `${attribute} points at missing id "${id}"`);
+            }
+        }
+
+        if ((attrs.role === 'dialog' || attrs.role === 'alertdialog') && !accessibleName(element, ids)) {
+            report('aria-dialog-name', element, 'has no accessible name');
+        }
+    }
+
+    const headings = elements.filter(element => /^h[1-6]$/.test(element.tag));
+    if (headings.length > 0 && !headings.some(heading => heading.tag === 'h1')) {
+        report('page-has-heading-one', headings[0], 'is on a page without an h1');
+    }
+
+    return violations;
+}
+
+// --- Tests ----------------------------------------------------------------
+
+const pages = readdirSync(PUBLIC_DIR).filter(file => file.endsWith('.html')).sort();
+
+test('there are pages to audit', () => {
+    assert.ok(pages.length > 0, `no .html files in ${PUBLIC_DIR}`);
+});
+
+for (const page of pages) {
+    test(`${page} has no accessibility violations`, () => {
+        const document = parseHTML(readFileSync(PUBLIC_DIR + page, 'utf8'));
+        assert.deepEqual(audit(document), []);
+    });
+}
+
+test('the audit catches violations', () => {
+    const document = parseHTML(`
+        <html><head></head><body>
+            <div id="a"></div><div id="a"></div>
+            <img src="x.png">
+            <button><span aria-hidden="true">✕</span></button>
+            <a href="/"></a>
+            <input type="text">
+            <div role="dialgo" tabindex="2" aria-labelledby="missing"></div>
+        </body></html>
+    `);
+    const rules = audit(document).map(violation => violation.split(':')[0]);
+    for (const rule of [
+        'html-has-lang', 'document-title', 'landmark-one-main', 'duplicate-id', 'image-alt', 'button-name',
+        'link-name', 'label', 'aria-roles', 'tabindex', 'aria-valid-attr-value'
+    ]) {
+        assert.ok(rules.includes(rule), `expected a ${rule} violation, got ${rules.join(', ')}`);
+    }
+});
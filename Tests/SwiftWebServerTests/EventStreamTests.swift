@@ -0,0 +1,40 @@
+//
+//  EventStreamTests.swift
+//  SwiftWebServerTests
+//
+//  Tests for the Server-Sent Events wire format
+//
+
+import XCTest
+@testable import SwiftWebServer
+
+final class EventStreamTests: XCTestCase {
+
+    func testDataOnlyEvent() {
+        XCTAssertEqual(EventStream.format(event: nil, data: "hello", id: nil), "data: hello\n\n")
+    }
+
+    func testEventWithNameAndId() {
+        let message = EventStream.format(event: "log", data: "{\"level\":\"info\"}", id: "42")
+        XCTAssertEqual(message, "id: 42\nevent: log\ndata: {\"level\":\"info\"}\n\n")
+    }
+
+    func testMultiLineDataIsSplitIntoDataLines() {
+        let message = EventStream.format(event: nil, data: "first\nsecond\r\nthird\rfourth", id: nil)
+        XCTAssertEqual(message, "data: first\ndata: second\ndata: third\ndata: fourth\n\n")
+    }
+
+    func testEmptyDataStillTerminatesEvent() {
+        XCTAssertEqual(EventStream.format(event: "ping", data: "", id: nil), "event: ping\ndata: \n\n")
+    }
+
+    func testLineBreaksAreStrippedFromFields() {
+        let message = EventStream.format(event: "lo\ng", data: "x", id: "1\r\n2")
+        XCTAssertEqual(message, "id: 12\nevent: log\ndata: x\n\n")
+    }
+
+    func testEventStreamContentType() {
+        XCTAssertEqual(ContentType.textEventStream.headerValue(), "text/event-stream; charset=utf-8")
+        XCTAssertTrue(ContentType.textEventStream.fileExtensions.isEmpty)
+    }
+}
@@ -0,0 +1,147 @@
+//
+//  MultipartParserTests.swift
+//  SwiftWebServerTests
+//
+//  Tests for multipart/form-data parsing and binary request bodies
+//
+
+import XCTest
+@testable import SwiftWebServer
+
+final class MultipartParserTests: XCTestCase {
+
+    private let boundary = "----TestBoundary42"
+
+    private func multipartBody(_ parts: [(headers: String, content: Data)]) -> Data {
+        var body = Data()
+        for part in parts {
+            body.append(Data("--\(boundary)\r\n\(part.headers)\r\n\r\n".utf8))
+            body.append(part.content)
+            body.append(Data("\r\n".utf8))
+        }
+        body.append(Data("--\(boundary)--\r\n".utf8))
+        return body
+    }
+
+    // MARK: - Boundary
+
+    func testBoundaryFromContentType() {
+        XCTAssertEqual(MultipartParser.boundary(fromContentType: "multipart/form-data; boundary=abc123"), "abc123")
+        XCTAssertEqual(MultipartParser.boundary(fromContentType: "multipart/form-data; Boundary=\"a b\""), "a b")
+        XCTAssertNil(MultipartParser.boundary(fromContentType: "multipart/form-data"))
+        XCTAssertNil(MultipartParser.boundary(fromContentType: "multipart/form-data; boundary="))
+    }
+
+    // MARK: - Parsing
+
+    func testFieldsAndFiles() throws {
+        let body = multipartBody([
+            ("Content-Disposition: form-data; name=\"title\"", Data("Hello".utf8)),
+            ("Content-Disposition: form-data; name=\"file\"; filename=\"a;b.txt\"\r\nContent-Type: text/plain",
+             Data("line one\r\nline two".utf8))
+        ])
+
+        let parts = try MultipartParser.parse(data: body, boundary: boundary)
+
+        XCTAssertEqual(parts.count, 2)
+        XCTAssertEqual(parts[0].name, "title")
+        XCTAssertFalse(parts[0].isFile)
+        XCTAssertEqual(parts[0].text, "Hello")
+
+        XCTAssertEqual(parts[1].name, "file")
+        XCTAssertTrue(parts[1].isFile)
+        XCTAssertEqual(parts[1].filename, "a;b.txt")
+        XCTAssertEqual(parts[1].contentType, "text/plain")
+        XCTAssertEqual(parts[1].text, "line one\r\nline two")
+    }
+
+    func testBinaryContentIsPreserved() throws {
+        let bytes = Data([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0x00, 0xFF, 0xFE])
+        let body = multipartBody([
+            ("Content-Disposition: form-data; name=\"image\"; filename=\"pixel.png\"\r\nContent-Type: image/png", bytes)
+        ])
+
+        let parts = try MultipartParser.parse(data: body, boundary: boundary)
+
+        XCTAssertEqual(parts.count, 1)
+        XCTAssertEqual(parts[0].data, bytes)
+        XCTAssertNil(parts[0].text)
+    }
+
+    func testPartsWithoutNameAreSkipped() throws {
+        let body = multipartBody([
+            ("Content-Disposition: form-data", Data("orphan".utf8)),
+            ("Content-Disposition: form-data; name=\"kept\"", Data("value".utf8))
+        ])
+
+        let parts = try MultipartParser.parse(data: body, boundary: boundary)
+
+        XCTAssertEqual(parts.map(\.name), ["kept"])
+    }
+
+    func testMissingClosingBoundaryThrows() {
+        let body = Data("--\(boundary)\r\nContent-Disposition: form-data; name=\"x\"\r\n\r\nunterminated".utf8)
+
+        XCTAssertThrowsError(try MultipartParser.parse(data: body, boundary: boundary)) { error in
+            guard case MultipartParserError.malformedBody = error else {
+                return XCTFail("Unexpected error: \(error)")
+            }
+        }
+    }
+
+    func testBodyWithoutBoundaryThrows() {
+        XCTAssertThrowsError(try MultipartParser.parse(data: Data("plain text".utf8), boundary: boundary))
+    }
+
+    // MARK: - Requests
+
+    func testRequestKeepsBinaryBody() throws {
+        let bytes = Data([0x00, 0xFF, 0x0D, 0x0A, 0x0D, 0x0A, 0x80])
+        var requestData = Data("POST /upload HTTP/1.1\r\nContent-Length: \(bytes.count)\r\n\r\n".utf8)
+        requestData.append(bytes)
+
+        let request = try Request(inputData: requestData)
+
+        XCTAssertEqual(request.path, "/upload")
+        XCTAssertEqual(request.body, bytes)
+    }
+
+    func testExpectedRequestLength() {
+        XCTAssertNil(Connection.expectedRequestLength(of: Data("POST / HTTP/1.1\r\nContent-Len".utf8)))
+
+        let head = "POST / HTTP/1.1\r\nContent-Length: 10\r\n\r\n"
+        XCTAssertEqual(Connection.expectedRequestLength(of: Data((head + "abc").utf8)), head.utf8.count + 10)
+
+        let noBody = "GET / HTTP/1.1\r\nHost: localhost\r\n\r\n"
+        XCTAssertEqual(Connection.expectedRequestLength(of: Data(noBody.utf8)), noBody.utf8.count)
+    }
+
+    func testBodyParserParsesMultipart() throws {
+        let bodyParser = BodyParser(options: BodyParserOptions(parseMultipart: true))
+        let body = multipartBody([
+            ("Content-Disposition: form-data; name=\"file\"; filename=\"notes.txt\"\r\nContent-Type: text/plain",
+             Data("notes".utf8))
+        ])
+        var requestData = Data("""
+        POST /upload HTTP/1.1\r
+        Content-Type: multipart/form-data; boundary=\(boundary)\r
+        Content-Length: \(body.count)\r
+        \r\n
+        """.utf8)
+        requestData.append(body)
+
+        let request = try Request(inputData: requestData)
+        let response = MockResponse()
+
+        let expectation = XCTestExpectation(description: "Multipart body parsing")
+
+        try bodyParser.execute(request: request, response: response) {
+            XCTAssertEqual(request.multipartParts?.count, 1)
+            XCTAssertEqual(request.multipartParts?.first?.filename, "notes.txt")
+            XCTAssertEqual(request.multipartParts?.first?.text, "notes")
+            expectation.fulfill()
+        }
+
+        wait(for: [expectation], timeout: 1.0)
+    }
+}
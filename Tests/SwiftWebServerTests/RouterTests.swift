@@ -183,6 +183,13 @@ final class RouterTests: XCTestCase {
         XCTAssertEqual(parameters["message"], "Hello World")
     }
 
+    func testQueryParameterPlusDecoding() {
+        let parameters = QueryParameterParser.parseQueryString("q=swift+tips&lang=C%2B%2B")
+
+        XCTAssertEqual(parameters["q"], "swift tips")
+        XCTAssertEqual(parameters["lang"], "C++")
+    }
+
     func testEmptyQueryString() {
         let parameters = QueryParameterParser.parseQueryString("")
         XCTAssertTrue(parameters.isEmpty)